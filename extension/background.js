@@ -1,6 +1,8 @@
 // Background service worker for Chrome extension
 // Following functional programming principles
 
+importScripts('url-normalizer.js', 'bookmark-store.js');
+
 // Pure functions for data processing
 const createBookmarkRecord = (tab, additionalData = {}) => {
   // Clean the title to remove HTML entities and normalize whitespace
@@ -33,24 +35,13 @@ const generateId = () => Date.now().toString(36) + Math.random().toString(36).su
 const formatApiEndpoint = (baseUrl, endpoint) => `${baseUrl}${endpoint}`;
 
 // Storage functions
+// Replaces the stored value; bookmarks live in BookmarkStore, not in an appended array
 const saveToLocalStorage = async (key, data) => {
   try {
-    // Get existing data first
-    const existingResult = await chrome.storage.local.get([key]);
-    let existingData = existingResult[key] || [];
-    
-    // Ensure existingData is an array
-    if (!Array.isArray(existingData)) {
-      existingData = existingData ? [existingData] : [];
-    }
-    
-    // Add new data to existing array
-    const updatedData = [...existingData, data];
+    await chrome.storage.local.set({ [key]: data });
+    console.log(`Saved to local storage: ${key}`);
     
-    await chrome.storage.local.set({ [key]: updatedData });
-    console.log(`Saved to local storage: ${key}`, updatedData.length, 'items');
-    
-    return { success: true, data: updatedData };
+    return { success: true, data };
   } catch (error) {
     console.error('Error saving to storage:', error);
     return { success: false, error: error.message };
@@ -68,15 +59,10 @@ const getFromLocalStorage = async (key) => {
 };
 
 // Local bookmark management functions
-const checkIfBookmarkExists = async (url) => {
+const checkIfBookmarkExists = async (url, canonicalUrl = null) => {
   try {
-    const result = await getFromLocalStorage('bookmarks');
-    if (result.success && result.data) {
-      const bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-      const exists = bookmarks.some(bookmark => bookmark.url === url);
-      return { success: true, exists, title: exists ? bookmarks.find(b => b.url === url)?.title : null };
-    }
-    return { success: true, exists: false };
+    const bookmark = await BookmarkStore.findBookmarkByUrl(url, canonicalUrl);
+    return { success: true, exists: Boolean(bookmark), title: bookmark?.title || null };
   } catch (error) {
     console.error('Error checking bookmark existence:', error);
     return { success: false, error: error.message, exists: false };
@@ -191,7 +177,7 @@ const updateIconForTab = async (tabId, url) => {
 const saveBookmarkLocally = async (bookmarkData) => {
   try {
     // Check if bookmark already exists
-    const existsResult = await checkIfBookmarkExists(bookmarkData.url);
+    const existsResult = await checkIfBookmarkExists(bookmarkData.url, bookmarkData.canonicalUrl);
     if (existsResult.exists) {
       console.log('Bookmark already exists, skipping save:', bookmarkData.url);
       return { 
@@ -209,98 +195,777 @@ const saveBookmarkLocally = async (bookmarkData) => {
       ?.trim() || 'Untitled';
     
     // Create clean bookmark data
+    const now = new Date().toISOString();
     const cleanBookmarkData = {
       ...bookmarkData,
+      id: bookmarkData.id || generateId(),
+      profileId: bookmarkData.profileId || (await getActiveProfile()).id,
       title: cleanTitle,
-      timestamp: new Date().toISOString(),
+      timestamp: now,
+      updatedAt: now,
       syncStatus: bookmarkData.syncStatus || 'pending'
     };
     
-    // Save to main bookmarks storage
-    const result = await saveToLocalStorage('bookmarks', cleanBookmarkData);
-    console.log('Bookmark saved locally successfully:', result);
+    // Save to the bookmark store
+    const savedBookmark = await BookmarkStore.putBookmark(cleanBookmarkData);
+    console.log('Bookmark saved locally successfully:', savedBookmark.id);
     
     // Update icon for all tabs with this URL immediately
-    if (result.success) {
-      console.log('Updating icons for all tabs after bookmark save');
-      try {
-        const tabs = await chrome.tabs.query({});
-        for (const tab of tabs) {
-          if (tab.url === bookmarkData.url) {
-            console.log('Found matching tab, updating icon:', tab.id);
-            await updateIconForTab(tab.id, tab.url);
-          }
+    console.log('Updating icons for all tabs after bookmark save');
+    try {
+      const tabs = await chrome.tabs.query({});
+      for (const tab of tabs) {
+        if (tab.url === bookmarkData.url) {
+          console.log('Found matching tab, updating icon:', tab.id);
+          await updateIconForTab(tab.id, tab.url);
         }
-      } catch (error) {
-        console.error('Error updating icons after save:', error);
       }
+      
+      // Capturing can take a while, so the save does not wait; sync uploads the snapshot
+      queueSnapshot(savedBookmark, tabs.find(tab => tab.url === bookmarkData.url))
+        .then(queued => queued && syncWithServer());
+    } catch (error) {
+      console.error('Error updating icons after save:', error);
     }
-    return { success: true, data: result.data };
+    return { success: true, data: savedBookmark };
   } catch (error) {
     console.error('Error saving bookmark locally:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Sync function to sync local bookmarks with webapp when available
-const syncPendingBookmarks = async () => {
+// Bookmark file import
+// Items come from NetscapeBookmarks.parseNetscapeBookmarks in the manager page. Folder
+// names become tags and ADD_DATE becomes the saved time; imported bookmarks sync like
+// any other local save.
+const importBookmarks = async (items) => {
   try {
-    // Check if webapp is available
-    const response = await fetch('http://localhost:3000/api/bookmarks/recent?limit=1');
-    if (!response.ok) {
-      return { success: false, error: 'Webapp not available' };
+    const profile = await getActiveProfile();
+    const summary = { total: items.length, imported: 0, skipped: 0, failed: 0 };
+    const seenUrls = new Set();
+    const bookmarks = [];
+
+    for (const item of items) {
+      let protocol = null;
+      try {
+        protocol = new URL(item.url).protocol;
+      } catch (error) {
+        // Counted as failed below
+      }
+
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        summary.failed += 1;
+        continue;
+      }
+
+      const key = UrlNormalizer.normalizeUrl(item.url);
+      if (seenUrls.has(key) || await BookmarkStore.findBookmarkByUrl(item.url)) {
+        summary.skipped += 1;
+        continue;
+      }
+      seenUrls.add(key);
+
+      const now = new Date().toISOString();
+      bookmarks.push({
+        id: generateId(),
+        profileId: profile.id,
+        title: item.title || item.url,
+        url: item.url,
+        description: item.description || '',
+        tags: [...new Set([...(item.tags || []), ...(item.folders || [])])],
+        timestamp: item.addDate || now,
+        updatedAt: now,
+        captureReason: 'import',
+        syncStatus: 'pending'
+      });
     }
-    
-    // Get local bookmarks that need syncing
-    const result = await getFromLocalStorage('bookmarks');
-    if (!result.success || !result.data) {
-      return { success: true, syncedCount: 0 };
+
+    await BookmarkStore.putBookmarks(bookmarks);
+    summary.imported = bookmarks.length;
+
+    if (bookmarks.length > 0) {
+      syncWithServer();
+    }
+    return { success: true, data: summary };
+  } catch (error) {
+    console.error('Error importing bookmarks:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Server profiles
+// Each profile is a webapp instance with its own base URL and auth token. Bookmarks
+// record the profile they were saved to; ones saved before profiles existed belong
+// to the first profile.
+const DEFAULT_SERVER_PROFILE = {
+  id: 'default',
+  name: 'Local server',
+  baseUrl: 'http://localhost:3000',
+  token: ''
+};
+
+const normalizeBaseUrl = (baseUrl) => baseUrl.trim().replace(/\/+$/, '');
+
+const getServerProfiles = async () => {
+  const result = await chrome.storage.local.get(['serverProfiles']);
+  const stored = result.serverProfiles;
+  
+  if (!stored?.profiles?.length) {
+    return { profiles: [DEFAULT_SERVER_PROFILE], activeProfileId: DEFAULT_SERVER_PROFILE.id };
+  }
+  return stored;
+};
+
+const getActiveProfile = async () => {
+  const { profiles, activeProfileId } = await getServerProfiles();
+  return profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+};
+
+const saveServerProfiles = async ({ profiles, activeProfileId }) => {
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    return { success: false, error: 'At least one server profile is required' };
+  }
+  
+  const cleaned = [];
+  for (const profile of profiles) {
+    try {
+      const baseUrl = normalizeBaseUrl(profile.baseUrl || '');
+      if (!['http:', 'https:'].includes(new URL(baseUrl).protocol)) {
+        throw new Error('unsupported protocol');
+      }
+      cleaned.push({
+        id: profile.id || generateId(),
+        name: profile.name?.trim() || new URL(baseUrl).host,
+        baseUrl,
+        token: profile.token?.trim() || ''
+      });
+    } catch (error) {
+      return { success: false, error: `Invalid server URL for "${profile.name || 'profile'}"` };
     }
+  }
+  
+  const serverProfiles = {
+    profiles: cleaned,
+    activeProfileId: cleaned.some(profile => profile.id === activeProfileId) ? activeProfileId : cleaned[0].id
+  };
+  await chrome.storage.local.set({ serverProfiles });
+  
+  return { success: true, data: serverProfiles };
+};
+
+// Optional host permissions are granted per origin from the options page or popup
+const getOriginPattern = (profile) => `${new URL(profile.baseUrl).origin}/*`;
+
+const hasHostPermission = async (profile) => {
+  try {
+    return await chrome.permissions.contains({ origins: [getOriginPattern(profile)] });
+  } catch (error) {
+    return false;
+  }
+};
+
+const serverFetch = (profile, endpoint, options = {}) => fetch(formatApiEndpoint(profile.baseUrl, endpoint), {
+  ...options,
+  headers: {
+    ...options.headers,
+    ...(profile.token ? { Authorization: `Bearer ${profile.token}` } : {})
+  }
+});
+
+const readServerResponse = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new Error(body.message || `Server responded with ${response.status}`);
+  }
+  return body;
+};
+
+// Duplicate finder: the server groups the active profile's library, so sync first
+// to include local saves and afterwards to pull merged bookmarks and archived copies
+const findDuplicates = async () => {
+  try {
+    const profile = await getActiveProfile();
+    await syncWithServer();
     
-    const bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-    const pendingBookmarks = bookmarks.filter(b => b.syncStatus === 'pending');
+    const body = await readServerResponse(await serverFetch(profile, '/api/bookmarks/duplicates'));
+    return { success: true, data: body.data };
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Export: the server streams the active profile's library; sync first so local saves
+// are included. The manager page turns the text into a download.
+const exportBookmarks = async (format = 'json') => {
+  try {
+    const profile = await getActiveProfile();
+    await syncWithServer();
     
-    if (pendingBookmarks.length === 0) {
-      return { success: true, syncedCount: 0 };
+    const response = await serverFetch(profile, `/api/export?format=${encodeURIComponent(format)}`);
+    if (!response.ok) {
+      await readServerResponse(response);
     }
     
-    let syncedCount = 0;
-    const updatedBookmarks = [...bookmarks];
+    return {
+      success: true,
+      data: {
+        content: await response.text(),
+        contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+        filename: response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `bookmarks.${format}`
+      }
+    };
+  } catch (error) {
+    console.error('Error exporting bookmarks:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const mergeDuplicates = async (bookmarkIds) => {
+  try {
+    const profile = await getActiveProfile();
+    const body = await readServerResponse(await serverFetch(profile, '/api/bookmarks/merge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bookmarkIds })
+    }));
     
-    // Sync each pending bookmark
-    for (const bookmark of pendingBookmarks) {
-      try {
-        const syncResponse = await fetch('http://localhost:3000/api/bookmarks', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(bookmark)
+    await syncWithServer();
+    return { success: true, message: body.message, data: body.data };
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tag management
+// Renames, merges and deletes rewrite the tag lists of local bookmarks, so they work
+// without a server. When the active server applies the same change, synced bookmarks
+// stay synced and the server's updated copies arrive with the next pull; otherwise the
+// rewritten bookmarks are pushed like any other edit. Colors live in tagColors.
+// Tags are paths ("dev/frontend/react"), and each change applies to the whole subtree
+const moveTagPath = (tag, fromPath, toPath) => (
+  tag === fromPath || tag.startsWith(fromPath + '/') ? toPath + tag.slice(fromPath.length) : null
+);
+
+const rewriteTags = (tags, change) => {
+  const renamed = (tags || []).flatMap(tag => {
+    if (change.operation === 'delete') {
+      return moveTagPath(tag, change.name, '') === null ? [tag] : [];
+    }
+    if (change.operation === 'rename') {
+      return [moveTagPath(tag, change.name, change.newName) ?? tag];
+    }
+    const source = change.sourceNames.find(name => moveTagPath(tag, name, '') !== null);
+    return [source ? moveTagPath(tag, source, change.targetName) : tag];
+  });
+  return [...new Set(renamed)];
+};
+
+const getTagColors = async () => (await chrome.storage.local.get(['tagColors'])).tagColors || {};
+
+const applyTagChangeOnServer = async (profile, change) => {
+  const { data: serverTags } = await readServerResponse(await serverFetch(profile, '/api/bookmarks/tags?flat=true'));
+  const tagIds = new Map(serverTags.map(tag => [tag.name, tag.id]));
+  const sendJson = async (endpoint, method, body) => readServerResponse(await serverFetch(profile, endpoint, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  }));
+  const mergeOnServer = (sourceNames, targetName) => {
+    const sourceTagIds = sourceNames.map(name => tagIds.get(name)).filter(Boolean);
+    return sourceTagIds.length > 0
+      ? sendJson('/api/bookmarks/tags/merge', 'POST', { sourceTagIds, targetTagId: tagIds.get(targetName) })
+      : null;
+  };
+
+  const tagId = tagIds.get(change.name);
+  if (change.operation === 'color') {
+    return tagId ? sendJson(`/api/bookmarks/tags/${tagId}`, 'PATCH', { color: change.color }) : null;
+  }
+  if (change.operation === 'delete') {
+    return tagId ? sendJson(`/api/bookmarks/tags/${tagId}`, 'DELETE') : null;
+  }
+  // A rename onto a name the server already has is a merge there
+  if (change.operation === 'rename') {
+    if (!tagId) {
+      return null;
+    }
+    return tagIds.has(change.newName)
+      ? mergeOnServer([change.name], change.newName)
+      : sendJson(`/api/bookmarks/tags/${tagId}`, 'PATCH', { name: change.newName });
+  }
+  return tagIds.has(change.targetName) ? mergeOnServer(change.sourceNames, change.targetName) : null;
+};
+
+const manageTag = async (change) => {
+  try {
+    const profile = await getActiveProfile();
+    const appliedOnServer = await applyTagChangeOnServer(profile, change)
+      .then(() => true)
+      .catch((error) => {
+        console.warn('Tag change not applied on server:', error.message);
+        return false;
+      });
+
+    const tagColors = await getTagColors();
+    if (change.operation === 'color') {
+      await chrome.storage.local.set({ tagColors: { ...tagColors, [change.name]: change.color } });
+      return { success: true, data: { updated: 0 } };
+    }
+
+    const now = new Date().toISOString();
+    const bookmarks = await BookmarkStore.getAllBookmarks();
+    const changed = bookmarks
+      .map(bookmark => ({ bookmark, tags: rewriteTags(bookmark.tags, change) }))
+      .filter(({ bookmark, tags }) => tags.join('\n') !== (bookmark.tags || []).join('\n'))
+      .map(({ bookmark, tags }) => ({
+        ...bookmark,
+        tags,
+        updatedAt: now,
+        syncStatus: appliedOnServer && bookmark.syncStatus === 'synced' ? 'synced' : 'pending'
+      }));
+    await BookmarkStore.putBookmarks(changed);
+
+    // Removed names lose their color; renamed tags keep their own unless the new name has one
+    const remainingColors = Object.fromEntries(
+      Object.entries(tagColors).filter(([name]) => rewriteTags([name], change)[0] === name)
+    );
+    if (change.operation === 'rename') {
+      Object.entries(tagColors)
+        .filter(([name]) => !(name in remainingColors))
+        .forEach(([name, color]) => {
+          const [newName] = rewriteTags([name], change);
+          remainingColors[newName] = remainingColors[newName] || color;
         });
-        
-        if (syncResponse.ok) {
-          // Mark as synced
-          const bookmarkIndex = updatedBookmarks.findIndex(b => b.id === bookmark.id);
-          if (bookmarkIndex >= 0) {
-            updatedBookmarks[bookmarkIndex].syncStatus = 'synced';
-            syncedCount++;
-          }
-        }
-      } catch (error) {
-        console.error('Error syncing bookmark:', bookmark.url, error);
-      }
+    }
+    await chrome.storage.local.set({ tagColors: remainingColors });
+
+    syncWithServer();
+    return { success: true, data: { updated: changed.length } };
+  } catch (error) {
+    console.error('Error managing tag:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const testServerConnection = async (profile) => {
+  try {
+    const health = await serverFetch(profile, '/api/health');
+    if (!health.ok) {
+      return { success: false, error: `Server responded with ${health.status}` };
     }
     
-    // Update local storage with sync status
-    if (syncedCount > 0) {
-      await chrome.storage.local.set({ bookmarks: updatedBookmarks });
+    // The health check is public; the sync feed tells us whether the token is accepted
+    const feed = await serverFetch(profile, '/api/sync/changes?limit=1');
+    if (feed.status === 401) {
+      return { success: false, error: 'Server reachable, but the auth token was rejected' };
+    }
+    if (!feed.ok) {
+      return { success: false, error: `Sync endpoint responded with ${feed.status}` };
     }
     
-    return { success: true, syncedCount };
+    const info = await health.json();
+    return { success: true, version: info.version, environment: info.environment };
   } catch (error) {
-    console.error('Error syncing bookmarks:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: `Could not reach ${profile.baseUrl}: ${error.message}` };
+  }
+};
+
+// Sync protocol with the webapp
+// Local bookmarks keep their own `id`; `serverId` maps them to the server row.
+// Local deletes are queued as tombstones until the server has applied them.
+const SYNC_PUSH_BATCH_SIZE = 100;
+
+// Server timestamps are UTC in SQLite's 'YYYY-MM-DD HH:MM:SS' format
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const date = new Date(normalized);
+  
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toServerBookmark = (bookmark) => ({
+  title: bookmark.title || 'Untitled',
+  url: bookmark.url,
+  canonicalUrl: bookmark.canonicalUrl || null,
+  description: bookmark.description || null,
+  favicon: bookmark.favicon || null,
+  note: bookmark.note || null,
+  textContent: bookmark.textContent || null,
+  articleBody: bookmark.articleBody || null,
+  wordCount: Number.isInteger(bookmark.wordCount) ? bookmark.wordCount : null,
+  readingTime: Number.isInteger(bookmark.readingTime) ? bookmark.readingTime : null,
+  primaryImage: bookmark.primaryImage || null,
+  keywords: Array.isArray(bookmark.keywords) ? bookmark.keywords : null,
+  siteMetadata: bookmark.siteMetadata || null,
+  author: bookmark.author || null,
+  publishedDate: bookmark.publishedDate || null,
+  siteName: bookmark.siteName || null,
+  domain: bookmark.domain || null,
+  captureReason: bookmark.captureReason || null,
+  tags: (bookmark.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name))
+});
+
+const toTagNames = (tags) => (tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name));
+
+// Last server version the local copy agreed with; the base for three-way merges
+const createSyncBase = (serverBookmark) => ({
+  title: serverBookmark.title || '',
+  description: serverBookmark.description || '',
+  note: serverBookmark.note || '',
+  tags: toTagNames(serverBookmark.tags)
+});
+
+const fromServerBookmark = (serverBookmark, localBookmark = null) => ({
+  ...localBookmark,
+  id: localBookmark?.id || serverBookmark.clientId || generateId(),
+  serverId: serverBookmark.id,
+  title: serverBookmark.title,
+  url: serverBookmark.url,
+  canonicalUrl: serverBookmark.canonicalUrl || null,
+  description: serverBookmark.description || '',
+  favicon: serverBookmark.favicon || localBookmark?.favicon || null,
+  note: serverBookmark.note || '',
+  textContent: serverBookmark.textContent || '',
+  articleBody: serverBookmark.articleBody || '',
+  wordCount: serverBookmark.wordCount ?? null,
+  readingTime: serverBookmark.readingTime ?? null,
+  primaryImage: serverBookmark.primaryImage || null,
+  keywords: serverBookmark.keywords || [],
+  siteMetadata: serverBookmark.siteMetadata || null,
+  author: serverBookmark.author || null,
+  publishedDate: serverBookmark.publishedDate || null,
+  siteName: serverBookmark.siteName || null,
+  domain: serverBookmark.domain || null,
+  captureReason: serverBookmark.captureReason || null,
+  tags: toTagNames(serverBookmark.tags),
+  // Visits from every device add up on the server; visits made here reach it directly
+  visitCount: Math.max(localBookmark?.visitCount || 0, serverBookmark.visitCount || 0),
+  lastVisited: [localBookmark?.lastVisited, toIsoTimestamp(serverBookmark.lastVisited)]
+    .filter(Boolean)
+    .sort()
+    .pop() || null,
+  timestamp: localBookmark?.timestamp || toIsoTimestamp(serverBookmark.createdAt) || new Date().toISOString(),
+  updatedAt: toIsoTimestamp(serverBookmark.updatedAt),
+  revision: serverBookmark.revision || null,
+  syncBase: createSyncBase(serverBookmark),
+  syncStatus: 'synced',
+  syncError: null,
+  conflict: null
+});
+
+// Conflict resolution
+// Hand-edited fields are merged against syncBase; tags always merge, and a field
+// changed differently on both sides is left for the user to choose
+const MERGEABLE_FIELDS = ['title', 'description', 'note'];
+
+const mergeTags = (baseTags, localTags, serverTags) => {
+  const removed = new Set(baseTags.filter(tag => !localTags.includes(tag) || !serverTags.includes(tag)));
+  return [...new Set([...localTags, ...serverTags])].filter(tag => !removed.has(tag));
+};
+
+const mergeField = (field, base, local, server) => {
+  if (local === server || local === base) return { value: server };
+  if (server === base) return { value: local };
+  
+  // Notes are often appended to; keep the longer one when it contains the other
+  if (field === 'note' && (local.includes(server) || server.includes(local))) {
+    return { value: local.length >= server.length ? local : server };
+  }
+  
+  return { conflict: true };
+};
+
+const mergeConflict = (localBookmark, serverBookmark) => {
+  const base = localBookmark.syncBase || { tags: [] };
+  const remote = fromServerBookmark(serverBookmark, localBookmark);
+  const merged = {
+    ...remote,
+    tags: mergeTags(base.tags, toTagNames(localBookmark.tags), remote.tags)
+  };
+  
+  const conflictFields = [];
+  for (const field of MERGEABLE_FIELDS) {
+    const result = mergeField(field, base[field] || '', localBookmark[field] || '', remote[field] || '');
+    if (result.conflict) {
+      conflictFields.push(field);
+      merged[field] = localBookmark[field];
+    } else {
+      merged[field] = result.value;
+    }
+  }
+  
+  // The merge is a new local edit on top of the server revision
+  const now = new Date().toISOString();
+  if (conflictFields.length === 0) {
+    return { ...merged, syncStatus: 'pending', updatedAt: now };
+  }
+  
+  return {
+    ...merged,
+    syncStatus: 'conflict',
+    updatedAt: now,
+    conflict: {
+      fields: conflictFields,
+      server: Object.fromEntries(conflictFields.map(field => [field, remote[field]]))
+    }
+  };
+};
+
+// choice is 'local' to keep this device's values or 'server' to take the server's
+const resolveSyncConflict = async (bookmarkId, choice) => {
+  const bookmark = await BookmarkStore.getBookmark(bookmarkId);
+  
+  if (!bookmark?.conflict) {
+    return { success: false, error: 'No conflict to resolve' };
+  }
+  
+  const resolved = await BookmarkStore.putBookmark({
+    ...bookmark,
+    ...(choice === 'server' ? bookmark.conflict.server : {}),
+    conflict: null,
+    syncStatus: 'pending',
+    updatedAt: new Date().toISOString()
+  });
+  
+  syncWithServer();
+  
+  return { success: true, bookmark: resolved };
+};
+
+const createTombstones = (bookmarks) => bookmarks.map(bookmark => ({
+  profileId: bookmark.profileId || null,
+  clientId: bookmark.id,
+  serverId: bookmark.serverId || null,
+  deletedAt: new Date().toISOString()
+}));
+
+const queueTombstones = async (bookmarks) => {
+  if (bookmarks.length === 0) return;
+  
+  const result = await chrome.storage.local.get(['syncTombstones']);
+  const tombstones = result.syncTombstones || [];
+  await chrome.storage.local.set({ syncTombstones: [...tombstones, ...createTombstones(bookmarks)] });
+};
+
+const createPushChanges = (bookmarks, tombstones) => [
+  ...bookmarks
+    .filter(bookmark => bookmark.syncStatus === 'pending')
+    .map(bookmark => ({
+      op: 'upsert',
+      id: bookmark.serverId || null,
+      clientId: bookmark.id,
+      revision: bookmark.revision || null,
+      updatedAt: bookmark.updatedAt || bookmark.timestamp || null,
+      bookmark: toServerBookmark(bookmark)
+    })),
+  ...tombstones.map(tombstone => ({
+    op: 'delete',
+    id: tombstone.serverId,
+    clientId: tombstone.clientId
+  }))
+];
+
+const pushLocalChanges = async (profile, changes) => {
+  const results = [];
+  
+  for (let i = 0; i < changes.length; i += SYNC_PUSH_BATCH_SIZE) {
+    const response = await serverFetch(profile, '/api/sync/push', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ changes: changes.slice(i, i + SYNC_PUSH_BATCH_SIZE) })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Sync push failed: ${response.status}`);
+    }
+    
+    const body = await response.json();
+    results.push(...body.data.results);
+  }
+  
+  return results;
+};
+
+const pullServerChanges = async (profile, cursor) => {
+  const changes = [];
+  let nextCursor = cursor;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const response = await serverFetch(profile, `/api/sync/changes?since=${encodeURIComponent(nextCursor)}`);
+    if (!response.ok) {
+      throw new Error(`Sync pull failed: ${response.status}`);
+    }
+    
+    const body = await response.json();
+    changes.push(...body.data.changes);
+    nextCursor = body.data.cursor;
+    hasMore = body.data.hasMore;
+  }
+  
+  return { changes, cursor: nextCursor };
+};
+
+// Merge push results and pulled changes into the current local array.
+// `pushedVersions` holds the updatedAt each upsert was pushed with, so edits made
+// while the sync was running stay pending instead of being overwritten.
+const applySyncResults = (bookmarks, profile, belongsToProfile, { pushResults, pulledChanges, pushedVersions }) => {
+  let merged = [...bookmarks];
+  
+  // Server ids are only unique per server, so matches are limited to this profile
+  const findIndex = (serverId, clientId) => merged.findIndex(bookmark => belongsToProfile(bookmark) && (
+    (serverId && bookmark.serverId === serverId) || (clientId && bookmark.id === clientId)
+  ));
+  
+  for (const result of pushResults.filter(r => r.op === 'upsert')) {
+    const index = findIndex(null, result.clientId);
+    if (index === -1) continue;
+    
+    const local = merged[index];
+    if (result.status === 'deleted') {
+      merged.splice(index, 1);
+    } else if (result.status === 'error') {
+      merged[index] = { ...local, syncError: result.error };
+    } else if (result.status === 'conflict') {
+      merged[index] = mergeConflict(local, result.bookmark);
+    } else if (local.updatedAt === pushedVersions.get(local.id) || result.status === 'stale') {
+      merged[index] = fromServerBookmark(result.bookmark, local);
+    } else {
+      merged[index] = { ...local, serverId: result.id };
+    }
+  }
+  
+  for (const change of pulledChanges) {
+    const index = findIndex(change.id, change.clientId);
+    
+    if (change.type === 'delete') {
+      if (index !== -1) merged.splice(index, 1);
+      continue;
+    }
+    
+    if (index === -1) {
+      merged = [{ ...fromServerBookmark(change.bookmark), profileId: profile.id }, ...merged];
+    } else if (!['pending', 'conflict'].includes(merged[index].syncStatus)) {
+      // Local edits are pushed next time; a newer server revision comes back as a conflict to merge
+      merged[index] = fromServerBookmark(change.bookmark, merged[index]);
+    }
+  }
+  
+  return merged;
+};
+
+// Local records a sync round may touch: pushed items and matches for pulled changes
+const loadSyncCandidates = async (pushResults, pulledChanges) => {
+  const clientIds = [...pushResults, ...pulledChanges].map(item => item.clientId).filter(Boolean);
+  const byClientId = await BookmarkStore.getBookmarks([...new Set(clientIds)]);
+  const byServerId = await Promise.all(
+    pulledChanges.map(change => BookmarkStore.getBookmarksByIndex('serverId', change.id))
+  );
+  
+  const candidates = new Map();
+  [...byClientId, ...byServerId.flat()].forEach(bookmark => candidates.set(bookmark.id, bookmark));
+  return [...candidates.values()];
+};
+
+const syncProfile = async (profile, belongsToProfile) => {
+  const stored = await chrome.storage.local.get(['syncTombstones', 'syncState']);
+  const bookmarks = (await BookmarkStore.getBookmarksByIndex('syncStatus', 'pending')).filter(belongsToProfile);
+  const tombstones = (stored.syncTombstones || []).filter(belongsToProfile);
+  
+  const changes = createPushChanges(bookmarks, tombstones);
+  const pushedVersions = new Map(
+    changes.filter(change => change.op === 'upsert').map(change => [change.clientId, change.updatedAt])
+  );
+  
+  const pushResults = await pushLocalChanges(profile, changes);
+  const pulled = await pullServerChanges(profile, stored.syncState?.[profile.id]?.cursor || '0');
+  
+  // Read after the requests: bookmarks may have been edited while they were in flight
+  const candidates = await loadSyncCandidates(pushResults, pulled.changes);
+  const merged = applySyncResults(candidates, profile, belongsToProfile, {
+    pushResults,
+    pulledChanges: pulled.changes,
+    pushedVersions
+  });
+  
+  const mergedIds = new Set(merged.map(bookmark => bookmark.id));
+  await BookmarkStore.deleteBookmarks(candidates.map(bookmark => bookmark.id).filter(id => !mergedIds.has(id)));
+  await BookmarkStore.putBookmarks(merged);
+  await uploadSnapshots(profile, belongsToProfile);
+  
+  const latest = await chrome.storage.local.get(['syncTombstones', 'syncState']);
+  
+  const appliedDeletes = new Set(
+    pushResults.filter(r => r.op === 'delete' && r.status === 'deleted').map(r => r.clientId)
+  );
+  const remainingTombstones = (latest.syncTombstones || [])
+    .filter(tombstone => !belongsToProfile(tombstone) || !appliedDeletes.has(tombstone.clientId));
+  
+  await chrome.storage.local.set({
+    syncTombstones: remainingTombstones,
+    syncState: {
+      ...latest.syncState,
+      [profile.id]: { cursor: pulled.cursor, lastSyncedAt: new Date().toISOString() }
+    }
+  });
+  
+  return {
+    syncedCount: pushResults.filter(r => r.status !== 'error' && r.status !== 'conflict').length,
+    pulledCount: pulled.changes.length,
+    conflictCount: (await BookmarkStore.getBookmarksByIndex('syncStatus', 'conflict')).filter(belongsToProfile).length
+  };
+};
+
+const runSync = async () => {
+  const { profiles } = await getServerProfiles();
+  const totals = { syncedCount: 0, pulledCount: 0, conflictCount: 0 };
+  const errors = [];
+  
+  for (const profile of profiles) {
+    const belongsToProfile = (item) => (item.profileId || profiles[0].id) === profile.id;
+    
+    // Without the host permission the request would fail anyway; ask in the options page
+    if (!(await hasHostPermission(profile))) {
+      errors.push(`${profile.name}: no permission to access ${new URL(profile.baseUrl).origin}`);
+      continue;
+    }
+    
+    try {
+      const result = await syncProfile(profile, belongsToProfile);
+      totals.syncedCount += result.syncedCount;
+      totals.pulledCount += result.pulledCount;
+      totals.conflictCount += result.conflictCount;
+    } catch (error) {
+      errors.push(`${profile.name}: ${error.message}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    console.warn('Sync with webapp failed:', errors.join('; '));
+    return { success: false, error: errors.join('; '), ...totals };
+  }
+  
+  return { success: true, ...totals };
+};
+
+// Only one sync runs at a time; callers share the in-flight run
+let activeSync = null;
+
+const syncWithServer = () => {
+  if (!activeSync) {
+    activeSync = runSync().finally(() => {
+      activeSync = null;
+    });
   }
+  return activeSync;
 };
 
 // Function to inject into page for note input (existing bookmarks)
@@ -466,27 +1131,24 @@ function showNoteInputForExistingBookmark(bookmarkTitle) {
 // Function to add note to existing bookmark
 const addNoteToExistingBookmark = async (url, note) => {
   try {
-    const result = await getFromLocalStorage('bookmarks');
-    if (!result.success || !result.data) {
-      return { success: false, error: 'No bookmarks found' };
-    }
+    const existing = await BookmarkStore.findBookmarkByUrl(url);
     
-    let bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-    const bookmarkIndex = bookmarks.findIndex(bookmark => bookmark.url === url);
-    
-    if (bookmarkIndex === -1) {
+    if (!existing) {
       return { success: false, error: 'Bookmark not found' };
     }
     
     // Add or update the note
-    bookmarks[bookmarkIndex] = {
-      ...bookmarks[bookmarkIndex],
+    const bookmark = await BookmarkStore.putBookmark({
+      ...existing,
       note: note,
-      noteTimestamp: new Date().toISOString()
-    };
+      noteTimestamp: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      // An unresolved conflict stays until the user picks a side
+      syncStatus: existing.syncStatus === 'conflict' ? 'conflict' : 'pending'
+    });
     
-    // Save updated bookmarks
-    await chrome.storage.local.set({ bookmarks });
+    // Push the edit without making the caller wait for the server
+    syncWithServer();
     
     // Update icon for all tabs with this URL immediately
     console.log('Note added, updating icons for all tabs with URL:', url);
@@ -504,7 +1166,7 @@ const addNoteToExistingBookmark = async (url, note) => {
     
     return { 
       success: true, 
-      bookmark: bookmarks[bookmarkIndex],
+      bookmark,
       message: note ? 'Note added successfully' : 'Note removed successfully'
     };
   } catch (error) {
@@ -532,57 +1194,24 @@ const forceRefreshActiveTabIcon = async () => {
   }
 };
 
-// Enhanced save function with webapp sync attempt
+// Save locally first, then let the sync protocol push it to the webapp
 const saveBookmarkWithFallback = async (bookmarkData) => {
-  try {
-    // Try server first
-    const response = await fetch('http://localhost:3000/api/bookmarks', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(bookmarkData)
-    });
-    
-    if (response.ok) {
-      const serverResult = await response.json();
-      
-      // Also save locally with synced status
-      const localBookmark = {
-        ...bookmarkData,
-        id: serverResult.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
-        syncStatus: 'synced'
-      };
-      
-      const result = await saveBookmarkLocally(localBookmark);
-      return { success: true, source: 'server', data: serverResult };
-    }
-  } catch (error) {
-    console.warn('Server unavailable, saving locally:', error.message);
-  }
-  
-  // Fallback to local storage with pending sync status
-  const localBookmark = {
+  const result = await saveBookmarkLocally({
     ...bookmarkData,
     syncStatus: 'pending'
-  };
+  });
   
-  const result = await saveBookmarkLocally(localBookmark);
-  if (result.success) {
-    return { success: true, source: 'local', data: result.data };
-  } else {
+  if (!result.success) {
     throw new Error(result.error);
   }
+  
+  const syncResult = await syncWithServer();
+  return { success: true, source: syncResult.success ? 'server' : 'local', data: result.data };
 };
 
 const getBookmarksCount = async () => {
   try {
-    const result = await getFromLocalStorage('bookmarks');
-    if (result.success && result.data) {
-      const bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-      return { success: true, count: bookmarks.length };
-    }
-    return { success: true, count: 0 };
+    return { success: true, count: await BookmarkStore.countBookmarks() };
   } catch (error) {
     console.error('Error getting bookmarks count:', error);
     return { success: false, error: error.message, count: 0 };
@@ -591,52 +1220,38 @@ const getBookmarksCount = async () => {
 
 const clearBookmarksByTime = async (timeFilter) => {
   try {
-    const result = await getFromLocalStorage('bookmarks');
-    if (!result.success || !result.data) {
-      return { success: true, cleared: 0, remaining: 0 };
-    }
-    
-    let bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-    const originalCount = bookmarks.length;
-    
     if (timeFilter === 'all') {
-      // Clear all bookmarks
-      await chrome.storage.local.remove(['bookmarks']);
-      return { success: true, cleared: originalCount, remaining: 0 };
+      // Move every bookmark to the trash
+      const bookmarks = await BookmarkStore.getAllBookmarks();
+      await queueTombstones(bookmarks);
+      await BookmarkStore.trashBookmarks(bookmarks);
+      return { success: true, cleared: bookmarks.length, remaining: 0 };
     }
     
-    // Filter bookmarks to keep based on time
+    // Find bookmarks saved after the cutoff
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const weekAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const monthAgo = new Date(today.getTime() - (30 * 24 * 60 * 60 * 1000));
-    
-    let bookmarksToKeep = [];
+    const cutoffs = {
+      today: today,
+      week: new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000)),
+      month: new Date(today.getTime() - (30 * 24 * 60 * 60 * 1000))
+    };
     
-    switch (timeFilter) {
-      case 'today':
-        bookmarksToKeep = bookmarks.filter(b => new Date(b.timestamp) < today);
-        break;
-      case 'week':
-        bookmarksToKeep = bookmarks.filter(b => new Date(b.timestamp) < weekAgo);
-        break;
-      case 'month':
-        bookmarksToKeep = bookmarks.filter(b => new Date(b.timestamp) < monthAgo);
-        break;
-      default:
-        return { success: false, error: 'Invalid time filter', cleared: 0, remaining: originalCount };
+    if (!cutoffs[timeFilter]) {
+      return { success: false, error: 'Invalid time filter', cleared: 0, remaining: await BookmarkStore.countBookmarks() };
     }
     
-    const clearedCount = originalCount - bookmarksToKeep.length;
+    const bookmarksToClear = await BookmarkStore.getBookmarksSince(cutoffs[timeFilter].toISOString());
     
-    if (clearedCount > 0) {
-      await chrome.storage.local.set({ bookmarks: bookmarksToKeep });
+    if (bookmarksToClear.length > 0) {
+      await queueTombstones(bookmarksToClear);
+      await BookmarkStore.trashBookmarks(bookmarksToClear);
     }
     
     return { 
       success: true, 
-      cleared: clearedCount, 
-      remaining: bookmarksToKeep.length,
+      cleared: bookmarksToClear.length, 
+      remaining: await BookmarkStore.countBookmarks(),
       timeFilter 
     };
     
@@ -646,6 +1261,279 @@ const clearBookmarksByTime = async (timeFilter) => {
   }
 };
 
+// Trash
+// Cleared bookmarks stay in the local trash for settings.trashRetentionDays (30 by
+// default). They are deleted on the server right away, where they land in its trash, so
+// a restore either drops the queued delete or restores the server copy as well.
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const getTrashRetentionDays = async () => {
+  const settingsResult = await getFromLocalStorage('settings');
+  const days = Number(settingsResult.data?.trashRetentionDays);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+const getTrash = async () => {
+  try {
+    const retentionDays = await getTrashRetentionDays();
+    const bookmarks = await BookmarkStore.getTrashedBookmarks();
+    return {
+      success: true,
+      data: bookmarks.map(bookmark => ({
+        ...bookmark,
+        expiresAt: new Date(Date.parse(bookmark.trashedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      }))
+    };
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// A bookmark whose delete already reached the server is restored there too. If that
+// fails (server unreachable, bookmark purged) it comes back as a new local bookmark,
+// since the server answers pushes for the deleted copy with another delete.
+const restoreOnServer = async (bookmark, profile) => {
+  try {
+    const { data } = await readServerResponse(
+      await serverFetch(profile, `/api/bookmarks/${bookmark.serverId}/restore`, { method: 'POST' })
+    );
+    return { ...bookmark, revision: data.revision };
+  } catch (error) {
+    console.warn('Restoring a new copy instead of the server bookmark:', error.message);
+    return { ...bookmark, id: generateId(), serverId: null, revision: null, syncStatus: 'pending' };
+  }
+};
+
+const restoreTrashedBookmarks = async (ids) => {
+  try {
+    const { profiles } = await getServerProfiles();
+    const { syncTombstones = [] } = await chrome.storage.local.get(['syncTombstones']);
+    const queuedDeletes = new Set(syncTombstones.map(tombstone => tombstone.clientId));
+    const trashed = (await BookmarkStore.getTrashedBookmarks()).filter(bookmark => ids.includes(bookmark.id));
+    
+    const restored = [];
+    for (const { trashedAt: _trashedAt, ...bookmark } of trashed) {
+      const profile = profiles.find(candidate => candidate.id === (bookmark.profileId || profiles[0].id));
+      restored.push(queuedDeletes.has(bookmark.id) || !bookmark.serverId || !profile
+        ? bookmark
+        : await restoreOnServer(bookmark, profile));
+    }
+    
+    const restoredIds = new Set(trashed.map(bookmark => bookmark.id));
+    const latest = await chrome.storage.local.get(['syncTombstones']);
+    await chrome.storage.local.set({
+      syncTombstones: (latest.syncTombstones || []).filter(tombstone => !restoredIds.has(tombstone.clientId))
+    });
+    await BookmarkStore.restoreFromTrash([...restoredIds], restored);
+    
+    syncWithServer();
+    return { success: true, data: { restored: restored.length } };
+  } catch (error) {
+    console.error('Error restoring bookmarks:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const emptyTrash = async (ids = null) => {
+  try {
+    const trashIds = ids || (await BookmarkStore.getTrashedBookmarks()).map(bookmark => bookmark.id);
+    return { success: true, data: { deleted: await BookmarkStore.deleteFromTrash(trashIds) } };
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const purgeExpiredTrash = async () => {
+  const retentionDays = await getTrashRetentionDays();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  return BookmarkStore.purgeTrash(cutoff);
+};
+
+// Visits
+// Opening a bookmark card and loading a saved page in a tab both count as a visit. A card
+// click is followed by the page load it triggers, so opens of the same bookmark within
+// VISIT_DEDUP_MS count once. Visits are sent to the server as they happen and are not
+// part of the sync protocol.
+const VISIT_DEDUP_MS = 10 * 60 * 1000;
+
+const recordVisitOnServer = async (bookmark) => {
+  try {
+    const { profiles } = await getServerProfiles();
+    const profile = profiles.find(candidate => candidate.id === (bookmark.profileId || profiles[0].id));
+    if (profile) {
+      await readServerResponse(
+        await serverFetch(profile, `/api/bookmarks/${bookmark.serverId}/visit`, { method: 'POST' })
+      );
+    }
+  } catch (error) {
+    console.warn('Visit not recorded on server:', error.message);
+  }
+};
+
+const recordVisit = async (bookmark) => {
+  const now = Date.now();
+  if (bookmark.lastVisited && now - new Date(bookmark.lastVisited).getTime() < VISIT_DEDUP_MS) {
+    return { success: true, bookmark };
+  }
+  
+  const visited = {
+    ...bookmark,
+    visitCount: (bookmark.visitCount || 0) + 1,
+    lastVisited: new Date(now).toISOString()
+  };
+  await BookmarkStore.putBookmark(visited);
+  
+  if (bookmark.serverId) {
+    await recordVisitOnServer(bookmark);
+  }
+  return { success: true, bookmark: visited };
+};
+
+// A /go link for a synced bookmark that counts the visit when opened in any browser.
+// Servers with authentication on sign it for the one bookmark, for a limited time.
+const getShareLink = async (id) => {
+  try {
+    const bookmark = await BookmarkStore.getBookmark(id);
+    if (!bookmark?.serverId) {
+      return { success: false, error: 'Bookmark has not been synced yet' };
+    }
+    
+    const { profiles } = await getServerProfiles();
+    const profile = profiles.find(candidate => candidate.id === (bookmark.profileId || profiles[0].id));
+    if (!profile) {
+      return { success: false, error: 'Server profile not found' };
+    }
+    
+    const body = await readServerResponse(
+      await serverFetch(profile, `/api/bookmarks/${bookmark.serverId}/link`, { method: 'POST' })
+    );
+    return { success: true, data: { ...body.data, url: formatApiEndpoint(profile.baseUrl, body.data.url) } };
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const recordVisitById = async (id) => {
+  const bookmark = await BookmarkStore.getBookmark(id);
+  return bookmark ? recordVisit(bookmark) : { success: false, error: 'Bookmark not found' };
+};
+
+const recordVisitForUrl = async (url) => {
+  const bookmark = await BookmarkStore.findBookmarkByUrl(url);
+  return bookmark ? recordVisit(bookmark) : null;
+};
+
+// Offline snapshots
+// Saving a page on one of the domains in settings.snapshotDomains (subdomains included)
+// also captures it: as readable HTML built by the content script, or as MHTML through
+// chrome.pageCapture when settings.snapshotFormat is 'mhtml'. Snapshots wait in the
+// bookmark store until sync has given their bookmark a server id, then upload.
+const SNAPSHOT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+const isSnapshotDomain = (url, domains = []) => {
+  try {
+    const hostname = new URL(url).hostname.replace(/^www\./, '');
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Images for HTML snapshots, fetched here because host permissions are not held to the
+// page's CORS rules
+const fetchSnapshotImage = async (url) => {
+  try {
+    const response = await fetch(url, { credentials: 'omit' });
+    const blob = await response.blob();
+    if (!response.ok || !blob.type.startsWith('image/') || blob.size > SNAPSHOT_IMAGE_MAX_BYTES) {
+      return { success: false, error: 'Image not inlined' };
+    }
+    return { success: true, data: await blobToDataUrl(blob) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const captureSnapshot = async (tab, format) => {
+  if (format === 'mhtml') {
+    const mhtml = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+    return mhtml.type ? mhtml : new Blob([mhtml], { type: 'multipart/related' });
+  }
+  
+  const response = await chrome.tabs.sendMessage(tab.id, { action: 'captureSnapshot' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Page could not be captured');
+  }
+  return new Blob([response.data.html], { type: 'text/html' });
+};
+
+// Resolves to whether a snapshot was queued; a failed capture only costs the snapshot
+const queueSnapshot = async (bookmark, tab) => {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  if (!tab || !isSnapshotDomain(bookmark.url, settings?.snapshotDomains)) {
+    return false;
+  }
+  
+  try {
+    const blob = await captureSnapshot(tab, settings.snapshotFormat);
+    await BookmarkStore.putSnapshot({ bookmarkId: bookmark.id, blob, capturedAt: new Date().toISOString() });
+    return true;
+  } catch (error) {
+    console.warn('Snapshot not captured:', error.message);
+    return false;
+  }
+};
+
+// Snapshots the server refuses as too large or over quota are dropped; others are
+// retried on the next sync
+const uploadSnapshots = async (profile, belongsToProfile) => {
+  const snapshots = await BookmarkStore.getSnapshots();
+  const bookmarks = new Map(
+    (await BookmarkStore.getBookmarks(snapshots.map(snapshot => snapshot.bookmarkId)))
+      .map(bookmark => [bookmark.id, bookmark])
+  );
+  const finished = [];
+  
+  for (const snapshot of snapshots) {
+    const bookmark = bookmarks.get(snapshot.bookmarkId);
+    if (!bookmark) {
+      finished.push(snapshot.bookmarkId);
+      continue;
+    }
+    if (!belongsToProfile(bookmark) || !bookmark.serverId) {
+      continue;
+    }
+    
+    try {
+      const response = await serverFetch(profile, `/api/bookmarks/${bookmark.serverId}/snapshot`, {
+        method: 'PUT',
+        headers: { 'Content-Type': snapshot.blob.type },
+        body: snapshot.blob
+      });
+      if (response.status === 413) {
+        console.warn('Snapshot rejected by server:', (await response.json().catch(() => ({}))).message);
+      } else {
+        await readServerResponse(response);
+      }
+      finished.push(snapshot.bookmarkId);
+    } catch (error) {
+      console.warn('Snapshot upload failed:', error.message);
+    }
+  }
+  
+  await BookmarkStore.deleteSnapshots(finished);
+};
+
 const showNoteInputPopup = async (tab) => {
   try {
     // Validate tab
@@ -1178,9 +2066,10 @@ chrome.commands.onCommand.addListener(async (command) => {
       case 'open-bookmarks':
         // Try webapp first, fallback to local bookmarks manager
         try {
-          const response = await fetch('http://localhost:3000/api/bookmarks/recent?limit=1');
+          const profile = await getActiveProfile();
+          const response = await serverFetch(profile, '/api/bookmarks/recent?limit=1');
           if (response.ok) {
-            await chrome.tabs.create({ url: 'http://localhost:3000' });
+            await chrome.tabs.create({ url: profile.baseUrl });
           } else {
             await chrome.tabs.create({ url: chrome.runtime.getURL('bookmarks.html') });
           }
@@ -1245,11 +2134,15 @@ chrome.runtime.onStartup.addListener(async () => {
   // Setup periodic sync alarm
   chrome.alarms.create('syncBookmarks', { periodInMinutes: 5 });
   
+  // Trashed bookmarks expire after the retention period
+  chrome.alarms.create('purgeTrash', { periodInMinutes: 60 });
+  purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
+  
   // Try initial sync
   try {
-    const syncResult = await syncPendingBookmarks();
-    if (syncResult.success && syncResult.syncedCount > 0) {
-      console.log(`Synced ${syncResult.syncedCount} pending bookmarks on startup`);
+    const syncResult = await syncWithServer();
+    if (syncResult.success && (syncResult.syncedCount > 0 || syncResult.pulledCount > 0)) {
+      console.log(`Startup sync: pushed ${syncResult.syncedCount}, pulled ${syncResult.pulledCount} changes`);
     }
   } catch (error) {
     console.error('Error during initial sync:', error);
@@ -1270,11 +2163,22 @@ chrome.runtime.onStartup.addListener(async () => {
 
 // Handle periodic sync
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === 'purgeTrash') {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired bookmarks from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  }
+  
   if (alarm.name === 'syncBookmarks') {
     try {
-      const syncResult = await syncPendingBookmarks();
-      if (syncResult.success && syncResult.syncedCount > 0) {
-        console.log(`Background sync: synced ${syncResult.syncedCount} bookmarks`);
+      const syncResult = await syncWithServer();
+      if (syncResult.success && (syncResult.syncedCount > 0 || syncResult.pulledCount > 0)) {
+        console.log(`Background sync: pushed ${syncResult.syncedCount}, pulled ${syncResult.pulledCount} changes`);
         
         // Update icons for all tabs to reflect sync status
         const tabs = await chrome.tabs.query({});
@@ -1340,6 +2244,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       }
       
       await updateIconForTab(tabId, tab.url);
+      await recordVisitForUrl(tab.url);
     } catch (error) {
       console.error('Error handling tab update:', error);
     }
@@ -1361,16 +2266,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         
       case 'getRecentBookmarks':
         try {
-          const result = await getFromLocalStorage('bookmarks');
-          if (result.success && result.data) {
-            const bookmarks = Array.isArray(result.data) ? result.data : [result.data];
-            // Return most recent bookmarks
-            const recentBookmarks = bookmarks
-              .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-              .slice(0, 5);
-            return { success: true, data: recentBookmarks };
-          }
-          return { success: true, data: [] };
+          return { success: true, data: await BookmarkStore.getRecentBookmarks(5) };
         } catch (error) {
           return { success: false, error: error.message };
         }
@@ -1385,7 +2281,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           
           if (autoSaveEnabled) {
             // Check if page is already bookmarked
-            const existsResult = await checkIfBookmarkExists(tab.url);
+            const existsResult = await checkIfBookmarkExists(tab.url, request.data.canonicalUrl);
             
             if (!existsResult.exists) {
               // Auto-save the bookmark with enhanced metadata
@@ -1426,6 +2322,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       case 'clearBookmarks':
         return await clearBookmarksByTime(request.timeFilter);
         
+      case 'recordVisit':
+        return await recordVisitById(request.id);
+        
+      case 'getShareLink':
+        return await getShareLink(request.id);
+        
+      case 'fetchSnapshotImage':
+        return await fetchSnapshotImage(request.url);
+        
+      case 'getTrash':
+        return await getTrash();
+        
+      case 'restoreFromTrash':
+        return await restoreTrashedBookmarks(request.ids || []);
+        
+      case 'emptyTrash':
+        return await emptyTrash(request.ids || null);
+        
       case 'noteSubmitted':
         // Handle note submission from popup
         const noteTab = await chrome.tabs.get(request.tabId);
@@ -1490,6 +2404,42 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       case 'updateSettings':
         return await saveToLocalStorage('settings', request.settings);
         
+      case 'syncNow':
+        return await syncWithServer();
+        
+      case 'resolveConflict':
+        return await resolveSyncConflict(request.id, request.choice);
+        
+      case 'getServerProfiles':
+        return { success: true, data: await getServerProfiles() };
+        
+      case 'saveServerProfiles':
+        return await saveServerProfiles(request.serverProfiles);
+        
+      case 'findDuplicates':
+        return await findDuplicates();
+        
+      case 'mergeDuplicates':
+        return await mergeDuplicates(request.bookmarkIds);
+        
+      case 'importBookmarks':
+        return await importBookmarks(request.items || []);
+        
+      case 'exportBookmarks':
+        return await exportBookmarks(request.format);
+        
+      case 'getTagColors':
+        return { success: true, data: await getTagColors() };
+        
+      case 'manageTag':
+        return await manageTag(request.change);
+        
+      case 'testConnection':
+        return await testServerConnection({
+          ...request.profile,
+          baseUrl: normalizeBaseUrl(request.profile.baseUrl || '')
+        });
+        
       default:
         return { success: false, error: 'Unknown action' };
     }
@@ -1654,7 +2604,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         type: 'basic',
         iconUrl: 'icons/icon48.png',
         title: 'Bookmarks Cleared',
-        message: `Cleared ${result.cleared} bookmarks from today. ${result.remaining} bookmarks remaining.`
+        message: `Moved ${result.cleared} bookmarks from today to the trash. ${result.remaining} bookmarks remaining.`
       });
     }
   } else if (info.menuItemId === 'clearWeek') {
@@ -1671,7 +2621,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         type: 'basic',
         iconUrl: 'icons/icon48.png',
         title: 'Bookmarks Cleared',
-        message: `Cleared ${result.cleared} bookmarks from this week. ${result.remaining} bookmarks remaining.`
+        message: `Moved ${result.cleared} bookmarks from this week to the trash. ${result.remaining} bookmarks remaining.`
       });
     }
   } else if (info.menuItemId === 'clearMonth') {
@@ -1688,7 +2638,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         type: 'basic',
         iconUrl: 'icons/icon48.png',
         title: 'Bookmarks Cleared',
-        message: `Cleared ${result.cleared} bookmarks from this month. ${result.remaining} bookmarks remaining.`
+        message: `Moved ${result.cleared} bookmarks from this month to the trash. ${result.remaining} bookmarks remaining.`
       });
     }
   } else if (info.menuItemId === 'clearAll') {
@@ -1705,7 +2655,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         type: 'basic',
         iconUrl: 'icons/icon48.png',
         title: 'All Bookmarks Cleared',
-        message: `Cleared all ${result.cleared} bookmarks.`
+        message: `Moved all ${result.cleared} bookmarks to the trash.`
       });
     }
   }
@@ -1809,21 +2759,40 @@ setInterval(async () => {
   }
 }, 10000); // Refresh every 10 seconds
 
-// Listen for storage changes to update icons immediately
-chrome.storage.onChanged.addListener(async (changes, namespace) => {
-  if (namespace === 'local' && changes.bookmarks) {
-    console.log('Bookmarks storage changed, refreshing all tab icons');
-    
-    try {
-      // Update icons for all tabs
-      const tabs = await chrome.tabs.query({});
-      for (const tab of tabs) {
-        if (tab.url && !tab.url.startsWith('chrome://')) {
-          await updateIconForTab(tab.id, tab.url);
-        }
+// Listen for bookmark changes made by extension pages to update icons immediately
+BookmarkStore.onChange(async () => {
+  console.log('Bookmarks changed, refreshing all tab icons');
+  
+  try {
+    // Update icons for all tabs
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.url && !tab.url.startsWith('chrome://')) {
+        await updateIconForTab(tab.id, tab.url);
       }
-    } catch (error) {
-      console.error('Error updating icons after storage change:', error);
     }
+  } catch (error) {
+    console.error('Error updating icons after bookmark change:', error);
   }
-});
\ No newline at end of file
+});
+
+// Stored normalized URLs follow the duplicate-detection rules, so rebuild them when the
+// extra tracking parameters change
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) {
+    return;
+  }
+
+  const previous = changes.settings.oldValue?.stripParams || '';
+  const current = changes.settings.newValue?.stripParams || '';
+  if (previous === current) {
+    return;
+  }
+
+  try {
+    const count = await BookmarkStore.reindexUrls();
+    console.log('Re-normalized bookmark URLs:', count);
+  } catch (error) {
+    console.error('Error re-normalizing bookmark URLs:', error);
+  }
+});
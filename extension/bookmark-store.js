@@ -0,0 +1,407 @@
+// IndexedDB bookmark store shared by the service worker and extension pages
+// Replaces the single `bookmarks` array in chrome.storage.local, which had to be read
+// and rewritten in full for every save, lookup and icon update.
+const BookmarkStore = (() => {
+  const DB_NAME = 'bookmarkable';
+  const DB_VERSION = 4;
+  const STORE_NAME = 'bookmarks';
+  const TRASH_STORE_NAME = 'trash';
+  const SNAPSHOT_STORE_NAME = 'snapshots';
+  const LEGACY_STORAGE_KEY = 'bookmarks';
+
+  // Writes are announced so other extension contexts can refresh (icons, open pages)
+  const changeChannel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel('bookmark-store')
+    : null;
+
+  // URL normalization (url-normalizer.js, shared with the server)
+  // Extra tracking parameters come from settings.stripParams and are added to the
+  // shared defaults
+  const getStripParams = (settings) => [
+    ...UrlNormalizer.DEFAULT_STRIP_PARAMS,
+    ...UrlNormalizer.parseStripParams(settings?.stripParams)
+  ];
+
+  let stripParams = UrlNormalizer.DEFAULT_STRIP_PARAMS;
+
+  const loadStripParams = async () => {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+
+    const { settings } = await chrome.storage.local.get(['settings']);
+    stripParams = getStripParams(settings);
+  };
+
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.settings) {
+        stripParams = getStripParams(changes.settings.newValue);
+      }
+    });
+  }
+
+  const normalizeUrl = (url) => UrlNormalizer.normalizeUrl(url, { stripParams });
+
+  // Pure functions for index fields
+  // normalizedUrl and normalizedCanonicalUrl treat http/https, www., fragments,
+  // tracking parameters and trailing slashes as the same page
+
+  const getDomain = (url) => {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const withIndexFields = (bookmark) => ({
+    ...bookmark,
+    normalizedUrl: normalizeUrl(bookmark.url),
+    canonicalUrl: bookmark.canonicalUrl || null,
+    normalizedCanonicalUrl: bookmark.canonicalUrl ? normalizeUrl(bookmark.canonicalUrl) : null,
+    domain: bookmark.domain || getDomain(bookmark.url),
+    timestamp: bookmark.timestamp || new Date().toISOString(),
+    tags: Array.isArray(bookmark.tags) ? bookmark.tags : []
+  });
+
+  const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Recomputes the normalized fields, e.g. after the strip rules change
+  const renormalizeRecords = (store) => new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    let count = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(count);
+        return;
+      }
+      cursor.update(withIndexFields(cursor.value));
+      count += 1;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Database setup
+  const upgradeSchema = (db, transaction, oldVersion) => {
+    if (oldVersion < 1) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('url', 'url');
+      store.createIndex('normalizedUrl', 'normalizedUrl');
+      store.createIndex('timestamp', 'timestamp');
+      store.createIndex('tags', 'tags', { multiEntry: true });
+      store.createIndex('domain', 'domain');
+      store.createIndex('syncStatus', 'syncStatus');
+      store.createIndex('serverId', 'serverId');
+    }
+
+    if (oldVersion < 2) {
+      const store = transaction.objectStore(STORE_NAME);
+      store.createIndex('normalizedCanonicalUrl', 'normalizedCanonicalUrl');
+      renormalizeRecords(store);
+    }
+
+    // Cleared bookmarks wait here, stamped with trashedAt, until restored or expired
+    if (oldVersion < 3) {
+      const trash = db.createObjectStore(TRASH_STORE_NAME, { keyPath: 'id' });
+      trash.createIndex('trashedAt', 'trashedAt');
+    }
+
+    // Page snapshots captured on save wait here, by bookmark id, until uploaded
+    if (oldVersion < 4) {
+      db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'bookmarkId' });
+    }
+  };
+
+  // One-time move of the legacy chrome.storage array. Ids are kept, so running it
+  // from two contexts at once only writes the same records twice.
+  const migrateLegacyBookmarks = async (db) => {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+
+    const result = await chrome.storage.local.get([LEGACY_STORAGE_KEY]);
+    const legacy = result[LEGACY_STORAGE_KEY];
+    if (!legacy) {
+      return;
+    }
+
+    const bookmarks = (Array.isArray(legacy) ? legacy : [legacy])
+      .filter(bookmark => bookmark && bookmark.url)
+      .map((bookmark, index) => withIndexFields({ ...bookmark, id: bookmark.id || `legacy-${index}` }));
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      bookmarks.forEach(bookmark => store.put(bookmark));
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await chrome.storage.local.remove([LEGACY_STORAGE_KEY]);
+    console.log('Migrated bookmarks to IndexedDB:', bookmarks.length);
+  };
+
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = loadStripParams()
+        .then(() => new Promise((resolve, reject) => {
+          const request = indexedDB.open(DB_NAME, DB_VERSION);
+          request.onupgradeneeded = (event) =>
+            upgradeSchema(request.result, request.transaction, event.oldVersion);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }))
+        .then(async (db) => {
+          await migrateLegacyBookmarks(db);
+          return db;
+        })
+        .catch((error) => {
+          // Let the next call retry instead of caching the failure
+          dbPromise = null;
+          throw error;
+        });
+    }
+    return dbPromise;
+  };
+
+  // Runs `work` against the object stores and resolves once the transaction commits
+  const withStores = async (storeNames, mode, work) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      let result;
+
+      Promise.resolve(work(...storeNames.map(name => transaction.objectStore(name))))
+        .then(value => { result = value; })
+        .catch(error => {
+          transaction.abort();
+          reject(error);
+        });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  const withStore = (mode, work) => withStores([STORE_NAME], mode, work);
+
+  const announceChange = (type, ids) => {
+    if (changeChannel) {
+      changeChannel.postMessage({ type, ids });
+    }
+  };
+
+  // Reads
+  const getBookmark = (id) => withStore('readonly', store => promisifyRequest(store.get(id)));
+
+  const getBookmarks = (ids) => withStore('readonly', store =>
+    Promise.all(ids.map(id => promisifyRequest(store.get(id))))
+  ).then(bookmarks => bookmarks.filter(Boolean));
+
+  const getBookmarksByIndex = (indexName, value) => withStore('readonly', store =>
+    promisifyRequest(store.index(indexName).getAll(value))
+  );
+
+  // Exact URL first, then any saved variant of the same page: a bookmark whose URL or
+  // canonical URL normalizes to the URL or canonical URL being checked
+  const findBookmarkByUrl = async (url, canonicalUrl = null) => {
+    const [exact] = await getBookmarksByIndex('url', url);
+    if (exact) {
+      return exact;
+    }
+
+    const keys = UrlNormalizer.getMatchKeys(url, canonicalUrl, { stripParams });
+    return withStore('readonly', async store => {
+      for (const indexName of ['normalizedUrl', 'normalizedCanonicalUrl']) {
+        for (const key of keys) {
+          const match = await promisifyRequest(store.index(indexName).get(key));
+          if (match) {
+            return match;
+          }
+        }
+      }
+      return null;
+    });
+  };
+
+  // Newest first, walking the timestamp index so only `limit` records are read
+  const getRecentBookmarks = (limit = 5) => withStore('readonly', store => new Promise((resolve, reject) => {
+    const bookmarks = [];
+    const request = store.index('timestamp').openCursor(null, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || bookmarks.length >= limit) {
+        resolve(bookmarks);
+        return;
+      }
+      bookmarks.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+
+  const getAllBookmarks = () => withStore('readonly', store =>
+    promisifyRequest(store.index('timestamp').getAll())
+  ).then(bookmarks => bookmarks.reverse());
+
+  const getBookmarksSince = (isoTimestamp) => withStore('readonly', store =>
+    promisifyRequest(store.index('timestamp').getAll(IDBKeyRange.lowerBound(isoTimestamp)))
+  );
+
+  const countBookmarks = () => withStore('readonly', store => promisifyRequest(store.count()));
+
+  // Writes
+  const putBookmarks = async (bookmarks) => {
+    const records = bookmarks.map(withIndexFields);
+    await withStore('readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+
+    announceChange('put', records.map(record => record.id));
+    return records;
+  };
+
+  const putBookmark = async (bookmark) => {
+    const [record] = await putBookmarks([bookmark]);
+    return record;
+  };
+
+  const deleteBookmarks = async (ids) => {
+    await withStore('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+
+    announceChange('delete', ids);
+    return ids.length;
+  };
+
+  const reindexUrls = async () => {
+    await loadStripParams();
+    const count = await withStore('readwrite', renormalizeRecords);
+
+    announceChange('put', []);
+    return count;
+  };
+
+  const clearBookmarks = async () => {
+    await withStore('readwrite', store => {
+      store.clear();
+    });
+
+    announceChange('clear', []);
+  };
+
+  // Trash
+  // Moving in and out of the trash happens in one transaction, so a bookmark is never
+  // in both stores or in neither
+  const trashBookmarks = async (bookmarks) => {
+    const trashedAt = new Date().toISOString();
+    await withStores([STORE_NAME, TRASH_STORE_NAME], 'readwrite', (store, trash) => {
+      bookmarks.forEach(bookmark => {
+        store.delete(bookmark.id);
+        trash.put({ ...bookmark, trashedAt });
+      });
+    });
+
+    announceChange('delete', bookmarks.map(bookmark => bookmark.id));
+    return bookmarks.length;
+  };
+
+  // Newest first
+  const getTrashedBookmarks = () => withStores([TRASH_STORE_NAME], 'readonly', trash =>
+    promisifyRequest(trash.index('trashedAt').getAll())
+  ).then(bookmarks => bookmarks.reverse());
+
+  // Removes `trashIds` from the trash and saves `bookmarks`, the restored records
+  const restoreFromTrash = async (trashIds, bookmarks) => {
+    const records = bookmarks.map(withIndexFields);
+    await withStores([STORE_NAME, TRASH_STORE_NAME], 'readwrite', (store, trash) => {
+      trashIds.forEach(id => trash.delete(id));
+      records.forEach(record => store.put(record));
+    });
+
+    announceChange('put', records.map(record => record.id));
+    return records;
+  };
+
+  const deleteFromTrash = (ids) => withStores([TRASH_STORE_NAME], 'readwrite', trash => {
+    ids.forEach(id => trash.delete(id));
+    return ids.length;
+  });
+
+  // Deletes everything trashed before the cutoff; resolves to how many were deleted
+  const purgeTrash = (isoCutoff) => withStores([TRASH_STORE_NAME], 'readwrite', trash => new Promise((resolve, reject) => {
+    const request = trash.index('trashedAt').openCursor(IDBKeyRange.upperBound(isoCutoff, true));
+    let count = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(count);
+        return;
+      }
+      cursor.delete();
+      count += 1;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+
+  // Snapshots: { bookmarkId, blob, capturedAt }
+  const putSnapshot = (snapshot) => withStores([SNAPSHOT_STORE_NAME], 'readwrite', snapshots => {
+    snapshots.put(snapshot);
+    return snapshot;
+  });
+
+  const getSnapshots = () => withStores([SNAPSHOT_STORE_NAME], 'readonly', snapshots =>
+    promisifyRequest(snapshots.getAll())
+  );
+
+  const deleteSnapshots = (bookmarkIds) => withStores([SNAPSHOT_STORE_NAME], 'readwrite', snapshots => {
+    bookmarkIds.forEach(id => snapshots.delete(id));
+    return bookmarkIds.length;
+  });
+
+  const onChange = (listener) => {
+    if (changeChannel) {
+      changeChannel.addEventListener('message', event => listener(event.data));
+    }
+  };
+
+  return {
+    normalizeUrl,
+    getBookmark,
+    getBookmarks,
+    getBookmarksByIndex,
+    findBookmarkByUrl,
+    getRecentBookmarks,
+    getAllBookmarks,
+    getBookmarksSince,
+    countBookmarks,
+    putBookmark,
+    putBookmarks,
+    deleteBookmarks,
+    reindexUrls,
+    clearBookmarks,
+    trashBookmarks,
+    getTrashedBookmarks,
+    restoreFromTrash,
+    deleteFromTrash,
+    purgeTrash,
+    putSnapshot,
+    getSnapshots,
+    deleteSnapshots,
+    onChange
+  };
+})();
@@ -6,7 +6,8 @@ const BookmarksState = {
   selectedTags: [],
   currentFilter: 'all',
   currentSort: 'newest',
-  searchQuery: ''
+  searchQuery: '',
+  tagColors: {}
 };
 
 // Pure functions for data manipulation
@@ -42,11 +43,19 @@ const getFirstLetter = (text) => {
   return text ? text.charAt(0).toUpperCase() : '?';
 };
 
+// Tags are paths: "dev/frontend/react" sits under "dev" and "dev/frontend"
+const isInTagSubtree = (tag, path) => tag === path || tag.startsWith(path + '/');
+
+// Includes each tag's ancestors so whole subtrees can be selected; sorting keeps every
+// subtree right after its root
 const getAllTags = (bookmarks) => {
   const tagSet = new Set();
   bookmarks.forEach(bookmark => {
     if (bookmark.tags && Array.isArray(bookmark.tags)) {
-      bookmark.tags.forEach(tag => tagSet.add(tag));
+      bookmark.tags.forEach(tag => {
+        const segments = tag.split('/');
+        segments.forEach((segment, index) => tagSet.add(segments.slice(0, index + 1).join('/')));
+      });
     }
   });
   return Array.from(tagSet).sort();
@@ -79,6 +88,7 @@ const filterBookmarksBySearch = (bookmarks, query) => {
   return bookmarks.filter(bookmark => 
     bookmark.title.toLowerCase().includes(searchLower) ||
     bookmark.url.toLowerCase().includes(searchLower) ||
+    (bookmark.articleBody && bookmark.articleBody.toLowerCase().includes(searchLower)) ||
     (bookmark.tags && bookmark.tags.some(tag => 
       tag.toLowerCase().includes(searchLower)
     ))
@@ -89,8 +99,8 @@ const filterBookmarksByTags = (bookmarks, selectedTags) => {
   if (selectedTags.length === 0) return bookmarks;
   
   return bookmarks.filter(bookmark => 
-    selectedTags.every(tag => 
-      bookmark.tags && bookmark.tags.includes(tag)
+    selectedTags.every(selected => 
+      bookmark.tags && bookmark.tags.some(tag => isInTagSubtree(tag, selected))
     )
   );
 };
@@ -107,6 +117,12 @@ const sortBookmarks = (bookmarks, sortBy) => {
       return sorted.sort((a, b) => a.title.localeCompare(b.title));
     case 'url':
       return sorted.sort((a, b) => a.url.localeCompare(b.url));
+    case 'most-visited':
+      return sorted.sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0) ||
+        (b.lastVisited || '').localeCompare(a.lastVisited || ''));
+    case 'recently-visited':
+      // Never-visited bookmarks sort last
+      return sorted.sort((a, b) => (b.lastVisited || '').localeCompare(a.lastVisited || ''));
     default:
       return sorted;
   }
@@ -179,15 +195,9 @@ const fetchBookmarksFromStorage = async () => {
     return getDemoBookmarks();
   }
   
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['bookmarks'], (result) => {
-      console.log('Local storage result:', result);
-      const bookmarks = result.bookmarks || [];
-      const finalBookmarks = Array.isArray(bookmarks) ? bookmarks : [bookmarks];
-      console.log('Processed bookmarks from storage:', finalBookmarks);
-      resolve(finalBookmarks);
-    });
-  });
+  const bookmarks = await BookmarkStore.getAllBookmarks();
+  console.log('Processed bookmarks from storage:', bookmarks.length);
+  return bookmarks;
 };
 
 // Attempt to sync with webapp and update local data
@@ -199,44 +209,14 @@ const attemptWebappSync = async () => {
   }
   
   try {
-    const response = await fetch('http://localhost:3000/api/bookmarks/recent?limit=100');
-    if (response.ok) {
-      const serverBookmarks = await response.json();
-      
-      // Get local bookmarks
-      const result = await new Promise((resolve) => {
-        chrome.storage.local.get(['bookmarks'], resolve);
-      });
-      
-      let localBookmarks = result.bookmarks || [];
-      let hasChanges = false;
-      
-      // Merge server bookmarks with local ones
-      serverBookmarks.forEach(serverBookmark => {
-        const existingIndex = localBookmarks.findIndex(b => b.url === serverBookmark.url);
-        if (existingIndex >= 0) {
-          // Update existing bookmark if it's different
-          if (localBookmarks[existingIndex].syncStatus !== 'synced') {
-            localBookmarks[existingIndex] = { ...serverBookmark, syncStatus: 'synced' };
-            hasChanges = true;
-          }
-        } else {
-          // Add new bookmark from server
-          localBookmarks.unshift({ ...serverBookmark, syncStatus: 'synced' });
-          hasChanges = true;
-        }
-      });
-      
-      // Save updated bookmarks if changes were made
-      if (hasChanges) {
-        await chrome.storage.local.set({ bookmarks: localBookmarks });
-        console.log('Synced bookmarks with webapp');
-      }
-      
-      return { success: true, synced: true };
-    } else {
-      throw new Error('Webapp not available');
+    // The background worker owns the sync protocol and writes results to storage
+    const syncResult = await chrome.runtime.sendMessage({ action: 'syncNow' });
+    if (!syncResult?.success) {
+      throw new Error(syncResult?.error || 'Webapp not available');
     }
+    
+    console.log('Synced bookmarks with webapp');
+    return { success: true, synced: true };
   } catch (error) {
     console.warn('Could not sync with webapp:', error.message);
     return { success: true, synced: false };
@@ -309,7 +289,307 @@ const cleanBookmarkData = (bookmark) => {
   };
 };
 
+// Reader view: renders the article body the content script saved as Markdown. Nodes are
+// built with the DOM API, so page text never reaches innerHTML, and only http(s) links
+// and images are kept.
+const LIST_ITEM = /^(\s*)([-*]|\d+\.) (.*)$/;
+const INLINE_TOKEN = /\\([\\`*_[\]|])|(`+)(.+?)\2|!\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)|\[((?:\\.|!\[[^\]]*\]\([^)]*\)|[^\]\\])*)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*/g;
+
+const isSafeUrl = (url) => /^https?:\/\//i.test(url);
+
+const createElementWith = (tagName, children) => {
+  const element = document.createElement(tagName);
+  element.append(children);
+  return element;
+};
+
+const renderInlineToken = (match) => {
+  const [text, escaped, , code, imageAlt, imageUrl, linkText, linkUrl, strong, emphasis] = match;
+  if (escaped) return escaped;
+  if (code) return createElementWith('code', code);
+  if (imageUrl) {
+    if (!isSafeUrl(imageUrl)) return '';
+    const image = document.createElement('img');
+    image.src = imageUrl;
+    image.alt = imageAlt.replace(/\\(.)/g, '$1');
+    image.loading = 'lazy';
+    return image;
+  }
+  if (linkUrl) {
+    if (!isSafeUrl(linkUrl)) return renderInline(linkText);
+    const link = createElementWith('a', renderInline(linkText));
+    link.href = linkUrl;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+  }
+  if (strong) return createElementWith('strong', renderInline(strong));
+  if (emphasis) return createElementWith('em', renderInline(emphasis));
+  return text;
+};
+
+const renderInline = (text) => {
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+  for (const match of text.matchAll(INLINE_TOKEN)) {
+    fragment.append(text.slice(position, match.index), renderInlineToken(match));
+    position = match.index + match[0].length;
+  }
+  fragment.append(text.slice(position));
+  return fragment;
+};
+
+// Item lines are indented by their marker's width below the first one
+const renderList = (lines) => {
+  const [, indent, marker] = lines[0].match(LIST_ITEM);
+  const list = document.createElement(marker.endsWith('.') ? 'ol' : 'ul');
+  if (marker.endsWith('.') && parseInt(marker, 10) !== 1) {
+    list.start = parseInt(marker, 10);
+  }
+
+  let itemLines = null;
+  const closeItem = () => {
+    if (itemLines) list.appendChild(createElementWith('li', renderMarkdown(itemLines.join('\n'))));
+  };
+  lines.forEach(line => {
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length === indent.length) {
+      closeItem();
+      itemLines = [item[3]];
+    } else {
+      itemLines.push(line.replace(new RegExp(`^ {0,${indent.length + marker.length + 1}}`), ''));
+    }
+  });
+  closeItem();
+
+  return list;
+};
+
+const renderTable = (lines) => {
+  const toCells = (line) => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+  const table = document.createElement('table');
+  lines.filter((line, index) => index !== 1 || !/^[\s|:-]+$/.test(line)).forEach((line, index) => {
+    const row = table.insertRow();
+    toCells(line).forEach(cell => row.appendChild(createElementWith(index === 0 ? 'th' : 'td', renderInline(cell))));
+  });
+  return table;
+};
+
+const isParagraphLine = (line) => line.trim() && !/^(#{1,6} |`{3,}|>|\|)/.test(line) && !LIST_ITEM.test(line);
+
+const renderMarkdown = (markdown) => {
+  const fragment = document.createDocumentFragment();
+  const lines = markdown.split('\n');
+  const takeWhile = (start, predicate) => {
+    let end = start;
+    while (end < lines.length && predicate(lines[end])) end++;
+    return lines.slice(start, end);
+  };
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    const fence = line.match(/^(`{3,})(.*)$/);
+    const heading = line.match(/^(#{1,6}) (.*)$/);
+    let block = [line];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    } else if (fence) {
+      block = [line, ...takeWhile(index + 1, next => next !== fence[1]), fence[1]];
+      const code = createElementWith('code', block.slice(1, -1).join('\n'));
+      if (fence[2]) code.dataset.language = fence[2];
+      fragment.appendChild(createElementWith('pre', code));
+    } else if (heading) {
+      fragment.appendChild(createElementWith(`h${heading[1].length}`, renderInline(heading[2])));
+    } else if (/^(-{3,}|\*{3,})$/.test(line.trim())) {
+      fragment.appendChild(document.createElement('hr'));
+    } else if (line.startsWith('>')) {
+      block = takeWhile(index, next => next.startsWith('>'));
+      fragment.appendChild(createElementWith('blockquote',
+        renderMarkdown(block.map(next => next.replace(/^> ?/, '')).join('\n'))));
+    } else if (line.startsWith('|')) {
+      block = takeWhile(index, next => next.startsWith('|'));
+      fragment.appendChild(renderTable(block));
+    } else if (LIST_ITEM.test(line)) {
+      block = takeWhile(index, next => next.trim() && (LIST_ITEM.test(next) || /^\s/.test(next)));
+      fragment.appendChild(renderList(block));
+    } else {
+      block = takeWhile(index, isParagraphLine);
+      fragment.appendChild(createElementWith('p', renderInline(block.join(' '))));
+    }
+    index += block.length;
+  }
+
+  return fragment;
+};
+
+const formatReadingTime = (bookmark) => (bookmark.readingTime ? `${bookmark.readingTime} min read` : '');
+
+const closeReaderOnEscape = (event) => {
+  if (event.key === 'Escape') hideReaderView();
+};
+
+const showReaderView = (bookmark, url) => {
+  const overlay = document.getElementById('reader-overlay');
+  const reader = document.getElementById('reader');
+  reader.innerHTML = '';
+
+  const header = document.createElement('header');
+  header.className = 'reader-header';
+  const title = createElementWith('h2', sanitizeText(bookmark.title) || 'Untitled');
+  title.id = 'reader-title';
+  const details = [
+    sanitizeText(bookmark.siteName) || extractDomain(url),
+    sanitizeText(bookmark.author),
+    formatReadingTime(bookmark),
+    bookmark.wordCount ? `${bookmark.wordCount.toLocaleString()} words` : ''
+  ].filter(Boolean).join(' · ');
+  header.append(title, createElementWith('p', details));
+
+  const actions = document.createElement('div');
+  actions.className = 'reader-actions';
+  const originalBtn = createElementWith('button', 'Open original');
+  originalBtn.className = 'action-btn visit';
+  originalBtn.onclick = () => {
+    recordVisit(bookmark.id);
+    window.open(url, '_blank');
+  };
+  const closeBtn = createElementWith('button', 'Close');
+  closeBtn.className = 'action-btn';
+  closeBtn.onclick = hideReaderView;
+  actions.append(originalBtn, closeBtn);
+  header.appendChild(actions);
+
+  const body = createElementWith('div', renderMarkdown(bookmark.articleBody));
+  body.className = 'reader-body';
+  reader.append(header, body);
+
+  overlay.style.display = 'flex';
+  overlay.onclick = (event) => {
+    if (event.target === overlay) hideReaderView();
+  };
+  document.addEventListener('keydown', closeReaderOnEscape);
+  reader.scrollTop = 0;
+  closeBtn.focus();
+};
+
+const hideReaderView = () => {
+  const overlay = document.getElementById('reader-overlay');
+  overlay.style.display = 'none';
+  document.getElementById('reader').innerHTML = '';
+  document.removeEventListener('keydown', closeReaderOnEscape);
+};
+
 // UI rendering functions
+// The background worker counts the visit and skips the page load the open triggers
+const recordVisit = async (bookmarkId) => {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+  
+  try {
+    await chrome.runtime.sendMessage({ action: 'recordVisit', id: bookmarkId });
+  } catch (error) {
+    console.warn('Failed to record visit:', error.message);
+  }
+};
+
+// Copies a /go link from the server, which counts the visit wherever it is opened
+const copyShareLink = async (bookmarkId, button) => {
+  const response = await chrome.runtime.sendMessage({ action: 'getShareLink', id: bookmarkId });
+  if (!response?.success) {
+    console.error('Failed to create share link:', response?.error);
+    button.textContent = 'Link unavailable';
+    return;
+  }
+  
+  await copyToClipboard(response.data.url);
+  button.textContent = 'Link copied';
+};
+
+const resolveConflict = async (bookmarkId, choice) => {
+  const response = await chrome.runtime.sendMessage({ action: 'resolveConflict', id: bookmarkId, choice });
+  if (!response?.success) {
+    console.error('Failed to resolve conflict:', response?.error);
+  }
+  loadBookmarks();
+};
+
+const createConflictPanel = (bookmark) => {
+  const panel = document.createElement('div');
+  panel.className = 'bookmark-conflict';
+  
+  const heading = document.createElement('p');
+  heading.className = 'conflict-heading';
+  heading.textContent = 'Edited on another device';
+  panel.appendChild(heading);
+  
+  bookmark.conflict.fields.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'conflict-field';
+    
+    const mine = document.createElement('p');
+    mine.textContent = field + ' (this device): ' + (sanitizeText(bookmark[field]) || '—');
+    const theirs = document.createElement('p');
+    theirs.textContent = field + ' (server): ' + (sanitizeText(bookmark.conflict.server[field]) || '—');
+    
+    row.appendChild(mine);
+    row.appendChild(theirs);
+    panel.appendChild(row);
+  });
+  
+  const keepMineBtn = document.createElement('button');
+  keepMineBtn.className = 'action-btn';
+  keepMineBtn.textContent = 'Keep mine';
+  keepMineBtn.onclick = () => resolveConflict(bookmark.id, 'local');
+  
+  const useServerBtn = document.createElement('button');
+  useServerBtn.className = 'action-btn';
+  useServerBtn.textContent = 'Use server version';
+  useServerBtn.onclick = () => resolveConflict(bookmark.id, 'server');
+  
+  panel.appendChild(keepMineBtn);
+  panel.appendChild(useServerBtn);
+  
+  return panel;
+};
+
+// Typed details saved by the site extractors (site-extractors.js), as one line per card
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+const SITE_DETAIL_FORMATTERS = {
+  repository: (details) => [
+    Number.isInteger(details.stars) ? `★ ${details.stars.toLocaleString()}` : '',
+    details.language
+  ],
+  video: (details) => [
+    Number.isInteger(details.duration) ? formatDuration(details.duration) : '',
+    details.channel
+  ],
+  paper: (details) => [
+    details.primaryCategory,
+    Array.isArray(details.authors) && details.authors.length > 0
+      ? `${details.authors[0]}${details.authors.length > 1 ? ' et al.' : ''}`
+      : ''
+  ],
+  question: (details) => [
+    details.hasAcceptedAnswer ? '✓ Accepted answer' : 'No accepted answer',
+    Number.isInteger(details.answerCount) ? `${details.answerCount} answer${details.answerCount === 1 ? '' : 's'}` : '',
+    Number.isInteger(details.score) ? `score ${details.score}` : ''
+  ],
+  documentation: (details) => [[details.project, details.version].filter(Boolean).join(' ')]
+};
+
+const formatSiteDetails = (siteMetadata) => {
+  const formatter = siteMetadata && SITE_DETAIL_FORMATTERS[siteMetadata.type];
+  return formatter ? formatter(siteMetadata).filter(Boolean).join(' · ') : '';
+};
+
 const createBookmarkCard = (bookmark) => {
   const card = document.createElement('div');
   card.className = 'bookmark-card fade-in';
@@ -349,7 +629,7 @@ const createBookmarkCard = (bookmark) => {
   const titleElement = document.createElement('h3');
   titleElement.className = 'bookmark-title';
   titleElement.title = title;
-  const statusIcon = bookmark.syncStatus === 'synced' ? '☁️' : bookmark.syncStatus === 'pending' ? '⏳' : bookmark.syncStatus === 'demo' ? '🎯' : '💾';
+  const statusIcon = bookmark.syncStatus === 'synced' ? '☁️' : bookmark.syncStatus === 'pending' ? '⏳' : bookmark.syncStatus === 'conflict' ? '⚠️' : bookmark.syncStatus === 'demo' ? '🎯' : '💾';
   titleElement.textContent = title + ' ' + statusIcon;
   
   const domainElement = document.createElement('p');
@@ -370,6 +650,14 @@ const createBookmarkCard = (bookmark) => {
   
   card.appendChild(header);
   
+  const siteDetails = formatSiteDetails(bookmark.siteMetadata);
+  if (siteDetails) {
+    const siteDiv = document.createElement('div');
+    siteDiv.className = 'bookmark-site-details';
+    siteDiv.textContent = siteDetails;
+    card.appendChild(siteDiv);
+  }
+  
   // Add image section if available
   if (primaryImage) {
     const imageDiv = document.createElement('div');
@@ -407,7 +695,11 @@ const createBookmarkCard = (bookmark) => {
   // Add date
   const dateDiv = document.createElement('div');
   dateDiv.className = 'bookmark-date';
-  dateDiv.textContent = formattedDate;
+  dateDiv.textContent = [
+    formattedDate,
+    formatReadingTime(bookmark),
+    bookmark.visitCount ? `${bookmark.visitCount} visit${bookmark.visitCount === 1 ? '' : 's'}` : ''
+  ].filter(Boolean).join(' · ');
   card.appendChild(dateDiv);
   
   // Add tags if available
@@ -423,6 +715,11 @@ const createBookmarkCard = (bookmark) => {
     card.appendChild(tagsDiv);
   }
   
+  // Let the user pick a side for fields edited differently here and on the server
+  if (bookmark.syncStatus === 'conflict' && bookmark.conflict) {
+    card.appendChild(createConflictPanel(bookmark));
+  }
+  
   // Add actions
   const actionsDiv = document.createElement('div');
   actionsDiv.className = 'bookmark-actions';
@@ -430,7 +727,10 @@ const createBookmarkCard = (bookmark) => {
   const visitBtn = document.createElement('button');
   visitBtn.className = 'action-btn visit';
   visitBtn.textContent = 'Visit';
-  visitBtn.onclick = () => window.open(url, '_blank');
+  visitBtn.onclick = () => {
+    recordVisit(bookmark.id);
+    window.open(url, '_blank');
+  };
   
   const copyBtn = document.createElement('button');
   copyBtn.className = 'action-btn copy';
@@ -438,7 +738,21 @@ const createBookmarkCard = (bookmark) => {
   copyBtn.onclick = () => copyToClipboard(url);
   
   actionsDiv.appendChild(visitBtn);
+  if (bookmark.articleBody) {
+    const readBtn = document.createElement('button');
+    readBtn.className = 'action-btn read';
+    readBtn.textContent = 'Read';
+    readBtn.onclick = () => showReaderView(bookmark, url);
+    actionsDiv.appendChild(readBtn);
+  }
   actionsDiv.appendChild(copyBtn);
+  if (bookmark.serverId) {
+    const shareBtn = document.createElement('button');
+    shareBtn.className = 'action-btn copy';
+    shareBtn.textContent = 'Share Link';
+    shareBtn.onclick = () => copyShareLink(bookmark.id, shareBtn);
+    actionsDiv.appendChild(shareBtn);
+  }
   card.appendChild(actionsDiv);
   
   return card;
@@ -463,14 +777,157 @@ const renderTagsList = (tags) => {
   tagsList.innerHTML = '';
   
   tags.forEach(tag => {
+    const item = document.createElement('span');
+    item.className = 'tag-item';
+    
     const tagElement = document.createElement('span');
     tagElement.className = 'tag-filter';
     tagElement.textContent = tag;
+    if (BookmarksState.selectedTags.includes(tag)) {
+      tagElement.classList.add('active');
+    }
+    if (BookmarksState.tagColors[tag]) {
+      tagElement.style.borderColor = BookmarksState.tagColors[tag];
+      tagElement.style.boxShadow = `inset 4px 0 0 ${BookmarksState.tagColors[tag]}`;
+    }
     tagElement.addEventListener('click', () => toggleTagFilter(tag));
-    tagsList.appendChild(tagElement);
+    
+    const manageBtn = document.createElement('button');
+    manageBtn.className = 'tag-manage-btn';
+    manageBtn.textContent = '⋯';
+    manageBtn.title = `Manage "${tag}"`;
+    manageBtn.addEventListener('click', () => showTagEditor(tag, tags));
+    
+    item.appendChild(tagElement);
+    item.appendChild(manageBtn);
+    tagsList.appendChild(item);
   });
 };
 
+// Tag management (rename, recolor, merge, delete) runs in the background script, which
+// updates local bookmarks and the active server
+const loadTagColors = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTagColors' });
+    BookmarksState.tagColors = response?.data || {};
+  } catch (error) {
+    BookmarksState.tagColors = {};
+  }
+};
+
+const applyTagChange = async (change, message) => {
+  const editor = document.getElementById('tag-editor');
+  editor.querySelectorAll('button, input, select').forEach(control => {
+    control.disabled = true;
+  });
+  
+  const response = await chrome.runtime.sendMessage({ action: 'manageTag', change });
+  if (!response?.success) {
+    showTransferStatus('Tag change failed: ' + (response?.error || 'unknown error'));
+    hideTagEditor();
+    return;
+  }
+  
+  // Keep the tag filter pointing at the tag's new name, subtrees included
+  const replacement = change.operation === 'rename' ? change.newName : change.targetName;
+  const replacedNames = change.operation === 'merge' ? change.sourceNames : [change.name];
+  if (change.operation !== 'color') {
+    BookmarksState.selectedTags = [...new Set(BookmarksState.selectedTags.flatMap(tag => {
+      const replaced = replacedNames.find(name => isInTagSubtree(tag, name));
+      if (!replaced) {
+        return [tag];
+      }
+      return replacement ? [replacement + tag.slice(replaced.length)] : [];
+    }))];
+  }
+  
+  showTransferStatus(message(response.data.updated));
+  hideTagEditor();
+  await loadTagColors();
+  loadBookmarks();
+};
+
+const createEditorRow = (label, ...controls) => {
+  const row = document.createElement('div');
+  row.className = 'tag-editor-row';
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+  row.appendChild(labelElement);
+  controls.forEach(control => row.appendChild(control));
+  return row;
+};
+
+const createEditorButton = (text, onClick, className = 'action-btn') => {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+const countLabel = (count) => `${count} bookmark${count === 1 ? '' : 's'}`;
+
+const showTagEditor = (tag, allTags) => {
+  const editor = document.getElementById('tag-editor');
+  editor.innerHTML = '';
+  
+  const heading = document.createElement('h4');
+  heading.textContent = `Manage tag "${tag}"`;
+  editor.appendChild(heading);
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = tag;
+  nameInput.className = 'tag-editor-input';
+  editor.appendChild(createEditorRow('Name', nameInput, createEditorButton('Rename', () => {
+    const newName = nameInput.value.trim();
+    if (!newName || newName === tag) {
+      return;
+    }
+    applyTagChange({ operation: 'rename', name: tag, newName },
+      count => `Renamed "${tag}" to "${newName}" on ${countLabel(count)}.`);
+  })));
+  
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.value = BookmarksState.tagColors[tag] || '#6b7280';
+  editor.appendChild(createEditorRow('Color', colorInput, createEditorButton('Save color', () => {
+    applyTagChange({ operation: 'color', name: tag, color: colorInput.value }, () => `Saved the color of "${tag}".`);
+  })));
+  
+  // A tag cannot be merged into its own subtree
+  const otherTags = allTags.filter(other => !isInTagSubtree(other, tag));
+  if (otherTags.length > 0) {
+    const targetSelect = document.createElement('select');
+    targetSelect.className = 'control-select tag-editor-select';
+    otherTags.forEach(other => targetSelect.appendChild(new Option(other, other)));
+    editor.appendChild(createEditorRow('Merge into', targetSelect, createEditorButton('Merge', () => {
+      const targetName = targetSelect.value;
+      applyTagChange({ operation: 'merge', sourceNames: [tag], targetName },
+        count => `Merged "${tag}" into "${targetName}" on ${countLabel(count)}.`);
+    })));
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'tag-editor-actions';
+  actions.appendChild(createEditorButton('Delete tag', () => {
+    if (window.confirm(`Remove "${tag}" from every bookmark?`)) {
+      applyTagChange({ operation: 'delete', name: tag }, count => `Removed "${tag}" from ${countLabel(count)}.`);
+    }
+  }, 'action-btn danger-btn'));
+  actions.appendChild(createEditorButton('Close', hideTagEditor));
+  editor.appendChild(actions);
+  
+  editor.style.display = 'block';
+  nameInput.focus();
+};
+
+const hideTagEditor = () => {
+  const editor = document.getElementById('tag-editor');
+  editor.style.display = 'none';
+  editor.innerHTML = '';
+};
+
 const updateStats = (bookmarks) => {
   const totalCount = document.getElementById('total-count');
   const recentCount = document.getElementById('recent-count');
@@ -486,6 +943,258 @@ const updateStats = (bookmarks) => {
   recentCount.textContent = recentBookmarksCount;
 };
 
+// Duplicate finder (groups come from the active server profile)
+const DUPLICATE_REASONS = {
+  url: 'Same page',
+  title: 'Similar title'
+};
+
+const formatDuplicateReasons = (reasons) => reasons.map(reason => DUPLICATE_REASONS[reason] || reason).join(' · ');
+
+const createDuplicateGroup = (group) => {
+  const element = document.createElement('div');
+  element.className = 'duplicate-group';
+  
+  const reason = document.createElement('p');
+  reason.className = 'duplicate-reason';
+  reason.textContent = formatDuplicateReasons(group.reasons) + ' — the oldest bookmark is kept';
+  element.appendChild(reason);
+  
+  group.bookmarks.forEach(bookmark => {
+    const item = document.createElement('label');
+    item.className = 'duplicate-item';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.value = bookmark.id;
+    
+    const details = document.createElement('span');
+    details.textContent = `${sanitizeText(bookmark.title) || 'Untitled'} (${formatDate(bookmark.createdAt)})`;
+    
+    const url = document.createElement('span');
+    url.className = 'duplicate-url';
+    url.textContent = bookmark.url;
+    details.appendChild(url);
+    
+    item.appendChild(checkbox);
+    item.appendChild(details);
+    element.appendChild(item);
+  });
+  
+  const mergeBtn = document.createElement('button');
+  mergeBtn.className = 'action-btn';
+  mergeBtn.textContent = 'Merge selected';
+  mergeBtn.onclick = () => {
+    const bookmarkIds = Array.from(element.querySelectorAll('input:checked')).map(input => Number(input.value));
+    mergeDuplicateGroup(bookmarkIds, mergeBtn);
+  };
+  element.appendChild(mergeBtn);
+  
+  return element;
+};
+
+const renderDuplicateGroups = (groups) => {
+  const listElement = document.getElementById('duplicates-list');
+  listElement.innerHTML = '';
+  groups.forEach(group => listElement.appendChild(createDuplicateGroup(group)));
+  
+  document.getElementById('duplicates-status').textContent = groups.length > 0
+    ? `${groups.length} group${groups.length === 1 ? '' : 's'} of possible duplicates. Merging keeps the oldest bookmark, combines tags, notes and visits, and moves the others to the archive.`
+    : 'No duplicates found.';
+};
+
+const showDuplicatesView = async () => {
+  document.getElementById('loading-state').style.display = 'none';
+  document.getElementById('error-state').style.display = 'none';
+  document.getElementById('empty-state').style.display = 'none';
+  document.getElementById('bookmarks-container').style.display = 'none';
+  document.getElementById('trash-view').style.display = 'none';
+  document.getElementById('duplicates-view').style.display = 'block';
+  document.getElementById('duplicates-list').innerHTML = '';
+  document.getElementById('duplicates-status').textContent = 'Looking for duplicates...';
+  
+  const response = await chrome.runtime.sendMessage({ action: 'findDuplicates' });
+  if (!response?.success) {
+    document.getElementById('duplicates-status').textContent =
+      'Duplicate finder needs a sync server: ' + (response?.error || 'server not available');
+    return;
+  }
+  
+  renderDuplicateGroups(response.data);
+};
+
+const mergeDuplicateGroup = async (bookmarkIds, button) => {
+  if (bookmarkIds.length < 2) {
+    document.getElementById('duplicates-status').textContent = 'Select at least two bookmarks to merge.';
+    return;
+  }
+  
+  button.disabled = true;
+  const response = await chrome.runtime.sendMessage({ action: 'mergeDuplicates', bookmarkIds });
+  if (!response?.success) {
+    button.disabled = false;
+    document.getElementById('duplicates-status').textContent = 'Merge failed: ' + (response?.error || 'unknown error');
+    return;
+  }
+  
+  showDuplicatesView();
+};
+
+const hideDuplicatesView = () => {
+  document.getElementById('duplicates-view').style.display = 'none';
+  loadBookmarks();
+};
+
+// Trash: cleared bookmarks stay restorable until they expire
+const createTrashItem = (bookmark) => {
+  const item = document.createElement('div');
+  item.className = 'trash-item';
+  
+  const details = document.createElement('span');
+  details.textContent = `${sanitizeText(bookmark.title) || 'Untitled'} (deleted ${formatDate(bookmark.trashedAt)}, kept until ${new Date(bookmark.expiresAt).toLocaleDateString()})`;
+  
+  const url = document.createElement('span');
+  url.className = 'duplicate-url';
+  url.textContent = bookmark.url;
+  details.appendChild(url);
+  
+  const restoreBtn = document.createElement('button');
+  restoreBtn.className = 'action-btn';
+  restoreBtn.textContent = 'Restore';
+  restoreBtn.onclick = () => restoreFromTrash([bookmark.id], restoreBtn);
+  
+  item.appendChild(details);
+  item.appendChild(restoreBtn);
+  return item;
+};
+
+const showTrashView = async () => {
+  document.getElementById('loading-state').style.display = 'none';
+  document.getElementById('error-state').style.display = 'none';
+  document.getElementById('empty-state').style.display = 'none';
+  document.getElementById('bookmarks-container').style.display = 'none';
+  document.getElementById('duplicates-view').style.display = 'none';
+  document.getElementById('trash-view').style.display = 'block';
+  
+  const listElement = document.getElementById('trash-list');
+  const status = document.getElementById('trash-status');
+  listElement.innerHTML = '';
+  
+  const response = await chrome.runtime.sendMessage({ action: 'getTrash' });
+  if (!response?.success) {
+    status.textContent = 'Unable to load the trash: ' + (response?.error || 'unknown error');
+    return;
+  }
+  
+  response.data.forEach(bookmark => listElement.appendChild(createTrashItem(bookmark)));
+  document.getElementById('empty-trash-btn').disabled = response.data.length === 0;
+  status.textContent = response.data.length > 0
+    ? `${response.data.length} cleared bookmark${response.data.length === 1 ? '' : 's'}. Restored bookmarks sync back to the server.`
+    : 'The trash is empty.';
+};
+
+const restoreFromTrash = async (ids, button) => {
+  button.disabled = true;
+  const response = await chrome.runtime.sendMessage({ action: 'restoreFromTrash', ids });
+  if (!response?.success) {
+    button.disabled = false;
+    document.getElementById('trash-status').textContent = 'Restore failed: ' + (response?.error || 'unknown error');
+    return;
+  }
+  
+  showTrashView();
+};
+
+const handleEmptyTrash = async () => {
+  if (!confirm('Permanently delete every bookmark in the trash?')) {
+    return;
+  }
+  
+  await chrome.runtime.sendMessage({ action: 'emptyTrash' });
+  showTrashView();
+};
+
+const hideTrashView = () => {
+  document.getElementById('trash-view').style.display = 'none';
+  loadBookmarks();
+};
+
+// Clears the bookmarks of the selected period (all of them otherwise) into the trash
+const CLEAR_PERIODS = {
+  today: 'from today',
+  week: 'from this week',
+  month: 'from this month'
+};
+
+const handleClearBookmarks = async () => {
+  const timeFilter = CLEAR_PERIODS[BookmarksState.currentFilter] ? BookmarksState.currentFilter : 'all';
+  const period = CLEAR_PERIODS[timeFilter];
+  if (!confirm(period ? `Move all bookmarks ${period} to the trash?` : 'Move all bookmarks to the trash?')) {
+    return;
+  }
+  
+  const response = await chrome.runtime.sendMessage({ action: 'clearBookmarks', timeFilter });
+  showTransferStatus(response?.success
+    ? `Moved ${response.cleared} bookmark${response.cleared === 1 ? '' : 's'} to the trash.`
+    : 'Clearing failed: ' + (response?.error || 'unknown error'));
+  loadBookmarks();
+};
+
+// Bookmark file import
+// Parses an exported bookmarks.html in the page and saves the links locally, so it
+// works without a sync server
+const showTransferStatus = (message) => {
+  const status = document.getElementById('transfer-status');
+  status.textContent = message;
+  status.style.display = 'block';
+};
+
+const handleImportFile = async (event) => {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+  
+  const html = await file.text();
+  if (!NetscapeBookmarks.isNetscapeBookmarkFile(html)) {
+    showTransferStatus(`${file.name} is not a browser bookmark export (bookmarks.html).`);
+    return;
+  }
+  
+  showTransferStatus(`Importing ${file.name}...`);
+  const items = NetscapeBookmarks.parseNetscapeBookmarks(html);
+  const response = await chrome.runtime.sendMessage({ action: 'importBookmarks', items });
+  if (!response?.success) {
+    showTransferStatus('Import failed: ' + (response?.error || 'unknown error'));
+    return;
+  }
+  
+  const { imported, skipped, failed } = response.data;
+  showTransferStatus(`Imported ${imported} bookmark${imported === 1 ? '' : 's'} from ${file.name}: ` +
+    `${skipped} skipped as duplicates, ${failed} failed (only http and https links can be imported).`);
+  loadBookmarks();
+};
+
+// Export downloads the sync server's export of the library (GET /api/export)
+const handleExport = async () => {
+  showTransferStatus('Preparing export...');
+  const response = await chrome.runtime.sendMessage({ action: 'exportBookmarks', format: 'json' });
+  if (!response?.success) {
+    showTransferStatus('Export needs a sync server: ' + (response?.error || 'server not available'));
+    return;
+  }
+  
+  const { content, contentType, filename } = response.data;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type: contentType }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  showTransferStatus(`Exported ${filename}.`);
+};
+
 // State management functions
 const showLoadingState = () => {
   document.getElementById('loading-state').style.display = 'block';
@@ -550,6 +1259,7 @@ const loadBookmarks = async () => {
     
     BookmarksState.bookmarks = bookmarks;
     BookmarksState.filteredBookmarks = applyFilters(bookmarks, BookmarksState);
+    await loadTagColors();
     
     updateStats(bookmarks);
     renderTagsList(getAllTags(bookmarks));
@@ -685,6 +1395,48 @@ document.addEventListener('DOMContentLoaded', () => {
   if (clearFiltersBtn) {
     clearFiltersBtn.addEventListener('click', clearAllFilters);
   }
+  
+  const duplicatesBtn = document.getElementById('duplicates-btn');
+  if (duplicatesBtn) {
+    duplicatesBtn.addEventListener('click', showDuplicatesView);
+  }
+  
+  const closeDuplicatesBtn = document.getElementById('close-duplicates-btn');
+  if (closeDuplicatesBtn) {
+    closeDuplicatesBtn.addEventListener('click', hideDuplicatesView);
+  }
+  
+  const trashBtn = document.getElementById('trash-btn');
+  if (trashBtn) {
+    trashBtn.addEventListener('click', showTrashView);
+  }
+  
+  const closeTrashBtn = document.getElementById('close-trash-btn');
+  if (closeTrashBtn) {
+    closeTrashBtn.addEventListener('click', hideTrashView);
+  }
+  
+  const emptyTrashBtn = document.getElementById('empty-trash-btn');
+  if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener('click', handleEmptyTrash);
+  }
+  
+  const clearBtn = document.getElementById('clear-btn');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', handleClearBookmarks);
+  }
+  
+  const exportBtn = document.getElementById('export-btn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', handleExport);
+  }
+  
+  const importBtn = document.getElementById('import-btn');
+  const importFile = document.getElementById('import-file');
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', handleImportFile);
+  }
 });
 
 // Make utility functions globally available
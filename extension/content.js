@@ -14,13 +14,14 @@ const extractPageMetadata = () => {
       }
     };
     
+    // Null when the page does not declare one; used to match duplicates saved from other URLs
     const getCanonicalUrl = () => {
       try {
         const canonical = document.querySelector('link[rel="canonical"]');
-        return canonical ? canonical.href : window.location.href;
+        return canonical && canonical.href ? canonical.href : null;
       } catch (error) {
         console.log('Canonical URL error:', error);
-        return window.location.href;
+        return null;
       }
     };
     
@@ -34,47 +35,42 @@ const extractPageMetadata = () => {
       }
     };
     
+    // Tags the page declares for itself: article:tag meta tags and rel="tag" links
     const extractTags = () => {
       try {
-        // Try to extract tags from common patterns
-        const tagSelectors = [
-          '.tags a',
-          '.tag-list a',
-          '[class*="tag"] a',
-          '.categories a',
-          '.labels a'
-        ];
-        
-        const tags = new Set();
+        const tags = [
+          ...Array.from(document.querySelectorAll('meta[property="article:tag"]'), meta => meta.getAttribute('content')),
+          ...Array.from(document.querySelectorAll('a[rel~="tag"]'), link => link.textContent)
+        ].map(tag => (tag || '').trim()).filter(tag => tag && tag.length < 50);
         
-        tagSelectors.forEach(selector => {
-          try {
-            document.querySelectorAll(selector).forEach(element => {
-              const text = element.textContent.trim();
-              if (text && text.length < 50) {
-                tags.add(text);
-              }
-            });
-          } catch (error) {
-            console.log(`Tag selector error for ${selector}:`, error);
-          }
-        });
-        
-        return Array.from(tags);
+        return Array.from(new Set(tags));
       } catch (error) {
         console.log('Tags extraction error:', error);
         return [];
       }
     };
     
+    // Typed details and tags from the extractor for this site (site-extractors.js), or null
+    const extractSiteDetails = () => {
+      try {
+        return SiteExtractors.extractSiteMetadata(document.documentElement.outerHTML, window.location.href);
+      } catch (error) {
+        console.log('Site metadata extraction error:', error);
+        return null;
+      }
+    };
+    
+    const site = extractSiteDetails();
     const metadata = {
       title: document.title || 'Untitled',
-      url: getCanonicalUrl(),
+      url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
       description: getMetaContent('description') || getMetaContent('og:description'),
       keywords: extractKeywords(),
-      suggestedTags: extractTags(),
-      author: getMetaContent('author'),
-      publishedDate: getMetaContent('article:published_time') || getMetaContent('date'),
+      suggestedTags: site ? site.suggestedTags : extractTags(),
+      siteMetadata: site ? site.siteMetadata : null,
+      author: getMetaContent('author') || site?.author || null,
+      publishedDate: getMetaContent('article:published_time') || getMetaContent('date') || site?.publishedDate || null,
       image: getMetaContent('og:image') || getMetaContent('twitter:image'),
       siteName: getMetaContent('og:site_name'),
       type: getMetaContent('og:type') || 'website'
@@ -88,9 +84,11 @@ const extractPageMetadata = () => {
     return {
       title: document.title || 'Untitled',
       url: window.location.href,
+      canonicalUrl: null,
       description: 'Error extracting metadata',
       keywords: [],
       suggestedTags: [],
+      siteMetadata: null,
       author: null,
       publishedDate: null,
       image: null,
@@ -100,88 +98,308 @@ const extractPageMetadata = () => {
   }
 };
 
-const extractTextContent = (maxLength = 800) => {
+// Reader view extraction: finds the block holding the page's main content by scoring
+// paragraphs into their ancestors (in the spirit of Readability), drops boilerplate and
+// converts what is left to Markdown, keeping headings, lists, quotes, tables and code
+const WORDS_PER_MINUTE = 230;
+const MAX_ARTICLE_LENGTH = 500000;
+const TEXT_EXCERPT_LENGTH = 800;
+
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|blog|story|prose|markdown/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|sidebar|sponsor|share|social|nav|menu|breadcrumb|promo|related|recommend|advert|\bads?\b|banner|widget|popup|modal|cookie|consent|subscribe|newsletter|signup|masthead|toolbar|pagination|skip/i;
+
+const REMOVED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'CANVAS', 'SVG',
+  'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'NAV', 'ASIDE', 'FOOTER', 'DIALOG'
+]);
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alert', 'search']);
+// Containers dropped when their class names or links say they are not part of the text
+const CONDITIONAL_TAGS = new Set(['DIV', 'SECTION', 'HEADER', 'UL', 'OL', 'TABLE', 'FIGURE']);
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+  'SUMMARY', 'TABLE', 'UL'
+]);
+
+const getNormalizedText = (element) => (element.textContent || '').replace(/\s+/g, ' ').trim();
+
+const getClassWeight = (element) => {
+  const hints = `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_HINTS.test(hints)) weight += 25;
+  if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+  if (element.getAttribute('itemprop') === 'articleBody') weight += 25;
+  return weight;
+};
+
+// Share of the element's text that sits inside links
+const getLinkDensity = (element) => {
+  const textLength = getNormalizedText(element).length;
+  if (textLength === 0) return 0;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((total, link) => total + getNormalizedText(link).length, 0);
+  return linkLength / textLength;
+};
+
+const getTagWeight = (element) => {
+  switch (element.tagName) {
+    case 'ARTICLE': case 'MAIN': return 10;
+    case 'DIV': return 5;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3;
+    case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': return -3;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': return -5;
+    default: return 0;
+  }
+};
+
+const isHidden = (element) => element.hidden
+  || element.getAttribute('aria-hidden') === 'true'
+  || window.getComputedStyle(element).display === 'none';
+
+const isBoilerplate = (element) => {
+  if (REMOVED_TAGS.has(element.tagName)
+    || BOILERPLATE_ROLES.has(element.getAttribute('role'))
+    || isHidden(element)) {
+    return true;
+  }
+  if (!CONDITIONAL_TAGS.has(element.tagName)) {
+    return false;
+  }
+  if (getClassWeight(element) < 0) {
+    return true;
+  }
+  // Link lists (tag clouds, "more stories") rather than prose
+  return getLinkDensity(element) > 0.5 && getNormalizedText(element).length < 1000;
+};
+
+// Each paragraph adds to its parent's score in full, and to further ancestors in part
+const findArticleElement = () => {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element === document.documentElement) return;
+    if (!scores.has(element)) {
+      scores.set(element, getTagWeight(element) + getClassWeight(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+
+  const paragraphs = Array.from(document.body.querySelectorAll('p, pre, td, blockquote, div'))
+    .filter(element => element.tagName !== 'DIV' || !element.querySelector('p, div, pre, table, ul, ol, blockquote'));
+
+  paragraphs.forEach(paragraph => {
+    if (paragraph.closest('nav, aside, footer, form, [role="navigation"], [role="complementary"]')) return;
+    const text = getNormalizedText(paragraph);
+    if (text.length < 25) return;
+
+    const commas = text.split(/[,，、]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parentElement) {
+      addScore(ancestor, level === 0 ? score : score / (level * 2));
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+
+  return best || document.body;
+};
+
+// Markdown conversion
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+const toAbsoluteUrl = (url) => {
   try {
-    // Get main content, avoiding navigation and footer elements
-    const contentSelectors = [
-      'main',
-      'article',
-      '.content',
-      '.main-content',
-      '.post-content',
-      '.entry-content',
-      '.article-content',
-      '.story-content',
-      '.blog-content',
-      '#content',
-      '[role="main"]'
-    ];
-    
-    let content = '';
-    let contentElement = null;
-    
-    // Try to find the main content element
-    for (const selector of contentSelectors) {
-      try {
-        const element = document.querySelector(selector);
-        if (element) {
-          contentElement = element;
-          content = element.textContent || element.innerText || '';
-          break;
-        }
-      } catch (error) {
-        console.log(`Content selector error for ${selector}:`, error);
-        continue;
-      }
+    const absolute = new URL(url, document.baseURI).href;
+    // Parentheses would end the Markdown link early
+    return /^https?:/i.test(absolute) ? absolute.replace(/\(/g, '%28').replace(/\)/g, '%29') : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const wrapInline = (marker, content) => {
+  const trimmed = content.trim();
+  return trimmed ? `${marker}${trimmed}${marker}` : content;
+};
+
+const inlineToMarkdown = (node) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node)) {
+    return '';
+  }
+
+  const children = () => Array.from(node.childNodes).map(inlineToMarkdown).join('');
+  switch (node.tagName) {
+    case 'A': {
+      const text = children().trim();
+      const href = toAbsoluteUrl(node.getAttribute('href'));
+      return text && href ? `[${text}](${href})` : text;
     }
-    
-    // Fallback: try to find the largest text block
-    if (!content || content.length < 100) {
-      try {
-        const textElements = Array.from(document.querySelectorAll('p, div, section'))
-          .filter(el => {
-            const text = el.textContent || '';
-            // Filter out navigation, sidebar, and footer content
-            const parentClasses = el.parentElement ? el.parentElement.className.toLowerCase() : '';
-            const isNavigation = /nav|menu|sidebar|footer|header|ads?|social|share|comment/.test(parentClasses + ' ' + el.className.toLowerCase());
-            return text.length > 50 && !isNavigation;
-          })
-          .sort((a, b) => (b.textContent || '').length - (a.textContent || '').length);
-        
-        if (textElements.length > 0) {
-          content = textElements[0].textContent || '';
-        }
-      } catch (error) {
-        console.log('Fallback text extraction error:', error);
-      }
+    case 'STRONG': case 'B':
+      return wrapInline('**', children());
+    case 'EM': case 'I':
+      return wrapInline('*', children());
+    case 'CODE': case 'KBD': case 'SAMP': {
+      const code = node.textContent.replace(/\s+/g, ' ');
+      const fence = code.includes('`') ? '``' : '`';
+      return code.trim() ? `${fence}${code}${fence}` : '';
     }
-    
-    // Final fallback to body content if no main content found
-    if (!content) {
-      try {
-        content = document.body.textContent || document.body.innerText || '';
-      } catch (error) {
-        console.log('Body content fallback error:', error);
-        content = '';
+    case 'IMG': {
+      const src = toAbsoluteUrl(node.currentSrc || node.getAttribute('src'));
+      return src ? `![${escapeMarkdown(node.getAttribute('alt') || '')}](${src})` : '';
+    }
+    case 'BR':
+      return ' ';
+    default:
+      return children();
+  }
+};
+
+const indent = (text, prefix) => text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+
+const getCodeLanguage = (pre) => {
+  const classes = `${pre.className || ''} ${pre.querySelector('code')?.className || ''}`;
+  const match = classes.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+};
+
+const listToMarkdown = (list) => {
+  const items = Array.from(list.children).filter(item => item.tagName === 'LI' && !isBoilerplate(item));
+  const start = parseInt(list.getAttribute('start'), 10) || 1;
+
+  return items.map((item, index) => {
+    const marker = list.tagName === 'OL' ? `${start + index}. ` : '- ';
+    const content = blocksToMarkdown(item).join('\n');
+    return marker + indent(content, ' '.repeat(marker.length)).slice(marker.length);
+  }).filter(item => item.trim()).join('\n');
+};
+
+const tableToMarkdown = (table) => {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .map(cell => Array.from(cell.childNodes).map(inlineToMarkdown).join('').trim().replace(/\|/g, '\\|')))
+    .filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const formatRow = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [
+    formatRow(rows[0]),
+    formatRow(Array(columns).fill('---')),
+    ...rows.slice(1).map(formatRow)
+  ].join('\n');
+};
+
+const blockToMarkdown = (element) => {
+  switch (element.tagName) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+      const text = Array.from(element.childNodes).map(inlineToMarkdown).join('').replace(/\s+/g, ' ').trim();
+      return text ? [`${'#'.repeat(Number(element.tagName[1]))} ${text}`] : [];
+    }
+    case 'PRE': {
+      const code = element.textContent.replace(/\n+$/, '');
+      const fence = code.includes('```') ? '````' : '```';
+      return code.trim() ? [`${fence}${getCodeLanguage(element)}\n${code}\n${fence}`] : [];
+    }
+    case 'UL': case 'OL': {
+      const list = listToMarkdown(element);
+      return list ? [list] : [];
+    }
+    case 'BLOCKQUOTE': {
+      const quote = blocksToMarkdown(element).join('\n\n');
+      return quote ? [quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')] : [];
+    }
+    case 'TABLE': {
+      const table = tableToMarkdown(element);
+      return table ? [table] : [];
+    }
+    case 'HR':
+      return ['---'];
+    default:
+      return blocksToMarkdown(element);
+  }
+};
+
+// Markdown blocks for an element's children; runs of inline content become paragraphs
+const blocksToMarkdown = (element) => {
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    const paragraph = inline.replace(/\s+/g, ' ').trim();
+    if (paragraph) blocks.push(paragraph);
+    inline = '';
+  };
+
+  element.childNodes.forEach(child => {
+    if (child.nodeType === Node.ELEMENT_NODE && (BLOCK_TAGS.has(child.tagName) || child.tagName === 'BR')) {
+      flush();
+      if (child.tagName !== 'BR' && !isBoilerplate(child)) {
+        blocks.push(...blockToMarkdown(child));
       }
+    } else {
+      inline += inlineToMarkdown(child);
     }
-    
-    // Clean and truncate content
-    try {
-      return content
-        .replace(/\s+/g, ' ')
-        .replace(/[\r\n\t]/g, ' ')
-        .trim()
-        .substring(0, maxLength)
-        + (content.length > maxLength ? '...' : '');
-    } catch (error) {
-      console.log('Content cleaning error:', error);
-      return content || '';
+  });
+  flush();
+
+  return blocks;
+};
+
+// Markdown back to plain text, for word counts and the short preview
+const markdownToPlainText = (markdown) => markdown
+  .replace(/^(`{3,})[^\n]*$/gm, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/^\s*(?:#{1,6}|>|[-*]|\d+\.)\s+/gm, '')
+  .replace(/^\|?[\s|:-]+\|?$/gm, '')
+  .replace(/\\([\\`*_[\]|])|[|*`]/g, (marker, escaped) => escaped || ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// CJK scripts are counted per character, other scripts per word
+const countWords = (text) => (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+
+// Cut at a block boundary so code fences and tables stay whole
+const truncateMarkdown = (markdown, maxLength) => {
+  if (markdown.length <= maxLength) return markdown;
+  const cut = markdown.lastIndexOf('\n\n', maxLength);
+  return markdown.substring(0, cut > 0 ? cut : maxLength);
+};
+
+const extractArticle = () => {
+  try {
+    const blocks = blockToMarkdown(findArticleElement());
+
+    // The page title is shown above the article already
+    const title = document.title.toLowerCase();
+    const firstHeading = blocks[0]?.match(/^# (.+)$/);
+    if (firstHeading && title.includes(firstHeading[1].replace(/\\(.)/g, '$1').toLowerCase())) {
+      blocks.shift();
     }
-    
+
+    const articleBody = truncateMarkdown(blocks.join('\n\n'), MAX_ARTICLE_LENGTH);
+    const text = markdownToPlainText(articleBody);
+    const wordCount = countWords(text);
+
+    return {
+      articleBody,
+      textContent: text.length > TEXT_EXCERPT_LENGTH ? `${text.substring(0, TEXT_EXCERPT_LENGTH)}...` : text,
+      wordCount,
+      readingTime: wordCount > 0 ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0
+    };
   } catch (error) {
-    console.log('Text content extraction error:', error);
-    return '';
+    console.log('Article extraction error:', error);
+    return { articleBody: '', textContent: '', wordCount: 0, readingTime: 0 };
   }
 };
 
@@ -368,6 +586,81 @@ const isBookmarkableUrl = (url) => {
   }
 };
 
+// Offline snapshot: the page as it looks now, without scripts or frames, with readable
+// stylesheets and images inlined so the copy needs nothing from the network. Images are
+// fetched by the background worker, which is not held to the page's CORS rules.
+const SNAPSHOT_REMOVED_ELEMENTS = 'script, noscript, iframe, frame, object, embed, base, picture source, '
+  + 'link[rel~="stylesheet"], link[rel~="preload"], link[rel~="prefetch"], link[rel~="modulepreload"]';
+
+const escapeHtmlComment = (text) => text.replace(/--/g, '- -');
+
+// Cross-origin stylesheets cannot be read from the page and are left out
+const readStylesheets = () => Array.from(document.styleSheets).map(sheet => {
+  try {
+    return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+  } catch (error) {
+    return '';
+  }
+}).filter(Boolean).join('\n');
+
+const fetchImageAsDataUrl = async (url) => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchSnapshotImage', url });
+    return response?.success ? response.data : null;
+  } catch (error) {
+    console.log('Snapshot image error:', error);
+    return null;
+  }
+};
+
+const buildSnapshotHtml = async () => {
+  const images = Array.from(document.images);
+  const clone = document.documentElement.cloneNode(true);
+  const clonedImages = Array.from(clone.querySelectorAll('img'));
+
+  // Image sources are read from the live page, where lazy loading has settled currentSrc;
+  // images already inlined as data: URLs stay as they are
+  const getImageUrl = (image) => (image ? image.currentSrc || image.src : '');
+  const dataUrls = new Map();
+  for (const url of new Set(images.map(getImageUrl).filter(url => /^https?:/.test(url)))) {
+    dataUrls.set(url, await fetchImageAsDataUrl(url));
+  }
+  clonedImages.forEach((image, index) => {
+    const url = getImageUrl(images[index]);
+    const src = url.startsWith('data:') ? url : dataUrls.get(url);
+    image.removeAttribute('srcset');
+    image.removeAttribute('sizes');
+    image.removeAttribute('loading');
+    if (src) {
+      image.setAttribute('src', src);
+    } else {
+      image.removeAttribute('src');
+    }
+  });
+
+  clone.querySelectorAll(SNAPSHOT_REMOVED_ELEMENTS).forEach(element => element.remove());
+  clone.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes)
+      .filter(attribute => /^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value))
+      .forEach(attribute => element.removeAttribute(attribute.name));
+  });
+
+  // Links keep pointing at the live site
+  const head = clone.querySelector('head') || clone.insertBefore(document.createElement('head'), clone.firstChild);
+  const charset = document.createElement('meta');
+  charset.setAttribute('charset', 'utf-8');
+  const base = document.createElement('base');
+  base.setAttribute('href', window.location.href);
+  const style = document.createElement('style');
+  style.textContent = readStylesheets();
+  head.querySelectorAll('meta[charset], meta[http-equiv]').forEach(element => element.remove());
+  head.prepend(charset, base);
+  head.append(style);
+
+  const savedFrom = escapeHtmlComment(`Saved from ${window.location.href} on ${new Date().toISOString()}`);
+  return `<!DOCTYPE html>\n<!-- ${savedFrom} -->\n${clone.outerHTML}`;
+};
+
 // Message handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   const handleContentMessage = async () => {
@@ -379,19 +672,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           }
           
           const metadata = extractPageMetadata();
-          const textContent = extractTextContent();
+          const article = extractArticle();
           const primaryImage = extractPrimaryImage();
           
           return {
             success: true,
             data: {
               ...metadata,
-              textContent,
+              ...article,
               primaryImage,
               capturedAt: new Date().toISOString()
             }
           };
           
+        case 'captureSnapshot':
+          return { success: true, data: { html: await buildSnapshotHtml() } };
+          
         case 'highlightSelection':
           const selection = window.getSelection();
           const selectedText = selection.toString().trim();
@@ -446,7 +742,7 @@ const autoCapture = () => {
               const metadata = extractPageMetadata();
               chrome.runtime.sendMessage({
                 action: 'pageIdle',
-                data: metadata
+                data: { ...metadata, ...extractArticle() }
               }).catch(error => {
                 console.log('Auto-capture message error:', error);
               });
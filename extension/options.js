@@ -0,0 +1,246 @@
+// Options page for managing sync server profiles
+const OptionsState = {
+  profiles: [],
+  activeProfileId: null
+};
+
+// Pure functions for profile handling
+const createEmptyProfile = () => ({
+  id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+  name: '',
+  baseUrl: '',
+  token: ''
+});
+
+const getOriginPattern = (baseUrl) => `${new URL(baseUrl.trim()).origin}/*`;
+
+const updateStatus = (message, type = 'default') => {
+  const statusElement = document.getElementById('status');
+  statusElement.textContent = message;
+  statusElement.className = `status ${type}`;
+  return message;
+};
+
+// Host permissions can only be requested from a user gesture, so every button that
+// talks to a server asks for its origin first
+const requestHostPermissions = async (baseUrls) => {
+  const origins = [...new Set(baseUrls.map(getOriginPattern))];
+  return await chrome.permissions.request({ origins });
+};
+
+// Read the form back into state so edits survive re-rendering
+const readProfilesFromForm = () => {
+  const cards = document.querySelectorAll('.profile-card');
+
+  OptionsState.profiles = Array.from(cards).map(card => ({
+    id: card.dataset.profileId,
+    name: card.querySelector('.profile-name').value,
+    baseUrl: card.querySelector('.profile-url').value,
+    token: card.querySelector('.profile-token').value
+  }));
+
+  const checked = document.querySelector('.profile-default:checked');
+  OptionsState.activeProfileId = checked ? checked.closest('.profile-card').dataset.profileId : null;
+
+  return OptionsState.profiles;
+};
+
+const renderProfiles = () => {
+  const list = document.getElementById('profiles-list');
+  const template = document.getElementById('profile-template');
+  list.innerHTML = '';
+
+  OptionsState.profiles.forEach(profile => {
+    const card = template.content.firstElementChild.cloneNode(true);
+    card.dataset.profileId = profile.id;
+    card.querySelector('.profile-name').value = profile.name;
+    card.querySelector('.profile-url').value = profile.baseUrl;
+    card.querySelector('.profile-token').value = profile.token;
+    card.querySelector('.profile-default').checked = profile.id === OptionsState.activeProfileId;
+
+    card.querySelector('.test-connection').addEventListener('click', () => handleTestConnection(card));
+    card.querySelector('.remove-profile').addEventListener('click', () => handleRemoveProfile(profile.id));
+    card.querySelector('.remove-profile').disabled = OptionsState.profiles.length === 1;
+
+    list.appendChild(card);
+  });
+};
+
+// Event handlers
+const handleAddProfile = () => {
+  readProfilesFromForm();
+  OptionsState.profiles.push(createEmptyProfile());
+  renderProfiles();
+};
+
+const handleRemoveProfile = (profileId) => {
+  readProfilesFromForm();
+  OptionsState.profiles = OptionsState.profiles.filter(profile => profile.id !== profileId);
+  renderProfiles();
+};
+
+const handleTestConnection = async (card) => {
+  const result = card.querySelector('.connection-result');
+  const profile = {
+    baseUrl: card.querySelector('.profile-url').value,
+    token: card.querySelector('.profile-token').value
+  };
+
+  try {
+    if (!(await requestHostPermissions([profile.baseUrl]))) {
+      throw new Error('Permission to access this server was denied');
+    }
+
+    result.textContent = 'Testing...';
+    result.className = 'connection-result';
+
+    const response = await chrome.runtime.sendMessage({ action: 'testConnection', profile });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    result.textContent = `Connected (${response.environment || 'server'} ${response.version || ''})`.trim();
+    result.className = 'connection-result success';
+  } catch (error) {
+    result.textContent = error.message.startsWith('Invalid URL') ? 'Enter a valid server URL' : error.message;
+    result.className = 'connection-result error';
+  }
+};
+
+const handleSaveProfiles = async () => {
+  const profiles = readProfilesFromForm();
+  updateStatus('Saving...', 'loading');
+
+  let granted;
+  try {
+    granted = await requestHostPermissions(profiles.map(profile => profile.baseUrl));
+  } catch (error) {
+    updateStatus('Enter a valid URL for every server', 'error');
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'saveServerProfiles',
+    serverProfiles: {
+      profiles,
+      activeProfileId: OptionsState.activeProfileId
+    }
+  });
+
+  if (!response.success) {
+    updateStatus(response.error, 'error');
+    return;
+  }
+
+  OptionsState.profiles = response.data.profiles;
+  OptionsState.activeProfileId = response.data.activeProfileId;
+  renderProfiles();
+  if (!granted) {
+    updateStatus('Saved, but sync needs permission to access the server', 'error');
+    return;
+  }
+  updateStatus('Settings saved', 'success');
+
+  // Push anything that was waiting for a server
+  chrome.runtime.sendMessage({ action: 'syncNow' });
+};
+
+// Extra tracking parameters live in the shared settings object
+const handleSaveDuplicateSettings = async () => {
+  const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  // Older versions appended settings to an array instead of storing one object
+  const settings = Array.isArray(settingsResponse.data) ? {} : settingsResponse.data;
+  const stripParams = document.getElementById('strip-params').value
+    .split(',')
+    .map(param => param.trim())
+    .filter(Boolean)
+    .join(', ');
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'updateSettings',
+    settings: { ...settings, stripParams }
+  });
+
+  if (!response.success) {
+    updateStatus(response.error, 'error');
+    return;
+  }
+
+  document.getElementById('strip-params').value = stripParams;
+  updateStatus('Duplicate detection saved', 'success');
+};
+
+const handleSaveTrashSettings = async () => {
+  const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  const settings = Array.isArray(settingsResponse.data) ? {} : settingsResponse.data;
+  const days = parseInt(document.getElementById('trash-retention-days').value, 10);
+  if (!(days > 0)) {
+    updateStatus('Keep cleared bookmarks for at least one day', 'error');
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'updateSettings',
+    settings: { ...settings, trashRetentionDays: days }
+  });
+
+  if (!response.success) {
+    updateStatus(response.error, 'error');
+    return;
+  }
+
+  updateStatus('Trash settings saved', 'success');
+};
+
+// "https://www.Example.com/page" and "example.com" both become "example.com"
+const parseSnapshotDomains = (text) => [...new Set(text
+  .split(/[\s,]+/)
+  .map(entry => entry.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '').replace(/^www\./, ''))
+  .filter(Boolean))];
+
+const handleSaveSnapshotSettings = async () => {
+  const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  const settings = Array.isArray(settingsResponse.data) ? {} : settingsResponse.data;
+  const snapshotDomains = parseSnapshotDomains(document.getElementById('snapshot-domains').value);
+  const snapshotFormat = document.getElementById('snapshot-format').value;
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'updateSettings',
+    settings: { ...settings, snapshotDomains, snapshotFormat }
+  });
+
+  if (!response.success) {
+    updateStatus(response.error, 'error');
+    return;
+  }
+
+  document.getElementById('snapshot-domains').value = snapshotDomains.join('\n');
+  updateStatus('Offline copy settings saved', 'success');
+};
+
+// Initialization
+const initializeOptions = async () => {
+  const [response, settingsResponse] = await Promise.all([
+    chrome.runtime.sendMessage({ action: 'getServerProfiles' }),
+    chrome.runtime.sendMessage({ action: 'getSettings' })
+  ]);
+
+  OptionsState.profiles = response.data.profiles;
+  OptionsState.activeProfileId = response.data.activeProfileId;
+  renderProfiles();
+
+  document.getElementById('strip-params').value = settingsResponse.data?.stripParams || '';
+  document.getElementById('trash-retention-days').value = settingsResponse.data?.trashRetentionDays || '';
+  document.getElementById('snapshot-domains').value = (settingsResponse.data?.snapshotDomains || []).join('\n');
+  document.getElementById('snapshot-format').value = settingsResponse.data?.snapshotFormat || 'html';
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  initializeOptions();
+
+  document.getElementById('add-profile').addEventListener('click', handleAddProfile);
+  document.getElementById('save-profiles').addEventListener('click', handleSaveProfiles);
+  document.getElementById('save-duplicates').addEventListener('click', handleSaveDuplicateSettings);
+  document.getElementById('save-trash').addEventListener('click', handleSaveTrashSettings);
+  document.getElementById('save-snapshots').addEventListener('click', handleSaveSnapshotSettings);
+});
@@ -2,7 +2,8 @@
 const PopupState = {
   currentTab: null,
   recentBookmarks: [],
-  showingTags: false
+  showingTags: false,
+  serverProfiles: []
 };
 
 // Pure functions for state management
@@ -15,14 +16,19 @@ const createBookmarkData = async (tab, tags = []) => {
       return {
         title: tab.title,
         url: tab.url,
+        canonicalUrl: response.data.canonicalUrl || null,
         tags: Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim()).filter(t => t),
         timestamp: new Date().toISOString(),
         favicon: tab.favIconUrl,
         textContent: response.data.textContent || '',
+        articleBody: response.data.articleBody || '',
+        wordCount: response.data.wordCount ?? null,
+        readingTime: response.data.readingTime ?? null,
         primaryImage: response.data.primaryImage || null,
         description: response.data.description || '',
         keywords: response.data.keywords || [],
         suggestedTags: response.data.suggestedTags || [],
+        siteMetadata: response.data.siteMetadata || null,
         author: response.data.author || null,
         publishedDate: response.data.publishedDate || null,
         siteName: response.data.siteName || null
@@ -40,10 +46,14 @@ const createBookmarkData = async (tab, tags = []) => {
     timestamp: new Date().toISOString(),
     favicon: tab.favIconUrl,
     textContent: '',
+    articleBody: '',
+    wordCount: null,
+    readingTime: null,
     primaryImage: null,
     description: '',
     keywords: [],
     suggestedTags: [],
+    siteMetadata: null,
     author: null,
     publishedDate: null,
     siteName: null
@@ -69,11 +79,35 @@ const showTagsSection = (show) => {
     tagsSection.style.display = 'none';
     currentPageSection.style.opacity = '1';
     document.getElementById('tags-input').value = '';
+    document.getElementById('suggested-tags').innerHTML = '';
   }
   
   return show;
 };
 
+// Tags the page suggests (see site-extractors.js); clicking one adds it to the input
+const renderSuggestedTags = (tags) => {
+  const container = document.getElementById('suggested-tags');
+  container.innerHTML = '';
+  
+  tags.forEach(tag => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'suggested-tag';
+    button.textContent = `+ ${tag}`;
+    button.addEventListener('click', () => {
+      const input = document.getElementById('tags-input');
+      const current = input.value.split(',').map(t => t.trim()).filter(t => t);
+      input.value = [...new Set([...current, tag])].join(', ');
+      button.remove();
+      input.focus();
+    });
+    container.appendChild(button);
+  });
+  
+  return tags;
+};
+
 const renderPageInfo = (tab) => {
   const titleElement = document.getElementById('page-title');
   const urlElement = document.getElementById('page-url');
@@ -119,6 +153,37 @@ const renderBookmarksList = (bookmarks) => {
   return bookmarks;
 };
 
+const renderProfileSelect = ({ profiles, activeProfileId }) => {
+  const selectElement = document.getElementById('profile-select');
+  selectElement.innerHTML = '';
+  
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.selected = profile.id === activeProfileId;
+    selectElement.appendChild(option);
+  });
+  
+  // A single server needs no choice
+  document.getElementById('profile-choice').style.display = profiles.length > 1 ? 'flex' : 'none';
+  return profiles;
+};
+
+const getSelectedProfile = () => {
+  const selectedId = document.getElementById('profile-select').value;
+  return PopupState.serverProfiles.find(profile => profile.id === selectedId) || PopupState.serverProfiles[0];
+};
+
+const requestProfilePermission = async (profile) => {
+  try {
+    return await chrome.permissions.request({ origins: [`${new URL(profile.baseUrl).origin}/*`] });
+  } catch (error) {
+    console.warn('Could not request server access:', error.message);
+    return false;
+  }
+};
+
 const enableButtons = (enabled) => {
   document.getElementById('save-bookmark').disabled = !enabled;
   document.getElementById('save-with-tags').disabled = !enabled;
@@ -128,15 +193,9 @@ const enableButtons = (enabled) => {
 // Local storage functions
 const saveBookmarkLocally = async (bookmarkData) => {
   try {
-    // Get existing bookmarks
-    const result = await chrome.storage.local.get(['bookmarks']);
-    let bookmarks = result.bookmarks || [];
-    
     // Check if bookmark already exists
-    const exists = bookmarks.some(bookmark => bookmark.url === bookmarkData.url);
-    if (exists) {
-      // Find the existing bookmark to get its title
-      const existingBookmark = bookmarks.find(bookmark => bookmark.url === bookmarkData.url);
+    const existingBookmark = await BookmarkStore.findBookmarkByUrl(bookmarkData.url, bookmarkData.canonicalUrl);
+    if (existingBookmark) {
       throw new Error(`Bookmark already exists: "${existingBookmark.title}"`); 
     }
     
@@ -144,149 +203,75 @@ const saveBookmarkLocally = async (bookmarkData) => {
     const bookmarkWithId = {
       ...bookmarkData,
       id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      updatedAt: new Date().toISOString(),
       syncStatus: 'pending' // Mark for sync when webapp is available
     };
     
-    bookmarks.unshift(bookmarkWithId); // Add to beginning
-    await chrome.storage.local.set({ bookmarks });
-    
-    return bookmarkWithId;
+    return await BookmarkStore.putBookmark(bookmarkWithId);
   } catch (error) {
     console.error('Error saving bookmark locally:', error);
     throw error;
   }
 };
 
-// API functions with fallback
-const saveBookmarkToServer = async (bookmarkData) => {
-  try {
-    const response = await fetch('http://localhost:3000/api/bookmarks', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(bookmarkData)
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Server error: ${response.status}`);
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Error saving bookmark to server:', error);
-    throw error;
-  }
-};
-
+// Save locally first; the background sync pushes pending bookmarks to the webapp
 const saveBookmarkWithFallback = async (bookmarkData) => {
   try {
-    // Try server first
-    const serverResult = await saveBookmarkToServer(bookmarkData);
+    const localResult = await saveBookmarkLocally(bookmarkData);
+    const syncResult = await chrome.runtime.sendMessage({ action: 'syncNow' });
     
-    // Also save locally for offline access
-    const localBookmark = {
-      ...bookmarkData,
-      id: serverResult.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
-      syncStatus: 'synced'
-    };
-    
-    const result = await chrome.storage.local.get(['bookmarks']);
-    let bookmarks = result.bookmarks || [];
-    
-    // Remove existing local copy if any
-    bookmarks = bookmarks.filter(b => b.url !== bookmarkData.url);
-    bookmarks.unshift(localBookmark);
-    
-    await chrome.storage.local.set({ bookmarks });
-    
-    return { success: true, source: 'server', data: serverResult };
-  } catch (error) {
-    console.warn('Server unavailable, saving locally:', error.message);
-    
-    // Fallback to local storage
-    try {
-      const localResult = await saveBookmarkLocally(bookmarkData);
-      return { success: true, source: 'local', data: localResult };
-    } catch (localError) {
-      // Handle duplicate bookmark error specially
-      if (localError.message.includes('already exists')) {
-        const existingTitle = localError.message.match(/"([^"]+)"/)?.[1] || 'Unknown';
-        
-        // Show option to add note instead
-        const addNote = confirm(
-          `This page is already bookmarked as "${existingTitle}". \n\n` +
-          'Would you like to add a note to the existing bookmark?'
-        );
-        
-        if (addNote) {
-          const note = prompt('Add a note to this bookmark:');
-          if (note !== null) { // User didn't cancel
-            // Send message to background script to add note
-            const response = await chrome.runtime.sendMessage({
-              action: 'addNoteToBookmark',
-              url: bookmarkData.url,
-              note: note.trim()
-            });
-            
-            if (response.success) {
-              return { 
-                ...response.bookmark, 
-                message: response.message,
-                noteAdded: true,
-                success: true
-              };
-            } else {
-              throw new Error('Failed to add note: ' + response.error);
-            }
+    return { success: true, source: syncResult?.success ? 'server' : 'local', data: localResult };
+  } catch (localError) {
+    // Handle duplicate bookmark error specially
+    if (localError.message.includes('already exists')) {
+      const existingTitle = localError.message.match(/"([^"]+)"/)?.[1] || 'Unknown';
+      
+      // Show option to add note instead
+      const addNote = confirm(
+        `This page is already bookmarked as "${existingTitle}". \n\n` +
+        'Would you like to add a note to the existing bookmark?'
+      );
+      
+      if (addNote) {
+        const note = prompt('Add a note to this bookmark:');
+        if (note !== null) { // User didn't cancel
+          // Send message to background script to add note
+          const response = await chrome.runtime.sendMessage({
+            action: 'addNoteToBookmark',
+            url: bookmarkData.url,
+            note: note.trim()
+          });
+          
+          if (response.success) {
+            return { 
+              ...response.bookmark, 
+              message: response.message,
+              noteAdded: true,
+              success: true
+            };
+          } else {
+            throw new Error('Failed to add note: ' + response.error);
           }
         }
-        
-        throw new Error('Bookmark already exists');
       }
       
-      throw localError;
+      throw new Error('Bookmark already exists');
     }
+    
+    throw localError;
   }
 };
 
 const fetchRecentBookmarks = async (limit = 5) => {
   try {
-    // Try server first
-    const response = await fetch(`http://localhost:3000/api/bookmarks/recent?limit=${limit}`);
-    
-    if (response.ok) {
-      const serverBookmarks = await response.json();
-      
-      // Update local storage with server data
-      const result = await chrome.storage.local.get(['bookmarks']);
-      let localBookmarks = result.bookmarks || [];
-      
-      // Merge server bookmarks with local ones
-      serverBookmarks.forEach(serverBookmark => {
-        const existingIndex = localBookmarks.findIndex(b => b.url === serverBookmark.url);
-        if (existingIndex >= 0) {
-          localBookmarks[existingIndex] = { ...serverBookmark, syncStatus: 'synced' };
-        } else {
-          localBookmarks.unshift({ ...serverBookmark, syncStatus: 'synced' });
-        }
-      });
-      
-      await chrome.storage.local.set({ bookmarks: localBookmarks });
-      
-      return serverBookmarks;
-    }
+    // Pull server changes into local storage before reading it
+    await chrome.runtime.sendMessage({ action: 'syncNow' });
   } catch (error) {
-    console.warn('Server unavailable, using local bookmarks:', error.message);
+    console.warn('Sync unavailable, using local bookmarks:', error.message);
   }
   
-  // Fallback to local storage
   try {
-    const result = await chrome.storage.local.get(['bookmarks']);
-    const bookmarks = result.bookmarks || [];
-    
-    // Return most recent bookmarks (already sorted by insertion order)
-    return bookmarks.slice(0, limit);
+    return await BookmarkStore.getRecentBookmarks(limit);
   } catch (error) {
     console.error('Error fetching local bookmarks:', error);
     return [];
@@ -295,10 +280,17 @@ const fetchRecentBookmarks = async (limit = 5) => {
 
 // Event handlers
 const handleSaveBookmark = async (tab, tags = []) => {
+  // Ask for access to the chosen server while the click still counts as a user gesture
+  const profile = getSelectedProfile();
+  const permissionRequest = requestProfilePermission(profile);
   updateStatus('Saving bookmark...', 'loading');
   
   try {
-    const bookmarkData = await createBookmarkData(tab, tags);
+    await permissionRequest;
+    const bookmarkData = {
+      ...await createBookmarkData(tab, tags),
+      profileId: profile?.id
+    };
     const result = await saveBookmarkWithFallback(bookmarkData);
     
     if (result.noteAdded) {
@@ -325,8 +317,15 @@ const handleSaveBookmark = async (tab, tags = []) => {
   }
 };
 
-const handleSaveWithTags = () => {
+const handleSaveWithTags = async () => {
   showTagsSection(true);
+  
+  try {
+    const response = await chrome.tabs.sendMessage(PopupState.currentTab.id, { action: 'getPageMetadata' });
+    renderSuggestedTags(response?.success ? response.data.suggestedTags || [] : []);
+  } catch (error) {
+    console.warn('Could not load suggested tags:', error);
+  }
 };
 
 const handleConfirmSave = async () => {
@@ -341,26 +340,25 @@ const handleCancelTags = () => {
   showTagsSection(false);
 };
 
-const handleViewAll = () => {
+const handleViewAll = async () => {
   // Try webapp first, fallback to local bookmarks manager
-  fetch('http://localhost:3000/api/bookmarks/recent?limit=1')
-    .then(response => {
-      if (response.ok) {
-        chrome.tabs.create({ url: 'http://localhost:3000' });
-      } else {
-        chrome.tabs.create({ url: chrome.runtime.getURL('bookmarks.html') });
-      }
-    })
-    .catch(() => {
-      chrome.tabs.create({ url: chrome.runtime.getURL('bookmarks.html') });
+  const profile = getSelectedProfile();
+  
+  try {
+    const response = await fetch(`${profile.baseUrl}/api/bookmarks/recent?limit=1`, {
+      headers: profile.token ? { Authorization: `Bearer ${profile.token}` } : {}
     });
+    chrome.tabs.create({ url: response.ok ? profile.baseUrl : chrome.runtime.getURL('bookmarks.html') });
+  } catch (error) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('bookmarks.html') });
+  }
   
   window.close();
 };
 
 const handleSettings = () => {
-  // TODO: Open settings page
-  console.log('Settings clicked');
+  chrome.runtime.openOptionsPage();
+  window.close();
 };
 
 // Initialization
@@ -373,6 +371,10 @@ const initializePopup = async () => {
     renderPageInfo(tab);
     enableButtons(true);
     
+    const profilesResponse = await chrome.runtime.sendMessage({ action: 'getServerProfiles' });
+    PopupState.serverProfiles = profilesResponse.data.profiles;
+    renderProfileSelect(profilesResponse.data);
+    
     // Fetch recent bookmarks
     updateStatus('Loading...', 'loading');
     const recentBookmarks = await fetchRecentBookmarks();
@@ -0,0 +1,98 @@
+// URL normalization shared by the web app and the browser extension
+// The server requires webapp/shared/url-normalizer.js and the extension loads an identical
+// copy (extension/url-normalizer.js) as a classic script; change both together.
+(function exportUrlNormalizer(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.UrlNormalizer = api;
+  }
+})(globalThis, () => {
+  // Query parameters that only track where a visit came from. A trailing `*` matches
+  // any parameter starting with the prefix.
+  const DEFAULT_STRIP_PARAMS = [
+    'utm_*',
+    'fbclid',
+    'gclid',
+    'dclid',
+    'msclkid',
+    'yclid',
+    'mc_cid',
+    'mc_eid',
+    'igshid',
+    '_ga',
+    '_hsenc',
+    '_hsmi',
+    'ref_src'
+  ];
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Accepts an array or a comma/whitespace separated list, as stored in settings
+  const parseStripParams = (rules) => {
+    const list = Array.isArray(rules) ? rules : String(rules || '').split(/[\s,]+/);
+    return list.map(rule => String(rule).trim().toLowerCase()).filter(Boolean);
+  };
+
+  const compileStripParams = (rules) => {
+    const patterns = parseStripParams(rules).map(rule => (rule.endsWith('*')
+      ? `${escapeRegExp(rule.slice(0, -1))}.*`
+      : escapeRegExp(rule)));
+
+    return patterns.length > 0 ? new RegExp(`^(?:${patterns.join('|')})$`, 'i') : null;
+  };
+
+  const compiledRules = new Map();
+
+  const getStripPattern = (rules) => {
+    const key = parseStripParams(rules).join(',');
+    if (!compiledRules.has(key)) {
+      compiledRules.set(key, compileStripParams(rules));
+    }
+    return compiledRules.get(key);
+  };
+
+  // Reduces a URL to the form two saves of the same page share: no scheme, lower-case
+  // host without `www.`, no fragment, no tracking parameters, sorted query and no
+  // trailing slash. Anything that is not an http(s) URL is returned trimmed.
+  const normalizeUrl = (url, { stripParams = DEFAULT_STRIP_PARAMS } = {}) => {
+    const raw = typeof url === 'string' ? url.trim() : '';
+
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch (error) {
+      return raw;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return raw;
+    }
+
+    const stripPattern = getStripPattern(stripParams);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !stripPattern || !stripPattern.test(key))
+      .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+    const query = new URLSearchParams(params).toString();
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const port = parsed.port ? `:${parsed.port}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+
+    return `${host}${port}${path}${query ? `?${query}` : ''}`;
+  };
+
+  // Keys a page can be matched on: its own URL and, when the page declares one, its
+  // canonical URL
+  const getMatchKeys = (url, canonicalUrl = null, options = {}) => [
+    ...new Set([url, canonicalUrl].filter(Boolean).map(candidate => normalizeUrl(candidate, options)))
+  ].filter(Boolean);
+
+  return {
+    DEFAULT_STRIP_PARAMS,
+    parseStripParams,
+    normalizeUrl,
+    getMatchKeys
+  };
+});
@@ -20,8 +20,11 @@ struct TagsResponse: Codable {
 
 struct Pagination: Codable {
     let limit: Int
-    let offset: Int
+    let offset: Int?
     let total: Int
+    let totalIsEstimate: Bool?
+    let next: String?
+    let prev: String?
 }
 
 // MARK: - Data Models
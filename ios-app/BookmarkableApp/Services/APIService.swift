@@ -227,14 +227,21 @@ class APIService: ObservableObject {
         query: String? = nil,
         tags: [String]? = nil,
         limit: Int = 50,
-        offset: Int = 0
+        offset: Int = 0,
+        cursor: String? = nil
     ) async throws -> BookmarkListResponse {
         
         var parameters: [String: Any] = [
-            "limit": limit,
-            "offset": offset
+            "limit": limit
         ]
         
+        // A cursor from a previous page takes the place of the offset
+        if let cursor = cursor {
+            parameters["cursor"] = cursor
+        } else {
+            parameters["offset"] = offset
+        }
+        
         if let query = query, !query.isEmpty {
             parameters["q"] = query
         }
@@ -261,6 +268,24 @@ class APIService: ObservableObject {
         }
     }
     
+    // Follows the next cursors until the listing is exhausted
+    func fetchAllBookmarks(
+        query: String? = nil,
+        tags: [String]? = nil,
+        pageSize: Int = 100
+    ) async throws -> [BookmarkData] {
+        var bookmarks: [BookmarkData] = []
+        var cursor: String? = nil
+        
+        repeat {
+            let page = try await fetchBookmarks(query: query, tags: tags, limit: pageSize, cursor: cursor)
+            bookmarks.append(contentsOf: page.data)
+            cursor = page.pagination?.next
+        } while cursor != nil
+        
+        return bookmarks
+    }
+    
     func fetchRecentBookmarks(limit: Int = 10) async throws -> BookmarkListResponse {
         isLoading = true
         defer { isLoading = false }
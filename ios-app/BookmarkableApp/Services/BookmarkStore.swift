@@ -81,13 +81,13 @@ class BookmarkStore: ObservableObject {
         
         do {
             // Fetch bookmarks and tags from API
-            async let bookmarkResponse = apiService.fetchBookmarks(limit: 1000)
+            async let bookmarkResponse = apiService.fetchAllBookmarks()
             async let tagsResponse = apiService.fetchTags()
             
             let (bookmarks, tags) = try await (bookmarkResponse, tagsResponse)
             
             // Update local storage
-            await updateLocalStorage(bookmarks: bookmarks.data, tags: tags.data)
+            await updateLocalStorage(bookmarks: bookmarks, tags: tags.data)
             
             // Reload local data
             loadLocalBookmarks()
@@ -143,7 +143,7 @@ class SyncService: ObservableObject {
     
     private func syncFromServer() async throws {
         // Fetch all bookmarks and tags from server
-        async let bookmarksResponse = apiService.fetchBookmarks(limit: 10000)
+        async let bookmarksResponse = apiService.fetchAllBookmarks()
         async let tagsResponse = apiService.fetchTags()
         
         let (bookmarks, tags) = try await (bookmarksResponse, tagsResponse)
@@ -152,7 +152,7 @@ class SyncService: ObservableObject {
         let context = persistenceController.container.viewContext
         await context.perform {
             // Update bookmarks
-            for bookmarkData in bookmarks.data {
+            for bookmarkData in bookmarks {
                 _ = self.persistenceController.createOrUpdateBookmark(from: bookmarkData)
             }
             
@@ -0,0 +1,252 @@
+// Integration tests for authentication and per-user data scoping
+process.env.ENABLE_AUTH = 'true';
+
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+
+describe('Auth API Integration Tests', () => {
+  let app;
+
+  const register = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(global.testUtils.createTestUser(overrides))
+      .expect(201);
+    return response.body.data;
+  };
+
+  const authed = (method, url, token) =>
+    request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    database.close();
+    delete process.env.ENABLE_AUTH;
+  });
+
+  beforeEach(async () => {
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('should create a user and return tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(global.testUtils.createTestUser())
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.user).toMatchObject({
+        email: 'test@example.com',
+        name: 'Test User'
+      });
+      expect(response.body.data.user.passwordHash).toBeUndefined();
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toHaveLength(64);
+    });
+
+    test('should reject a duplicate email', async () => {
+      await register();
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(global.testUtils.createTestUser())
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject a weak password', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(global.testUtils.createTestUser({ password: 'password' }))
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('should log in with valid credentials', async () => {
+      await register();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPassword123!' })
+        .expect(200);
+
+      expect(response.body.data.user.email).toBe('test@example.com');
+      expect(response.body.data.user.lastLogin).not.toBeNull();
+      expect(response.body.data.token).toBeDefined();
+    });
+
+    test('should reject a wrong password', async () => {
+      await register();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'WrongPassword1!' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid email or password');
+    });
+  });
+
+  describe('Sessions', () => {
+    test('should return the current user', async () => {
+      const { token } = await register();
+
+      const response = await authed('get', '/api/auth/me', token).expect(200);
+
+      expect(response.body.data.email).toBe('test@example.com');
+    });
+
+    test('should require a token for protected routes', async () => {
+      await request(app).get('/api/bookmarks').expect(401);
+      await request(app).get('/api/collections').expect(401);
+
+      const response = await request(app).get('/api/auth/me').expect(401);
+      expect(response.body.message).toBe('Access denied. No token provided.');
+    });
+
+    test('should rotate the refresh token', async () => {
+      const { token, refreshToken } = await register();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+      await authed('get', '/api/auth/me', response.body.data.token).expect(200);
+
+      // The old session is gone along with its access token
+      await authed('get', '/api/auth/me', token).expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    test('should revoke the session on logout', async () => {
+      const { token, refreshToken } = await register();
+
+      await authed('post', '/api/auth/logout', token).expect(200);
+
+      const response = await authed('get', '/api/auth/me', token).expect(401);
+      expect(response.body.message).toBe('Access denied. Session expired or revoked.');
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Per-user data scoping', () => {
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+      alice = await register({ email: 'alice@example.com', name: 'Alice' });
+      bob = await register({ email: 'bob@example.com', name: 'Bob' });
+    });
+
+    test('should keep bookmarks private to their owner', async () => {
+      const created = await authed('post', '/api/bookmarks', alice.token)
+        .send(global.testUtils.createTestBookmark({ tags: ['work'] }))
+        .expect(201);
+      const bookmarkId = created.body.data.id;
+
+      const bobList = await authed('get', '/api/bookmarks', bob.token).expect(200);
+      expect(bobList.body.data).toHaveLength(0);
+
+      await authed('get', `/api/bookmarks/${bookmarkId}`, bob.token).expect(404);
+      await authed('delete', `/api/bookmarks/${bookmarkId}`, bob.token).expect(404);
+      await authed('put', `/api/bookmarks/${bookmarkId}`, bob.token)
+        .send(global.testUtils.createTestBookmark({ title: 'Hijacked' }))
+        .expect(404);
+
+      const aliceView = await authed('get', `/api/bookmarks/${bookmarkId}`, alice.token).expect(200);
+      expect(aliceView.body.data.title).toBe('Test Bookmark');
+    });
+
+    test('should allow the same URL and tag name for different users', async () => {
+      const bookmark = global.testUtils.createTestBookmark({ tags: ['work'] });
+
+      await authed('post', '/api/bookmarks', alice.token).send(bookmark).expect(201);
+      await authed('post', '/api/bookmarks', bob.token).send(bookmark).expect(201);
+
+      const aliceTags = await authed('get', '/api/bookmarks/tags', alice.token).expect(200);
+      const bobTags = await authed('get', '/api/bookmarks/tags', bob.token).expect(200);
+
+      expect(aliceTags.body.data).toHaveLength(1);
+      expect(bobTags.body.data).toHaveLength(1);
+      expect(aliceTags.body.data[0].id).not.toBe(bobTags.body.data[0].id);
+    });
+
+    test('should keep collections private to their owner', async () => {
+      const collection = await authed('post', '/api/collections', alice.token)
+        .send({ name: 'Private' })
+        .expect(201);
+      const bobBookmark = await authed('post', '/api/bookmarks', bob.token)
+        .send(global.testUtils.createTestBookmark())
+        .expect(201);
+      const collectionId = collection.body.data.id;
+
+      const bobList = await authed('get', '/api/collections', bob.token).expect(200);
+      expect(bobList.body.data).toHaveLength(0);
+
+      await authed('get', `/api/collections/${collectionId}`, bob.token).expect(404);
+      await authed('delete', `/api/collections/${collectionId}`, bob.token).expect(404);
+
+      // Alice cannot file Bob's bookmark into her collection
+      const response = await authed(
+        'put',
+        `/api/collections/${collectionId}/bookmarks/${bobBookmark.body.data.id}`,
+        alice.token
+      ).expect(404);
+
+      expect(response.body.message).toBe('Bookmark not found');
+    });
+
+    test('should open /go links in a browser through a link token', async () => {
+      const created = await authed('post', '/api/bookmarks', alice.token)
+        .send(global.testUtils.createTestBookmark())
+        .expect(201);
+      const other = await authed('post', '/api/bookmarks', alice.token)
+        .send(global.testUtils.createTestBookmark({ url: 'https://other.example.com' }))
+        .expect(201);
+      const bookmarkId = created.body.data.id;
+
+      // A browser following a bare link has no credentials
+      await request(app).get(`/go/${bookmarkId}`).expect(401);
+
+      const link = await authed('post', `/api/bookmarks/${bookmarkId}/link`, alice.token).expect(200);
+      expect(link.body.data.url).toMatch(new RegExp(`^/go/${bookmarkId}\\?token=`));
+      expect(Date.parse(link.body.data.expiresAt)).toBeGreaterThan(Date.now());
+
+      const response = await request(app).get(link.body.data.url).expect(302);
+      expect(response.headers.location).toBe('https://example.com');
+      const visited = await authed('get', `/api/bookmarks/${bookmarkId}`, alice.token).expect(200);
+      expect(visited.body.data.visitCount).toBe(1);
+
+      // The token opens that one bookmark and nothing else
+      const token = new URL(link.body.data.url, 'http://localhost').searchParams.get('token');
+      await request(app).get(`/go/${other.body.data.id}?token=${token}`).expect(404);
+      await authed('get', '/api/bookmarks', token).expect(401);
+      await authed('post', `/api/bookmarks/${bookmarkId}/link`, bob.token).expect(404);
+
+      // Links end with the session they were made from
+      await authed('post', '/api/auth/logout', alice.token).expect(200);
+      await request(app).get(link.body.data.url).expect(401);
+    });
+  });
+});
@@ -106,6 +106,158 @@ describe('Bookmarks API Integration Tests', () => {
       );
     });
   });
+
+  describe('URL normalization', () => {
+    test('should treat tracking, www. and trailing slash variants as duplicates', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://example.com/article' }))
+        .expect(201);
+
+      expect(created.body.data.normalizedUrl).toBe('example.com/article');
+
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({
+          url: 'http://www.example.com/article/?utm_source=newsletter#top'
+        }))
+        .expect(409);
+
+      expect(response.body.existingId).toBe(created.body.data.id);
+    });
+
+    test('should match pages that share a canonical URL', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({
+          url: 'https://example.com/post?id=42',
+          canonicalUrl: 'https://example.com/posts/42'
+        }))
+        .expect(201);
+
+      expect(created.body.data.canonicalUrl).toBe('https://example.com/posts/42');
+
+      // Another URL declaring the same canonical page
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({
+          url: 'https://m.example.com/post?id=42',
+          canonicalUrl: 'https://www.example.com/posts/42/'
+        }))
+        .expect(409);
+
+      // The canonical URL itself
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://example.com/posts/42' }))
+        .expect(409);
+    });
+
+    test('should keep pages with different query parameters apart', async () => {
+      const first = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://example.com/search?q=one' }))
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://example.com/search?q=two' }))
+        .expect(201);
+
+      expect(second.body.data.id).not.toBe(first.body.data.id);
+      expect(second.body.data.normalizedUrl).not.toBe(first.body.data.normalizedUrl);
+    });
+
+    test('should reject an invalid canonical URL', async () => {
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ canonicalUrl: 'not a url' }))
+        .expect(400);
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      expect(bookmarks.body.data).toEqual([]);
+    });
+  });
+
+  describe('Captured page metadata', () => {
+    const capturedBookmark = () => global.testUtils.createTestBookmark({
+      url: 'https://blog.example.com/posts/fts',
+      note: 'Read this weekend',
+      textContent: 'Full-text search in SQLite with FTS5.',
+      articleBody: '## Setup\n\nCreate a virtual table:\n\n```sql\nCREATE VIRTUAL TABLE docs USING fts5(body);\n```',
+      wordCount: 1200,
+      readingTime: 6,
+      primaryImage: 'https://blog.example.com/cover.png',
+      keywords: ['sqlite', 'search'],
+      author: 'Jane Doe',
+      publishedDate: '2024-01-15T09:00:00Z',
+      siteName: 'Example Blog',
+      siteMetadata: { site: 'github', type: 'repository', stars: 65473, topics: ['sqlite'] },
+      captureReason: 'idle-detection'
+    });
+    
+    test('should return captured fields from GET /api/bookmarks/:id', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(capturedBookmark())
+        .expect(201);
+      
+      const response = await request(app)
+        .get(`/api/bookmarks/${created.body.data.id}`)
+        .expect(200);
+      
+      expect(response.body.data).toMatchObject({
+        note: 'Read this weekend',
+        textContent: 'Full-text search in SQLite with FTS5.',
+        articleBody: expect.stringContaining('## Setup'),
+        wordCount: 1200,
+        readingTime: 6,
+        primaryImage: 'https://blog.example.com/cover.png',
+        keywords: ['sqlite', 'search'],
+        author: 'Jane Doe',
+        publishedDate: '2024-01-15T09:00:00Z',
+        siteName: 'Example Blog',
+        siteMetadata: { site: 'github', type: 'repository', stars: 65473, topics: ['sqlite'] },
+        domain: 'blog.example.com',
+        captureReason: 'idle-detection'
+      });
+    });
+    
+    test('should keep captured fields when an update omits them', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(capturedBookmark())
+        .expect(201);
+      
+      const response = await request(app)
+        .put(`/api/bookmarks/${created.body.data.id}`)
+        .send({ title: 'Renamed', url: 'https://blog.example.com/posts/fts' })
+        .expect(200);
+      
+      expect(response.body.data.title).toBe('Renamed');
+      expect(response.body.data.author).toBe('Jane Doe');
+      expect(response.body.data.keywords).toEqual(['sqlite', 'search']);
+      expect(response.body.data.siteMetadata).toMatchObject({ site: 'github', stars: 65473 });
+      expect(response.body.data).toMatchObject({ wordCount: 1200, readingTime: 6 });
+      expect(response.body.data.articleBody).toContain('CREATE VIRTUAL TABLE');
+    });
+    
+    test('should reject non-string keywords', async () => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ keywords: [{ bad: true }] }));
+      
+      expect(response.status).toBe(400);
+    });
+    
+    test('should reject site metadata that is not an object', async () => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ siteMetadata: ['github'] }));
+      
+      expect(response.status).toBe(400);
+    });
+  });
   
   describe('GET /api/bookmarks', () => {
     beforeEach(async () => {
@@ -175,6 +327,280 @@ describe('Bookmarks API Integration Tests', () => {
     });
   });
   
+  describe('Full-text search', () => {
+    beforeEach(async () => {
+      const bookmarks = [
+        global.testUtils.createTestBookmark({
+          title: 'Database indexing',
+          url: 'https://indexing.example.com',
+          description: 'Notes on B-trees',
+          textContent: 'Covering indexes let queries skip the table entirely.'
+        }),
+        global.testUtils.createTestBookmark({
+          title: 'Cooking with cast iron',
+          url: 'https://cooking.example.com',
+          description: 'Seasoning a skillet',
+          note: 'Read before buying a new pan <b>soon</b>'
+        }),
+        global.testUtils.createTestBookmark({
+          title: 'Query planning',
+          url: 'https://planner.example.com',
+          description: 'How the planner chooses indexes',
+          articleBody: '# Query planning\n\n- Statistics feed the **cost model**\n- Joins are reordered'
+        })
+      ];
+      
+      for (const bookmark of bookmarks) {
+        await request(app).post('/api/bookmarks').send(bookmark);
+      }
+    });
+    
+    test('should match captured page text and highlight the snippet', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?q=covering')
+        .expect(200);
+      
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Database indexing');
+      expect(response.body.data[0].snippet).toContain('<mark>Covering</mark>');
+      expect(typeof response.body.data[0].rank).toBe('number');
+    });
+    
+    test('should match the reader view article body', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?q=statistics')
+        .expect(200);
+      
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Query planning');
+      expect(response.body.data[0].snippet).toContain('<mark>Statistics</mark>');
+    });
+    
+    test('should rank title matches above description matches', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?q=indexing')
+        .expect(200);
+      
+      expect(response.body.data.map(b => b.title)).toEqual(['Database indexing', 'Query planning']);
+    });
+    
+    test('should support prefix queries', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?q=skil*')
+        .expect(200);
+      
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Cooking with cast iron');
+    });
+    
+    test('should support phrase queries', async () => {
+      const phrase = await request(app)
+        .get(`/api/bookmarks?q=${encodeURIComponent('"planner chooses"')}`)
+        .expect(200);
+      const reversed = await request(app)
+        .get(`/api/bookmarks?q=${encodeURIComponent('"chooses planner"')}`)
+        .expect(200);
+      
+      expect(phrase.body.data).toHaveLength(1);
+      expect(reversed.body.data).toHaveLength(0);
+    });
+    
+    test('should search notes and escape HTML in snippets', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?q=soon')
+        .expect(200);
+      
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].note).toBe('Read before buying a new pan <b>soon</b>');
+      expect(response.body.data[0].snippet).toContain('&lt;b&gt;<mark>soon</mark>&lt;/b&gt;');
+    });
+    
+    test('should treat FTS syntax characters as plain text', async () => {
+      const response = await request(app)
+        .get(`/api/bookmarks?q=${encodeURIComponent('planning) OR (NEAR "')}`)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+    });
+    
+    test('should stop matching a bookmark after its text changes', async () => {
+      const list = await request(app).get('/api/bookmarks?q=skillet').expect(200);
+      const bookmark = list.body.data[0];
+      
+      await request(app)
+        .put(`/api/bookmarks/${bookmark.id}`)
+        .send({ title: bookmark.title, url: bookmark.url, description: 'Seasoning a wok' })
+        .expect(200);
+      
+      const response = await request(app).get('/api/bookmarks?q=skillet').expect(200);
+      expect(response.body.data).toHaveLength(0);
+    });
+  });
+  
+  describe('Pagination', () => {
+    const getPage = (path) => request(app).get(path).expect(200);
+    const getCursorPath = (link, rel) => link.match(new RegExp(`<([^>]+)>; rel="${rel}"`))?.[1];
+
+    beforeEach(async () => {
+      for (let index = 1; index <= 7; index += 1) {
+        await request(app)
+          .post('/api/bookmarks')
+          .send(global.testUtils.createTestBookmark({
+            title: `Page ${index}`,
+            url: `https://page${index}.example.com`,
+            tags: index % 2 ? ['odd'] : []
+          }));
+      }
+    });
+
+    test('should report the total across pages', async () => {
+      const response = await getPage('/api/bookmarks?limit=3&tags=odd');
+
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.pagination).toMatchObject({ limit: 3, offset: 0, total: 4, totalIsEstimate: false, prev: null });
+      expect(response.body.pagination.next).toEqual(expect.any(String));
+    });
+
+    test('should walk the library forwards and back with cursors', async () => {
+      const titles = [];
+      const cursors = [];
+      let cursor = '';
+      do {
+        const response = await getPage(`/api/bookmarks?limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+        titles.push(...response.body.data.map(bookmark => bookmark.title));
+        cursors.push(response.body.pagination);
+        cursor = response.body.pagination.next;
+      } while (cursor);
+
+      // Same-second bookmarks fall back to newest id first
+      expect(titles).toEqual(['Page 7', 'Page 6', 'Page 5', 'Page 4', 'Page 3', 'Page 2', 'Page 1']);
+      expect(cursors).toHaveLength(3);
+
+      const back = await getPage(`/api/bookmarks?limit=3&cursor=${cursors[2].prev}`);
+      expect(back.body.data.map(bookmark => bookmark.title)).toEqual(['Page 4', 'Page 3', 'Page 2']);
+      expect(back.body.pagination.offset).toBeNull();
+
+      const first = await getPage(`/api/bookmarks?limit=3&cursor=${back.body.pagination.prev}`);
+      expect(first.body.data.map(bookmark => bookmark.title)).toEqual(['Page 7', 'Page 6', 'Page 5']);
+      expect(first.body.pagination.prev).toBeNull();
+    });
+
+    test('should not shift pages when bookmarks are added', async () => {
+      const firstPage = await getPage('/api/bookmarks?limit=3');
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ title: 'Page 8', url: 'https://page8.example.com' }));
+
+      const secondPage = await getPage(`/api/bookmarks?limit=3&cursor=${firstPage.body.pagination.next}`);
+      expect(secondPage.body.data.map(bookmark => bookmark.title)).toEqual(['Page 4', 'Page 3', 'Page 2']);
+      expect(secondPage.body.pagination.total).toBe(8);
+    });
+
+    test('should page searches and send Link headers', async () => {
+      const response = await getPage('/api/bookmarks?q=page&limit=2');
+      expect(response.body.pagination.total).toBe(7);
+
+      // Browser clients (the extension) can only read headers CORS exposes
+      expect(response.headers['access-control-expose-headers']).toBe('ETag,Link,X-Cache');
+
+      const link = response.headers.link;
+      expect(getCursorPath(link, 'first')).toBe('/api/bookmarks?q=page&limit=2');
+      expect(getCursorPath(link, 'prev')).toBeUndefined();
+
+      const nextPage = await getPage(getCursorPath(link, 'next'));
+      expect(nextPage.body.data).toHaveLength(2);
+      expect(nextPage.body.pagination.offset).toBe(2);
+      expect(getCursorPath(nextPage.headers.link, 'prev')).toBeDefined();
+    });
+
+    test('should reject cursors from another listing', async () => {
+      const search = await getPage('/api/bookmarks?q=page&limit=2');
+
+      const otherListing = await request(app)
+        .get(`/api/bookmarks?cursor=${search.body.pagination.next}`)
+        .expect(400);
+      expect(otherListing.body).toMatchObject({ success: false, message: 'Invalid cursor for this listing' });
+
+      const garbage = await request(app)
+        .get('/api/bookmarks?cursor=not-a-cursor')
+        .expect(400);
+      expect(garbage.body).toMatchObject({ success: false, message: 'Invalid cursor for this listing' });
+    });
+  });
+
+  describe('Tag filters', () => {
+    const getTitles = async (path) => {
+      const response = await request(app).get(path).expect(200);
+      return response.body.data.map(bookmark => bookmark.title).sort();
+    };
+
+    beforeEach(async () => {
+      const bookmarks = [
+        { title: 'Both', url: 'https://both.example.com', tags: ['dev/react', 'video'] },
+        { title: 'Dev only', url: 'https://dev.example.com', tags: ['dev'] },
+        { title: 'Video only', url: 'https://video.example.com', tags: ['video'] },
+        { title: 'Untagged', url: 'https://untagged.example.com', tags: [] }
+      ];
+      for (const bookmark of bookmarks) {
+        await request(app).post('/api/bookmarks').send(global.testUtils.createTestBookmark(bookmark));
+      }
+    });
+
+    test('should match any tag by default and all tags with tagMode=all', async () => {
+      expect(await getTitles('/api/bookmarks?tags=dev&tags=video'))
+        .toEqual(['Both', 'Dev only', 'Video only']);
+      expect(await getTitles('/api/bookmarks?tags=dev&tags=video&tagMode=all')).toEqual(['Both']);
+
+      const response = await request(app).get('/api/bookmarks?tags=dev&tags=video&tagMode=all');
+      expect(response.body.pagination.total).toBe(1);
+      expect(response.body.data[0].tags.map(tag => tag.name).sort()).toEqual(['dev/react', 'video']);
+    });
+
+    test('should exclude tags prefixed with a dash', async () => {
+      expect(await getTitles('/api/bookmarks?tags=-video')).toEqual(['Dev only', 'Untagged']);
+      expect(await getTitles('/api/bookmarks?tags=dev&tags=-dev/react')).toEqual(['Dev only']);
+    });
+
+    test('should reject an unknown tagMode', async () => {
+      const response = await request(app).get('/api/bookmarks?tags=dev&tagMode=some').expect(400);
+      expect(response.body.data).toBeUndefined();
+      expect(await getTitles('/api/bookmarks?tags=dev&tagMode=any')).toEqual(['Both', 'Dev only']);
+    });
+
+    test('should load tags with a constant number of queries', async () => {
+      for (let index = 0; index < 20; index += 1) {
+        await request(app)
+          .post('/api/bookmarks')
+          .send(global.testUtils.createTestBookmark({
+            title: `Bulk ${index}`,
+            url: `https://bulk${index}.example.com`,
+            tags: ['bulk', `bulk/${index}`]
+          }));
+      }
+
+      const countQueries = async (path) => {
+        const querySpy = jest.spyOn(database, 'query');
+        try {
+          const response = await request(app).get(path).expect(200);
+          return { rows: response.body.data.length, queries: querySpy.mock.calls.length };
+        } finally {
+          querySpy.mockRestore();
+        }
+      };
+
+      const small = await countQueries('/api/bookmarks?limit=2');
+      const large = await countQueries('/api/bookmarks?limit=24');
+      expect(small.rows).toBe(2);
+      expect(large.rows).toBe(24);
+      expect(large.queries).toBe(small.queries);
+
+      const recentSmall = await countQueries('/api/bookmarks/recent?limit=2');
+      const recentLarge = await countQueries('/api/bookmarks/recent?limit=24');
+      expect(recentLarge.rows).toBe(24);
+      expect(recentLarge.queries).toBe(recentSmall.queries);
+    });
+  });
+
   describe('GET /api/bookmarks/recent', () => {
     test('should return recent bookmarks', async () => {
       // Create a bookmark
@@ -208,6 +634,158 @@ describe('Bookmarks API Integration Tests', () => {
     });
   });
   
+  describe('Visits', () => {
+    const createBookmark = async (title) => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ title, url: `https://${title.toLowerCase()}.example.com/` }));
+      return response.body.data;
+    };
+
+    test('should count visits without touching the revision or the change feed', async () => {
+      const bookmark = await createBookmark('Visited');
+      const feed = await request(app).get('/api/sync/changes').expect(200);
+
+      await request(app).post(`/api/bookmarks/${bookmark.id}/visit`).expect(200);
+      const response = await request(app).post(`/api/bookmarks/${bookmark.id}/visit`).expect(200);
+      expect(response.body.data).toMatchObject({ id: bookmark.id, visitCount: 2, lastVisited: expect.any(String) });
+
+      const updated = await request(app).get(`/api/bookmarks/${bookmark.id}`).expect(200);
+      expect(updated.body.data).toMatchObject({ visitCount: 2, revision: bookmark.revision });
+
+      const later = await request(app).get(`/api/sync/changes?since=${feed.body.data.cursor}`).expect(200);
+      expect(later.body.data.changes).toHaveLength(0);
+
+      await request(app).post('/api/bookmarks/99999/visit').expect(404);
+    });
+
+    test('should redirect through /go/:id and count the visit', async () => {
+      const bookmark = await createBookmark('Redirected');
+
+      const response = await request(app).get(`/go/${bookmark.id}`).expect(302);
+      expect(response.headers.location).toBe('https://redirected.example.com/');
+      expect(response.headers['cache-control']).toBe('no-store');
+
+      const updated = await request(app).get(`/api/bookmarks/${bookmark.id}`).expect(200);
+      expect(updated.body.data.visitCount).toBe(1);
+
+      await request(app).delete(`/api/bookmarks/${bookmark.id}`).expect(200);
+      await request(app).get(`/go/${bookmark.id}`).expect(404);
+    });
+
+    test('should not redirect to or count a visit for a URL that cannot be opened', async () => {
+      const bookmark = await createBookmark('Scripted');
+      // Imports can store any URL, so /go checks again before redirecting
+      await database.run('UPDATE bookmarks SET url = ? WHERE id = ?', ['javascript:alert(1)', bookmark.id]);
+
+      const response = await request(app).get(`/go/${bookmark.id}`).expect(400);
+      expect(response.body.message).toBe('Bookmark URL cannot be opened');
+      expect(response.headers.location).toBeUndefined();
+
+      const unchanged = await request(app).get(`/api/bookmarks/${bookmark.id}`).expect(200);
+      expect(unchanged.body.data).toMatchObject({ visitCount: 0, lastVisited: null });
+    });
+
+    test('should sort by most and most recently visited', async () => {
+      const rarely = await createBookmark('Rarely');
+      const often = await createBookmark('Often');
+      await createBookmark('Never');
+
+      await request(app).post(`/api/bookmarks/${often.id}/visit`);
+      await request(app).post(`/api/bookmarks/${often.id}/visit`);
+      await database.run('UPDATE bookmarks SET last_visited = datetime(\'now\', \'-1 day\') WHERE id = ?', [often.id]);
+      await request(app).post(`/api/bookmarks/${rarely.id}/visit`);
+
+      const getTitles = async (sort) => {
+        const response = await request(app).get(`/api/bookmarks?sort=${sort}`).expect(200);
+        return response.body.data.map(bookmark => bookmark.title);
+      };
+
+      expect(await getTitles('most-visited')).toEqual(['Often', 'Rarely', 'Never']);
+      expect(await getTitles('recently-visited')).toEqual(['Rarely', 'Often', 'Never']);
+      await request(app).get('/api/bookmarks?sort=popular').expect(400);
+    });
+  });
+
+  describe('Caching', () => {
+    const { bookmarkCache } = require('../../config/cache');
+
+    test('should serve the recent list from cache until a bookmark is saved', async () => {
+      await request(app).post('/api/bookmarks').send(global.testUtils.createTestBookmark());
+
+      const first = await request(app).get('/api/bookmarks/recent').expect(200);
+      expect(first.headers['x-cache']).toBe('MISS');
+      const second = await request(app).get('/api/bookmarks/recent').expect(200);
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body.data).toEqual(first.body.data);
+
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ title: 'Newer', url: 'https://newer.example.com' }));
+      const third = await request(app).get('/api/bookmarks/recent').expect(200);
+      expect(third.headers['x-cache']).toBe('MISS');
+      expect(third.body.data[0].title).toBe('Newer');
+    });
+
+    test('should drop a cached bookmark when it is updated or archived', async () => {
+      const created = await request(app).post('/api/bookmarks').send(global.testUtils.createTestBookmark());
+      const { id } = created.body.data;
+
+      await request(app).get(`/api/bookmarks/${id}`).expect(200);
+      const cached = await request(app).get(`/api/bookmarks/${id}`).expect(200);
+      expect(cached.headers['x-cache']).toBe('HIT');
+      expect(cached.headers.etag).toBe(`"${created.body.data.revision}"`);
+
+      await request(app).put(`/api/bookmarks/${id}`).send({ title: 'Renamed' }).expect(200);
+      const updated = await request(app).get(`/api/bookmarks/${id}`).expect(200);
+      expect(updated.headers['x-cache']).toBe('MISS');
+      expect(updated.body.data.title).toBe('Renamed');
+
+      await request(app).delete(`/api/bookmarks/${id}`).expect(200);
+      await request(app).get(`/api/bookmarks/${id}`).expect(404);
+    });
+
+    test('should refresh cached tags and bookmarks after a tag merge', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ tags: ['js', 'javascript'] }));
+      const tags = (await request(app).get('/api/bookmarks/tags?flat=true').expect(200)).body.data;
+      await request(app).get(`/api/bookmarks/${created.body.data.id}`).expect(200);
+
+      const byName = Object.fromEntries(tags.map(tag => [tag.name, tag.id]));
+      await request(app)
+        .post('/api/bookmarks/tags/merge')
+        .send({ sourceTagIds: [byName.js], targetTagId: byName.javascript })
+        .expect(200);
+
+      const merged = await request(app).get('/api/bookmarks/tags?flat=true').expect(200);
+      expect(merged.headers['x-cache']).toBe('MISS');
+      expect(merged.body.data.map(tag => tag.name)).toEqual(['javascript']);
+
+      const bookmark = await request(app).get(`/api/bookmarks/${created.body.data.id}`).expect(200);
+      expect(bookmark.body.data.tags.map(tag => tag.name)).toEqual(['javascript']);
+    });
+
+    test('should keep entries per user and report hit rates', async () => {
+      await bookmarkCache.setRecentBookmarks(1, [{ id: 1 }]);
+      expect(await bookmarkCache.getRecentBookmarks(1)).toEqual([{ id: 1 }]);
+      expect(await bookmarkCache.getRecentBookmarks(2)).toBeNull();
+      expect(await bookmarkCache.getRecentBookmarks(null)).toBeNull();
+
+      await bookmarkCache.invalidateUser(2);
+      expect(await bookmarkCache.getRecentBookmarks(1)).toEqual([{ id: 1 }]);
+      await bookmarkCache.invalidateUser(1);
+      expect(await bookmarkCache.getRecentBookmarks(1)).toBeNull();
+
+      const status = await request(app).get('/api/cache/status').expect(200);
+      expect(status.body.data.namespaces.recent).toMatchObject({
+        hits: expect.any(Number),
+        misses: expect.any(Number),
+        hitRate: expect.stringMatching(/%$/)
+      });
+    });
+  });
+
   describe('GET /api/bookmarks/:id', () => {
     test('should return specific bookmark', async () => {
       // Create a bookmark
@@ -263,6 +841,25 @@ describe('Bookmarks API Integration Tests', () => {
       expect(response.body.data.description).toBe('Updated description');
     });
     
+    test('should keep the tags when the update leaves them out', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ tags: ['kept'] }));
+      const bookmarkId = created.body.data.id;
+
+      const response = await request(app)
+        .put(`/api/bookmarks/${bookmarkId}`)
+        .send({ title: 'Updated Title' })
+        .expect(200);
+      expect(response.body.data.tags.map(tag => tag.name)).toEqual(['kept']);
+
+      const cleared = await request(app)
+        .put(`/api/bookmarks/${bookmarkId}`)
+        .send({ title: 'Updated Title', tags: [] })
+        .expect(200);
+      expect(cleared.body.data.tags).toEqual([]);
+    });
+
     test('should return 404 for non-existent bookmark', async () => {
       const updateData = { title: 'Updated Title' };
       
@@ -273,6 +870,202 @@ describe('Bookmarks API Integration Tests', () => {
       
       expect(response.body.success).toBe(false);
     });
+
+    test('should not move a bookmark onto a page another bookmark holds', async () => {
+      const first = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://one.example.com/' }));
+      const second = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://two.example.com/' }));
+
+      const response = await request(app)
+        .put(`/api/bookmarks/${second.body.data.id}`)
+        .send({ title: 'Moved', url: 'https://www.one.example.com' })
+        .expect(409);
+      expect(response.body).toMatchObject({ success: false, existingId: first.body.data.id });
+
+      const unchanged = await request(app).get(`/api/bookmarks/${second.body.data.id}`).expect(200);
+      expect(unchanged.body.data).toMatchObject({ title: 'Test Bookmark', url: 'https://two.example.com/' });
+
+      // Trashed bookmarks and the bookmark's own page are not in the way
+      await request(app).delete(`/api/bookmarks/${first.body.data.id}`).expect(200);
+      await request(app)
+        .put(`/api/bookmarks/${second.body.data.id}`)
+        .send({ title: 'Moved', url: 'https://one.example.com/' })
+        .expect(200);
+      await request(app)
+        .put(`/api/bookmarks/${second.body.data.id}`)
+        .send({ title: 'Renamed', url: 'https://www.one.example.com' })
+        .expect(200);
+    });
+  });
+
+  describe('Duplicates', () => {
+    const createBookmark = async (overrides) => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark(overrides))
+        .expect(201);
+      return response.body.data;
+    };
+
+    test('should group AMP copies and near-identical titles', async () => {
+      const article = await createBookmark({
+        title: 'How to Build a Parser in Rust - Example Blog',
+        url: 'https://example.com/rust-parser'
+      });
+      const amp = await createBookmark({
+        title: 'How to build a parser in Rust',
+        url: 'https://example.com/rust-parser/amp'
+      });
+      const retitled = await createBookmark({
+        title: 'How to Build a Parser in Rust | Example',
+        url: 'https://example.com/blog?p=123'
+      });
+      await createBookmark({ title: 'Something else entirely here', url: 'https://example.com/other' });
+
+      const response = await request(app)
+        .get('/api/bookmarks/duplicates')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].reasons).toEqual(['title', 'url']);
+      expect(response.body.data[0].bookmarks.map(b => b.id)).toEqual([article.id, amp.id, retitled.id]);
+    });
+
+    test('should merge into the oldest bookmark and archive the rest', async () => {
+      const newer = await createBookmark({
+        url: 'https://example.com/page?utm_source=a',
+        tags: ['b'],
+        note: 'Second thoughts'
+      });
+      const older = await createBookmark({
+        url: 'https://example.com/page/amp',
+        tags: ['a'],
+        note: 'First note',
+        description: ''
+      });
+
+      await database.run(
+        'UPDATE bookmarks SET created_at = ?, visit_count = ? WHERE id = ?',
+        ['2020-01-01 00:00:00', 3, older.id]
+      );
+      await database.run('UPDATE bookmarks SET visit_count = ? WHERE id = ?', [2, newer.id]);
+
+      const response = await request(app)
+        .post('/api/bookmarks/merge')
+        .send({ bookmarkIds: [newer.id, older.id] })
+        .expect(200);
+
+      const merged = response.body.data.bookmark;
+      expect(merged).toMatchObject({
+        id: older.id,
+        createdAt: '2020-01-01 00:00:00',
+        visitCount: 5,
+        note: 'First note\n\nSecond thoughts',
+        description: 'Test description'
+      });
+      expect(merged.tags.map(t => t.name).sort()).toEqual(['a', 'b']);
+      expect(response.body.data.archivedIds).toEqual([newer.id]);
+
+      await request(app).get(`/api/bookmarks/${newer.id}`).expect(404);
+
+      const duplicates = await request(app).get('/api/bookmarks/duplicates').expect(200);
+      expect(duplicates.body.data).toHaveLength(0);
+    });
+
+    test('should require at least two existing bookmarks', async () => {
+      const bookmark = await createBookmark();
+
+      await request(app)
+        .post('/api/bookmarks/merge')
+        .send({ bookmarkIds: [bookmark.id] })
+        .expect(400);
+
+      const missing = await request(app)
+        .post('/api/bookmarks/merge')
+        .send({ bookmarkIds: [bookmark.id, 999999] })
+        .expect(404);
+      expect(missing.body.message).toBe('At least two of the bookmarks must exist to merge');
+
+      const kept = await request(app).get(`/api/bookmarks/${bookmark.id}`).expect(200);
+      expect(kept.body.data.isArchived).toBe(0);
+    });
+  });
+
+  describe('Revisions and If-Match', () => {
+    const createBookmark = async () => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ tags: ['original'] }))
+        .expect(201);
+      return response.body.data;
+    };
+
+    test('should expose the revision as an ETag', async () => {
+      const bookmark = await createBookmark();
+
+      const response = await request(app)
+        .get(`/api/bookmarks/${bookmark.id}`)
+        .expect(200);
+
+      expect(response.body.data.revision).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    test('should apply an update whose If-Match is current and bump the revision', async () => {
+      const bookmark = await createBookmark();
+
+      const response = await request(app)
+        .put(`/api/bookmarks/${bookmark.id}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'Edited', url: 'https://moved.example.com', tags: ['edited'] })
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.data).toMatchObject({
+        title: 'Edited',
+        url: 'https://moved.example.com',
+        domain: 'moved.example.com',
+        revision: 2
+      });
+    });
+
+    test('should return 409 with the current version for a stale If-Match', async () => {
+      const bookmark = await createBookmark();
+
+      await request(app)
+        .put(`/api/bookmarks/${bookmark.id}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'First writer', tags: ['first'] })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/bookmarks/${bookmark.id}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'Second writer', tags: ['second'] })
+        .expect(409);
+
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.success).toBe(false);
+      expect(response.body.data).toMatchObject({ title: 'First writer', revision: 2 });
+      expect(response.body.data.tags.map(t => t.name)).toEqual(['first']);
+    });
+
+    test('should not update an archived bookmark', async () => {
+      const bookmark = await createBookmark();
+      await request(app).delete(`/api/bookmarks/${bookmark.id}`).expect(200);
+
+      const response = await request(app)
+        .put(`/api/bookmarks/${bookmark.id}`)
+        .send({ title: 'Too late' })
+        .expect(404);
+      expect(response.body).toMatchObject({ success: false, message: 'Bookmark not found' });
+
+      const [trashed] = (await request(app).get('/api/bookmarks?archived=only').expect(200)).body.data;
+      expect(trashed).toMatchObject({ id: bookmark.id, title: bookmark.title });
+    });
   });
   
   describe('DELETE /api/bookmarks/:id', () => {
@@ -307,6 +1100,113 @@ describe('Bookmarks API Integration Tests', () => {
     });
   });
   
+  describe('Trash', () => {
+    const createAndDelete = async (overrides = {}) => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark(overrides));
+      await request(app).delete(`/api/bookmarks/${created.body.data.id}`).expect(200);
+      return created.body.data;
+    };
+
+    const getTrash = async () => (await request(app).get('/api/bookmarks?archived=only').expect(200)).body.data;
+
+    test('should list deleted bookmarks with their purge date', async () => {
+      const deleted = await createAndDelete({ tags: ['old'] });
+      await request(app).post('/api/bookmarks').send(global.testUtils.createTestBookmark({ url: 'https://kept.example.com' }));
+
+      const [trashed, ...rest] = await getTrash();
+      expect(rest).toHaveLength(0);
+      expect(trashed).toMatchObject({ id: deleted.id, isArchived: 1, tags: [expect.objectContaining({ name: 'old' })] });
+      expect(trashed.archivedAt).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      expect(Date.parse(`${trashed.purgeAt}Z`) - Date.parse(`${trashed.archivedAt}Z`)).toBe(30 * 24 * 60 * 60 * 1000);
+
+      const active = (await request(app).get('/api/bookmarks').expect(200)).body.data;
+      expect(active.map(bookmark => bookmark.url)).toEqual(['https://kept.example.com']);
+      const all = (await request(app).get('/api/bookmarks?archived=all').expect(200)).body.data;
+      expect(all).toHaveLength(2);
+
+      await request(app).get('/api/bookmarks?archived=yes').expect(400);
+    });
+
+    test('should restore a bookmark from the trash', async () => {
+      const deleted = await createAndDelete();
+
+      const response = await request(app).post(`/api/bookmarks/${deleted.id}/restore`).expect(200);
+      expect(response.body.data).toMatchObject({ id: deleted.id, isArchived: 0, archivedAt: null });
+      expect(response.body.data.revision).toBe(deleted.revision + 2);
+      expect(response.headers.etag).toBe(`"${deleted.revision + 2}"`);
+
+      await request(app).get(`/api/bookmarks/${deleted.id}`).expect(200);
+      expect(await getTrash()).toEqual([]);
+      await request(app).post(`/api/bookmarks/${deleted.id}/restore`).expect(404);
+    });
+
+    test('should save a page again while its old bookmark is in the trash', async () => {
+      const deleted = await createAndDelete({ url: 'https://example.com/page' });
+
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://www.example.com/page/' }))
+        .expect(201);
+      expect(response.body.data.id).not.toBe(deleted.id);
+
+      const again = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://example.com/page' }))
+        .expect(409);
+      expect(again.body.existingId).toBe(response.body.data.id);
+      await request(app).post(`/api/bookmarks/${deleted.id}/restore`).expect(409);
+    });
+
+    test('should not restore over an active bookmark for the same page', async () => {
+      const deleted = await createAndDelete({ url: 'https://example.com/page' });
+
+      // Sync pushes save a page again even while its old bookmark is in the trash
+      const pushed = await request(app)
+        .post('/api/sync/push')
+        .send({ changes: [{ op: 'upsert', clientId: 'local-1', bookmark: { title: 'Again', url: 'https://www.example.com/page/' } }] })
+        .expect(200);
+
+      const response = await request(app).post(`/api/bookmarks/${deleted.id}/restore`).expect(409);
+      expect(response.body.existingId).toBe(pushed.body.data.results[0].id);
+    });
+
+    test('should purge bookmarks from the trash', async () => {
+      const first = await createAndDelete({ url: 'https://one.example.com' });
+      await createAndDelete({ url: 'https://two.example.com' });
+      const active = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url: 'https://three.example.com' }));
+
+      await request(app).delete(`/api/bookmarks/trash/${active.body.data.id}`).expect(404);
+      await request(app).delete(`/api/bookmarks/trash/${first.id}`).expect(200);
+      expect((await getTrash()).map(bookmark => bookmark.url)).toEqual(['https://two.example.com']);
+
+      const response = await request(app).delete('/api/bookmarks/trash').expect(200);
+      expect(response.body.data.purged).toBe(1);
+      expect(await getTrash()).toEqual([]);
+      await request(app).get(`/api/bookmarks/${active.body.data.id}`).expect(200);
+    });
+
+    test('should purge bookmarks once the retention period has passed', async () => {
+      const { purgeExpiredBookmarks } = require('../../services/trash');
+      const expired = await createAndDelete({ url: 'https://expired.example.com', tags: ['gone'] });
+      await createAndDelete({ url: 'https://recent.example.com' });
+      await database.run(
+        'UPDATE bookmarks SET archived_at = datetime(\'now\', \'-31 days\') WHERE id = ?',
+        [expired.id]
+      );
+
+      expect(await purgeExpiredBookmarks(0)).toBe(0);
+      expect(await purgeExpiredBookmarks(30)).toBe(1);
+
+      expect((await getTrash()).map(bookmark => bookmark.url)).toEqual(['https://recent.example.com']);
+      const links = await database.query('SELECT * FROM bookmark_tags WHERE bookmark_id = ?', [expired.id]);
+      expect(links).toEqual([]);
+    });
+  });
+  
   describe('GET /api/bookmarks/tags', () => {
     test('should return all tags with counts', async () => {
       // Create bookmarks with tags
@@ -335,4 +1235,201 @@ describe('Bookmarks API Integration Tests', () => {
       expect(jsTag.bookmark_count).toBe(2);
     });
   });
+
+  describe('Tag management', () => {
+    const createTagged = async (url, tags) => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url, tags }));
+      return response.body.data;
+    };
+
+    const getTagsByName = async () => {
+      const response = await request(app).get('/api/bookmarks/tags').expect(200);
+      return Object.fromEntries(response.body.data.map(tag => [tag.name, tag]));
+    };
+
+    const getBookmark = async (id) => (await request(app).get(`/api/bookmarks/${id}`).expect(200)).body.data;
+
+    test('should rename a tag and bump the revision of its bookmarks', async () => {
+      const bookmark = await createTagged('https://one.example.com', ['js']);
+      const tags = await getTagsByName();
+
+      const response = await request(app)
+        .patch(`/api/bookmarks/tags/${tags.js.id}`)
+        .send({ name: ' javascript ', color: '#ff0000' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ name: 'javascript', color: '#ff0000', bookmark_count: 1 });
+
+      const updated = await getBookmark(bookmark.id);
+      expect(updated.tags.map(tag => tag.name)).toEqual(['javascript']);
+      expect(updated.revision).toBe(bookmark.revision + 1);
+    });
+
+    test('should recolor without touching bookmarks', async () => {
+      const bookmark = await createTagged('https://one.example.com', ['js']);
+      const tags = await getTagsByName();
+
+      await request(app).patch(`/api/bookmarks/tags/${tags.js.id}`).send({ color: '#00ff00' }).expect(200);
+
+      expect((await getBookmark(bookmark.id)).revision).toBe(bookmark.revision);
+      expect((await getTagsByName()).js.color).toBe('#00ff00');
+    });
+
+    test('should refuse to rename onto an existing tag', async () => {
+      await createTagged('https://one.example.com', ['js', 'javascript']);
+      const tags = await getTagsByName();
+
+      const response = await request(app)
+        .patch(`/api/bookmarks/tags/${tags.js.id}`)
+        .send({ name: 'javascript' })
+        .expect(409);
+
+      expect(response.body.existingId).toBe(tags.javascript.id);
+      await request(app).patch('/api/bookmarks/tags/99999').send({ name: 'x' }).expect(404);
+      await request(app).patch(`/api/bookmarks/tags/${tags.js.id}`).send({ color: 'red' }).expect(400);
+    });
+
+    test('should delete a tag from its bookmarks', async () => {
+      const bookmark = await createTagged('https://one.example.com', ['js', 'keep']);
+      const tags = await getTagsByName();
+
+      const response = await request(app).delete(`/api/bookmarks/tags/${tags.js.id}`).expect(200);
+      expect(response.body.message).toBe('Tag removed from 1 bookmark');
+
+      const updated = await getBookmark(bookmark.id);
+      expect(updated.tags.map(tag => tag.name)).toEqual(['keep']);
+      expect(updated.revision).toBe(bookmark.revision + 1);
+      expect(Object.keys(await getTagsByName())).toEqual(['keep']);
+    });
+
+    test('should merge tags into a target', async () => {
+      const both = await createTagged('https://one.example.com', ['js', 'javascript']);
+      const sourceOnly = await createTagged('https://two.example.com', ['JS-lang']);
+      const tags = await getTagsByName();
+
+      const response = await request(app)
+        .post('/api/bookmarks/tags/merge')
+        .send({ sourceTagIds: [tags.js.id, tags['JS-lang'].id], targetTagId: tags.javascript.id })
+        .expect(200);
+
+      expect(response.body.message).toBe('Merged 2 tags into "javascript"');
+      expect(response.body.data.tag).toMatchObject({ name: 'javascript', bookmark_count: 2 });
+      expect(response.body.data.mergedIds.sort()).toEqual([tags.js.id, tags['JS-lang'].id].sort());
+
+      expect((await getBookmark(both.id)).tags.map(tag => tag.name)).toEqual(['javascript']);
+      expect((await getBookmark(sourceOnly.id)).tags.map(tag => tag.name)).toEqual(['javascript']);
+      expect(Object.keys(await getTagsByName())).toEqual(['javascript']);
+    });
+
+    test('should not merge without a target and another tag', async () => {
+      await createTagged('https://one.example.com', ['js']);
+      const tags = await getTagsByName();
+
+      await request(app)
+        .post('/api/bookmarks/tags/merge')
+        .send({ sourceTagIds: [tags.js.id], targetTagId: tags.js.id })
+        .expect(404);
+      const response = await request(app)
+        .post('/api/bookmarks/tags/merge')
+        .send({ sourceTagIds: [], targetTagId: tags.js.id })
+        .expect(400);
+      expect(response.body.data).toBeUndefined();
+    });
+  });
+
+  describe('Tag hierarchy', () => {
+    const createTagged = async (url, tags) => {
+      const response = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ url, tags }));
+      return response.body.data;
+    };
+
+    const getFlatTags = async () => {
+      const response = await request(app).get('/api/bookmarks/tags?flat=true').expect(200);
+      return Object.fromEntries(response.body.data.map(tag => [tag.name, tag]));
+    };
+
+    const getFilteredUrls = async (query) => {
+      const response = await request(app).get('/api/bookmarks').query(query).expect(200);
+      return response.body.data.map(bookmark => bookmark.url).sort();
+    };
+
+    test('should create intermediate tags for a path', async () => {
+      const bookmark = await createTagged('https://react.example.com', [' dev / frontend/react ']);
+
+      expect(bookmark.tags.map(tag => tag.name)).toEqual(['dev/frontend/react']);
+
+      const tags = await getFlatTags();
+      expect(Object.keys(tags).sort()).toEqual(['dev', 'dev/frontend', 'dev/frontend/react']);
+      expect(tags.dev.parent_id).toBeNull();
+      expect(tags['dev/frontend'].parent_id).toBe(tags.dev.id);
+      expect(tags['dev/frontend/react'].parent_id).toBe(tags['dev/frontend'].id);
+    });
+
+    test('should return tags as a nested tree with subtree counts', async () => {
+      await createTagged('https://react.example.com', ['dev/frontend/react']);
+      await createTagged('https://vue.example.com', ['dev/frontend/vue', 'dev']);
+      await createTagged('https://cooking.example.com', ['cooking']);
+
+      const response = await request(app).get('/api/bookmarks/tags').expect(200);
+      const [dev, cooking] = response.body.data;
+
+      expect(dev).toMatchObject({ name: 'dev', label: 'dev', bookmark_count: 1, total_bookmark_count: 2 });
+      expect(cooking).toMatchObject({ name: 'cooking', total_bookmark_count: 1, children: [] });
+
+      const [frontend] = dev.children;
+      expect(frontend).toMatchObject({ label: 'frontend', bookmark_count: 0, total_bookmark_count: 2 });
+      expect(frontend.children.map(tag => tag.label)).toEqual(['react', 'vue']);
+    });
+
+    test('should filter by a tag and all of its descendants', async () => {
+      await createTagged('https://react.example.com', ['dev/frontend/react']);
+      await createTagged('https://api.example.com', ['dev/backend']);
+      await createTagged('https://devops.example.com', ['devops']);
+
+      expect(await getFilteredUrls({ tags: 'dev' })).toEqual(['https://api.example.com', 'https://react.example.com']);
+      expect(await getFilteredUrls({ tags: 'dev/frontend' })).toEqual(['https://react.example.com']);
+      expect(await getFilteredUrls({ tags: 'devops' })).toEqual(['https://devops.example.com']);
+    });
+
+    test('should rename, merge and delete whole subtrees', async () => {
+      const react = await createTagged('https://react.example.com', ['js/react']);
+      await createTagged('https://node.example.com', ['javascript/node']);
+      let tags = await getFlatTags();
+
+      await request(app)
+        .patch(`/api/bookmarks/tags/${tags.js.id}`)
+        .send({ name: 'js/react/hooks' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/bookmarks/tags/merge')
+        .send({ sourceTagIds: [tags.js.id], targetTagId: tags.javascript.id })
+        .expect(200);
+      expect(response.body.data.tag).toMatchObject({ name: 'javascript', total_bookmark_count: 2 });
+
+      const updated = (await request(app).get(`/api/bookmarks/${react.id}`).expect(200)).body.data;
+      expect(updated.tags.map(tag => tag.name)).toEqual(['javascript/react']);
+      expect(updated.revision).toBe(react.revision + 1);
+
+      tags = await getFlatTags();
+      expect(Object.keys(tags).sort()).toEqual(['javascript', 'javascript/node', 'javascript/react']);
+      expect(tags['javascript/react'].parent_id).toBe(tags.javascript.id);
+
+      await request(app)
+        .patch(`/api/bookmarks/tags/${tags.javascript.id}`)
+        .send({ name: 'lang/js' })
+        .expect(200);
+      tags = await getFlatTags();
+      expect(Object.keys(tags).sort()).toEqual(['lang', 'lang/js', 'lang/js/node', 'lang/js/react']);
+      expect(tags['lang/js'].parent_id).toBe(tags.lang.id);
+
+      const deleted = await request(app).delete(`/api/bookmarks/tags/${tags.lang.id}`).expect(200);
+      expect(deleted.body.message).toBe('Tag removed from 2 bookmarks');
+      expect(await getFlatTags()).toEqual({});
+    });
+  });
 });
\ No newline at end of file
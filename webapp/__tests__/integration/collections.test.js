@@ -0,0 +1,277 @@
+// Integration tests for collections API endpoints
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+
+describe('Collections API Integration Tests', () => {
+  let app;
+
+  const createBookmark = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bookmarks')
+      .send(global.testUtils.createTestBookmark(overrides));
+    return response.body.data;
+  };
+
+  const createCollection = async (data = { name: 'Research' }) => {
+    const response = await request(app)
+      .post('/api/collections')
+      .send(data);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    database.close();
+  });
+
+  beforeEach(async () => {
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  describe('POST /api/collections', () => {
+    test('should create a collection with default color', async () => {
+      const response = await request(app)
+        .post('/api/collections')
+        .send({ name: 'Project Alpha', description: 'Research links' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({
+        name: 'Project Alpha',
+        description: 'Research links',
+        color: '#3b82f6',
+        bookmarkCount: 0
+      });
+      expect(response.body.data.id).toBeDefined();
+    });
+
+    test('should reject a missing name', async () => {
+      const response = await request(app)
+        .post('/api/collections')
+        .send({ color: '#ff0000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an invalid color', async () => {
+      const response = await request(app)
+        .post('/api/collections')
+        .send({ name: 'Bad color', color: 'blue-ish' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/collections/:id', () => {
+    test('should rename and recolor a collection', async () => {
+      const collection = await createCollection({ name: 'Old name', description: 'Keep me' });
+
+      const response = await request(app)
+        .patch(`/api/collections/${collection.id}`)
+        .send({ name: 'New name', color: '#10b981' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        name: 'New name',
+        color: '#10b981',
+        description: 'Keep me'
+      });
+    });
+
+    test('should return 404 for non-existent collection', async () => {
+      const response = await request(app)
+        .patch('/api/collections/99999')
+        .send({ name: 'Nope' })
+        .expect(404);
+
+      expect(response.body.message).toBe('Collection not found');
+    });
+  });
+
+  describe('DELETE /api/collections/:id', () => {
+    test('should delete a collection but keep its bookmarks', async () => {
+      const collection = await createCollection();
+      const bookmark = await createBookmark();
+
+      await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/${bookmark.id}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/collections/${collection.id}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/collections/${collection.id}`)
+        .expect(404);
+
+      const response = await request(app)
+        .get(`/api/bookmarks/${bookmark.id}`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(bookmark.id);
+    });
+
+    test('should return 404 for non-existent collection', async () => {
+      const response = await request(app)
+        .delete('/api/collections/99999')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/collections', () => {
+    test('should list collections with bookmark counts', async () => {
+      const research = await createCollection({ name: 'Research' });
+      await createCollection({ name: 'Archive' });
+      const first = await createBookmark({ url: 'https://one.example.com' });
+      const second = await createBookmark({ url: 'https://two.example.com' });
+
+      await request(app)
+        .post(`/api/collections/${research.id}/bookmarks`)
+        .send({ bookmarkIds: [first.id, second.id] })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/collections')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data.map(c => c.name)).toEqual(['Archive', 'Research']);
+      expect(response.body.data.find(c => c.name === 'Research').bookmarkCount).toBe(2);
+    });
+
+    test('should not count archived bookmarks', async () => {
+      const collection = await createCollection();
+      const bookmark = await createBookmark();
+
+      await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/${bookmark.id}`)
+        .expect(200);
+      await request(app).delete(`/api/bookmarks/${bookmark.id}`).expect(200);
+
+      const response = await request(app)
+        .get(`/api/collections/${collection.id}`)
+        .expect(200);
+
+      expect(response.body.data.bookmarkCount).toBe(0);
+    });
+  });
+
+  describe('Collection membership', () => {
+    test('should add bookmarks in bulk and report missing ids', async () => {
+      const collection = await createCollection();
+      const bookmark = await createBookmark();
+
+      const response = await request(app)
+        .post(`/api/collections/${collection.id}/bookmarks`)
+        .send({ bookmarkIds: [bookmark.id, bookmark.id, 99999] })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        added: 1,
+        alreadyPresent: 0,
+        notFound: [99999]
+      });
+      expect(response.body.data.collection.bookmarkCount).toBe(1);
+    });
+
+    test('should treat re-adding a bookmark as a no-op', async () => {
+      const collection = await createCollection();
+      const bookmark = await createBookmark();
+
+      await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/${bookmark.id}`)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/${bookmark.id}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Bookmark already in collection');
+    });
+
+    test('should return 404 when adding a missing bookmark', async () => {
+      const collection = await createCollection();
+
+      const response = await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/99999`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Bookmark not found');
+    });
+
+    test('should remove bookmarks individually and in bulk', async () => {
+      const collection = await createCollection();
+      const first = await createBookmark({ url: 'https://one.example.com' });
+      const second = await createBookmark({ url: 'https://two.example.com' });
+      const third = await createBookmark({ url: 'https://three.example.com' });
+
+      await request(app)
+        .post(`/api/collections/${collection.id}/bookmarks`)
+        .send({ bookmarkIds: [first.id, second.id, third.id] })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/collections/${collection.id}/bookmarks/${first.id}`)
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/collections/${collection.id}/bookmarks`)
+        .send({ bookmarkIds: [second.id, third.id] })
+        .expect(200);
+
+      expect(response.body.data.removed).toBe(2);
+      expect(response.body.data.collection.bookmarkCount).toBe(0);
+
+      await request(app)
+        .delete(`/api/collections/${collection.id}/bookmarks/${first.id}`)
+        .expect(404);
+    });
+
+    test('should reject an empty bulk request', async () => {
+      const collection = await createCollection();
+
+      const response = await request(app)
+        .post(`/api/collections/${collection.id}/bookmarks`)
+        .send({ bookmarkIds: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/bookmarks?collection=', () => {
+    test('should filter bookmarks by collection', async () => {
+      const collection = await createCollection();
+      const inside = await createBookmark({ title: 'Inside', url: 'https://inside.example.com' });
+      await createBookmark({ title: 'Outside', url: 'https://outside.example.com' });
+
+      await request(app)
+        .put(`/api/collections/${collection.id}/bookmarks/${inside.id}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/bookmarks?collection=${collection.id}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].title).toBe('Inside');
+    });
+
+    test('should reject a non-numeric collection filter', async () => {
+      const response = await request(app)
+        .get('/api/bookmarks?collection=abc');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+// Integration tests for the bookmark export endpoint
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+
+describe('Export API Integration Tests', () => {
+  let app;
+
+  const createBookmark = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bookmarks')
+      .send(global.testUtils.createTestBookmark(overrides));
+    return response.body.data;
+  };
+
+  const seedLibrary = async () => {
+    const first = await createBookmark({
+      title: 'First, "quoted"',
+      url: 'https://one.example.com/',
+      note: 'Line one\nline two',
+      tags: ['news', 'tech'],
+      keywords: ['alpha', 'beta, gamma'],
+      siteMetadata: { site: 'youtube', type: 'video', channel: 'Example, "Channel"', duration: 253 }
+    });
+    const second = await createBookmark({ title: 'Second', url: 'https://two.example.com/', tags: ['tech'] });
+    const removed = await createBookmark({ title: 'Removed', url: 'https://three.example.com/', tags: [] });
+
+    const collection = await request(app).post('/api/collections').send({ name: 'Reading, later' });
+    await request(app)
+      .post(`/api/collections/${collection.body.data.id}/bookmarks`)
+      .send({ bookmarkIds: [first.id] });
+    await request(app).delete(`/api/bookmarks/${removed.id}`);
+    await database.run(
+      'UPDATE bookmarks SET created_at = ?, visit_count = 3, last_visited = ? WHERE id = ?',
+      ['2020-01-01 10:00:00', '2021-02-03 04:05:06', first.id]
+    );
+
+    return { first, second, removed, collectionId: collection.body.data.id };
+  };
+
+  const exportJson = async (query = '') => {
+    const response = await request(app).get(`/api/export?format=json${query}`).expect(200);
+    return JSON.parse(response.text).bookmarks;
+  };
+
+  const withoutUpdatedAt = (bookmarks) => bookmarks.map(({ updatedAt: _updatedAt, ...bookmark }) => bookmark);
+
+  beforeAll(async () => {
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    database.close();
+  });
+
+  beforeEach(async () => {
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  describe('GET /api/export', () => {
+    test('should export every field as a JSON download', async () => {
+      await seedLibrary();
+
+      const response = await request(app).get('/api/export').expect(200);
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="bookmarks-\d{4}-\d{2}-\d{2}\.json"$/);
+
+      const { version, bookmarks } = JSON.parse(response.text);
+      expect(version).toBe(1);
+      expect(bookmarks.map(bookmark => bookmark.title)).toEqual(['First, "quoted"', 'Second']);
+      expect(bookmarks[0]).toMatchObject({
+        url: 'https://one.example.com/',
+        note: 'Line one\nline two',
+        tags: ['news', 'tech'],
+        collections: ['Reading, later'],
+        keywords: ['alpha', 'beta, gamma'],
+        siteMetadata: { site: 'youtube', type: 'video', channel: 'Example, "Channel"', duration: 253 },
+        createdAt: '2020-01-01T10:00:00Z',
+        isArchived: false,
+        visitCount: 3,
+        lastVisited: '2021-02-03T04:05:06Z'
+      });
+    });
+
+    test('should filter by tag, collection, date and archived state', async () => {
+      const { collectionId } = await seedLibrary();
+      const titles = async (query) => (await exportJson(query)).map(bookmark => bookmark.title);
+
+      expect(await titles('&tags=news')).toEqual(['First, "quoted"']);
+      expect(await titles('&tags=news&tags=tech')).toEqual(['First, "quoted"', 'Second']);
+      expect(await titles(`&collection=${collectionId}`)).toEqual(['First, "quoted"']);
+      expect(await titles('&to=2020-01-01')).toEqual(['First, "quoted"']);
+      expect(await titles('&from=2020-01-02')).toEqual(['Second']);
+      // The same archived values as GET /api/bookmarks
+      expect(await titles('&archived=only')).toEqual(['Removed']);
+      expect(await titles('&archived=all')).toHaveLength(3);
+    });
+
+    test('should write CSV, Netscape HTML and Markdown', async () => {
+      await seedLibrary();
+
+      const csv = await request(app).get('/api/export?format=csv').expect(200);
+      expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+      const lines = csv.text.split('\r\n');
+      expect(lines[0]).toMatch(/^title,url,canonical_url,description,note,tags,collections,created_at/);
+      expect(lines[1]).toMatch(/^"First, ""quoted""",https:\/\/one\.example\.com\/,,Test description,"Line one\nline two","\[""news"",""tech""\]"/);
+
+      const html = await request(app).get('/api/export?format=html').expect(200);
+      expect(html.text).toMatch(/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+      expect(html.text).toContain('<DT><A HREF="https://one.example.com/" ADD_DATE="1577872800"');
+      expect(html.text).toContain('TAGS="news,tech">First, &quot;quoted&quot;</A>');
+
+      const markdown = await request(app).get('/api/export?format=md').expect(200);
+      expect(markdown.headers['content-type']).toBe('text/markdown; charset=utf-8');
+      expect(markdown.text).toContain('- [Second](<https://two.example.com/>)\n  Test description\n  `tech`\n');
+    });
+
+    test('should keep Markdown markup in descriptions from changing the list', async () => {
+      await createBookmark({
+        title: 'Notes [draft]',
+        url: 'https://notes.example.com/',
+        description: '# Not a heading\n\n- not an item\n1. nor this\nsee [link](https://evil.example.com)',
+        tags: []
+      });
+
+      const markdown = await request(app).get('/api/export?format=md').expect(200);
+      expect(markdown.text).toContain([
+        '- [Notes \\[draft\\]](<https://notes.example.com/>)',
+        '  \\# Not a heading',
+        '  \\- not an item',
+        '  1\\. nor this',
+        '  see \\[link\\]\\(https://evil.example.com\\)',
+        ''
+      ].join('\n'));
+    });
+
+    test('should keep URLs and tags from breaking out of their Markdown syntax', async () => {
+      // Imports keep URLs as written, spaces and angle brackets included
+      await request(app)
+        .post('/api/import')
+        .send({
+          version: 1,
+          bookmarks: [{ title: 'Odd', url: 'https://odd.example.com/a b>[x](y)<\\', tags: ['c#`', '``x'] }]
+        })
+        .expect(200);
+
+      const markdown = await request(app).get('/api/export?format=md').expect(200);
+      expect(markdown.text).toContain([
+        '- [Odd](<https://odd.example.com/a%20b%3E[x](y)%3C%5C>)',
+        '  ``` ``x ``` `` c#` ``',
+        ''
+      ].join('\n'));
+    });
+
+    test('should round-trip JSON and CSV through the import endpoint', async () => {
+      await seedLibrary();
+      const original = withoutUpdatedAt(await exportJson('&archived=all'));
+
+      for (const format of ['json', 'csv']) {
+        const file = await request(app).get(`/api/export?format=${format}&archived=all`).expect(200);
+        await global.testUtils.cleanupDatabase(database);
+
+        const imported = await request(app)
+          .post('/api/import')
+          .set('Content-Type', format === 'json' ? 'application/json' : 'text/csv')
+          .send(file.text)
+          .expect(200);
+        expect(imported.body.data).toMatchObject({ format: 'bookmarkable', imported: 3, failed: 0 });
+
+        expect(withoutUpdatedAt(await exportJson('&archived=all'))).toEqual(original);
+      }
+    });
+
+    test('should keep Netscape fields through the import endpoint', async () => {
+      await seedLibrary();
+      const file = await request(app).get('/api/export?format=html').expect(200);
+      await global.testUtils.cleanupDatabase(database);
+
+      await request(app).post('/api/import').set('Content-Type', 'text/html').send(file.text).expect(200);
+
+      const [first] = await exportJson();
+      expect(first).toMatchObject({
+        title: 'First, "quoted"',
+        description: 'Test description',
+        tags: ['news', 'tech'],
+        createdAt: '2020-01-01T10:00:00Z'
+      });
+    });
+
+    test('should stream libraries larger than one batch', async () => {
+      const values = Array.from({ length: 1203 }, (_, index) => index);
+      await database.transaction(async () => {
+        for (const index of values) {
+          await database.run(
+            'INSERT INTO bookmarks (title, url) VALUES (?, ?)',
+            [`Bookmark ${index}`, `https://example.com/${index}`]
+          );
+        }
+      });
+
+      const bookmarks = await exportJson();
+      expect(bookmarks).toHaveLength(1203);
+      expect(bookmarks[1202].title).toBe('Bookmark 1202');
+    });
+
+    test('should validate the query', async () => {
+      const response = await request(app).get('/api/export?format=xml').expect(400);
+      expect(response.headers['content-disposition']).toBeUndefined();
+      await request(app).get('/api/export?from=yesterday').expect(400);
+      await request(app).get('/api/export?archived=maybe').expect(400);
+      await request(app).get('/api/export?archived=true').expect(400);
+    });
+  });
+
+  test('should not be mounted when ENABLE_EXPORT is off', async () => {
+    process.env.ENABLE_EXPORT = 'false';
+    let disabledApp;
+    jest.isolateModules(() => {
+      const server = require('../../server');
+      disabledApp = server.createApp();
+      server.configureMiddleware(disabledApp);
+      server.configureRoutes(disabledApp);
+    });
+    delete process.env.ENABLE_EXPORT;
+
+    const response = await request(disabledApp).get('/api/export');
+    expect(response.status).toBe(404);
+  });
+});
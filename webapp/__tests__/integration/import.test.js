@@ -0,0 +1,298 @@
+// Integration tests for the bookmark import endpoint
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+
+const BOOKMARKS_FILE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1600000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/guide" ADD_DATE="1577836800">Guide &amp; Reference</A>
+        <DT><H3>Dev</H3>
+        <DL><p>
+            <DT><H3>JavaScript</H3>
+            <DL><p>
+                <DT><A HREF="https://js.example.com/" ADD_DATE="1580515200" TAGS="docs">JS Docs</A>
+                <DD>Language reference
+            </DL><p>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://www.example.com/guide/?utm_source=bookmarks">Guide again</A>
+    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+</DL><p>
+`;
+
+const POCKET_CSV = `title,url,time_added,tags,status
+Read later,https://pocket.example.com/one,1600000000,news|long reads,unread
+"Done, thanks",https://pocket.example.com/two,1600000100,,archive
+`;
+
+const PINBOARD_JSON = [
+  {
+    href: 'https://pinboard.example.com/',
+    description: 'Pinboard link',
+    extended: 'Worth a second look',
+    time: '2019-06-01T12:00:00Z',
+    shared: 'no',
+    toread: 'yes',
+    tags: 'tools web'
+  }
+];
+
+const RAINDROP_CSV = `id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite
+1,Raindrop link,My note,An excerpt,https://raindrop.example.com/,Work/Research,"a, b",2021-03-04T05:06:07.000Z,,,true
+`;
+
+const INSTAPAPER_CSV = `URL,Title,Selection,Folder,Timestamp
+https://instapaper.example.com/,Instapaper link,,Archive,1610000000
+https://instapaper.example.com/2,In a folder,Quoted text,Recipes,1610000100
+`;
+
+describe('Import API Integration Tests', () => {
+  let app;
+
+  const importFile = (path = '/api/import') => request(app)
+    .post(path)
+    .set('Content-Type', 'text/html')
+    .send(BOOKMARKS_FILE);
+
+  beforeAll(async () => {
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    database.close();
+  });
+
+  beforeEach(async () => {
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  describe('POST /api/import', () => {
+    test('should import links with folders as tags and report the counts', async () => {
+      const response = await importFile().expect(200);
+
+      expect(response.body.data).toMatchObject({ total: 4, imported: 2, skipped: 1, failed: 1 });
+      expect(response.body.data.errors).toEqual([
+        { url: 'javascript:alert(1)', title: 'Bookmarklet', error: 'Only http and https URLs can be imported' }
+      ]);
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      const docs = bookmarks.body.data.find(bookmark => bookmark.url === 'https://js.example.com/');
+      expect(docs).toMatchObject({ title: 'JS Docs', description: 'Language reference' });
+      expect(docs.tags.map(tag => tag.name).sort()).toEqual(['Dev', 'JavaScript', 'docs']);
+
+      const guide = bookmarks.body.data.find(bookmark => bookmark.url === 'https://example.com/guide');
+      expect(guide).toMatchObject({ title: 'Guide & Reference', createdAt: '2020-01-01 00:00:00' });
+      expect(guide.tags).toEqual([]);
+    });
+
+    test('should map folder paths to collections', async () => {
+      await importFile('/api/import?folders=collections').expect(200);
+
+      const collections = await request(app).get('/api/collections').expect(200);
+      expect(collections.body.data.map(collection => collection.name)).toEqual(['Dev / JavaScript']);
+
+      const bookmarks = await request(app)
+        .get(`/api/bookmarks?collection=${collections.body.data[0].id}`)
+        .expect(200);
+      expect(bookmarks.body.data.map(bookmark => bookmark.title)).toEqual(['JS Docs']);
+      expect(bookmarks.body.data[0].tags.map(tag => tag.name)).toEqual(['docs']);
+    });
+
+    test('should skip everything on a second import', async () => {
+      await importFile().expect(200);
+
+      const response = await importFile().expect(200);
+      expect(response.body.data).toMatchObject({ imported: 0, skipped: 3, failed: 1 });
+    });
+
+    test('should accept the file in a JSON body', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .send({ html: BOOKMARKS_FILE })
+        .expect(200);
+
+      expect(response.body.data.imported).toBe(2);
+    });
+
+    test('should undo the partial writes of an item that fails after its bookmark is saved', async () => {
+      await database.run(`CREATE TRIGGER fail_collection_link BEFORE INSERT ON bookmark_collections
+        WHEN (SELECT name FROM collections WHERE id = NEW.collection_id) = 'Dev / JavaScript'
+        BEGIN SELECT RAISE(ABORT, 'collection link failed'); END`);
+
+      try {
+        const response = await importFile('/api/import?folders=collections').expect(200);
+        expect(response.body.data).toMatchObject({ imported: 1, skipped: 1, failed: 2 });
+        expect(response.body.data.errors).toContainEqual(
+          { url: 'https://js.example.com/', title: 'JS Docs', error: 'SQLITE_CONSTRAINT: collection link failed' }
+        );
+      } finally {
+        await database.run('DROP TRIGGER fail_collection_link');
+      }
+
+      const rows = await database.query('SELECT url FROM bookmarks ORDER BY id');
+      expect(rows.map(row => row.url)).toEqual(['https://example.com/guide']);
+      const collections = await database.query('SELECT name FROM collections');
+      expect(collections).toEqual([]);
+    });
+
+    test('should run a tag merge while an import is in progress', async () => {
+      const links = Array.from({ length: 250 }, (value, index) =>
+        `<DT><A HREF="https://batch.example.com/${index}" TAGS="old">Link ${index}</A>`);
+      const file = `<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p>\n${links.join('\n')}\n</DL><p>\n`;
+
+      const tagged = await request(app)
+        .post('/api/bookmarks')
+        .send({ url: 'https://tagged.example.com/', title: 'Tagged', tags: ['one', 'two'] })
+        .expect(201);
+      const [one, two] = tagged.body.data.tags.map(tag => tag.id);
+
+      const [imported, merged] = await Promise.all([
+        request(app).post('/api/import').set('Content-Type', 'text/html').send(file),
+        request(app).post('/api/bookmarks/tags/merge').send({ sourceTagIds: [one], targetTagId: two })
+      ]);
+
+      expect(imported.status).toBe(200);
+      expect(imported.body.data).toMatchObject({ total: 250, imported: 250, failed: 0 });
+      expect(merged.status).toBe(200);
+
+      const [{ count }] = await database.query('SELECT COUNT(*) AS count FROM bookmarks');
+      expect(count).toBe(251);
+    });
+
+    test('should list the supported formats', async () => {
+      const response = await request(app).get('/api/import/formats').expect(200);
+
+      expect(response.body.data.map(format => format.name))
+        .toEqual(['bookmarkable', 'netscape', 'pocket', 'pinboard', 'raindrop', 'instapaper']);
+    });
+
+    test('should import Pocket CSV with read state as tags', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .set('Content-Type', 'text/csv')
+        .send(POCKET_CSV)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ format: 'pocket', imported: 2 });
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      const tagsByTitle = Object.fromEntries(bookmarks.body.data.map(bookmark => [
+        bookmark.title,
+        bookmark.tags.map(tag => tag.name).sort()
+      ]));
+      expect(tagsByTitle).toEqual({
+        'Read later': ['long reads', 'news', 'unread'],
+        'Done, thanks': ['archived']
+      });
+    });
+
+    test('should import a Pinboard JSON export with notes', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .send(PINBOARD_JSON)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ format: 'pinboard', imported: 1 });
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      expect(bookmarks.body.data[0]).toMatchObject({
+        title: 'Pinboard link',
+        note: 'Worth a second look',
+        createdAt: '2019-06-01 12:00:00'
+      });
+      expect(bookmarks.body.data[0].tags.map(tag => tag.name).sort()).toEqual(['tools', 'unread', 'web']);
+    });
+
+    test('should import Raindrop and Instapaper CSV', async () => {
+      await request(app)
+        .post('/api/import?folders=collections')
+        .set('Content-Type', 'text/csv')
+        .send(RAINDROP_CSV)
+        .expect(200);
+      await request(app)
+        .post('/api/import')
+        .set('Content-Type', 'text/csv')
+        .send(INSTAPAPER_CSV)
+        .expect(200);
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      const byTitle = Object.fromEntries(bookmarks.body.data.map(bookmark => [bookmark.title, bookmark]));
+
+      expect(byTitle['Raindrop link']).toMatchObject({
+        description: 'An excerpt',
+        note: 'My note',
+        createdAt: '2021-03-04 05:06:07'
+      });
+      expect(byTitle['Raindrop link'].tags.map(tag => tag.name).sort()).toEqual(['a', 'b', 'favorite']);
+      expect(byTitle['Instapaper link'].tags.map(tag => tag.name)).toEqual(['archived']);
+      expect(byTitle['In a folder'].tags.map(tag => tag.name)).toEqual(['Recipes']);
+
+      const collections = await request(app).get('/api/collections').expect(200);
+      expect(collections.body.data.map(collection => collection.name)).toEqual(['Work / Research']);
+    });
+
+    test('should preview a dry run without saving', async () => {
+      await request(app)
+        .post('/api/import?format=pocket')
+        .set('Content-Type', 'text/csv')
+        .send(POCKET_CSV.split('\n').slice(0, 2).join('\n'))
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(POCKET_CSV)
+        .expect(200);
+
+      expect(response.body.message).toBe('Would import 1 of 2 bookmarks');
+      expect(response.body.data).toMatchObject({ dryRun: true, imported: 1, skipped: 1 });
+      expect(response.body.data.preview).toEqual([
+        expect.objectContaining({ action: 'skip', url: 'https://pocket.example.com/one' }),
+        expect.objectContaining({
+          action: 'import',
+          title: 'Done, thanks',
+          createdAt: '2020-09-13 12:28:20',
+          tags: ['archived'],
+          collections: []
+        })
+      ]);
+
+      const bookmarks = await request(app).get('/api/bookmarks').expect(200);
+      expect(bookmarks.body.data).toHaveLength(1);
+    });
+
+    test('should reject a file that does not match the requested format', async () => {
+      const response = await request(app)
+        .post('/api/import?format=pinboard')
+        .set('Content-Type', 'text/csv')
+        .send(POCKET_CSV)
+        .expect(400);
+
+      expect(response.body.message).toBe('Expected a Pinboard (JSON) export');
+    });
+
+    test('should reject other content', async () => {
+      const response = await request(app)
+        .post('/api/import')
+        .set('Content-Type', 'text/plain')
+        .send('just some text')
+        .expect(400);
+      expect(response.body.message).toMatch(/^Unrecognized import file/);
+
+      await request(app)
+        .post('/api/import?folders=nested')
+        .set('Content-Type', 'text/html')
+        .send(BOOKMARKS_FILE)
+        .expect(400);
+    });
+  });
+});
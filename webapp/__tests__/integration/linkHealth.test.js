@@ -0,0 +1,210 @@
+// Integration tests for link health checks, run against a local stub HTTP server
+const http = require('http');
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+const { checkUrl, runLinkChecks } = require('../../services/linkHealth');
+
+describe('Link health', () => {
+  let app;
+  let stub;
+  let baseUrl;
+  const requests = [];
+
+  const ROUTES = {
+    '/ok': { status: 200 },
+    '/missing': { status: 404 },
+    '/gone': { status: 410 },
+    '/moved': { status: 301, location: '/ok' },
+    '/moved-twice': { status: 308, location: '/moved' },
+    '/temporary': { status: 302, location: '/ok' },
+    '/error': { status: 503 }
+  };
+
+  const createBookmark = async (path, overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bookmarks')
+      .send(global.testUtils.createTestBookmark({ url: `${baseUrl}${path}`, ...overrides }));
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    process.env.LINK_CHECK_HOST_DELAY_MS = '0';
+    // The stub server listens on loopback
+    process.env.METADATA_FETCH_PRIVATE_HOSTS = 'true';
+
+    // Some servers refuse HEAD; /head-refused only answers GET
+    stub = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      if (req.url === '/head-refused') {
+        res.writeHead(req.method === 'HEAD' ? 405 : 200);
+        return res.end();
+      }
+      const route = ROUTES[req.url] || { status: 404 };
+      res.writeHead(route.status, route.location ? { Location: route.location } : {});
+      res.end();
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${stub.address().port}`;
+
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    delete process.env.LINK_CHECK_HOST_DELAY_MS;
+    delete process.env.METADATA_FETCH_PRIVATE_HOSTS;
+    await new Promise(resolve => stub.close(resolve));
+    database.close();
+  });
+
+  beforeEach(async () => {
+    requests.length = 0;
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  test('should follow redirects and note whether every hop was permanent', async () => {
+    await expect(checkUrl(`${baseUrl}/moved-twice`, { allowPrivateHosts: true })).resolves.toEqual({
+      statusCode: 200,
+      finalUrl: `${baseUrl}/ok`,
+      redirects: 2,
+      permanentRedirect: true,
+      error: null
+    });
+    await expect(checkUrl(`${baseUrl}/temporary`, { allowPrivateHosts: true })).resolves.toMatchObject({
+      statusCode: 200,
+      redirects: 1,
+      permanentRedirect: false
+    });
+  });
+
+  test('should retry with GET when HEAD is refused', async () => {
+    const check = await checkUrl(`${baseUrl}/head-refused`, { allowPrivateHosts: true });
+
+    expect(check.statusCode).toBe(200);
+    expect(requests).toEqual(['HEAD /head-refused', 'GET /head-refused']);
+  });
+
+  test('should check every live bookmark and list the broken ones', async () => {
+    const ok = await createBookmark('/ok');
+    const missing = await createBookmark('/missing');
+    const gone = await createBookmark('/gone');
+    const moved = await createBookmark('/moved');
+    const failing = await createBookmark('/error');
+
+    await expect(runLinkChecks()).resolves.toEqual({ checked: 5, broken: 2 });
+
+    const broken = await request(app)
+      .get('/api/bookmarks?health=broken')
+      .expect(200);
+    expect(broken.body.data.map(bookmark => bookmark.id).sort()).toEqual([missing.id, gone.id].sort());
+    expect(broken.body.data.find(bookmark => bookmark.id === gone.id).linkHealth).toMatchObject({
+      status: 'broken',
+      statusCode: 410,
+      finalUrl: null
+    });
+    await request(app).get('/api/bookmarks?health=dead').expect(400);
+
+    const byId = async (id) => (await request(app).get(`/api/bookmarks/${id}`)).body.data.linkHealth;
+    expect(await byId(ok.id)).toMatchObject({ status: 'ok', statusCode: 200 });
+    expect(await byId(moved.id)).toMatchObject({
+      status: 'redirected',
+      finalUrl: `${baseUrl}/ok`,
+      permanentRedirect: true
+    });
+    expect(await byId(failing.id)).toMatchObject({ status: 'error', statusCode: 503 });
+    expect((await byId(ok.id)).checkedAt).toBeTruthy();
+
+    // Checked bookmarks wait LINK_CHECK_INTERVAL_DAYS for the next round
+    await expect(runLinkChecks()).resolves.toEqual({ checked: 0, broken: 0 });
+  });
+
+  test('should flag hosts that no longer resolve as broken', async () => {
+    const bookmark = await createBookmark('/ok', { url: 'https://expired-domain.example/page' });
+    const lookup = (hostname, options, callback) => {
+      const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      error.code = 'ENOTFOUND';
+      callback(error);
+    };
+
+    await expect(runLinkChecks({ lookup })).resolves.toEqual({ checked: 1, broken: 1 });
+
+    const response = await request(app)
+      .get(`/api/bookmarks/${bookmark.id}`)
+      .expect(200);
+    expect(response.body.data.linkHealth).toMatchObject({
+      status: 'broken',
+      statusCode: null,
+      error: 'ENOTFOUND'
+    });
+  });
+
+  test('should check a single bookmark on request', async () => {
+    const bookmark = await createBookmark('/missing');
+
+    const response = await request(app)
+      .post(`/api/bookmarks/${bookmark.id}/check-link`)
+      .expect(200);
+
+    expect(response.body.data.linkHealth).toMatchObject({ status: 'broken', statusCode: 404 });
+    await request(app).post('/api/bookmarks/99999/check-link').expect(404);
+  });
+
+  test('should refuse private and loopback addresses unless allowed', async () => {
+    await expect(checkUrl(`${baseUrl}/ok`)).resolves.toMatchObject({ statusCode: null, error: 'PRIVATE_ADDRESS' });
+    await expect(checkUrl('http://10.0.0.1/admin')).resolves.toMatchObject({ error: 'PRIVATE_ADDRESS' });
+    // Names that resolve into the local network are refused too
+    const lookup = (hostname, options, callback) => callback(null, '127.0.0.1', 4);
+    await expect(checkUrl('http://intranet.example/', { lookup })).resolves.toMatchObject({ error: 'PRIVATE_ADDRESS' });
+    expect(requests).toEqual([]);
+
+    process.env.METADATA_FETCH_PRIVATE_HOSTS = 'false';
+    try {
+      const bookmark = await createBookmark('/missing');
+      const response = await request(app)
+        .post(`/api/bookmarks/${bookmark.id}/check-link`)
+        .expect(200);
+
+      expect(response.body.data.linkHealth).toMatchObject({ status: 'error', statusCode: null, error: 'PRIVATE_ADDRESS' });
+      expect(requests).toEqual([]);
+    } finally {
+      process.env.METADATA_FETCH_PRIVATE_HOSTS = 'true';
+    }
+  });
+
+  test('should move a bookmark to its permanent redirect target', async () => {
+    const moved = await createBookmark('/moved');
+    const temporary = await createBookmark('/temporary');
+    await runLinkChecks();
+
+    await request(app)
+      .post(`/api/bookmarks/${temporary.id}/apply-redirect`)
+      .expect(400);
+
+    const response = await request(app)
+      .post(`/api/bookmarks/${moved.id}/apply-redirect`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      url: `${baseUrl}/ok`,
+      revision: moved.revision + 1,
+      linkHealth: { status: 'ok', finalUrl: null, permanentRedirect: false }
+    });
+    expect(response.headers.etag).toBe(`"${moved.revision + 1}"`);
+  });
+
+  test('should not apply a redirect onto a page already bookmarked', async () => {
+    const existing = await createBookmark('/ok');
+    const moved = await createBookmark('/moved');
+    await runLinkChecks();
+
+    const response = await request(app)
+      .post(`/api/bookmarks/${moved.id}/apply-redirect`)
+      .expect(409);
+
+    expect(response.body.existingId).toBe(existing.id);
+  });
+});
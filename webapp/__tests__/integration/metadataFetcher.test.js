@@ -0,0 +1,161 @@
+// Integration tests for the metadata fetcher, run against a local stub HTTP server that
+// serves the saved pages in __tests__/fixtures/pages
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+const { processMetadataJobs } = require('../../services/metadataFetcher');
+
+describe('Metadata fetcher', () => {
+  let app;
+  let stub;
+  let baseUrl;
+  const requests = [];
+
+  const readFixture = (name) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', name));
+
+  const ROUTES = {
+    '/robots.txt': { type: 'text/plain', body: 'User-agent: *\nDisallow: /private/\n' },
+    '/article': { type: 'text/html; charset=utf-8', body: readFixture('article.html') },
+    '/digest': { type: 'text/html; charset=iso-8859-1', body: readFixture('twitter-card.html') },
+    '/private/page': { type: 'text/html', body: '<title>Private</title>' },
+    '/report.pdf': { type: 'application/pdf', body: '%PDF-1.7' },
+    '/unavailable': { status: 503 }
+  };
+
+  // Local stub pages need private addresses allowed; requests to a host are not paced
+  const run = (options = {}) => processMetadataJobs({ allowPrivateHosts: true, hostDelayMs: 0, ...options });
+
+  const createBookmark = async (pagePath, overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bookmarks')
+      .send(global.testUtils.createTestBookmark({
+        url: `${baseUrl}${pagePath}`,
+        title: `${baseUrl}${pagePath}`,
+        description: null,
+        favicon: null,
+        ...overrides
+      }))
+      .expect(201);
+    return response.body.data;
+  };
+
+  const getJob = async (bookmarkId) => (await database.query(
+    'SELECT * FROM metadata_jobs WHERE bookmark_id = ?',
+    [bookmarkId]
+  ))[0];
+
+  const getBookmark = async (id) => (await request(app).get(`/api/bookmarks/${id}`).expect(200)).body.data;
+
+  beforeAll(async () => {
+    stub = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      if (req.url === '/slow') {
+        return; // never answers
+      }
+      const route = ROUTES[req.url] || { status: 404 };
+      res.writeHead(route.status || 200, route.type ? { 'Content-Type': route.type } : {});
+      res.end(route.body);
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${stub.address().port}`;
+
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    stub.closeAllConnections();
+    await new Promise(resolve => stub.close(resolve));
+    database.close();
+  });
+
+  beforeEach(async () => {
+    requests.length = 0;
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  test('should fill in the details of a bookmark created with only a URL', async () => {
+    const bookmark = await createBookmark('/article');
+
+    await expect(run()).resolves.toEqual({ processed: 1, updated: 1, failed: 0 });
+
+    const updated = await getBookmark(bookmark.id);
+    expect(updated).toMatchObject({
+      title: 'Understanding SQLite FTS5',
+      description: 'How full-text search works in SQLite, from tokenizers to bm25 ranking & snippets.',
+      favicon: `${baseUrl}/favicon-32.png`,
+      primaryImage: `${baseUrl}/images/fts5-cover.png`,
+      author: 'Ada Lovelace, Grace Hopper',
+      publishedDate: '2024-02-10T08:30:00Z',
+      siteName: 'Example Engineering',
+      canonicalUrl: `${baseUrl}/posts/fts5`,
+      revision: bookmark.revision + 1
+    });
+    expect(await getJob(bookmark.id)).toMatchObject({ status: 'done', attempts: 1 });
+
+    // Done jobs are not picked up again
+    await expect(run()).resolves.toEqual({ processed: 0, updated: 0, failed: 0 });
+  });
+
+  test('should keep details the client sent and decode the page charset', async () => {
+    const bookmark = await createBookmark('/digest', { title: 'My digest', description: 'Kept as sent' });
+
+    await run();
+
+    expect(await getBookmark(bookmark.id)).toMatchObject({
+      title: 'My digest',
+      description: 'Kept as sent',
+      author: 'Jean Dupont',
+      publishedDate: '2024-03-01'
+    });
+  });
+
+  test('should not queue bookmarks the extension captured', async () => {
+    await createBookmark('/article', { textContent: 'Page text read by the extension' });
+
+    await expect(run()).resolves.toMatchObject({ processed: 0 });
+    expect(requests).toEqual([]);
+  });
+
+  test('should respect robots.txt and skip pages that are not HTML', async () => {
+    const privatePage = await createBookmark('/private/page');
+    const pdf = await createBookmark('/report.pdf');
+
+    await expect(run()).resolves.toEqual({ processed: 2, updated: 0, failed: 0 });
+
+    expect(await getJob(privatePage.id)).toMatchObject({ status: 'skipped', last_error: 'ROBOTS_DISALLOWED' });
+    expect(await getJob(pdf.id)).toMatchObject({ status: 'skipped', last_error: 'NOT_HTML' });
+    // robots.txt is read once per host and round
+    expect(requests).toEqual(['GET /robots.txt', 'GET /report.pdf']);
+  });
+
+  test('should retry server errors and timeouts but not missing pages', async () => {
+    const unavailable = await createBookmark('/unavailable');
+    const missing = await createBookmark('/missing');
+    const slow = await createBookmark('/slow');
+
+    await expect(run({ timeout: 200 })).resolves.toEqual({ processed: 3, updated: 0, failed: 1 });
+
+    expect(await getJob(missing.id)).toMatchObject({ status: 'failed', last_error: 'HTTP_404' });
+    expect(await getJob(unavailable.id)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'HTTP_503' });
+    expect(await getJob(slow.id)).toMatchObject({ status: 'pending', last_error: 'ETIMEDOUT' });
+
+    // Retries wait before they are due again
+    await expect(run()).resolves.toMatchObject({ processed: 0 });
+  });
+
+  test('should refuse private addresses unless they are allowed', async () => {
+    const bookmark = await createBookmark('/article');
+
+    await expect(run({ allowPrivateHosts: false })).resolves.toMatchObject({ processed: 1, failed: 1 });
+
+    expect(await getJob(bookmark.id)).toMatchObject({ status: 'failed', last_error: 'PRIVATE_ADDRESS' });
+    expect(requests).toEqual([]);
+  });
+});
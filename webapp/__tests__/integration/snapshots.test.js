@@ -0,0 +1,190 @@
+// Integration tests for offline page snapshots
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+const { hashContent, deleteUnusedSnapshots } = require('../../services/snapshots');
+
+describe('Snapshots', () => {
+  let app;
+  let snapshotDir;
+
+  const PAGE = '<!DOCTYPE html><html><head><title>Saved</title></head><body><p>Still here</p></body></html>';
+
+  const createBookmark = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bookmarks')
+      .send(global.testUtils.createTestBookmark(overrides));
+    return response.body.data;
+  };
+
+  const uploadSnapshot = (id, content = PAGE, contentType = 'text/html') => request(app)
+    .put(`/api/bookmarks/${id}/snapshot`)
+    .set('Content-Type', contentType)
+    .send(content);
+
+  const listStoredFiles = () => (fs.existsSync(snapshotDir)
+    ? fs.readdirSync(snapshotDir).flatMap(folder => fs.readdirSync(path.join(snapshotDir, folder)))
+    : []);
+
+  beforeAll(async () => {
+    snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    process.env.SNAPSHOT_DIR = snapshotDir;
+
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    delete process.env.SNAPSHOT_DIR;
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+    database.close();
+  });
+
+  beforeEach(async () => {
+    delete process.env.SNAPSHOT_QUOTA_MB;
+    await global.testUtils.cleanupDatabase(database);
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('should store an HTML snapshot and serve it sandboxed', async () => {
+    const bookmark = await createBookmark();
+
+    const upload = await uploadSnapshot(bookmark.id).expect(200);
+    expect(upload.body.data.snapshot).toMatchObject({
+      hash: hashContent(PAGE),
+      contentType: 'text/html',
+      size: PAGE.length
+    });
+    // Where the file lives on the server is not shared
+    expect(upload.body.data.snapshot.path).toBeUndefined();
+    expect(upload.body.data.usage).toMatchObject({ used: PAGE.length, count: 1 });
+
+    const response = await request(app)
+      .get(`/api/bookmarks/${bookmark.id}/snapshot`)
+      .expect(200);
+    expect(response.text).toBe(PAGE);
+    expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(response.headers['content-security-policy']).toMatch(/^sandbox;/);
+    expect(response.headers.etag).toBe(`"${hashContent(PAGE)}"`);
+
+    await request(app)
+      .get(`/api/bookmarks/${bookmark.id}/snapshot`)
+      .set('If-None-Match', response.headers.etag)
+      .expect(304);
+
+    const details = await request(app).get(`/api/bookmarks/${bookmark.id}`);
+    expect(details.body.data.snapshot).toMatchObject({ contentType: 'text/html' });
+    expect(details.body.data.snapshot.capturedAt).toBeTruthy();
+  });
+
+  test('should offer MHTML snapshots as a download', async () => {
+    const bookmark = await createBookmark();
+    const mhtml = 'MIME-Version: 1.0\r\n\r\nsaved page';
+    await uploadSnapshot(bookmark.id, mhtml, 'multipart/related').expect(200);
+
+    const response = await request(app)
+      .get(`/api/bookmarks/${bookmark.id}/snapshot`)
+      .responseType('blob')
+      .expect(200);
+
+    expect(response.body.toString()).toBe(mhtml);
+    expect(response.headers['content-type']).toMatch(/^multipart\/related/);
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="bookmark-${bookmark.id}.mhtml"`);
+  });
+
+  test('should keep one file for identical snapshots and count it once', async () => {
+    const first = await createBookmark({ url: 'https://example.com/one' });
+    const second = await createBookmark({ url: 'https://example.com/two' });
+
+    await uploadSnapshot(first.id).expect(200);
+    const response = await uploadSnapshot(second.id).expect(200);
+
+    expect(listStoredFiles()).toEqual([hashContent(PAGE)]);
+    expect(response.body.data.usage).toMatchObject({ used: PAGE.length, count: 1 });
+  });
+
+  test('should delete files once no bookmark uses them', async () => {
+    const bookmark = await createBookmark();
+    await uploadSnapshot(bookmark.id, '<p>first</p>').expect(200);
+    await uploadSnapshot(bookmark.id, '<p>second</p>').expect(200);
+
+    expect(listStoredFiles()).toEqual([hashContent('<p>second</p>')]);
+
+    await request(app).delete(`/api/bookmarks/${bookmark.id}/snapshot`).expect(200);
+    expect(listStoredFiles()).toEqual([]);
+    await request(app).get(`/api/bookmarks/${bookmark.id}/snapshot`).expect(404);
+    await request(app).delete(`/api/bookmarks/${bookmark.id}/snapshot`).expect(404);
+  });
+
+  test('should keep the file of a snapshot saved while a cleanup runs', async () => {
+    const first = await createBookmark({ url: 'https://example.com/one' });
+    const second = await createBookmark({ url: 'https://example.com/two' });
+    await uploadSnapshot(first.id).expect(200);
+    // Leaves the file unreferenced, as a replaced snapshot is before its cleanup
+    await database.run('UPDATE bookmarks SET snapshot_hash = NULL WHERE id = ?', [first.id]);
+
+    // The cleanup starts once the upload has found the file already stored
+    const existsSync = fs.existsSync;
+    let cleanup = null;
+    const existsSpy = jest.spyOn(fs, 'existsSync').mockImplementation((filePath) => {
+      if (!cleanup && String(filePath).startsWith(snapshotDir)) {
+        cleanup = deleteUnusedSnapshots();
+      }
+      return existsSync(filePath);
+    });
+    let upload;
+    try {
+      upload = await uploadSnapshot(second.id).expect(200);
+      await cleanup;
+    } finally {
+      existsSpy.mockRestore();
+    }
+
+    expect(upload.body.data.snapshot.hash).toBe(hashContent(PAGE));
+    expect(listStoredFiles()).toEqual([hashContent(PAGE)]);
+    const response = await request(app).get(`/api/bookmarks/${second.id}/snapshot`).expect(200);
+    expect(response.text).toBe(PAGE);
+  });
+
+  test('should keep snapshots of trashed bookmarks until they are purged', async () => {
+    const bookmark = await createBookmark();
+    await uploadSnapshot(bookmark.id).expect(200);
+
+    await request(app).delete(`/api/bookmarks/${bookmark.id}`).expect(200);
+    expect(listStoredFiles()).toHaveLength(1);
+
+    await request(app).delete(`/api/bookmarks/trash/${bookmark.id}`).expect(200);
+    expect(listStoredFiles()).toEqual([]);
+  });
+
+  test('should enforce the per-user quota', async () => {
+    process.env.SNAPSHOT_QUOTA_MB = String(150 / (1024 * 1024));
+    const first = await createBookmark({ url: 'https://example.com/one' });
+    const second = await createBookmark({ url: 'https://example.com/two' });
+    await uploadSnapshot(first.id, 'a'.repeat(100)).expect(200);
+
+    const response = await uploadSnapshot(second.id, 'b'.repeat(100)).expect(413);
+    expect(response.body.data).toEqual({ used: 100, quota: 150 });
+
+    // Replacing a snapshot only counts the new file, and a file the user already has is free
+    await uploadSnapshot(first.id, 'c'.repeat(120)).expect(200);
+    await uploadSnapshot(second.id, 'c'.repeat(120)).expect(200);
+
+    const usage = await request(app).get('/api/bookmarks/snapshots/usage').expect(200);
+    expect(usage.body.data).toEqual({ used: 120, quota: 150, count: 1 });
+  });
+
+  test('should reject other content types and unknown bookmarks', async () => {
+    const bookmark = await createBookmark();
+
+    const response = await uploadSnapshot(bookmark.id, '{}', 'application/json').expect(415);
+    expect(response.body.success).toBe(false);
+    await uploadSnapshot(99999).expect(404);
+  });
+});
@@ -0,0 +1,281 @@
+// Integration tests for the sync change feed and push endpoints
+const request = require('supertest');
+const { createApp, configureMiddleware, configureRoutes } = require('../../server');
+const database = require('../../config/database');
+
+describe('Sync API Integration Tests', () => {
+  let app;
+
+  const getChanges = async (since) => {
+    const url = since === undefined ? '/api/sync/changes' : `/api/sync/changes?since=${since}`;
+    const response = await request(app).get(url).expect(200);
+    return response.body.data;
+  };
+
+  const push = async (changes) => {
+    const response = await request(app)
+      .post('/api/sync/push')
+      .send({ changes })
+      .expect(200);
+    return response.body.data.results;
+  };
+
+  const localBookmark = (overrides = {}) => ({
+    title: 'Local bookmark',
+    url: 'https://local.example.com',
+    note: 'Saved offline',
+    tags: ['offline'],
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await database.init(':memory:');
+
+    app = createApp();
+    configureMiddleware(app);
+    configureRoutes(app);
+  });
+
+  afterAll(async () => {
+    database.close();
+  });
+
+  beforeEach(async () => {
+    await global.testUtils.cleanupDatabase(database);
+  });
+
+  describe('GET /api/sync/changes', () => {
+    test('should list new bookmarks and advance the cursor', async () => {
+      await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark({ tags: ['one'] }))
+        .expect(201);
+
+      const first = await getChanges();
+      expect(first.changes).toHaveLength(1);
+      expect(first.changes[0]).toMatchObject({ type: 'upsert' });
+      expect(first.changes[0].bookmark.tags.map(t => t.name)).toEqual(['one']);
+
+      const second = await getChanges(first.cursor);
+      expect(second.changes).toHaveLength(0);
+      expect(second.cursor).toBe(first.cursor);
+    });
+
+    test('should report edits and deletes as the latest change per bookmark', async () => {
+      const created = await request(app)
+        .post('/api/bookmarks')
+        .send(global.testUtils.createTestBookmark())
+        .expect(201);
+      const { cursor } = await getChanges();
+
+      await request(app)
+        .put(`/api/bookmarks/${created.body.data.id}`)
+        .send({ title: 'Edited', url: 'https://example.com' })
+        .expect(200);
+      const edited = await getChanges(cursor);
+      expect(edited.changes).toHaveLength(1);
+      expect(edited.changes[0].bookmark.title).toBe('Edited');
+
+      await request(app).delete(`/api/bookmarks/${created.body.data.id}`).expect(200);
+      const deleted = await getChanges(cursor);
+      expect(deleted.changes).toHaveLength(1);
+      expect(deleted.changes[0]).toMatchObject({ type: 'delete', id: created.body.data.id });
+      expect(deleted.changes[0].bookmark).toBeUndefined();
+    });
+
+    test('should page through the feed', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/bookmarks')
+          .send(global.testUtils.createTestBookmark({ url: `https://page${i}.example.com` }))
+          .expect(201);
+      }
+
+      const firstPage = await request(app).get('/api/sync/changes?limit=2').expect(200);
+      expect(firstPage.body.data.changes).toHaveLength(2);
+      expect(firstPage.body.data.hasMore).toBe(true);
+
+      const secondPage = await getChanges(firstPage.body.data.cursor);
+      expect(secondPage.changes).toHaveLength(1);
+      expect(secondPage.hasMore).toBe(false);
+    });
+  });
+
+  describe('POST /api/sync/push', () => {
+    test('should create bookmarks and map client ids to server ids', async () => {
+      const results = await push([
+        { op: 'upsert', clientId: 'local-1', updatedAt: new Date().toISOString(), bookmark: localBookmark() }
+      ]);
+
+      expect(results[0]).toMatchObject({ clientId: 'local-1', status: 'created' });
+      expect(results[0].bookmark).toMatchObject({ clientId: 'local-1', note: 'Saved offline' });
+
+      // Retrying the same push is idempotent
+      const retry = await push([
+        { op: 'upsert', clientId: 'local-1', updatedAt: new Date().toISOString(), bookmark: localBookmark() }
+      ]);
+      expect(retry[0]).toMatchObject({ status: 'updated', id: results[0].id });
+
+      const feed = await getChanges();
+      expect(feed.changes).toHaveLength(1);
+      expect(feed.changes[0].clientId).toBe('local-1');
+    });
+
+    test('should map a new client bookmark onto an equivalent URL saved elsewhere', async () => {
+      const [first] = await push([
+        { op: 'upsert', clientId: 'device-a', bookmark: localBookmark({ url: 'https://local.example.com/page' }) }
+      ]);
+
+      const [second] = await push([{
+        op: 'upsert',
+        clientId: 'device-b',
+        bookmark: localBookmark({ url: 'http://www.local.example.com/page/?utm_campaign=sync' })
+      }]);
+
+      expect(second).toMatchObject({ clientId: 'device-b', status: 'updated', id: first.id });
+    });
+
+    test('should report per-item errors without failing the batch', async () => {
+      const results = await push([
+        { op: 'upsert', clientId: 'bad', bookmark: localBookmark({ url: 'not a url' }) },
+        { op: 'upsert', clientId: 'good', bookmark: localBookmark() }
+      ]);
+
+      expect(results[0]).toMatchObject({ clientId: 'bad', status: 'error', error: 'Valid URL is required' });
+      expect(results[1]).toMatchObject({ clientId: 'good', status: 'created' });
+    });
+
+    test('should apply newer local edits including notes and tags', async () => {
+      const [created] = await push([{ op: 'upsert', clientId: 'local-1', bookmark: localBookmark() }]);
+
+      const later = new Date(Date.now() + 60000).toISOString();
+      const [updated] = await push([{
+        op: 'upsert',
+        id: created.id,
+        clientId: 'local-1',
+        updatedAt: later,
+        bookmark: localBookmark({ note: 'Edited offline', tags: ['offline', 'reviewed'] })
+      }]);
+
+      expect(updated.status).toBe('updated');
+      expect(updated.bookmark.note).toBe('Edited offline');
+      expect(updated.bookmark.tags.map(t => t.name).sort()).toEqual(['offline', 'reviewed']);
+    });
+
+    test('should return the server version for edits older than the server change', async () => {
+      const [created] = await push([{ op: 'upsert', clientId: 'local-1', bookmark: localBookmark() }]);
+
+      await request(app)
+        .put(`/api/bookmarks/${created.id}`)
+        .send({ title: 'Edited on the web', url: 'https://local.example.com' })
+        .expect(200);
+
+      const [stale] = await push([{
+        op: 'upsert',
+        id: created.id,
+        clientId: 'local-1',
+        updatedAt: new Date(Date.now() - 3600000).toISOString(),
+        bookmark: localBookmark({ title: 'Old local title' })
+      }]);
+
+      expect(stale.status).toBe('stale');
+      expect(stale.bookmark.title).toBe('Edited on the web');
+    });
+
+    test('should report a conflict when the pushed revision is out of date', async () => {
+      const [created] = await push([{ op: 'upsert', clientId: 'local-1', bookmark: localBookmark() }]);
+      expect(created.bookmark.revision).toBe(1);
+
+      const [applied] = await push([{
+        op: 'upsert',
+        id: created.id,
+        clientId: 'local-1',
+        revision: 1,
+        bookmark: localBookmark({ note: 'First edit' })
+      }]);
+      expect(applied.status).toBe('updated');
+      expect(applied.bookmark.revision).toBe(2);
+
+      // A second device still editing revision 1 must merge instead of overwriting
+      const [conflict] = await push([{
+        op: 'upsert',
+        id: created.id,
+        clientId: 'local-1',
+        revision: 1,
+        updatedAt: new Date(Date.now() + 60000).toISOString(),
+        bookmark: localBookmark({ note: 'Second device' })
+      }]);
+
+      expect(conflict.status).toBe('conflict');
+      expect(conflict.bookmark).toMatchObject({ note: 'First edit', revision: 2 });
+    });
+
+    test('should report a conflict for an edit that moves onto another bookmark\'s page', async () => {
+      const [first, second] = await push([
+        { op: 'upsert', clientId: 'local-1', bookmark: localBookmark() },
+        { op: 'upsert', clientId: 'local-2', bookmark: localBookmark({ url: 'https://other.example.com' }) }
+      ]);
+
+      const [moved] = await push([{
+        op: 'upsert',
+        id: second.id,
+        clientId: 'local-2',
+        bookmark: localBookmark({ title: 'Moved' })
+      }]);
+
+      expect(moved).toMatchObject({ status: 'conflict', id: second.id, existingId: first.id });
+      expect(moved.bookmark).toMatchObject({ title: 'Local bookmark', url: 'https://other.example.com' });
+    });
+
+    test('should turn pushed deletes into tombstones', async () => {
+      const [created] = await push([{ op: 'upsert', clientId: 'local-1', bookmark: localBookmark() }]);
+      const { cursor } = await getChanges();
+
+      const [deleted] = await push([{ op: 'delete', id: created.id, clientId: 'local-1' }]);
+      expect(deleted).toMatchObject({ status: 'deleted', id: created.id });
+
+      await request(app).get(`/api/bookmarks/${created.id}`).expect(404);
+
+      const feed = await getChanges(cursor);
+      expect(feed.changes).toEqual([
+        expect.objectContaining({ type: 'delete', id: created.id, clientId: 'local-1' })
+      ]);
+
+      // Edits that race with the delete do not resurrect the bookmark
+      const [edit] = await push([{
+        op: 'upsert',
+        id: created.id,
+        clientId: 'local-1',
+        updatedAt: new Date(Date.now() + 60000).toISOString(),
+        bookmark: localBookmark()
+      }]);
+      expect(edit.status).toBe('deleted');
+    });
+
+    test('should treat deletes of bookmarks never pushed as done', async () => {
+      await push([{ op: 'upsert', clientId: 'local-1', bookmark: localBookmark() }]);
+
+      const [deleted] = await push([{ op: 'delete', clientId: 'never-pushed' }]);
+      expect(deleted).toEqual({ clientId: 'never-pushed', op: 'delete', status: 'deleted', id: null });
+
+      const response = await request(app).get('/api/bookmarks').expect(200);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    test('should reject deletes without an id or clientId', async () => {
+      const response = await request(app)
+        .post('/api/sync/push')
+        .send({ changes: [{ op: 'delete' }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an empty batch', async () => {
+      const response = await request(app)
+        .post('/api/sync/push')
+        .send({ changes: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -15,10 +15,16 @@ global.testUtils = {
     if (db && typeof db.query === 'function') {
       await db.query('DELETE FROM bookmark_tags');
       await db.query('DELETE FROM bookmarks');
+      await db.query('DELETE FROM bookmark_changes');
       await db.query('DELETE FROM tags');
       await db.query('DELETE FROM collections');
       await db.query('DELETE FROM bookmark_collections');
+      await db.query('DELETE FROM user_sessions');
+      await db.query('DELETE FROM users');
+      await db.query('DELETE FROM snapshots');
     }
+    // Cached responses would otherwise outlive the rows they came from
+    await require('../config/cache').cacheManager.clear();
   },
   
   // Create test bookmark
@@ -34,7 +40,7 @@ global.testUtils = {
   // Create test user (for future auth implementation)
   createTestUser: (overrides = {}) => ({
     email: 'test@example.com',
-    password: 'testpassword123',
+    password: 'TestPassword123!',
     name: 'Test User',
     ...overrides
   }),
@@ -0,0 +1,58 @@
+// Unit tests for prefix invalidation, with an in-process stand-in for the Redis client
+const { cacheManager, CACHE_CONFIG } = require('../../config/cache');
+
+describe('Cache invalidation by prefix', () => {
+  const createRedisClient = (keys) => {
+    const client = {
+      isReady: true,
+      keys: jest.fn(),
+      scanCalls: [],
+      deleted: [],
+      async * scanIterator(options) {
+        client.scanCalls.push(options);
+        // Enough of the glob syntax for prefix patterns: escapes and a trailing '*'
+        const prefix = options.MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+        yield * keys.filter(key => key.startsWith(prefix));
+      },
+      del: jest.fn(async (batch) => {
+        client.deleted.push(batch);
+        return batch.length;
+      })
+    };
+    return client;
+  };
+
+  afterEach(() => {
+    cacheManager.redisClient = null;
+    cacheManager.useRedis = false;
+  });
+
+  test('should walk matching Redis keys with SCAN and delete them in batches', async () => {
+    const prefix = `${CACHE_CONFIG.keyPrefix}recent:user:1:`;
+    const matching = Array.from({ length: 501 }, (value, index) => `${prefix}${index}`);
+    const client = createRedisClient([...matching, `${CACHE_CONFIG.keyPrefix}recent:user:10:0`]);
+    cacheManager.redisClient = client;
+    cacheManager.useRedis = true;
+
+    await expect(cacheManager.deleteByPrefix('recent:user:1:')).resolves.toBe(true);
+
+    expect(client.keys).not.toHaveBeenCalled();
+    expect(client.scanCalls).toEqual([{ MATCH: `${prefix}*`, COUNT: 500 }]);
+    expect(client.deleted.map(batch => batch.length)).toEqual([500, 1]);
+    expect(client.deleted.flat()).toEqual(matching);
+  });
+
+  test('should match glob characters in the prefix literally', async () => {
+    const client = createRedisClient([
+      `${CACHE_CONFIG.keyPrefix}tags:user:[a]*:x`,
+      `${CACHE_CONFIG.keyPrefix}tags:user:a-b:x`
+    ]);
+    cacheManager.redisClient = client;
+    cacheManager.useRedis = true;
+
+    await cacheManager.deleteByPrefix('tags:user:[a]*:');
+
+    expect(client.scanCalls[0].MATCH).toBe(`${CACHE_CONFIG.keyPrefix}tags:user:\\[a\\]\\*:*`);
+    expect(client.deleted).toEqual([[`${CACHE_CONFIG.keyPrefix}tags:user:[a]*:x`]]);
+  });
+});
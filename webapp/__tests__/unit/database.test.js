@@ -110,6 +110,26 @@ describe('Database Configuration', () => {
       const bookmarks = await database.query('SELECT * FROM bookmarks');
       expect(bookmarks).toHaveLength(0);
     });
+
+    test('should run concurrent transactions one after the other', async () => {
+      const insertTwo = (prefix) => database.transaction(async () => {
+        await database.run('INSERT INTO bookmarks (title, url) VALUES (?, ?)', [prefix, `https://${prefix}.com/1`]);
+        await database.run('INSERT INTO bookmarks (title, url) VALUES (?, ?)', [prefix, `https://${prefix}.com/2`]);
+        return prefix;
+      });
+
+      const failing = database.transaction(async () => {
+        await database.run('INSERT INTO bookmarks (title, url) VALUES (?, ?)', ['failed', 'https://failed.com']);
+        throw new Error('Transaction failed');
+      });
+
+      const results = await Promise.all([insertTwo('first'), failing, insertTwo('second')]
+        .map(transaction => transaction.catch(error => error.message)));
+      expect(results).toEqual(['first', 'Transaction failed', 'second']);
+
+      const bookmarks = await database.query('SELECT title FROM bookmarks ORDER BY id');
+      expect(bookmarks.map(bookmark => bookmark.title)).toEqual(['first', 'first', 'second', 'second']);
+    });
   });
   
   describe('Connection Management', () => {
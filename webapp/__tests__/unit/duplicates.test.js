@@ -0,0 +1,74 @@
+// Unit tests for duplicate matching heuristics
+const {
+  getSiteKey,
+  getUrlGroupKey,
+  getTitleTokens,
+  getTitleSimilarity,
+  groupDuplicateRows
+} = require('../../services/duplicates');
+
+describe('Duplicate matching', () => {
+  test('should fold AMP and mobile URL variants onto the article URL', () => {
+    const variants = [
+      'example.com/article',
+      'example.com/article/amp',
+      'example.com/amp/article',
+      'm.example.com/article',
+      'example.com/article?amp=1',
+      'example-com.cdn.ampproject.org/c/s/example.com/article',
+      'google.com/amp/s/example.com/article'
+    ];
+
+    expect(new Set(variants.map(getUrlGroupKey))).toEqual(new Set(['example.com/article']));
+    expect(getUrlGroupKey('example.com/article?page=2&amp=1')).toBe('example.com/article?page=2');
+  });
+
+  test('should resolve the site behind AMP caches', () => {
+    expect(getSiteKey('https://www-example--site-com.cdn.ampproject.org/c/s/example-site.com/a'))
+      .toBe('example-site.com');
+    expect(getSiteKey('https://www.google.com/amp/s/m.example.com/a')).toBe('example.com');
+    expect(getSiteKey('not a url')).toBeNull();
+  });
+
+  test('should compare titles without site suffixes', () => {
+    const a = getTitleTokens('Ten Tips for Better Sleep - Health Weekly');
+    const b = getTitleTokens('Ten tips for better sleep');
+
+    expect(getTitleSimilarity(a, b)).toBe(1);
+    expect(getTitleSimilarity(a, getTitleTokens('Ten tips for better coffee'))).toBeLessThan(0.8);
+  });
+
+  test('should only group titles from the same site', () => {
+    const groups = groupDuplicateRows([
+      { id: 1, title: 'Ten tips for better sleep', url: 'https://a.com/1', created_at: '2024-01-01' },
+      { id: 2, title: 'Ten tips for better sleep', url: 'https://b.com/1', created_at: '2024-01-02' },
+      { id: 3, title: 'Ten Tips For Better Sleep!', url: 'https://www.a.com/2', created_at: '2023-12-01' }
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].reasons).toEqual(['title']);
+    expect(groups[0].rows.map(row => row.id)).toEqual([3, 1]);
+  });
+
+  test('should compare only titles sharing a rare word within a large site', () => {
+    // Thousands of repository titles that share the site's boilerplate words
+    const rows = Array.from({ length: 3000 }, (value, index) => ({
+      id: index + 1,
+      title: `GitHub project${index} repository for tool${index} - GitHub`,
+      url: `https://github.com/owner/repo-${index}`,
+      created_at: '2024-01-01'
+    }));
+    rows.push({
+      id: 3001,
+      title: 'GitHub project42 repository for tool42',
+      url: 'https://github.com/owner/repo-42-fork',
+      created_at: '2024-02-01'
+    });
+
+    const startedAt = Date.now();
+    const groups = groupDuplicateRows(rows);
+
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(groups).toEqual([{ reasons: ['title'], rows: [rows[42], rows[3000]] }]);
+  });
+});
@@ -0,0 +1,38 @@
+// Unit tests for per-host rate limiting of outgoing requests
+const { getHost, runWithHostLimits } = require('../../services/hostLimiter');
+
+describe('Host limiter', () => {
+  test('should group URLs by host name', () => {
+    expect(getHost('https://Example.com:8080/a?b=1')).toBe('example.com');
+    expect(getHost('not a url')).toBe('');
+  });
+
+  test('should return results in item order', async () => {
+    const urls = ['https://a.test/1', 'https://b.test/1', 'https://a.test/2'];
+
+    const results = await runWithHostLimits(urls, async url => url.toUpperCase(), {
+      getUrl: url => url,
+      hostDelayMs: 0
+    });
+
+    expect(results).toEqual(urls.map(url => url.toUpperCase()));
+  });
+
+  test('should pause between requests to the same host and cap concurrency', async () => {
+    const urls = ['https://a.test/1', 'https://a.test/2', 'https://b.test/1', 'https://c.test/1'];
+    const startedAt = {};
+    let active = 0;
+    let maxActive = 0;
+
+    await runWithHostLimits(urls, async (url) => {
+      startedAt[url] = Date.now();
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+    }, { getUrl: url => url, concurrency: 2, hostDelayMs: 50 });
+
+    expect(maxActive).toBe(2);
+    expect(startedAt['https://a.test/2'] - startedAt['https://a.test/1']).toBeGreaterThanOrEqual(50);
+  });
+});
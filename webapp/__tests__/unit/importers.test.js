@@ -0,0 +1,59 @@
+// Unit tests for import file formats
+const { parseCsv } = require('../../services/importers/csv');
+const { detectImporter, getImporter } = require('../../services/importers');
+
+describe('Importers', () => {
+  test('should read quoted CSV fields', () => {
+    const rows = parseCsv('\uFEFFa,b,c\r\n"one, two","say ""hi""","line\nbreak"\r\n\r\nx,,\n');
+
+    expect(rows).toEqual([
+      ['a', 'b', 'c'],
+      ['one, two', 'say "hi"', 'line\nbreak'],
+      ['x', '', '']
+    ]);
+  });
+
+  test('should detect each export format', () => {
+    const samples = {
+      netscape: '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p></DL>',
+      pocket: 'title,url,time_added,tags,status\n',
+      pinboard: '[{"href":"https://example.com/","description":"x"}]',
+      raindrop: 'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite\n',
+      instapaper: 'URL,Title,Selection,Folder,Timestamp,Tags\n'
+    };
+
+    for (const [name, content] of Object.entries(samples)) {
+      expect(detectImporter(content)?.name).toBe(name);
+    }
+    expect(detectImporter('just some text')).toBeNull();
+    expect(detectImporter('[]')).toBeNull();
+  });
+
+  test('should read the Pocket HTML export sections', () => {
+    const items = getImporter('pocket').parse(`<!DOCTYPE html>
+      <html><head><title>Pocket Export</title></head><body>
+      <h1>Unread</h1>
+      <ul><li><a href="https://a.example.com/" time_added="1600000000" tags="x,y">A &amp; B</a></li></ul>
+      <h1>Read Archive</h1>
+      <ul><li><a href="https://b.example.com/" time_added="1600000100" tags="">B</a></li></ul>
+      </body></html>`);
+
+    expect(items.map(item => [item.title, item.status, item.tags, item.addDate])).toEqual([
+      ['A & B', 'unread', ['x', 'y'], '2020-09-13T12:26:40.000Z'],
+      ['B', 'archived', [], '2020-09-13T12:28:20.000Z']
+    ]);
+  });
+
+  test('should read Instapaper folders and tags', () => {
+    const items = getImporter('instapaper').parse(
+      'URL,Title,Selection,Folder,Timestamp,Tags\n' +
+      'https://a.example.com/,A,,Starred,1610000000,"[""x""]"\n' +
+      'https://b.example.com/,B,,Reading/Later,1610000000,\n'
+    );
+
+    expect(items.map(item => [item.folders, item.status, item.favorite, item.tags])).toEqual([
+      [[], null, true, ['x']],
+      [['Reading/Later'], null, false, []]
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+// Unit tests for the shared Netscape bookmark file parser
+const fs = require('fs');
+const path = require('path');
+const { isNetscapeBookmarkFile, parseNetscapeBookmarks } = require('../../shared/netscape-bookmarks');
+
+describe('Netscape bookmark parser', () => {
+  test('should recognise exported bookmark files', () => {
+    expect(isNetscapeBookmarkFile('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p></DL>')).toBe(true);
+    expect(isNetscapeBookmarkFile('<DL><DT><A HREF="https://example.com">x</A></DL>')).toBe(true);
+    expect(isNetscapeBookmarkFile('<p>Hello</p>')).toBe(false);
+    expect(isNetscapeBookmarkFile(undefined)).toBe(false);
+  });
+
+  test('should keep the folder path below browser roots', () => {
+    const items = parseNetscapeBookmarks(`
+      <DL><p>
+        <DT><H3 UNFILED_BOOKMARKS_FOLDER="true">Other Bookmarks</H3>
+        <DL><p>
+          <DT><H3>Reading</H3>
+          <DL><p>
+            <DT><A HREF="https://a.example.com/">A</A>
+          </DL><p>
+          <DT><A HREF="https://b.example.com/">B</A>
+        </DL><p>
+        <DT><H3>Top</H3>
+        <DD>Folder notes are dropped
+        <DL><p>
+          <DT><A HREF="https://c.example.com/">C</A>
+        </DL><p>
+      </DL><p>`);
+
+    expect(items.map(item => [item.title, item.folders, item.description])).toEqual([
+      ['A', ['Reading'], null],
+      ['B', [], null],
+      ['C', ['Top'], null]
+    ]);
+  });
+
+  test('should read dates, tags, descriptions and entities', () => {
+    const [item] = parseNetscapeBookmarks(
+      '<DL><DT><A HREF="https://example.com/?a=1&amp;b=2" ADD_DATE="1577836800000" TAGS="news, tech">' +
+      'Caf&#233; &#x26; <b>Bar</b></A>\n<DD>Notes &lt;here&gt;\n</DL>'
+    );
+
+    expect(item).toEqual({
+      title: 'Café & Bar',
+      url: 'https://example.com/?a=1&b=2',
+      addDate: '2020-01-01T00:00:00.000Z',
+      tags: ['news', 'tech'],
+      folders: [],
+      description: 'Notes <here>'
+    });
+  });
+
+  test('should match the copy bundled with the extension', () => {
+    const extensionCopy = path.join(__dirname, '../../../extension/netscape-bookmarks.js');
+    if (!fs.existsSync(extensionCopy)) {
+      return;
+    }
+
+    const serverCopy = path.join(__dirname, '../../shared/netscape-bookmarks.js');
+    expect(fs.readFileSync(extensionCopy, 'utf8')).toBe(fs.readFileSync(serverCopy, 'utf8'));
+  });
+});
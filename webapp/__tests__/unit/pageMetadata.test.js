@@ -0,0 +1,103 @@
+// Unit tests for reading page details and robots.txt rules from fetched files
+const fs = require('fs');
+const path = require('path');
+const { parsePageMetadata } = require('../../services/pageMetadata');
+const { parseRobotsTxt, isPathAllowed } = require('../../services/robots');
+
+const readFixture = (name, encoding = 'utf8') => fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'pages', name),
+  encoding
+);
+
+describe('Page metadata', () => {
+  test('should prefer OpenGraph tags and fill the rest from JSON-LD', () => {
+    const metadata = parsePageMetadata(readFixture('article.html'), 'https://blog.example.com/posts/fts5?ref=home');
+
+    expect(metadata).toEqual({
+      title: 'Understanding SQLite FTS5',
+      description: 'How full-text search works in SQLite, from tokenizers to bm25 ranking & snippets.',
+      favicon: 'https://blog.example.com/favicon-32.png',
+      image: 'https://blog.example.com/images/fts5-cover.png',
+      // article:author holds a profile URL, so the JSON-LD names are used
+      author: 'Ada Lovelace, Grace Hopper',
+      publishedDate: '2024-02-10T08:30:00Z',
+      siteName: 'Example Engineering',
+      canonicalUrl: 'https://blog.example.com/posts/fts5',
+      siteMetadata: null
+    });
+  });
+
+  test('should read Twitter cards, plain meta tags and resolve URLs against <base>', () => {
+    const html = readFixture('twitter-card.html', 'latin1');
+    const metadata = parsePageMetadata(html, 'https://example.org/digest/42');
+
+    expect(metadata).toEqual({
+      title: 'Café notes',
+      description: 'Everything we tasted this week.',
+      favicon: 'https://static.example.org/assets/favicon.ico',
+      image: 'https://static.example.org/assets/digest/cover.jpg',
+      author: 'Jean Dupont',
+      publishedDate: '2024-03-01',
+      siteName: null,
+      canonicalUrl: null,
+      siteMetadata: null
+    });
+  });
+
+  test('should fall back to the <title> and /favicon.ico', () => {
+    const metadata = parsePageMetadata(
+      '<html><head><title>Plain &amp; simple</title><script type="application/ld+json">{broken</script></head></html>',
+      'https://plain.example.com/a/b'
+    );
+
+    expect(metadata).toMatchObject({
+      title: 'Plain & simple',
+      description: null,
+      favicon: 'https://plain.example.com/favicon.ico',
+      image: null
+    });
+  });
+
+  test('should add the site extractor\'s details and use them for missing fields', () => {
+    const html = readFixture(path.join('sites', 'arxiv-abstract.html'));
+    const metadata = parsePageMetadata(html, 'https://arxiv.org/abs/1706.03762');
+
+    expect(metadata).toMatchObject({
+      title: 'Attention Is All You Need',
+      author: 'Ashish Vaswani, Noam Shazeer, Niki Parmar, Aidan N. Gomez, Łukasz Kaiser',
+      publishedDate: '2017-06-12',
+      siteMetadata: { site: 'arxiv', type: 'paper', arxivId: '1706.03762', primaryCategory: 'cs.CL' }
+    });
+  });
+});
+
+describe('robots.txt', () => {
+  const ROBOTS = [
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/press/',
+    'Disallow: /*.pdf$',
+    '',
+    'User-agent: OtherBot',
+    'User-agent: BookmarkSync-MetadataFetcher # us',
+    'Disallow: /drafts',
+    'Disallow:'
+  ].join('\n');
+
+  test('should use the group naming our user agent', () => {
+    const rules = parseRobotsTxt(ROBOTS, 'BookmarkSync-MetadataFetcher/1.0');
+
+    expect(isPathAllowed(rules, '/drafts/post')).toBe(false);
+    expect(isPathAllowed(rules, '/private/page')).toBe(true);
+  });
+
+  test('should fall back to the * group with longest-match wildcards', () => {
+    const rules = parseRobotsTxt(ROBOTS, 'SomeCrawler/2.0');
+
+    expect(isPathAllowed(rules, '/private/page')).toBe(false);
+    expect(isPathAllowed(rules, '/private/press/release')).toBe(true);
+    expect(isPathAllowed(rules, '/files/report.pdf')).toBe(false);
+    expect(isPathAllowed(rules, '/files/report.pdf?download=1')).toBe(true);
+    expect(isPathAllowed(parseRobotsTxt('', 'SomeCrawler/2.0'), '/anything')).toBe(true);
+  });
+});
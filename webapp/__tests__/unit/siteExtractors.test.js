@@ -0,0 +1,195 @@
+// Unit tests for the site-specific extractors shared with the extension, run against saved pages
+const fs = require('fs');
+const path = require('path');
+const { extractSiteMetadata, parseCount, parseDuration } = require('../../shared/site-extractors');
+
+const readSitePage = (name) => fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'pages', 'sites', name),
+  'utf8'
+);
+
+describe('Site extractors', () => {
+  test('should read stars, forks, language and topics from a GitHub repository', () => {
+    const result = extractSiteMetadata(readSitePage('github-repository.html'), 'https://github.com/expressjs/express');
+
+    expect(result).toEqual({
+      siteMetadata: {
+        site: 'github',
+        type: 'repository',
+        owner: 'expressjs',
+        repository: 'express',
+        stars: 65473,
+        forks: 21384,
+        language: 'JavaScript',
+        // Topic-like links in scripts, navigation and the footer are not topics
+        topics: ['nodejs', 'javascript', 'express', 'server']
+      },
+      suggestedTags: ['nodejs', 'javascript', 'express', 'server'],
+      author: null,
+      publishedDate: null
+    });
+  });
+
+  test('should read the channel, duration and upload date of a YouTube video', () => {
+    const result = extractSiteMetadata(readSitePage('youtube-watch.html'), 'https://www.youtube.com/watch?v=Jib2AmRb_rk&t=42s');
+
+    expect(result).toEqual({
+      siteMetadata: {
+        site: 'youtube',
+        type: 'video',
+        videoId: 'Jib2AmRb_rk',
+        channel: 'CMU Database Group',
+        channelUrl: 'http://www.youtube.com/@CMUDatabaseGroup',
+        duration: 3727,
+        views: 84213,
+        uploadDate: '2022-03-14T09:00:11-07:00',
+        genre: 'Science & Technology'
+      },
+      suggestedTags: ['science-and-technology'],
+      author: 'CMU Database Group',
+      publishedDate: '2022-03-14T09:00:11-07:00'
+    });
+  });
+
+  test('should read a video\'s JSON-LD when the page has no microdata', () => {
+    const html = `<div id="microformat"><script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'VideoObject',
+      name: 'Short clip',
+      duration: 'PT4M13S',
+      uploadDate: '2024-05-01T10:00:00-07:00',
+      interactionCount: '1024',
+      genre: 'Education',
+      author: 'Example Channel'
+    })}</script></div>`;
+    const result = extractSiteMetadata(html, 'https://youtu.be/abc123');
+
+    expect(result.siteMetadata).toMatchObject({
+      videoId: 'abc123',
+      channel: 'Example Channel',
+      channelUrl: null,
+      duration: 253,
+      views: 1024,
+      genre: 'Education'
+    });
+    expect(result.suggestedTags).toEqual(['education']);
+  });
+
+  test('should read the authors, abstract and categories of an arXiv paper', () => {
+    const result = extractSiteMetadata(readSitePage('arxiv-abstract.html'), 'https://arxiv.org/abs/1706.03762');
+
+    expect(result.siteMetadata).toMatchObject({
+      site: 'arxiv',
+      type: 'paper',
+      arxivId: '1706.03762',
+      authors: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar', 'Aidan N. Gomez', 'Łukasz Kaiser'],
+      submitted: '2017-06-12',
+      primaryCategory: 'cs.CL',
+      categories: ['cs.CL', 'cs.LG'],
+      pdfUrl: 'https://arxiv.org/pdf/1706.03762'
+    });
+    expect(result.siteMetadata.abstract).toMatch(/^The dominant sequence transduction models .* convolutions entirely\.$/);
+    expect(result.suggestedTags).toEqual(['cs.cl', 'cs.lg']);
+    expect(result.author).toBe('Ashish Vaswani, Noam Shazeer, Niki Parmar, Aidan N. Gomez, Łukasz Kaiser');
+    expect(result.publishedDate).toBe('2017-06-12');
+  });
+
+  test('should fall back to the abstract on the page when the meta tag is missing', () => {
+    const html = readSitePage('arxiv-abstract.html').replace(/<meta name="citation_abstract"[^>]*>/, '');
+    const result = extractSiteMetadata(html, 'https://arxiv.org/abs/1706.03762v7');
+
+    expect(result.siteMetadata.abstract).toMatch(/^The dominant sequence transduction models/);
+  });
+
+  test('should read the tags, score and accepted answer of a Stack Overflow question', () => {
+    const url = 'https://stackoverflow.com/questions/208105/how-do-i-remove-a-property-from-a-javascript-object';
+    const result = extractSiteMetadata(readSitePage('stackoverflow-question.html'), url);
+
+    expect(result).toEqual({
+      siteMetadata: {
+        site: 'stackexchange',
+        type: 'question',
+        questionId: '208105',
+        score: 6445,
+        answerCount: 38,
+        hasAcceptedAnswer: true,
+        acceptedAnswerId: '208106',
+        // Tags linked from the sidebars are left out
+        tags: ['javascript', 'object', 'c#', 'object-properties']
+      },
+      suggestedTags: ['javascript', 'object', 'c#', 'object-properties'],
+      author: null,
+      publishedDate: '2008-10-16T10:57:45'
+    });
+  });
+
+  test('should report questions without an accepted answer', () => {
+    const html = readSitePage('stackoverflow-question.html')
+      .replace(/ accepted-answer js-accepted-answer/, '')
+      .replace(/itemprop="acceptedAnswer"/, 'itemprop="suggestedAnswer"');
+    const result = extractSiteMetadata(html, 'https://stackoverflow.com/questions/208105');
+
+    expect(result.siteMetadata).toMatchObject({ hasAcceptedAnswer: false, acceptedAnswerId: null });
+  });
+
+  test('should read the project, version and breadcrumbs of documentation pages', () => {
+    const sphinx = extractSiteMetadata(readSitePage('sphinx-docs.html'), 'https://docs.python.org/3/library/sqlite3.html');
+    expect(sphinx).toMatchObject({
+      siteMetadata: {
+        site: 'docs',
+        type: 'documentation',
+        project: 'Python',
+        version: '3.12',
+        language: 'en',
+        breadcrumbs: [
+          '3.12.2 Documentation',
+          'The Python Standard Library',
+          'Data Persistence',
+          'sqlite3 — DB-API 2.0 interface for SQLite databases'
+        ]
+      },
+      suggestedTags: ['python']
+    });
+
+    const mdn = extractSiteMetadata(
+      readSitePage('mdn-docs.html'),
+      'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/flatMap'
+    );
+    expect(mdn.siteMetadata).toMatchObject({
+      project: 'MDN Web Docs',
+      version: null,
+      language: 'en-US',
+      breadcrumbs: ['References', 'JavaScript', 'Reference', 'Standard built-in objects', 'Array', 'flatMap()']
+    });
+  });
+
+  test('should leave other pages to the generic metadata', () => {
+    const article = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', 'article.html'), 'utf8');
+
+    expect(extractSiteMetadata(article, 'https://blog.example.com/posts/fts5')).toBeNull();
+    // GitHub's own pages and YouTube's home page are not repositories or videos
+    expect(extractSiteMetadata('<title>Features</title>', 'https://github.com/features')).toBeNull();
+    expect(extractSiteMetadata('<title>YouTube</title>', 'https://www.youtube.com/')).toBeNull();
+    expect(extractSiteMetadata('', 'not a url')).toBeNull();
+  });
+
+  test('should parse abbreviated counts and ISO durations', () => {
+    expect(parseCount('65,473')).toBe(65473);
+    expect(parseCount('65.5k')).toBe(65500);
+    expect(parseCount('1.2M')).toBe(1200000);
+    expect(parseCount('many')).toBeNull();
+    expect(parseDuration('PT4M13S')).toBe(253);
+    expect(parseDuration('P1DT1H')).toBe(90000);
+    expect(parseDuration('PT')).toBeNull();
+  });
+
+  test('should match the copy bundled with the extension', () => {
+    const extensionCopy = path.join(__dirname, '../../../extension/site-extractors.js');
+    if (!fs.existsSync(extensionCopy)) {
+      return;
+    }
+
+    const serverCopy = path.join(__dirname, '../../shared/site-extractors.js');
+    expect(fs.readFileSync(extensionCopy, 'utf8')).toBe(fs.readFileSync(serverCopy, 'utf8'));
+  });
+});
@@ -0,0 +1,81 @@
+// Unit tests for the URL normalizer shared with the extension
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl, getMatchKeys, parseStripParams } = require('../../shared/url-normalizer');
+const { getStripParams, getUrlFields } = require('../../services/urls');
+
+describe('URL Normalizer', () => {
+  describe('normalizeUrl', () => {
+    test('should treat scheme, www., trailing slash and fragment variants as one page', () => {
+      const variants = [
+        'https://example.com/article',
+        'http://example.com/article',
+        'https://www.example.com/article/',
+        'https://EXAMPLE.com/article#comments'
+      ];
+
+      const normalized = variants.map(url => normalizeUrl(url));
+      expect(new Set(normalized).size).toBe(1);
+      expect(normalized[0]).toBe('example.com/article');
+    });
+
+    test('should strip tracking parameters and sort the rest', () => {
+      expect(normalizeUrl('https://example.com/search?utm_source=news&q=test&fbclid=abc&page=2'))
+        .toBe('example.com/search?page=2&q=test');
+    });
+
+    test('should keep ports and meaningful paths', () => {
+      expect(normalizeUrl('http://localhost:8080/docs/')).toBe('localhost:8080/docs');
+      expect(normalizeUrl('https://example.com/a')).not.toBe(normalizeUrl('https://example.com/b'));
+    });
+
+    test('should apply custom strip rules including prefix patterns', () => {
+      const options = { stripParams: ['ref', 'session_*'] };
+
+      expect(normalizeUrl('https://example.com/?ref=home&session_id=1&utm_source=x', options))
+        .toBe('example.com?utm_source=x');
+    });
+
+    test('should return non-http URLs unchanged', () => {
+      expect(normalizeUrl(' chrome://extensions/ ')).toBe('chrome://extensions/');
+      expect(normalizeUrl('not a url')).toBe('not a url');
+    });
+  });
+
+  describe('getMatchKeys', () => {
+    test('should include the canonical URL when present', () => {
+      expect(getMatchKeys('https://example.com/post?id=1', 'https://example.com/posts/1/'))
+        .toEqual(['example.com/post?id=1', 'example.com/posts/1']);
+    });
+
+    test('should not repeat a canonical URL equal to the page URL', () => {
+      expect(getMatchKeys('https://example.com/', 'http://www.example.com')).toEqual(['example.com']);
+    });
+  });
+
+  describe('server settings', () => {
+    test('should add configured parameters to the defaults', () => {
+      expect(parseStripParams('ref, source  campaign_*')).toEqual(['ref', 'source', 'campaign_*']);
+      expect(getStripParams('ref')).toEqual(expect.arrayContaining(['utm_*', 'ref']));
+    });
+
+    test('should derive normalized columns from URL and canonical URL', () => {
+      expect(getUrlFields('https://www.example.com/a/?utm_medium=rss', 'https://example.com/canonical'))
+        .toEqual({
+          canonicalUrl: 'https://example.com/canonical',
+          normalizedUrl: 'example.com/a',
+          normalizedCanonicalUrl: 'example.com/canonical'
+        });
+    });
+  });
+
+  test('should match the copy bundled with the extension', () => {
+    const extensionCopy = path.join(__dirname, '../../../extension/url-normalizer.js');
+    if (!fs.existsSync(extensionCopy)) {
+      return;
+    }
+
+    const serverCopy = path.join(__dirname, '../../shared/url-normalizer.js');
+    expect(fs.readFileSync(extensionCopy, 'utf8')).toBe(fs.readFileSync(serverCopy, 'utf8'));
+  });
+});
@@ -14,6 +14,17 @@ const CACHE_CONFIG = {
   keyPrefix: 'bookmark-sync:'
 };
 
+// Keys asked for per SCAN step and deleted per DEL call when invalidating by prefix
+const SCAN_BATCH_SIZE = 500;
+
+// Glob characters in a key prefix match themselves in a SCAN pattern
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, '\\$&');
+
+const formatHitRate = (hits, misses) => {
+  const hitRate = hits + misses > 0 ? (hits / (hits + misses) * 100).toFixed(2) : 0;
+  return `${hitRate}%`;
+};
+
 class CacheManager {
   constructor() {
     this.redisClient = null;
@@ -26,6 +37,8 @@ class CacheManager {
       deletes: 0,
       errors: 0
     };
+    // Hits and misses per key namespace (the part of the key before the first ':')
+    this.namespaceStats = {};
   }
 
   async initialize() {
@@ -80,6 +93,13 @@ class CacheManager {
     return `${CACHE_CONFIG.keyPrefix}${key}`;
   }
 
+  _recordLookup(key, isHit) {
+    const namespace = key.split(':')[0];
+    const stats = this.namespaceStats[namespace] || { hits: 0, misses: 0 };
+    stats[isHit ? 'hits' : 'misses']++;
+    this.namespaceStats[namespace] = stats;
+  }
+
   async get(key) {
     const fullKey = this._generateKey(key);
     const startTime = Date.now();
@@ -106,6 +126,7 @@ class CacheManager {
 
       const duration = Date.now() - startTime;
 
+      this._recordLookup(key, value !== null);
       if (value !== null) {
         this.stats.hits++;
         logPerformance(logger, 'cache_hit', duration, { key, useRedis: this.useRedis });
@@ -184,15 +205,54 @@ class CacheManager {
     }
   }
 
+  // Walks the matching Redis keys with SCAN, which works in small steps, rather than KEYS,
+  // which blocks every client while it reads the whole keyspace
+  async _deleteRedisKeys(pattern) {
+    let batch = [];
+    for await (const key of this.redisClient.scanIterator({ MATCH: pattern, COUNT: SCAN_BATCH_SIZE })) {
+      batch.push(key);
+      if (batch.length === SCAN_BATCH_SIZE) {
+        await this.redisClient.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.redisClient.del(batch);
+    }
+  }
+
+  // Deletes every entry whose key starts with the prefix
+  async deleteByPrefix(prefix) {
+    const fullPrefix = this._generateKey(prefix);
+
+    try {
+      if (this.useRedis && this.redisClient?.isReady) {
+        try {
+          await this._deleteRedisKeys(`${escapeGlob(fullPrefix)}*`);
+        } catch (error) {
+          logger.warn('Redis delete by prefix error', { prefix, error: error.message });
+          this.stats.errors++;
+        }
+      }
+
+      const keys = this.memoryCache.keys().filter(key => key.startsWith(fullPrefix));
+      keys.forEach(key => this.memoryCache.del(key));
+
+      this.stats.deletes += keys.length;
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Cache delete by prefix error', { prefix, error: error.message });
+      return false;
+    }
+  }
+
   async clear() {
     try {
       // Clear Redis
       if (this.useRedis && this.redisClient?.isReady) {
         try {
-          const keys = await this.redisClient.keys(`${CACHE_CONFIG.keyPrefix}*`);
-          if (keys.length > 0) {
-            await this.redisClient.del(keys);
-          }
+          await this._deleteRedisKeys(`${escapeGlob(CACHE_CONFIG.keyPrefix)}*`);
         } catch (error) {
           logger.warn('Redis clear error', { error: error.message });
         }
@@ -222,13 +282,17 @@ class CacheManager {
 
   getStats() {
     const memorySize = this.memoryCache.size();
-    const hitRate = this.stats.hits + this.stats.misses > 0 
-      ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
-      : 0;
+    const namespaces = Object.fromEntries(
+      Object.entries(this.namespaceStats).map(([namespace, stats]) => [
+        namespace,
+        { ...stats, hitRate: formatHitRate(stats.hits, stats.misses) }
+      ])
+    );
 
     return {
       ...this.stats,
-      hitRate: `${hitRate}%`,
+      hitRate: formatHitRate(this.stats.hits, this.stats.misses),
+      namespaces,
       memorySize,
       useRedis: this.useRedis,
       redisConnected: this.redisClient?.isReady || false
@@ -287,72 +351,77 @@ const cacheMiddleware = (ttl = CACHE_CONFIG.defaultTTL, keyGenerator = null) =>
 };
 
 // Specific cache functions for common operations
+// Keys read `<namespace>:<user>:...` so one user's entries can be dropped together and
+// never leak to another account. Without auth every request shares the 'anon' scope.
+const RECENT_BOOKMARKS_TTL = 300; // 5 minutes
+const TAGS_TTL = 1800; // 30 minutes
+const BOOKMARK_TTL = 3600; // 1 hour
+const CACHE_NAMESPACES = ['recent', 'tags', 'bookmark'];
+
+const getUserScope = (userId) => (userId === null || userId === undefined ? 'anon' : String(userId));
+
 const bookmarkCache = {
-  getRecentBookmarks: async (limit = 10) => {
-    const key = `recent_bookmarks:${limit}`;
-    return await cacheManager.get(key);
+  getRecentBookmarks: async (userId, limit = 10) => {
+    return await cacheManager.get(`recent:${getUserScope(userId)}:${limit}`);
   },
 
-  setRecentBookmarks: async (bookmarks, limit = 10) => {
-    const key = `recent_bookmarks:${limit}`;
-    return await cacheManager.set(key, bookmarks, 300); // 5 minutes
+  setRecentBookmarks: async (userId, bookmarks, limit = 10) => {
+    return await cacheManager.set(`recent:${getUserScope(userId)}:${limit}`, bookmarks, RECENT_BOOKMARKS_TTL);
   },
 
-  getTags: async () => {
-    return await cacheManager.get('all_tags');
+  // variant is 'tree' or 'flat', matching GET /api/bookmarks/tags
+  getTags: async (userId, variant = 'tree') => {
+    return await cacheManager.get(`tags:${getUserScope(userId)}:${variant}`);
   },
 
-  setTags: async (tags) => {
-    return await cacheManager.set('all_tags', tags, 1800); // 30 minutes
+  setTags: async (userId, tags, variant = 'tree') => {
+    return await cacheManager.set(`tags:${getUserScope(userId)}:${variant}`, tags, TAGS_TTL);
   },
 
-  getBookmarkById: async (id) => {
-    const key = `bookmark:${id}`;
-    return await cacheManager.get(key);
+  getBookmarkById: async (userId, id) => {
+    return await cacheManager.get(`bookmark:${getUserScope(userId)}:${id}`);
   },
 
-  setBookmarkById: async (id, bookmark) => {
-    const key = `bookmark:${id}`;
-    return await cacheManager.set(key, bookmark, 3600); // 1 hour
+  setBookmarkById: async (userId, id, bookmark) => {
+    return await cacheManager.set(`bookmark:${getUserScope(userId)}:${id}`, bookmark, BOOKMARK_TTL);
   },
 
-  invalidateBookmark: async (id) => {
-    await cacheManager.delete(`bookmark:${id}`);
-    await cacheManager.delete('all_tags');
-    // Invalidate recent bookmarks
-    for (let limit = 5; limit <= 50; limit += 5) {
-      await cacheManager.delete(`recent_bookmarks:${limit}`);
-    }
+  // Bookmarks were created, edited, archived or restored: their own entries go, along
+  // with the user's recent lists and tag counts that may include them
+  invalidateBookmarks: async (userId, bookmarkIds = []) => {
+    const scope = getUserScope(userId);
+    await Promise.all([
+      ...bookmarkIds.map(id => cacheManager.delete(`bookmark:${scope}:${id}`)),
+      cacheManager.deleteByPrefix(`recent:${scope}:`),
+      cacheManager.deleteByPrefix(`tags:${scope}:`)
+    ]);
+  },
+
+  // Tags were renamed, merged or deleted, or bookmarks imported: every cached bookmark
+  // of the user may be stale
+  invalidateUser: async (userId) => {
+    const scope = getUserScope(userId);
+    await Promise.all(CACHE_NAMESPACES.map(namespace => cacheManager.deleteByPrefix(`${namespace}:${scope}:`)));
   }
 };
 
 // Cache warming functions
+// Fills the recent list and tag tree of every user with live bookmarks
 const warmCache = async () => {
   try {
     logger.info('Starting cache warming...');
     
     const db = require('./database');
+    const { listRecentBookmarks } = require('../services/bookmarks');
+    const { listTags, buildTagTree } = require('../services/tags');
     
-    // Warm recent bookmarks
-    const recentBookmarks = await db.query(`
-      SELECT * FROM bookmarks 
-      WHERE is_archived = FALSE 
-      ORDER BY created_at DESC 
-      LIMIT 10
-    `);
-    await bookmarkCache.setRecentBookmarks(recentBookmarks);
-
-    // Warm tags
-    const tags = await db.query(`
-      SELECT t.*, COUNT(bt.bookmark_id) as bookmark_count
-      FROM tags t
-      LEFT JOIN bookmark_tags bt ON t.id = bt.tag_id
-      GROUP BY t.id
-      ORDER BY bookmark_count DESC
-    `);
-    await bookmarkCache.setTags(tags);
-
-    logger.info('Cache warming completed');
+    const users = await db.query('SELECT DISTINCT user_id FROM bookmarks WHERE is_archived = FALSE');
+    await Promise.all(users.map(async ({ user_id: userId }) => {
+      await bookmarkCache.setRecentBookmarks(userId, await listRecentBookmarks(userId));
+      await bookmarkCache.setTags(userId, buildTagTree(await listTags(userId)));
+    }));
+
+    logger.info('Cache warming completed', { users: users.length });
   } catch (error) {
     logger.error('Cache warming failed', { error: error.message });
   }
@@ -2,9 +2,15 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrations');
 
 // Pure functions for database operations
 const createDatabasePath = (dbPath) => {
+  // SQLite treats ':memory:' as a private in-memory database, not a file
+  if (dbPath === ':memory:') {
+    return dbPath;
+  }
+
   const fullPath = path.resolve(dbPath || './data/bookmarks.db');
   const dir = path.dirname(fullPath);
   
@@ -40,6 +46,18 @@ const executeQuery = (db, query, params = []) => {
   });
 };
 
+const executeScript = (db, script) => {
+  return new Promise((resolve, reject) => {
+    db.exec(script, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
 const executeInsert = (db, query, params = []) => {
   return new Promise((resolve, reject) => {
     db.run(query, params, function(err) {
@@ -112,6 +130,20 @@ const createTablesQuery = `
 
 // Database connection and operations
 let dbConnection = null;
+let transactionQueue = Promise.resolve();
+let savepointCount = 0;
+
+const runTransaction = async (db, callback) => {
+  await executeInsert(db, 'BEGIN TRANSACTION');
+  try {
+    const result = await callback(db);
+    await executeInsert(db, 'COMMIT');
+    return result;
+  } catch (error) {
+    await executeInsert(db, 'ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
 
 const database = {
   // Initialize database connection and create tables
@@ -123,8 +155,13 @@ const database = {
       // Enable foreign keys
       await executeQuery(dbConnection, 'PRAGMA foreign_keys = ON');
       
-      // Create tables
-      await executeQuery(dbConnection, createTablesQuery);
+      // Create tables (multi-statement script, so it must go through exec)
+      await executeScript(dbConnection, createTablesQuery);
+      
+      // Apply versioned schema changes; table rebuilds need foreign keys off
+      await executeQuery(dbConnection, 'PRAGMA foreign_keys = OFF');
+      await runMigrations(database, { migrationsDir: path.join(__dirname, '..', 'migrations') });
+      await executeQuery(dbConnection, 'PRAGMA foreign_keys = ON');
       
       console.log('Database initialized at:', fullPath);
       return dbConnection;
@@ -168,28 +205,29 @@ const database = {
     return await executeInsert(db, sql, params);
   },
 
-  // Transaction wrapper
-  transaction: async (callback) => {
+  // Runs callback inside BEGIN…COMMIT, rolling back if it throws. All statements share one
+  // connection, so transactions wait for each other in a queue rather than nesting.
+  transaction: (callback) => {
+    const run = () => runTransaction(database.getConnection(), callback);
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+  },
+
+  // Inside a transaction: runs callback so that a throw undoes only its own writes
+  savepoint: async (callback) => {
     const db = database.getConnection();
-    
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-        
-        Promise.resolve(callback(db))
-          .then((result) => {
-            db.run('COMMIT', (err) => {
-              if (err) reject(err);
-              else resolve(result);
-            });
-          })
-          .catch((error) => {
-            db.run('ROLLBACK', (rollbackErr) => {
-              reject(error);
-            });
-          });
-      });
-    });
+    const name = `sp_${++savepointCount}`;
+    await executeInsert(db, `SAVEPOINT ${name}`);
+    try {
+      const result = await callback(db);
+      await executeInsert(db, `RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      await executeInsert(db, `ROLLBACK TO ${name}`);
+      await executeInsert(db, `RELEASE ${name}`);
+      throw error;
+    }
   }
 };
 
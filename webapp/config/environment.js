@@ -75,6 +75,58 @@ const environmentSchema = {
     description: 'Cache TTL in seconds'
   },
   
+  // Bookmark Configuration
+  URL_STRIP_PARAMS: {
+    type: 'string',
+    default: '',
+    description: 'Extra tracking query parameters ignored when matching duplicate URLs (comma-separated, `prefix*` allowed)'
+  },
+  TRASH_RETENTION_DAYS: {
+    type: 'number',
+    default: 30,
+    description: 'Days deleted bookmarks stay in the trash before they are purged (0 keeps them)'
+  },
+  LINK_CHECK_INTERVAL_DAYS: {
+    type: 'number',
+    default: 7,
+    description: 'Days between link health checks of the same bookmark'
+  },
+  LINK_CHECK_CONCURRENCY: {
+    type: 'number',
+    default: 4,
+    description: 'Hosts checked at the same time during a link health round'
+  },
+  LINK_CHECK_HOST_DELAY_MS: {
+    type: 'number',
+    default: 1000,
+    description: 'Pause between link checks against the same host in milliseconds'
+  },
+  METADATA_FETCH_TIMEOUT_MS: {
+    type: 'number',
+    default: 10000,
+    description: 'Time allowed for each page or robots.txt request when fetching bookmark metadata'
+  },
+  METADATA_FETCH_PRIVATE_HOSTS: {
+    type: 'boolean',
+    default: false,
+    description: 'Let the metadata fetcher and link checker request loopback and private network addresses'
+  },
+  SNAPSHOT_DIR: {
+    type: 'string',
+    default: null,
+    description: 'Folder for offline page snapshots (defaults to snapshots/ next to the database)'
+  },
+  SNAPSHOT_MAX_MB: {
+    type: 'number',
+    default: 20,
+    description: 'Largest page snapshot accepted, in megabytes'
+  },
+  SNAPSHOT_QUOTA_MB: {
+    type: 'number',
+    default: 500,
+    description: 'Snapshot storage per user, in megabytes'
+  },
+  
   // Monitoring Configuration
   HEALTH_CHECK_INTERVAL: {
     type: 'number',
@@ -103,6 +155,16 @@ const environmentSchema = {
     default: true,
     description: 'Enable bookmark export functionality'
   },
+  ENABLE_LINK_CHECKS: {
+    type: 'boolean',
+    default: true,
+    description: 'Periodically check bookmarked links for broken pages and redirects'
+  },
+  ENABLE_METADATA_FETCH: {
+    type: 'boolean',
+    default: true,
+    description: 'Fetch page details for bookmarks created without the extension'
+  },
   
   // Development Configuration
   DEV_AUTO_RELOAD: {
@@ -219,6 +281,8 @@ const getEnvironmentInfo = () => {
       auth: config.ENABLE_AUTH,
       analytics: config.ENABLE_ANALYTICS,
       export: config.ENABLE_EXPORT,
+      linkChecks: config.ENABLE_LINK_CHECKS,
+      metadataFetch: config.ENABLE_METADATA_FETCH,
       metrics: config.METRICS_ENABLED
     },
     isDevelopment: config.NODE_ENV === 'development',
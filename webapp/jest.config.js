@@ -11,6 +11,8 @@ module.exports = {
   // Coverage settings
   collectCoverageFrom: [
     'routes/**/*.js',
+    'services/**/*.js',
+    'shared/**/*.js',
     'config/**/*.js',
     'middleware/**/*.js',
     'scripts/**/*.js',
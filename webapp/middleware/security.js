@@ -3,7 +3,6 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const ExpressBrute = require('express-brute');
-const SQLiteStore = require('express-brute-sqlite');
 const { body, validationResult } = require('express-validator');
 const { logSecurityEvent } = require('../config/logger');
 const { createLogger } = require('../config/logger');
@@ -13,11 +12,13 @@ const logger = createLogger();
 // Security configuration
 const SALT_ROUNDS = 12;
 const JWT_EXPIRY = '24h';
+const LINK_TOKEN_EXPIRY = '24h';
+const LINK_TOKEN_PURPOSE = 'link';
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
 
-// Brute force protection store
-const bruteForcStore = new SQLiteStore('./data/brute-force.db');
+// Brute force protection store (per-process; failed attempts reset on restart)
+const bruteForcStore = new ExpressBrute.MemoryStore();
 const bruteForce = new ExpressBrute(bruteForcStore, {
   freeRetries: MAX_LOGIN_ATTEMPTS,
   minWait: 1000, // 1 second
@@ -37,4 +38,418 @@ const bruteForce = new ExpressBrute(bruteForcStore, {
     res.status(429).json({
       success: false,
       message: 'Too many failed attempts. Please try again later.',
-      retryAfter: timeRemaining\n    });\n  }\n});\n\n// Password utilities\nconst hashPassword = async (password) => {\n  return await bcrypt.hash(password, SALT_ROUNDS);\n};\n\nconst verifyPassword = async (password, hash) => {\n  return await bcrypt.compare(password, hash);\n};\n\n// JWT utilities\nconst generateToken = (payload, secret = process.env.SESSION_SECRET) => {\n  return jwt.sign(payload, secret, { expiresIn: JWT_EXPIRY });\n};\n\nconst verifyToken = (token, secret = process.env.SESSION_SECRET) => {\n  try {\n    return jwt.verify(token, secret);\n  } catch (error) {\n    return null;\n  }\n};\n\n// Input validation schemas\nconst passwordValidation = [\n  body('password')\n    .isLength({ min: 8 })\n    .withMessage('Password must be at least 8 characters long')\n    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]/)\n    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')\n];\n\nconst emailValidation = [\n  body('email')\n    .isEmail()\n    .withMessage('Valid email is required')\n    .normalizeEmail()\n    .isLength({ max: 255 })\n    .withMessage('Email is too long')\n];\n\nconst userValidation = [\n  ...emailValidation,\n  ...passwordValidation,\n  body('name')\n    .trim()\n    .isLength({ min: 2, max: 100 })\n    .withMessage('Name must be between 2 and 100 characters')\n    .matches(/^[a-zA-Z\\s-']+$/)\n    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes')\n];\n\nconst loginValidation = [\n  ...emailValidation,\n  body('password')\n    .notEmpty()\n    .withMessage('Password is required')\n];\n\n// Security middleware functions\nconst requireAuth = async (req, res, next) => {\n  try {\n    const token = req.header('Authorization')?.replace('Bearer ', '') || \n                  req.header('X-Auth-Token') ||\n                  req.cookies?.authToken;\n    \n    if (!token) {\n      return res.status(401).json({\n        success: false,\n        message: 'Access denied. No token provided.'\n      });\n    }\n    \n    const decoded = verifyToken(token);\n    if (!decoded) {\n      logSecurityEvent(logger, 'invalid_token', {\n        ip: req.ip,\n        userAgent: req.get('User-Agent'),\n        url: req.originalUrl\n      });\n      \n      return res.status(401).json({\n        success: false,\n        message: 'Access denied. Invalid token.'\n      });\n    }\n    \n    // Check if user still exists and is active\n    const db = require('../config/database');\n    const users = await db.query(\n      'SELECT id, email, name, is_active FROM users WHERE id = ? AND is_active = TRUE',\n      [decoded.userId]\n    );\n    \n    if (users.length === 0) {\n      logSecurityEvent(logger, 'user_not_found', {\n        userId: decoded.userId,\n        ip: req.ip,\n        userAgent: req.get('User-Agent')\n      });\n      \n      return res.status(401).json({\n        success: false,\n        message: 'Access denied. User not found or inactive.'\n      });\n    }\n    \n    req.user = users[0];\n    next();\n  } catch (error) {\n    logSecurityEvent(logger, 'auth_error', {\n      error: error.message,\n      ip: req.ip,\n      userAgent: req.get('User-Agent')\n    }, 'error');\n    \n    res.status(500).json({\n      success: false,\n      message: 'Authentication error'\n    });\n  }\n};\n\nconst optionalAuth = async (req, res, next) => {\n  try {\n    const token = req.header('Authorization')?.replace('Bearer ', '') || \n                  req.header('X-Auth-Token') ||\n                  req.cookies?.authToken;\n    \n    if (token) {\n      const decoded = verifyToken(token);\n      if (decoded) {\n        const db = require('../config/database');\n        const users = await db.query(\n          'SELECT id, email, name, is_active FROM users WHERE id = ? AND is_active = TRUE',\n          [decoded.userId]\n        );\n        \n        if (users.length > 0) {\n          req.user = users[0];\n        }\n      }\n    }\n    \n    next();\n  } catch (error) {\n    // Don't fail for optional auth, just continue without user\n    next();\n  }\n};\n\n// Rate limiting configurations\nconst createRateLimit = (windowMs, max, message) => {\n  return rateLimit({\n    windowMs,\n    max,\n    message: {\n      success: false,\n      message\n    },\n    standardHeaders: true,\n    legacyHeaders: false,\n    handler: (req, res) => {\n      logSecurityEvent(logger, 'rate_limit_exceeded', {\n        ip: req.ip,\n        url: req.originalUrl,\n        userAgent: req.get('User-Agent')\n      });\n      \n      res.status(429).json({\n        success: false,\n        message\n      });\n    }\n  });\n};\n\n// Specific rate limiters\nconst authRateLimit = createRateLimit(\n  15 * 60 * 1000, // 15 minutes\n  10, // attempts per window\n  'Too many authentication attempts. Please try again later.'\n);\n\nconst apiRateLimit = createRateLimit(\n  15 * 60 * 1000, // 15 minutes\n  1000, // requests per window\n  'Too many API requests. Please try again later.'\n);\n\nconst strictRateLimit = createRateLimit(\n  15 * 60 * 1000, // 15 minutes\n  100, // requests per window\n  'Rate limit exceeded for this endpoint.'\n);\n\n// Input sanitization\nconst sanitizeInput = (req, res, next) => {\n  const sanitizeString = (str) => {\n    if (typeof str !== 'string') return str;\n    \n    // Remove null bytes\n    str = str.replace(/\\0/g, '');\n    \n    // Trim whitespace\n    str = str.trim();\n    \n    // Basic HTML encoding for output (prevent XSS)\n    str = str.replace(/</g, '&lt;').replace(/>/g, '&gt;');\n    \n    return str;\n  };\n  \n  const sanitizeObject = (obj) => {\n    if (obj === null || typeof obj !== 'object') return obj;\n    \n    if (Array.isArray(obj)) {\n      return obj.map(sanitizeObject);\n    }\n    \n    const sanitized = {};\n    for (const [key, value] of Object.entries(obj)) {\n      if (typeof value === 'string') {\n        sanitized[key] = sanitizeString(value);\n      } else if (typeof value === 'object') {\n        sanitized[key] = sanitizeObject(value);\n      } else {\n        sanitized[key] = value;\n      }\n    }\n    return sanitized;\n  };\n  \n  req.body = sanitizeObject(req.body);\n  req.query = sanitizeObject(req.query);\n  req.params = sanitizeObject(req.params);\n  \n  next();\n};\n\n// Validation error handler\nconst handleValidationErrors = (req, res, next) => {\n  const errors = validationResult(req);\n  \n  if (!errors.isEmpty()) {\n    logSecurityEvent(logger, 'validation_error', {\n      errors: errors.array(),\n      ip: req.ip,\n      url: req.originalUrl,\n      body: req.body\n    });\n    \n    return res.status(400).json({\n      success: false,\n      message: 'Validation failed',\n      errors: errors.array()\n    });\n  }\n  \n  next();\n};\n\n// Content Security Policy\nconst cspDirectives = {\n  defaultSrc: [\"'self'\"],\n  scriptSrc: [\"'self'\", \"'unsafe-inline'\"],\n  styleSrc: [\"'self'\", \"'unsafe-inline'\"],\n  imgSrc: [\"'self'\", \"data:\", \"https:\"],\n  fontSrc: [\"'self'\", \"https:\"],\n  connectSrc: [\"'self'\"],\n  mediaSrc: [\"'self'\"],\n  objectSrc: [\"'none'\"],\n  childSrc: [\"'none'\"],\n  frameAncestors: [\"'none'\"],\n  baseUri: [\"'self'\"],\n  formAction: [\"'self'\"]\n};\n\n// Security headers middleware\nconst securityHeaders = (req, res, next) => {\n  // HSTS\n  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');\n  \n  // XSS Protection\n  res.setHeader('X-XSS-Protection', '1; mode=block');\n  \n  // Content Type Options\n  res.setHeader('X-Content-Type-Options', 'nosniff');\n  \n  // Frame Options\n  res.setHeader('X-Frame-Options', 'DENY');\n  \n  // Referrer Policy\n  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');\n  \n  // Permissions Policy\n  res.setHeader('Permissions-Policy', 'geolocation=(), microphone=(), camera=()');\n  \n  next();\n};\n\n// CSRF protection (basic implementation)\nconst csrfProtection = (req, res, next) => {\n  // Skip CSRF for GET requests and API authentication\n  if (req.method === 'GET' || req.header('Authorization')) {\n    return next();\n  }\n  \n  const token = req.header('X-CSRF-Token') || req.body._csrf;\n  const sessionToken = req.session?.csrfToken;\n  \n  if (!token || !sessionToken || token !== sessionToken) {\n    logSecurityEvent(logger, 'csrf_violation', {\n      ip: req.ip,\n      url: req.originalUrl,\n      userAgent: req.get('User-Agent'),\n      providedToken: !!token,\n      sessionToken: !!sessionToken\n    });\n    \n    return res.status(403).json({\n      success: false,\n      message: 'CSRF token validation failed'\n    });\n  }\n  \n  next();\n};\n\n// Generate CSRF token\nconst generateCSRFToken = () => {\n  const crypto = require('crypto');\n  return crypto.randomBytes(32).toString('hex');\n};\n\nmodule.exports = {\n  // Authentication\n  requireAuth,\n  optionalAuth,\n  \n  // Password utilities\n  hashPassword,\n  verifyPassword,\n  \n  // JWT utilities\n  generateToken,\n  verifyToken,\n  \n  // Validation schemas\n  passwordValidation,\n  emailValidation,\n  userValidation,\n  loginValidation,\n  \n  // Rate limiting\n  authRateLimit,\n  apiRateLimit,\n  strictRateLimit,\n  bruteForce,\n  \n  // Security middleware\n  sanitizeInput,\n  handleValidationErrors,\n  securityHeaders,\n  csrfProtection,\n  \n  // Utilities\n  generateCSRFToken,\n  cspDirectives\n};
\ No newline at end of file
+      retryAfter: timeRemaining
+    });
+  }
+});
+
+// Password utilities
+const hashPassword = async (password) => {
+  return await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+const verifyPassword = async (password, hash) => {
+  return await bcrypt.compare(password, hash);
+};
+
+// JWT utilities
+const generateToken = (payload, secret = process.env.SESSION_SECRET) => {
+  return jwt.sign(payload, secret, { expiresIn: JWT_EXPIRY });
+};
+
+// A token that opens one bookmark through /go/:id, for sharing a link with a browser that
+// holds no API token. It ends with the session it was issued from.
+const generateLinkToken = ({ userId, sessionId, bookmarkId }, secret = process.env.SESSION_SECRET) => {
+  return jwt.sign({ userId, sessionId, bookmarkId, purpose: LINK_TOKEN_PURPOSE }, secret, { expiresIn: LINK_TOKEN_EXPIRY });
+};
+
+const verifyToken = (token, secret = process.env.SESSION_SECRET) => {
+  try {
+    return jwt.verify(token, secret);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Input validation schemas
+const passwordValidation = [
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+];
+
+const emailValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail()
+    .isLength({ max: 255 })
+    .withMessage('Email is too long')
+];
+
+const userValidation = [
+  ...emailValidation,
+  ...passwordValidation,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .matches(/^[a-zA-Z\s-']+$/)
+    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes')
+];
+
+const loginValidation = [
+  ...emailValidation,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// Security middleware functions
+// Checks a token and its session, and sets req.user. Link tokens (see generateLinkToken)
+// only pass where `purpose` names them, and API tokens only where it does not.
+const authenticateToken = async (req, res, next, token, purpose = null) => {
+  try {
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+    
+    const decoded = verifyToken(token);
+    if (!decoded || (decoded.purpose || null) !== purpose) {
+      logSecurityEvent(logger, 'invalid_token', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        url: req.originalUrl
+      });
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Invalid token.'
+      });
+    }
+    
+    const db = require('../config/database');
+    
+    // Tokens issued for a session stop working once it is logged out or expires
+    if (decoded.sessionId) {
+      const sessions = await db.query(
+        'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND expires_at > ?',
+        [decoded.sessionId, decoded.userId, new Date().toISOString()]
+      );
+      
+      if (sessions.length === 0) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Session expired or revoked.'
+        });
+      }
+    }
+    
+    // Check if user still exists and is active
+    const users = await db.query(
+      'SELECT id, email, name, is_active FROM users WHERE id = ? AND is_active = TRUE',
+      [decoded.userId]
+    );
+    
+    if (users.length === 0) {
+      logSecurityEvent(logger, 'user_not_found', {
+        userId: decoded.userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. User not found or inactive.'
+      });
+    }
+    
+    req.user = users[0];
+    req.sessionId = decoded.sessionId || null;
+    req.linkBookmarkId = decoded.bookmarkId || null;
+    next();
+  } catch (error) {
+    logSecurityEvent(logger, 'auth_error', {
+      error: error.message,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }, 'error');
+    
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+const requireAuth = (req, res, next) => authenticateToken(
+  req,
+  res,
+  next,
+  req.header('Authorization')?.replace('Bearer ', '') || req.header('X-Auth-Token') || req.cookies?.authToken
+);
+
+// For links opened outside the app: a `token` query parameter from generateLinkToken is
+// accepted in place of the usual credentials
+const requireLinkAuth = (req, res, next) => (req.query.token
+  ? authenticateToken(req, res, next, String(req.query.token), LINK_TOKEN_PURPOSE)
+  : requireAuth(req, res, next));
+
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '') || 
+                  req.header('X-Auth-Token') ||
+                  req.cookies?.authToken;
+    
+    if (token) {
+      const decoded = verifyToken(token);
+      if (decoded && !decoded.purpose) {
+        const db = require('../config/database');
+        const users = await db.query(
+          'SELECT id, email, name, is_active FROM users WHERE id = ? AND is_active = TRUE',
+          [decoded.userId]
+        );
+        
+        if (users.length > 0) {
+          req.user = users[0];
+        }
+      }
+    }
+    
+    next();
+  } catch (error) {
+    // Don't fail for optional auth, just continue without user
+    next();
+  }
+};
+
+// Rate limiting configurations
+const createRateLimit = (windowMs, max, message) => {
+  return rateLimit({
+    windowMs,
+    max,
+    message: {
+      success: false,
+      message
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      logSecurityEvent(logger, 'rate_limit_exceeded', {
+        ip: req.ip,
+        url: req.originalUrl,
+        userAgent: req.get('User-Agent')
+      });
+      
+      res.status(429).json({
+        success: false,
+        message
+      });
+    }
+  });
+};
+
+// Specific rate limiters
+const authRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  10, // attempts per window
+  'Too many authentication attempts. Please try again later.'
+);
+
+const apiRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  1000, // requests per window
+  'Too many API requests. Please try again later.'
+);
+
+const strictRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  100, // requests per window
+  'Rate limit exceeded for this endpoint.'
+);
+
+// Input sanitization
+const sanitizeInput = (req, res, next) => {
+  const sanitizeString = (str) => {
+    if (typeof str !== 'string') return str;
+    
+    // Remove null bytes
+    str = str.replace(/\0/g, '');
+    
+    // Trim whitespace
+    str = str.trim();
+    
+    // Basic HTML encoding for output (prevent XSS)
+    str = str.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    
+    return str;
+  };
+  
+  const sanitizeObject = (obj) => {
+    if (obj === null || typeof obj !== 'object') return obj;
+    
+    if (Array.isArray(obj)) {
+      return obj.map(sanitizeObject);
+    }
+    
+    const sanitized = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (typeof value === 'string') {
+        sanitized[key] = sanitizeString(value);
+      } else if (typeof value === 'object') {
+        sanitized[key] = sanitizeObject(value);
+      } else {
+        sanitized[key] = value;
+      }
+    }
+    return sanitized;
+  };
+  
+  req.body = sanitizeObject(req.body);
+  req.query = sanitizeObject(req.query);
+  req.params = sanitizeObject(req.params);
+  
+  next();
+};
+
+// Validation error handler
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    logSecurityEvent(logger, 'validation_error', {
+      errors: errors.array(),
+      ip: req.ip,
+      url: req.originalUrl,
+      body: req.body
+    });
+    
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  next();
+};
+
+// Content Security Policy
+const cspDirectives = {
+  defaultSrc: ["'self'"],
+  scriptSrc: ["'self'", "'unsafe-inline'"],
+  styleSrc: ["'self'", "'unsafe-inline'"],
+  imgSrc: ["'self'", "data:", "https:"],
+  fontSrc: ["'self'", "https:"],
+  connectSrc: ["'self'"],
+  mediaSrc: ["'self'"],
+  objectSrc: ["'none'"],
+  childSrc: ["'none'"],
+  frameAncestors: ["'none'"],
+  baseUri: ["'self'"],
+  formAction: ["'self'"]
+};
+
+// Security headers middleware
+const securityHeaders = (req, res, next) => {
+  // HSTS
+  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
+  
+  // XSS Protection
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  
+  // Content Type Options
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  
+  // Frame Options
+  res.setHeader('X-Frame-Options', 'DENY');
+  
+  // Referrer Policy
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  
+  // Permissions Policy
+  res.setHeader('Permissions-Policy', 'geolocation=(), microphone=(), camera=()');
+  
+  next();
+};
+
+// CSRF protection (basic implementation)
+const csrfProtection = (req, res, next) => {
+  // Skip CSRF for GET requests and API authentication
+  if (req.method === 'GET' || req.header('Authorization')) {
+    return next();
+  }
+  
+  const token = req.header('X-CSRF-Token') || req.body._csrf;
+  const sessionToken = req.session?.csrfToken;
+  
+  if (!token || !sessionToken || token !== sessionToken) {
+    logSecurityEvent(logger, 'csrf_violation', {
+      ip: req.ip,
+      url: req.originalUrl,
+      userAgent: req.get('User-Agent'),
+      providedToken: !!token,
+      sessionToken: !!sessionToken
+    });
+    
+    return res.status(403).json({
+      success: false,
+      message: 'CSRF token validation failed'
+    });
+  }
+  
+  next();
+};
+
+// Owner of the data a request may touch; null when authentication is disabled
+const getUserId = (req) => (req.user ? req.user.id : null);
+
+// Generate CSRF token
+const generateCSRFToken = () => {
+  const crypto = require('crypto');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+module.exports = {
+  // Authentication
+  requireAuth,
+  requireLinkAuth,
+  optionalAuth,
+  
+  // Password utilities
+  hashPassword,
+  verifyPassword,
+  
+  // JWT utilities
+  generateToken,
+  generateLinkToken,
+  verifyToken,
+  
+  // Validation schemas
+  passwordValidation,
+  emailValidation,
+  userValidation,
+  loginValidation,
+  
+  // Rate limiting
+  authRateLimit,
+  apiRateLimit,
+  strictRateLimit,
+  bruteForce,
+  
+  // Security middleware
+  sanitizeInput,
+  handleValidationErrors,
+  securityHeaders,
+  csrfProtection,
+  
+  // Utilities
+  getUserId,
+  generateCSRFToken,
+  cspDirectives
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Migration: Scope tags to their owning user
+// Created: 2024-01-03T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // Tag names were globally unique; rebuild the table so each user gets their own namespace.
+    // Runs with foreign keys disabled so dropping the old table keeps bookmark_tags intact.
+    await db.query(`
+      CREATE TABLE tags_scoped (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        color TEXT DEFAULT '#6b7280',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        user_id INTEGER REFERENCES users(id)
+      )
+    `);
+
+    await db.query(`
+      INSERT INTO tags_scoped (id, name, color, created_at)
+      SELECT id, name, color, created_at FROM tags
+    `);
+
+    await db.query('DROP TABLE tags');
+    await db.query('ALTER TABLE tags_scoped RENAME TO tags');
+
+    // NULL owner (auth disabled) is treated as a single namespace of its own
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(COALESCE(user_id, 0), name)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id)');
+  },
+  
+  async down(db) {
+    await db.query(`
+      CREATE TABLE tags_global (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        color TEXT DEFAULT '#6b7280',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Names that now collide across users keep their oldest tag
+    await db.query(`
+      INSERT OR IGNORE INTO tags_global (id, name, color, created_at)
+      SELECT id, name, color, created_at FROM tags ORDER BY id
+    `);
+
+    await db.query('DROP TABLE tags');
+    await db.query('ALTER TABLE tags_global RENAME TO tags');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)');
+  }
+};
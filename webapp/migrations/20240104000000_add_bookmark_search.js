@@ -0,0 +1,61 @@
+// Migration: Full-text search over bookmark content
+// Created: 2024-01-04T00:00:00.000Z
+
+// Columns indexed by bookmarks_fts, in index order (bm25 weights follow the same order)
+const FTS_COLUMNS = ['title', 'description', 'note', 'text_content', 'url'];
+
+const columnList = FTS_COLUMNS.join(', ');
+const newValues = FTS_COLUMNS.map(column => `new.${column}`).join(', ');
+const oldValues = FTS_COLUMNS.map(column => `old.${column}`).join(', ');
+
+module.exports = {
+  async up(db) {
+    // Free-form note and captured page text sent by the extension
+    await db.query('ALTER TABLE bookmarks ADD COLUMN note TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN text_content TEXT');
+
+    // External-content FTS5 index: text lives in bookmarks, the index only stores tokens
+    await db.query(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS bookmarks_fts USING fts5(
+        ${columnList},
+        content='bookmarks',
+        content_rowid='id',
+        tokenize='porter unicode61'
+      )
+    `);
+
+    // Keep the index in sync with the content table
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_fts_insert AFTER INSERT ON bookmarks BEGIN
+        INSERT INTO bookmarks_fts (rowid, ${columnList}) VALUES (new.id, ${newValues});
+      END
+    `);
+
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_fts_delete AFTER DELETE ON bookmarks BEGIN
+        INSERT INTO bookmarks_fts (bookmarks_fts, rowid, ${columnList}) VALUES ('delete', old.id, ${oldValues});
+      END
+    `);
+
+    // Only re-index when searchable text changes, not on visit counters and flags
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_fts_update AFTER UPDATE OF ${columnList} ON bookmarks BEGIN
+        INSERT INTO bookmarks_fts (bookmarks_fts, rowid, ${columnList}) VALUES ('delete', old.id, ${oldValues});
+        INSERT INTO bookmarks_fts (rowid, ${columnList}) VALUES (new.id, ${newValues});
+      END
+    `);
+
+    // Backfill existing bookmarks
+    await db.query('INSERT INTO bookmarks_fts (bookmarks_fts) VALUES (\'rebuild\')');
+  },
+  
+  async down(db) {
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_update');
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_delete');
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_insert');
+    await db.query('DROP TABLE IF EXISTS bookmarks_fts');
+
+    await db.query('ALTER TABLE bookmarks DROP COLUMN text_content');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN note');
+  }
+};
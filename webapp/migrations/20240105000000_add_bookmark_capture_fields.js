@@ -0,0 +1,47 @@
+// Migration: Store page metadata captured by the extension
+// Created: 2024-01-05T00:00:00.000Z
+
+const CAPTURE_COLUMNS = [
+  'primary_image',
+  'keywords', // JSON array of strings
+  'author',
+  'published_date',
+  'site_name',
+  'domain',
+  'capture_reason'
+];
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  async up(db) {
+    for (const column of CAPTURE_COLUMNS) {
+      await db.query(`ALTER TABLE bookmarks ADD COLUMN ${column} TEXT`);
+    }
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_domain ON bookmarks(domain)');
+
+    // Backfill domains for bookmarks saved before the column existed
+    const bookmarks = await db.query('SELECT id, url FROM bookmarks WHERE domain IS NULL');
+    for (const bookmark of bookmarks) {
+      const domain = getDomain(bookmark.url);
+      if (domain) {
+        await db.run('UPDATE bookmarks SET domain = ? WHERE id = ?', [domain, bookmark.id]);
+      }
+    }
+  },
+  
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_domain');
+
+    for (const column of [...CAPTURE_COLUMNS].reverse()) {
+      await db.query(`ALTER TABLE bookmarks DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,65 @@
+// Migration: Change feed and client id mapping for sync
+// Created: 2024-01-06T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // Local id assigned by the client that first pushed the bookmark
+    await db.query('ALTER TABLE bookmarks ADD COLUMN client_id TEXT');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_client_id ON bookmarks(user_id, client_id)');
+
+    // One row per bookmark holding its latest change; seq is the sync cursor.
+    // A 'delete' row is the tombstone for an archived or removed bookmark.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bookmark_changes (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        bookmark_id INTEGER NOT NULL UNIQUE,
+        user_id INTEGER,
+        client_id TEXT,
+        action TEXT NOT NULL CHECK (action IN ('upsert', 'delete')),
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmark_changes_user_seq ON bookmark_changes(user_id, seq)');
+
+    // OR REPLACE drops the previous row for the bookmark, so every write moves it to a new seq
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_changes_insert AFTER INSERT ON bookmarks BEGIN
+        INSERT OR REPLACE INTO bookmark_changes (bookmark_id, user_id, client_id, action)
+        VALUES (new.id, new.user_id, new.client_id, CASE WHEN new.is_archived THEN 'delete' ELSE 'upsert' END);
+      END
+    `);
+
+    // Edits always set updated_at; visit counter updates do not and stay out of the feed
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_changes_update
+      AFTER UPDATE OF title, url, description, note, updated_at, is_archived ON bookmarks BEGIN
+        INSERT OR REPLACE INTO bookmark_changes (bookmark_id, user_id, client_id, action)
+        VALUES (new.id, new.user_id, new.client_id, CASE WHEN new.is_archived THEN 'delete' ELSE 'upsert' END);
+      END
+    `);
+
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_changes_delete AFTER DELETE ON bookmarks BEGIN
+        INSERT OR REPLACE INTO bookmark_changes (bookmark_id, user_id, client_id, action)
+        VALUES (old.id, old.user_id, old.client_id, 'delete');
+      END
+    `);
+
+    // Seed the feed so the first sync sees every existing bookmark
+    await db.query(`
+      INSERT OR IGNORE INTO bookmark_changes (bookmark_id, user_id, action)
+      SELECT id, user_id, CASE WHEN is_archived THEN 'delete' ELSE 'upsert' END
+      FROM bookmarks
+      ORDER BY id
+    `);
+  },
+  
+  async down(db) {
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_changes_delete');
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_changes_update');
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_changes_insert');
+    await db.query('DROP TABLE IF EXISTS bookmark_changes');
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_client_id');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN client_id');
+  }
+};
@@ -0,0 +1,13 @@
+// Migration: Per-bookmark revision numbers for optimistic concurrency
+// Created: 2024-01-07T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // Bumped on every write; exposed to clients as the bookmark's ETag
+    await db.query('ALTER TABLE bookmarks ADD COLUMN revision INTEGER NOT NULL DEFAULT 1');
+  },
+  
+  async down(db) {
+    await db.query('ALTER TABLE bookmarks DROP COLUMN revision');
+  }
+};
@@ -0,0 +1,78 @@
+// Migration: Normalized and canonical URLs for duplicate detection
+// Created: 2024-01-08T00:00:00.000Z
+
+// The URL normalization rules as of this migration, copied here so later changes to
+// shared/url-normalizer.js do not change what the backfill writes
+const STRIP_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', 'igshid',
+  '_ga', '_hsenc', '_hsmi', 'ref_src'
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getStripPattern = (extraParams = process.env.URL_STRIP_PARAMS) => {
+  const rules = [...STRIP_PARAMS, ...String(extraParams || '').split(/[\s,]+/)]
+    .map(rule => rule.trim().toLowerCase())
+    .filter(Boolean);
+  const patterns = rules.map(rule => (rule.endsWith('*')
+    ? `${escapeRegExp(rule.slice(0, -1))}.*`
+    : escapeRegExp(rule)));
+
+  return new RegExp(`^(?:${patterns.join('|')})$`, 'i');
+};
+
+const normalizeUrl = (url, stripPattern) => {
+  const raw = typeof url === 'string' ? url.trim() : '';
+
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return raw;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return raw;
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !stripPattern.test(key))
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+  const query = new URLSearchParams(params).toString();
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  return `${host}${port}${path}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE bookmarks ADD COLUMN canonical_url TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN normalized_url TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN normalized_canonical_url TEXT');
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_normalized_url ON bookmarks(user_id, normalized_url)');
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS idx_bookmarks_normalized_canonical_url ON bookmarks(user_id, normalized_canonical_url)'
+    );
+
+    // Backfill existing bookmarks; none of them has a canonical URL yet
+    const stripPattern = getStripPattern();
+    const bookmarks = await db.query('SELECT id, url FROM bookmarks');
+    for (const bookmark of bookmarks) {
+      const normalizedUrl = bookmark.url ? normalizeUrl(bookmark.url, stripPattern) : null;
+      await db.run('UPDATE bookmarks SET normalized_url = ? WHERE id = ?', [normalizedUrl, bookmark.id]);
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_normalized_canonical_url');
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_normalized_url');
+
+    await db.query('ALTER TABLE bookmarks DROP COLUMN normalized_canonical_url');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN normalized_url');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN canonical_url');
+  }
+};
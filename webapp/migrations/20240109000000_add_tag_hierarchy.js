@@ -0,0 +1,49 @@
+// Migration: Hierarchical tags
+// Created: 2024-01-09T00:00:00.000Z
+
+// Path helpers as of this migration, copied from services/tags.js so the migration keeps
+// doing the same thing when the service changes
+const TAG_PATH_SEPARATOR = '/';
+
+const getParentPath = (path) => {
+  const index = path.lastIndexOf(TAG_PATH_SEPARATOR);
+  return index > 0 ? path.slice(0, index) : null;
+};
+
+// "dev/frontend/react" -> ["dev", "dev/frontend"]
+const getAncestorPaths = (path) => {
+  const segments = path.split(TAG_PATH_SEPARATOR);
+  return segments.slice(1).map((segment, index) => segments.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+};
+
+module.exports = {
+  async up(db) {
+    // Names stay full paths ("dev/frontend/react"); parent_id links each to its parent path
+    await db.query('ALTER TABLE tags ADD COLUMN parent_id INTEGER REFERENCES tags(id) ON DELETE SET NULL');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tags_parent_id ON tags(parent_id)');
+
+    // Create the missing ancestors of existing path tags, then link every tag to its parent
+    const pathTags = await db.query('SELECT id, name, user_id FROM tags WHERE name LIKE \'%/%\'');
+    for (const tag of pathTags) {
+      for (const path of getAncestorPaths(tag.name)) {
+        await db.run('INSERT OR IGNORE INTO tags (name, user_id) VALUES (?, ?)', [path, tag.user_id]);
+      }
+    }
+
+    const tags = await db.query('SELECT id, name, user_id FROM tags WHERE name LIKE \'%/%\'');
+    for (const tag of tags) {
+      const parentPath = getParentPath(tag.name);
+      if (parentPath) {
+        await db.run(`
+          UPDATE tags SET parent_id = (SELECT id FROM tags WHERE name = ? AND user_id IS ?)
+          WHERE id = ?
+        `, [parentPath, tag.user_id, tag.id]);
+      }
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_tags_parent_id');
+    await db.query('ALTER TABLE tags DROP COLUMN parent_id');
+  }
+};
@@ -0,0 +1,31 @@
+// Migration: Trash timestamps for archived bookmarks
+// Created: 2024-01-10T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // When the bookmark went to the trash; purged TRASH_RETENTION_DAYS later
+    await db.query('ALTER TABLE bookmarks ADD COLUMN archived_at DATETIME');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_archived_at ON bookmarks(archived_at)');
+
+    // Bookmarks already archived count from their last write
+    await db.query('UPDATE bookmarks SET archived_at = updated_at WHERE is_archived = TRUE');
+
+    // Kept by a trigger so every path that archives or restores (deletes, sync, merges,
+    // imports) stamps it the same way
+    await db.query(`
+      CREATE TRIGGER IF NOT EXISTS bookmarks_archived_at
+      AFTER UPDATE OF is_archived ON bookmarks
+      WHEN old.is_archived IS NOT new.is_archived BEGIN
+        UPDATE bookmarks
+        SET archived_at = CASE WHEN new.is_archived THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE id = new.id;
+      END
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TRIGGER IF EXISTS bookmarks_archived_at');
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_archived_at');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN archived_at');
+  }
+};
@@ -0,0 +1,30 @@
+// Migration: Link health results for bookmarks
+// Created: 2024-01-11T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // Result of the last link check: 'ok', 'redirected', 'broken' or 'error'; NULL until checked
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_status TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_status_code INTEGER');
+    // Where redirects led, and whether every hop was permanent (301/308)
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_final_url TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_permanent_redirect BOOLEAN DEFAULT FALSE');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_error TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN link_checked_at DATETIME');
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_link_status ON bookmarks(link_status)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_link_checked_at ON bookmarks(link_checked_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_link_checked_at');
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_link_status');
+
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_checked_at');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_error');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_permanent_redirect');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_final_url');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_status_code');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN link_status');
+  }
+};
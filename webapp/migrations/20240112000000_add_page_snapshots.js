@@ -0,0 +1,33 @@
+// Migration: Offline page snapshots
+// Created: 2024-01-12T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // One row per stored file, keyed by the SHA-256 of its bytes; bookmarks saving the
+    // same page share it
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS snapshots (
+        hash TEXT PRIMARY KEY,
+        size INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // The bookmark's current snapshot: 'text/html' or 'multipart/related' (MHTML)
+    await db.query('ALTER TABLE bookmarks ADD COLUMN snapshot_hash TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN snapshot_type TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN snapshot_captured_at DATETIME');
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_bookmarks_snapshot_hash ON bookmarks(snapshot_hash)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_bookmarks_snapshot_hash');
+
+    await db.query('ALTER TABLE bookmarks DROP COLUMN snapshot_captured_at');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN snapshot_type');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN snapshot_hash');
+
+    await db.query('DROP TABLE IF EXISTS snapshots');
+  }
+};
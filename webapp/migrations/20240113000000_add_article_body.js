@@ -0,0 +1,73 @@
+// Migration: Reader view article body
+// Created: 2024-01-13T00:00:00.000Z
+
+// bookmarks_fts columns before and after this migration, in index order (bm25 weights
+// follow the same order)
+const PREVIOUS_FTS_COLUMNS = ['title', 'description', 'note', 'text_content', 'url'];
+const FTS_COLUMNS = [...PREVIOUS_FTS_COLUMNS, 'article_body'];
+
+// FTS5 tables cannot gain columns, so the index and its triggers are recreated
+const createSearchIndex = async (db, columns) => {
+  const columnList = columns.join(', ');
+  const newValues = columns.map(column => `new.${column}`).join(', ');
+  const oldValues = columns.map(column => `old.${column}`).join(', ');
+
+  await db.query(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS bookmarks_fts USING fts5(
+      ${columnList},
+      content='bookmarks',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    )
+  `);
+
+  await db.query(`
+    CREATE TRIGGER IF NOT EXISTS bookmarks_fts_insert AFTER INSERT ON bookmarks BEGIN
+      INSERT INTO bookmarks_fts (rowid, ${columnList}) VALUES (new.id, ${newValues});
+    END
+  `);
+
+  await db.query(`
+    CREATE TRIGGER IF NOT EXISTS bookmarks_fts_delete AFTER DELETE ON bookmarks BEGIN
+      INSERT INTO bookmarks_fts (bookmarks_fts, rowid, ${columnList}) VALUES ('delete', old.id, ${oldValues});
+    END
+  `);
+
+  await db.query(`
+    CREATE TRIGGER IF NOT EXISTS bookmarks_fts_update AFTER UPDATE OF ${columnList} ON bookmarks BEGIN
+      INSERT INTO bookmarks_fts (bookmarks_fts, rowid, ${columnList}) VALUES ('delete', old.id, ${oldValues});
+      INSERT INTO bookmarks_fts (rowid, ${columnList}) VALUES (new.id, ${newValues});
+    END
+  `);
+
+  await db.query('INSERT INTO bookmarks_fts (bookmarks_fts) VALUES (\'rebuild\')');
+};
+
+const dropSearchIndex = async (db) => {
+  await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_update');
+  await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_delete');
+  await db.query('DROP TRIGGER IF EXISTS bookmarks_fts_insert');
+  await db.query('DROP TABLE IF EXISTS bookmarks_fts');
+};
+
+module.exports = {
+  async up(db) {
+    // Main content extracted by the extension, as Markdown, with its length in words
+    // and estimated reading time in minutes
+    await db.query('ALTER TABLE bookmarks ADD COLUMN article_body TEXT');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN word_count INTEGER');
+    await db.query('ALTER TABLE bookmarks ADD COLUMN reading_time INTEGER');
+
+    await dropSearchIndex(db);
+    await createSearchIndex(db, FTS_COLUMNS);
+  },
+
+  async down(db) {
+    await dropSearchIndex(db);
+    await createSearchIndex(db, PREVIOUS_FTS_COLUMNS);
+
+    await db.query('ALTER TABLE bookmarks DROP COLUMN reading_time');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN word_count');
+    await db.query('ALTER TABLE bookmarks DROP COLUMN article_body');
+  }
+};
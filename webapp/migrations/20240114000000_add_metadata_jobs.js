@@ -0,0 +1,30 @@
+// Migration: Metadata fetch job queue
+// Created: 2024-01-14T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // One job per bookmark created without page details. status is 'pending' (waiting
+    // for run_after), 'running', 'done', 'skipped' (robots.txt or not HTML) or 'failed'
+    // once its attempts are used up.
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS metadata_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bookmark_id INTEGER NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bookmark_id) REFERENCES bookmarks(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_metadata_jobs_status ON metadata_jobs(status, run_after)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_metadata_jobs_status');
+    await db.query('DROP TABLE IF EXISTS metadata_jobs');
+  }
+};
@@ -0,0 +1,13 @@
+// Migration: Store details read by the site-specific extractors
+// Created: 2024-01-15T00:00:00.000Z
+
+module.exports = {
+  async up(db) {
+    // JSON object: { site, type, ...fields of that site's extractor }
+    await db.query('ALTER TABLE bookmarks ADD COLUMN site_metadata TEXT');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE bookmarks DROP COLUMN site_metadata');
+  }
+};
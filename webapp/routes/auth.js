@@ -0,0 +1,187 @@
+// Authentication routes following functional programming principles
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+const db = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  requireAuth,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  userValidation,
+  loginValidation,
+  bruteForce,
+  handleValidationErrors
+} = require('../middleware/security');
+
+const router = express.Router();
+
+// Refresh tokens outlive access tokens; each refresh rotates the session
+const SESSION_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Pure functions for data processing
+const formatUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  avatarUrl: user.avatar_url || null,
+  createdAt: user.created_at,
+  lastLogin: user.last_login || null
+});
+
+// Only the hash of a refresh token is stored, so a leaked database cannot mint sessions
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+const createSession = async (userId, req) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const sessionId = hashRefreshToken(refreshToken);
+  const expiresAt = new Date(Date.now() + SESSION_LIFETIME_MS).toISOString();
+
+  await db.run(`
+    INSERT INTO user_sessions (id, user_id, expires_at, user_agent, ip_address)
+    VALUES (?, ?, ?, ?, ?)
+  `, [sessionId, userId, expiresAt, req.get('User-Agent') || null, req.ip || null]);
+
+  return {
+    token: generateToken({ userId, sessionId }),
+    refreshToken,
+    expiresAt
+  };
+};
+
+const getUserById = async (userId) => {
+  const users = await db.query('SELECT * FROM users WHERE id = ?', [userId]);
+  return users[0] || null;
+};
+
+// Validation rules
+const refreshValidation = [
+  body('refreshToken').isString().isLength({ min: 64, max: 64 })
+    .withMessage('A valid refresh token is required')
+];
+
+// Route handlers
+const register = asyncHandler(async (req, res) => {
+  const { email, password, name } = req.body;
+
+  const existing = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+  if (existing.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'An account with this email already exists'
+    });
+  }
+
+  const passwordHash = await hashPassword(password);
+  const result = await db.run(
+    'INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
+    [email, passwordHash, name.trim()]
+  );
+
+  const user = await getUserById(result.id);
+  const session = await createSession(user.id, req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: formatUserResponse(user),
+      ...session
+    }
+  });
+});
+
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const users = await db.query(
+    'SELECT * FROM users WHERE email = ? AND is_active = TRUE',
+    [email]
+  );
+  const user = users[0];
+
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid email or password'
+    });
+  }
+
+  // Successful login clears the failed-attempt counter for this client
+  if (req.brute) {
+    req.brute.reset();
+  }
+
+  await db.run(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
+  );
+
+  const session = await createSession(user.id, req);
+
+  res.json({
+    success: true,
+    data: {
+      user: formatUserResponse(await getUserById(user.id)),
+      ...session
+    }
+  });
+});
+
+const refresh = asyncHandler(async (req, res) => {
+  const sessionId = hashRefreshToken(req.body.refreshToken);
+
+  const sessions = await db.query(`
+    SELECT s.user_id
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > ? AND u.is_active = TRUE
+  `, [sessionId, new Date().toISOString()]);
+
+  if (sessions.length === 0) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token'
+    });
+  }
+
+  // Rotate: the old refresh token and every access token issued with it stop working
+  await db.run('DELETE FROM user_sessions WHERE id = ?', [sessionId]);
+  const session = await createSession(sessions[0].user_id, req);
+
+  res.json({
+    success: true,
+    data: session
+  });
+});
+
+const logout = asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await db.run('DELETE FROM user_sessions WHERE id = ?', [req.sessionId]);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+const getCurrentUser = asyncHandler(async (req, res) => {
+  const user = await getUserById(req.user.id);
+
+  res.json({
+    success: true,
+    data: formatUserResponse(user)
+  });
+});
+
+// Routes
+router.post('/register', userValidation, handleValidationErrors, register);
+router.post('/login', bruteForce.prevent, loginValidation, handleValidationErrors, login);
+router.post('/refresh', refreshValidation, handleValidationErrors, refresh);
+router.post('/logout', requireAuth, logout);
+router.get('/me', requireAuth, getCurrentUser);
+
+module.exports = router;
@@ -1,134 +1,192 @@
 // Bookmark routes following functional programming principles
 const express = require('express');
-const { body, query, param } = require('express-validator');
+const { query, param, body } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 
 const db = require('../config/database');
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId, generateLinkToken, verifyToken } = require('../middleware/security');
+const {
+  ARCHIVED_FILTERS,
+  ARCHIVED_CONDITIONS,
+  sanitizeBookmarkData,
+  formatBookmarkResponse,
+  formatETag,
+  matchesETag,
+  getBookmarkTags,
+  getTagsForBookmarks,
+  listRecentBookmarks,
+  recordVisit,
+  getBookmarkRow,
+  findDuplicateBookmark,
+  findUrlChangeDuplicate,
+  insertBookmark,
+  updateBookmarkRecord,
+  bookmarkValidation,
+  bookmarkUpdateValidation
+} = require('../services/bookmarks');
+const { findDuplicateGroups, mergeBookmarks } = require('../services/duplicates');
+const {
+  TAG_FILTER_MODES,
+  parseTagFilter,
+  buildTagFilterCondition,
+  buildTagTree,
+  listTags,
+  updateTag,
+  deleteTag,
+  mergeTags
+} = require('../services/tags');
+const { getPurgeAt, restoreBookmark, purgeBookmarks } = require('../services/trash');
+const { HEALTH_FILTERS, checkBookmarkLink, applyPermanentRedirect } = require('../services/linkHealth');
+const { enqueueMetadataFetch } = require('../services/metadataFetcher');
+const {
+  SNAPSHOT_HTML_TYPE,
+  getSnapshotLimits,
+  getSnapshotType,
+  getSnapshotUsage,
+  getSnapshot,
+  saveSnapshot,
+  deleteSnapshot
+} = require('../services/snapshots');
+const { bookmarkCache } = require('../config/cache');
+const {
+  MAX_EXACT_TOTAL,
+  decodeCursor,
+  buildKeysetCondition,
+  getKeysetCursors,
+  getOffsetCursors,
+  formatLinkHeader
+} = require('../services/pagination');
 
 const router = express.Router();
 
-// Pure functions for data processing
-const sanitizeBookmarkData = (data) => ({
-  title: data.title?.trim() || 'Untitled',
-  url: data.url?.trim(),
-  description: data.description?.trim() || null,
-  favicon: data.favicon?.trim() || null,
-  tags: Array.isArray(data.tags) ? data.tags : []
-});
+// Full-text search helpers
+// Control characters mark snippet matches so highlighting survives HTML escaping
+const SNIPPET_MATCH_START = '\u0002';
+const SNIPPET_MATCH_END = '\u0003';
 
-const formatBookmarkResponse = (bookmark, tags = []) => ({
-  id: bookmark.id,
-  title: bookmark.title,
-  url: bookmark.url,
-  description: bookmark.description,
-  favicon: bookmark.favicon,
-  tags: tags,
-  createdAt: bookmark.created_at,
-  updatedAt: bookmark.updated_at,
-  isArchived: bookmark.is_archived,
-  visitCount: bookmark.visit_count,
-  lastVisited: bookmark.last_visited
-});
+// bm25 column weights, in bookmarks_fts column order: title, description, note, text_content,
+// url, article_body
+const SEARCH_WEIGHTS = [10.0, 5.0, 5.0, 1.0, 2.0, 1.0];
 
-const processTagsForBookmark = async (bookmarkId, tagNames) => {
-  if (!Array.isArray(tagNames) || tagNames.length === 0) {
-    return [];
-  }
-
-  const processedTags = [];
-  
-  for (const tagName of tagNames) {
-    const trimmedName = tagName.trim();
-    if (!trimmedName) continue;
-
-    // Check if tag exists
-    let existingTags = await db.query(
-      'SELECT id, name FROM tags WHERE name = ?',
-      [trimmedName]
-    );
-
-    let tagId;
-    if (existingTags.length > 0) {
-      tagId = existingTags[0].id;
-    } else {
-      // Create new tag
-      const result = await db.run(
-        'INSERT INTO tags (name) VALUES (?)',
-        [trimmedName]
-      );
-      tagId = result.id;
-    }
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Turn free text into a safe FTS5 query: "quoted phrases" stay phrases, a trailing *
+// makes a prefix query, and every other token is matched literally (terms are ANDed)
+const buildSearchQuery = (input) => {
+  const tokens = input.match(/"[^"]*"|\S+/g) || [];
+
+  return tokens
+    .map(token => {
+      const isPhrase = token.length > 1 && token.startsWith('"') && token.endsWith('"');
+      const isPrefix = !isPhrase && token.endsWith('*');
+      const text = token.replace(/["*]/g, ' ').trim();
 
-    // Link tag to bookmark
-    await db.run(
-      'INSERT OR IGNORE INTO bookmark_tags (bookmark_id, tag_id) VALUES (?, ?)',
-      [bookmarkId, tagId]
-    );
+      if (!text) {
+        return null;
+      }
 
-    processedTags.push({ id: tagId, name: trimmedName });
+      return isPrefix ? `"${text}"*` : `"${text}"`;
+    })
+    .filter(Boolean)
+    .join(' ');
+};
+
+const highlightSnippet = (snippet) => {
+  if (!snippet) {
+    return null;
   }
 
-  return processedTags;
+  return snippet
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(SNIPPET_MATCH_START).join('<mark>')
+    .split(SNIPPET_MATCH_END).join('</mark>');
 };
 
-const getBookmarkTags = async (bookmarkId) => {
-  const tags = await db.query(`
-    SELECT t.id, t.name, t.color
-    FROM tags t
-    JOIN bookmark_tags bt ON t.id = bt.tag_id
-    WHERE bt.bookmark_id = ?
-  `, [bookmarkId]);
-  
-  return tags;
+// The client edited an older revision; hand back the current one so it can merge
+const sendConflict = async (res, bookmark) => {
+  const tags = await getBookmarkTags(bookmark.id);
+
+  res.status(409)
+    .set('ETag', formatETag(bookmark))
+    .json({
+      success: false,
+      message: 'Bookmark has been modified since it was fetched',
+      data: formatBookmarkResponse(bookmark, tags)
+    });
 };
 
-// Validation rules
-const bookmarkValidation = [
-  body('title').trim().notEmpty().withMessage('Title is required'),
-  body('url').isURL().withMessage('Valid URL is required'),
-  body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('description').optional().trim()
-];
+const BOOKMARK_SORTS = ['created', 'most-visited', 'recently-visited'];
 
+// Validation rules
 const searchValidation = [
   query('q').optional().trim(),
   query('tags').optional(),
+  query('tagMode').optional().isIn(TAG_FILTER_MODES)
+    .withMessage(`tagMode must be one of: ${TAG_FILTER_MODES.join(', ')}`),
+  query('sort').optional().isIn(BOOKMARK_SORTS)
+    .withMessage(`sort must be one of: ${BOOKMARK_SORTS.join(', ')}`),
+  query('collection').optional().isInt().withMessage('Collection must be an integer id'),
+  query('health').optional().isIn(HEALTH_FILTERS)
+    .withMessage(`health must be one of: ${HEALTH_FILTERS.join(', ')}`),
+  query('archived').optional().isIn(ARCHIVED_FILTERS)
+    .withMessage(`archived must be one of: ${ARCHIVED_FILTERS.join(', ')}`),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  query('cursor').optional().isString().withMessage('cursor must be a value returned in pagination')
+];
+
+const mergeValidation = [
+  body('bookmarkIds').isArray({ min: 2, max: 100 })
+    .withMessage('bookmarkIds must be an array of 2 to 100 ids'),
+  body('bookmarkIds.*').isInt().withMessage('Bookmark ids must be integers').toInt()
+];
+
+const tagUpdateValidation = [
+  param('id').isInt().toInt(),
+  body('name').optional().isString().trim()
+    .notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('color').optional().isHexColor().withMessage('Color must be a hex color')
+];
+
+const tagListValidation = [
+  query('flat').optional().isBoolean().withMessage('flat must be true or false').toBoolean()
+];
+
+const tagMergeValidation = [
+  body('sourceTagIds').isArray({ min: 1, max: 100 })
+    .withMessage('sourceTagIds must be an array of 1 to 100 ids'),
+  body('sourceTagIds.*').isInt().withMessage('Tag ids must be integers').toInt(),
+  body('targetTagId').isInt().withMessage('targetTagId must be a tag id').toInt()
 ];
 
 // Route handlers
 const createBookmark = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
   const bookmarkData = sanitizeBookmarkData(req.body);
   
-  // Check if bookmark already exists
-  const existing = await db.query(
-    'SELECT id FROM bookmarks WHERE url = ?',
-    [bookmarkData.url]
-  );
+  // Check if the page is already bookmarked under this or an equivalent URL. Like sync
+  // pushes, saving a page whose bookmark is in the trash creates a new one.
+  const existing = await findDuplicateBookmark(bookmarkData, userId, { includeArchived: false });
   
-  if (existing.length > 0) {
+  if (existing) {
     return res.status(409).json({
       success: false,
       message: 'Bookmark already exists',
-      existingId: existing[0].id
+      existingId: existing.id
     });
   }
   
-  // Insert bookmark
-  const result = await db.run(`
-    INSERT INTO bookmarks (title, url, description, favicon)
-    VALUES (?, ?, ?, ?)
-  `, [bookmarkData.title, bookmarkData.url, bookmarkData.description, bookmarkData.favicon]);
-  
-  // Process tags
-  const tags = await processTagsForBookmark(result.id, bookmarkData.tags);
+  // Insert bookmark with its tags
+  const { id, tags } = await insertBookmark(bookmarkData, userId);
+  await enqueueMetadataFetch(id, bookmarkData);
+  await bookmarkCache.invalidateBookmarks(userId, [id]);
   
   // Return formatted response
   const newBookmark = await db.query(
     'SELECT * FROM bookmarks WHERE id = ?',
-    [result.id]
+    [id]
   );
   
   res.status(201).json({
@@ -137,85 +195,199 @@ const createBookmark = asyncHandler(async (req, res) => {
   });
 });
 
+// Listings page by (sort key, id) cursors, so bookmarks saved meanwhile do not shift the
+// pages; ranked searches page by offset inside their cursors
+const LIST_SORTS = {
+  created: { column: 'b.created_at', getKey: row => row.created_at },
+  archived: { column: 'b.archived_at', getKey: row => row.archived_at }
+};
+
+// Visit counts and times change whenever a bookmark is opened, so these sorts page by
+// offset too. Bookmarks never visited come last.
+const OFFSET_SORTS = {
+  rank: 'search_rank, b.created_at DESC, b.id DESC',
+  'most-visited': 'b.visit_count DESC, b.last_visited DESC, b.id DESC',
+  'recently-visited': 'b.last_visited IS NULL, b.last_visited DESC, b.id DESC'
+};
+
 const getBookmarks = asyncHandler(async (req, res) => {
-  const { q, tags, limit = 50, offset = 0 } = req.query;
+  const { q, tags, tagMode, collection, health, cursor, archived = 'false', sort: sortBy } = req.query;
+  const limit = parseInt(req.query.limit || 50);
+  const searchQuery = q ? buildSearchQuery(q) : '';
+  const userId = getUserId(req);
+  
+  // bm25 scores are lower for better matches; the trash lists the latest deletions first
+  let sort = 'created';
+  if (sortBy && sortBy !== 'created') {
+    sort = sortBy;
+  } else if (searchQuery) {
+    sort = 'rank';
+  } else if (archived === 'only') {
+    sort = 'archived';
+  }
   
-  let query = `
-    SELECT DISTINCT b.* FROM bookmarks b
-    LEFT JOIN bookmark_tags bt ON b.id = bt.bookmark_id
-    LEFT JOIN tags t ON bt.tag_id = t.id
-    WHERE b.is_archived = FALSE
-  `;
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && position?.s !== sort) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor for this listing'
+    });
+  }
+  
+  const isKeyset = Boolean(position && position.k !== undefined);
+  const offset = isKeyset ? 0 : (position?.o ?? parseInt(req.query.offset || 0));
   
-  const params = [];
+  // Full-text search starts from the FTS index so results can be ranked and highlighted
+  const from = searchQuery
+    ? 'FROM bookmarks_fts JOIN bookmarks b ON b.id = bookmarks_fts.rowid'
+    : 'FROM bookmarks b';
+  const conditions = [ARCHIVED_CONDITIONS[archived], 'b.user_id IS ?'];
+  const params = [userId];
   
-  // Add search conditions
-  if (q) {
-    query += ` AND (b.title LIKE ? OR b.description LIKE ? OR b.url LIKE ?)`;
-    const searchTerm = `%${q}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
+  if (searchQuery) {
+    conditions.push('bookmarks_fts MATCH ?');
+    params.push(searchQuery);
   }
   
-  if (tags) {
-    const tagList = Array.isArray(tags) ? tags : [tags];
-    const placeholders = tagList.map(() => '?').join(',');
-    query += ` AND t.name IN (${placeholders})`;
-    params.push(...tagList);
+  // A tag matches its descendants too: "dev" finds bookmarks tagged "dev/frontend/react"
+  const tagCondition = buildTagFilterCondition('b.id', parseTagFilter(tags), tagMode);
+  if (tagCondition) {
+    conditions.push(tagCondition.sql);
+    params.push(...tagCondition.params);
   }
   
-  query += ` ORDER BY b.created_at DESC LIMIT ? OFFSET ?`;
-  params.push(parseInt(limit), parseInt(offset));
+  if (collection) {
+    conditions.push('b.id IN (SELECT bookmark_id FROM bookmark_collections WHERE collection_id = ?)');
+    params.push(parseInt(collection));
+  }
   
-  const bookmarksResult = await db.query(query, params);
+  // Link check results: ok, redirected, broken (404, 410, unresolvable host), error, unchecked
+  if (health === 'unchecked') {
+    conditions.push('b.link_checked_at IS NULL');
+  } else if (health) {
+    conditions.push('b.link_status = ?');
+    params.push(health);
+  }
   
-  // Get tags for each bookmark
-  const bookmarksWithTags = await Promise.all(
-    bookmarksResult.map(async (bookmark) => {
-      const tags = await getBookmarkTags(bookmark.id);
-      return formatBookmarkResponse(bookmark, tags);
-    })
-  );
+  const where = conditions.join(' AND ');
+  
+  // One extra row tells whether another page follows
+  let pageQuery;
+  let pageParams;
+  if (OFFSET_SORTS[sort]) {
+    const select = searchQuery
+      ? `SELECT b.*,
+          bm25(bookmarks_fts, ${SEARCH_WEIGHTS.join(', ')}) AS search_rank,
+          snippet(bookmarks_fts, -1, ?, ?, '…', 16) AS search_snippet`
+      : 'SELECT b.*';
+    pageQuery = `
+      ${select} ${from} WHERE ${where}
+      ORDER BY ${OFFSET_SORTS[sort]} LIMIT ? OFFSET ?`;
+    pageParams = [...(searchQuery ? [SNIPPET_MATCH_START, SNIPPET_MATCH_END] : []), ...params, limit + 1, offset];
+  } else if (isKeyset) {
+    const keyset = buildKeysetCondition(LIST_SORTS[sort].column, 'b.id', position);
+    pageQuery = `
+      SELECT b.* ${from} WHERE ${where} AND ${keyset.sql}
+      ORDER BY ${LIST_SORTS[sort].column} ${keyset.order}, b.id ${keyset.order} LIMIT ?`;
+    pageParams = [...params, ...keyset.params, limit + 1];
+  } else {
+    pageQuery = `
+      SELECT b.* ${from} WHERE ${where}
+      ORDER BY ${LIST_SORTS[sort].column} DESC, b.id DESC LIMIT ? OFFSET ?`;
+    pageParams = [...params, limit + 1, offset];
+  }
   
+  // Counting stops at MAX_EXACT_TOTAL so huge result sets report an estimate cheaply
+  const [rows, [{ matches }]] = await Promise.all([
+    db.query(pageQuery, pageParams),
+    db.query(
+      `SELECT COUNT(*) AS matches FROM (SELECT b.id ${from} WHERE ${where} LIMIT ?)`,
+      [...params, MAX_EXACT_TOTAL + 1]
+    )
+  ]);
+  
+  const isBackward = position?.d === 'prev';
+  const hasMore = rows.length > limit;
+  const pageRows = isBackward ? rows.slice(0, limit).reverse() : rows.slice(0, limit);
+  
+  const tagsById = await getTagsForBookmarks(pageRows.map(bookmark => bookmark.id));
+  const bookmarksWithTags = pageRows.map((bookmark) => {
+    const tags = tagsById.get(bookmark.id);
+    const formatted = bookmark.is_archived
+      ? { ...formatBookmarkResponse(bookmark, tags), purgeAt: getPurgeAt(bookmark.archived_at) }
+      : formatBookmarkResponse(bookmark, tags);
+    
+    if (!searchQuery) {
+      return formatted;
+    }
+    
+    return {
+      ...formatted,
+      snippet: highlightSnippet(bookmark.search_snippet),
+      rank: bookmark.search_rank
+    };
+  });
+  
+  const cursors = OFFSET_SORTS[sort]
+    ? getOffsetCursors(sort, offset, limit, hasMore)
+    : getKeysetCursors(sort, pageRows, {
+      isBackward,
+      isContinuation: isKeyset || offset > 0,
+      hasMore,
+      getKey: LIST_SORTS[sort].getKey
+    });
+  
+  res.set('Link', formatLinkHeader(req.baseUrl, req.query, { first: '', ...cursors }));
   res.json({
     success: true,
     data: bookmarksWithTags,
     pagination: {
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      total: bookmarksWithTags.length
+      limit,
+      offset: isKeyset ? null : offset,
+      total: Math.min(matches, MAX_EXACT_TOTAL),
+      totalIsEstimate: matches > MAX_EXACT_TOTAL,
+      next: cursors.next,
+      prev: cursors.prev
     }
   });
 });
 
+// The recent list, tag list and single bookmarks are cached per user; every write below
+// drops the entries it could have changed
 const getRecentBookmarks = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
   const limit = parseInt(req.query.limit) || 10;
   
-  const bookmarks = await db.query(`
-    SELECT * FROM bookmarks 
-    WHERE is_archived = FALSE 
-    ORDER BY created_at DESC 
-    LIMIT ?
-  `, [limit]);
-  
-  const bookmarksWithTags = await Promise.all(
-    bookmarks.map(async (bookmark) => {
-      const tags = await getBookmarkTags(bookmark.id);
-      return formatBookmarkResponse(bookmark, tags);
-    })
-  );
+  let bookmarks = await bookmarkCache.getRecentBookmarks(userId, limit);
+  res.set('X-Cache', bookmarks ? 'HIT' : 'MISS');
+  if (!bookmarks) {
+    bookmarks = await listRecentBookmarks(userId, limit);
+    await bookmarkCache.setRecentBookmarks(userId, bookmarks, limit);
+  }
   
   res.json({
     success: true,
-    data: bookmarksWithTags
+    data: bookmarks
   });
 });
 
 const getBookmarkById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const userId = getUserId(req);
+  
+  const cached = await bookmarkCache.getBookmarkById(userId, id);
+  if (cached) {
+    res.set('X-Cache', 'HIT');
+    res.set('ETag', formatETag(cached));
+    return res.json({
+      success: true,
+      data: cached
+    });
+  }
   
   const bookmarks = await db.query(
-    'SELECT * FROM bookmarks WHERE id = ? AND is_archived = FALSE',
-    [id]
+    'SELECT * FROM bookmarks WHERE id = ? AND is_archived = FALSE AND user_id IS ?',
+    [id, userId]
   );
   
   if (bookmarks.length === 0) {
@@ -226,53 +398,71 @@ const getBookmarkById = asyncHandler(async (req, res) => {
   }
   
   const tags = await getBookmarkTags(id);
+  const bookmark = formatBookmarkResponse(bookmarks[0], tags);
+  await bookmarkCache.setBookmarkById(userId, id, bookmark);
   
+  res.set('X-Cache', 'MISS');
+  res.set('ETag', formatETag(bookmarks[0]));
   res.json({
     success: true,
-    data: formatBookmarkResponse(bookmarks[0], tags)
+    data: bookmark
   });
 });
 
 const updateBookmark = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const userId = getUserId(req);
+  const ifMatch = req.get('If-Match');
   const bookmarkData = sanitizeBookmarkData(req.body);
   
-  // Update bookmark
-  await db.run(`
-    UPDATE bookmarks 
-    SET title = ?, description = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [bookmarkData.title, bookmarkData.description, id]);
-  
-  // Update tags
-  await db.run('DELETE FROM bookmark_tags WHERE bookmark_id = ?', [id]);
-  const tags = await processTagsForBookmark(id, bookmarkData.tags);
-  
-  // Return updated bookmark
-  const updatedBookmark = await db.query(
-    'SELECT * FROM bookmarks WHERE id = ?',
-    [id]
-  );
-  
-  if (updatedBookmark.length === 0) {
+  const current = await getBookmarkRow(id, userId);
+  if (!current || current.is_archived) {
     return res.status(404).json({
       success: false,
       message: 'Bookmark not found'
     });
   }
   
+  if (ifMatch && !matchesETag(ifMatch, current)) {
+    return sendConflict(res, current);
+  }
+  
+  const duplicate = await findUrlChangeDuplicate(current, bookmarkData, userId);
+  if (duplicate) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another bookmark already exists for this URL',
+      existingId: duplicate.id
+    });
+  }
+  
+  // Update bookmark and replace its tags; the revision check also catches a write
+  // that landed between the read above and this update
+  const result = await updateBookmarkRecord(id, bookmarkData, userId, ifMatch ? current.revision : null);
+  
+  if (!result) {
+    return sendConflict(res, await getBookmarkRow(id, userId));
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [id]);
+  
+  // Return updated bookmark
+  const updatedBookmark = await getBookmarkRow(id, userId);
+  
+  res.set('ETag', formatETag(updatedBookmark));
   res.json({
     success: true,
-    data: formatBookmarkResponse(updatedBookmark[0], tags)
+    data: formatBookmarkResponse(updatedBookmark, result.tags)
   });
 });
 
 const deleteBookmark = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const userId = getUserId(req);
   
   const result = await db.run(
-    'UPDATE bookmarks SET is_archived = TRUE WHERE id = ?',
-    [id]
+    `UPDATE bookmarks SET is_archived = TRUE, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND user_id IS ?`,
+    [id, userId]
   );
   
   if (result.changes === 0) {
@@ -281,6 +471,7 @@ const deleteBookmark = asyncHandler(async (req, res) => {
       message: 'Bookmark not found'
     });
   }
+  await bookmarkCache.invalidateBookmarks(userId, [id]);
   
   res.json({
     success: true,
@@ -288,15 +479,330 @@ const deleteBookmark = asyncHandler(async (req, res) => {
   });
 });
 
+// Visits count opens from any client (GET /go/:id records one on the way to the page)
+const recordBookmarkVisit = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const bookmark = await recordVisit(req.params.id, userId);
+  
+  if (!bookmark) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [bookmark.id]);
+  
+  res.json({
+    success: true,
+    data: {
+      id: bookmark.id,
+      visitCount: bookmark.visit_count,
+      lastVisited: bookmark.last_visited
+    }
+  });
+});
+
+// POST /:id/link: a /go/:id link that opens the bookmark in any browser. With
+// authentication on it carries a link token, since a browser following it has no API token.
+const createBookmarkLink = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const bookmark = await getBookmarkRow(req.params.id, userId);
+  
+  if (!bookmark || bookmark.is_archived) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+  
+  const token = req.user
+    ? generateLinkToken({ userId, sessionId: req.sessionId, bookmarkId: bookmark.id })
+    : null;
+  
+  res.json({
+    success: true,
+    data: {
+      url: token ? `/go/${bookmark.id}?token=${encodeURIComponent(token)}` : `/go/${bookmark.id}`,
+      expiresAt: token ? new Date(verifyToken(token).exp * 1000).toISOString() : null
+    }
+  });
+});
+
+// Link health: POST /:id/check-link checks the page now instead of waiting for the
+// scheduled round; after a permanent redirect, POST /:id/apply-redirect moves the
+// bookmark to the new URL
+const checkLink = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const bookmark = await checkBookmarkLink(req.params.id, userId);
+  
+  if (!bookmark) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+  
+  const tags = await getBookmarkTags(bookmark.id);
+  
+  res.json({
+    success: true,
+    data: formatBookmarkResponse(bookmark, tags)
+  });
+});
+
+const applyRedirect = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const result = await applyPermanentRedirect(req.params.id, userId);
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+  
+  if (result.invalid) {
+    return res.status(400).json({
+      success: false,
+      message: result.invalid
+    });
+  }
+  
+  if (result.conflict) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another bookmark already exists for this URL',
+      existingId: result.conflict.id
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [result.bookmark.id]);
+  
+  const tags = await getBookmarkTags(result.bookmark.id);
+  
+  res.set('ETag', formatETag(result.bookmark));
+  res.json({
+    success: true,
+    data: formatBookmarkResponse(result.bookmark, tags)
+  });
+});
+
+// Snapshots: PUT /:id/snapshot uploads the page as HTML or MHTML (the raw file as the
+// body), GET serves it back and DELETE removes it
+const readSnapshot = (req, res, next) => express.raw({
+  type: request => Boolean(getSnapshotType(request.headers['content-type'])),
+  limit: getSnapshotLimits().maxBytes
+})(req, res, next);
+
+// Snapshot HTML comes from arbitrary pages, so it is served sandboxed with nothing but its
+// own inlined styles and images
+const SNAPSHOT_CSP = 'sandbox; default-src \'none\'; img-src data:; style-src \'unsafe-inline\' data:; font-src data:; media-src data:';
+
+const uploadSnapshot = asyncHandler(async (req, res) => {
+  const contentType = getSnapshotType(req.get('Content-Type'));
+  if (!contentType) {
+    return res.status(415).json({
+      success: false,
+      message: 'Snapshots must be text/html or MHTML (multipart/related)'
+    });
+  }
+  
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Snapshot is empty'
+    });
+  }
+  
+  const userId = getUserId(req);
+  const result = await saveSnapshot(req.params.id, userId, req.body, contentType);
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+  
+  if (result.quotaExceeded) {
+    return res.status(413).json({
+      success: false,
+      message: 'Snapshot storage quota exceeded',
+      data: result.quotaExceeded
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [result.id]);
+  
+  res.json({
+    success: true,
+    data: { snapshot: result.snapshot, usage: result.usage }
+  });
+});
+
+const getSnapshotById = asyncHandler(async (req, res) => {
+  const snapshot = await getSnapshot(req.params.id, getUserId(req));
+  
+  if (!snapshot) {
+    return res.status(404).json({
+      success: false,
+      message: 'Snapshot not found'
+    });
+  }
+  
+  // Files never change under their hash
+  res.set({
+    ETag: `"${snapshot.hash}"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  if (snapshot.contentType === SNAPSHOT_HTML_TYPE) {
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': SNAPSHOT_CSP
+    });
+  } else {
+    res.attachment(`bookmark-${req.params.id}.mhtml`);
+    res.set('Content-Type', snapshot.contentType);
+  }
+  
+  res.sendFile(snapshot.path, { etag: false, lastModified: false });
+});
+
+const deleteSnapshotById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = getUserId(req);
+  const deleted = await deleteSnapshot(id, userId);
+  
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Snapshot not found'
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [id]);
+  
+  res.json({
+    success: true,
+    message: 'Snapshot deleted successfully'
+  });
+});
+
+const getSnapshotStorage = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getSnapshotUsage(getUserId(req))
+  });
+});
+
+// Trash: archived bookmarks come back with POST /:id/restore unless an active bookmark
+// already holds the page, and are purged TRASH_RETENTION_DAYS after deletion
+const restoreBookmarkById = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const result = await restoreBookmark(req.params.id, userId);
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found in trash'
+    });
+  }
+  
+  if (result.conflict) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another bookmark already exists for this URL',
+      existingId: result.conflict.id
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [result.bookmark.id]);
+  
+  const tags = await getBookmarkTags(result.bookmark.id);
+  
+  res.set('ETag', formatETag(result.bookmark));
+  res.json({
+    success: true,
+    data: formatBookmarkResponse(result.bookmark, tags)
+  });
+});
+
+const purgeTrashedBookmark = asyncHandler(async (req, res) => {
+  const purged = await purgeBookmarks(getUserId(req), [req.params.id]);
+  
+  if (purged === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found in trash'
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Bookmark permanently deleted'
+  });
+});
+
+const emptyTrash = asyncHandler(async (req, res) => {
+  const purged = await purgeBookmarks(getUserId(req));
+  
+  res.json({
+    success: true,
+    message: `Permanently deleted ${purged} bookmark${purged === 1 ? '' : 's'}`,
+    data: { purged }
+  });
+});
+
+// Likely duplicates grouped by normalized URL and title similarity, oldest bookmark first
+const getDuplicates = asyncHandler(async (req, res) => {
+  const groups = await findDuplicateGroups(getUserId(req));
+  const tagsById = await getTagsForBookmarks(groups.flatMap(({ rows }) => rows.map(row => row.id)));
+  
+  const data = groups.map(({ reasons, rows }) => ({
+    reasons,
+    bookmarks: rows.map(row => formatBookmarkResponse(row, tagsById.get(row.id)))
+  }));
+  
+  res.json({
+    success: true,
+    data
+  });
+});
+
+const mergeDuplicates = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const result = await mergeBookmarks(req.body.bookmarkIds, userId);
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'At least two of the bookmarks must exist to merge'
+    });
+  }
+  await bookmarkCache.invalidateBookmarks(userId, [result.id, ...result.archivedIds]);
+  
+  const merged = await getBookmarkRow(result.id, userId);
+  const tags = await getBookmarkTags(result.id);
+  
+  res.set('ETag', formatETag(merged));
+  res.json({
+    success: true,
+    message: `Merged ${result.archivedIds.length + 1} bookmarks`,
+    data: {
+      bookmark: formatBookmarkResponse(merged, tags),
+      archivedIds: result.archivedIds
+    }
+  });
+});
+
+// Tags nest by path ("dev/frontend" under "dev"); ?flat=true lists them without nesting
 const getAllTags = asyncHandler(async (req, res) => {
-  const tags = await db.query(`
-    SELECT t.*, COUNT(bt.bookmark_id) as bookmark_count
-    FROM tags t
-    LEFT JOIN bookmark_tags bt ON t.id = bt.tag_id
-    LEFT JOIN bookmarks b ON bt.bookmark_id = b.id AND b.is_archived = FALSE
-    GROUP BY t.id
-    ORDER BY bookmark_count DESC, t.name
-  `);
+  const userId = getUserId(req);
+  const variant = req.query.flat === true ? 'flat' : 'tree';
+  
+  let tags = await bookmarkCache.getTags(userId, variant);
+  res.set('X-Cache', tags ? 'HIT' : 'MISS');
+  if (!tags) {
+    const flatTags = await listTags(userId);
+    tags = variant === 'flat' ? flatTags : buildTagTree(flatTags);
+    await bookmarkCache.setTags(userId, tags, variant);
+  }
   
   res.json({
     success: true,
@@ -304,13 +810,114 @@ const getAllTags = asyncHandler(async (req, res) => {
   });
 });
 
+const updateTagById = asyncHandler(async (req, res) => {
+  const result = await updateTag(req.params.id, {
+    name: req.body.name,
+    color: req.body.color
+  }, getUserId(req));
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found'
+    });
+  }
+  
+  if (result.conflict) {
+    return res.status(409).json({
+      success: false,
+      message: `A tag named "${result.conflict.name}" already exists; merge the tags instead`,
+      existingId: result.conflict.id
+    });
+  }
+  
+  if (result.invalid) {
+    return res.status(400).json({
+      success: false,
+      message: result.invalid
+    });
+  }
+  
+  // Bookmarks carry their tag names and colors
+  await bookmarkCache.invalidateUser(getUserId(req));
+  
+  res.json({
+    success: true,
+    data: result.tag
+  });
+});
+
+const deleteTagById = asyncHandler(async (req, res) => {
+  const result = await deleteTag(req.params.id, getUserId(req));
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found'
+    });
+  }
+  
+  await bookmarkCache.invalidateUser(getUserId(req));
+  
+  res.json({
+    success: true,
+    message: `Tag removed from ${result.bookmarkCount} bookmark${result.bookmarkCount === 1 ? '' : 's'}`
+  });
+});
+
+// Moves bookmarks from the source tags onto the target, e.g. `js` into `javascript`
+const mergeTagsInto = asyncHandler(async (req, res) => {
+  const result = await mergeTags(req.body.sourceTagIds, req.body.targetTagId, getUserId(req));
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'The target tag and at least one other tag must exist to merge'
+    });
+  }
+  
+  if (result.invalid) {
+    return res.status(400).json({
+      success: false,
+      message: result.invalid
+    });
+  }
+  
+  await bookmarkCache.invalidateUser(getUserId(req));
+  
+  res.json({
+    success: true,
+    message: `Merged ${result.mergedIds.length} tag${result.mergedIds.length === 1 ? '' : 's'} into "${result.tag.name}"`,
+    data: {
+      tag: result.tag,
+      mergedIds: result.mergedIds
+    }
+  });
+});
+
 // Routes
 router.post('/', bookmarkValidation, handleValidationErrors, createBookmark);
 router.get('/', searchValidation, handleValidationErrors, getBookmarks);
 router.get('/recent', getRecentBookmarks);
-router.get('/tags', getAllTags);
+router.get('/tags', tagListValidation, handleValidationErrors, getAllTags);
+router.post('/tags/merge', tagMergeValidation, handleValidationErrors, mergeTagsInto);
+router.patch('/tags/:id', tagUpdateValidation, handleValidationErrors, updateTagById);
+router.delete('/tags/:id', param('id').isInt().toInt(), handleValidationErrors, deleteTagById);
+router.delete('/trash', emptyTrash);
+router.delete('/trash/:id', param('id').isInt().toInt(), handleValidationErrors, purgeTrashedBookmark);
+router.get('/duplicates', getDuplicates);
+router.get('/snapshots/usage', getSnapshotStorage);
+router.post('/merge', mergeValidation, handleValidationErrors, mergeDuplicates);
 router.get('/:id', param('id').isInt(), handleValidationErrors, getBookmarkById);
-router.put('/:id', param('id').isInt(), bookmarkValidation, handleValidationErrors, updateBookmark);
+router.put('/:id', param('id').isInt(), bookmarkUpdateValidation, handleValidationErrors, updateBookmark);
 router.delete('/:id', param('id').isInt(), handleValidationErrors, deleteBookmark);
+router.post('/:id/restore', param('id').isInt(), handleValidationErrors, restoreBookmarkById);
+router.post('/:id/visit', param('id').isInt(), handleValidationErrors, recordBookmarkVisit);
+router.post('/:id/link', param('id').isInt(), handleValidationErrors, createBookmarkLink);
+router.post('/:id/check-link', param('id').isInt(), handleValidationErrors, checkLink);
+router.post('/:id/apply-redirect', param('id').isInt(), handleValidationErrors, applyRedirect);
+router.put('/:id/snapshot', param('id').isInt(), handleValidationErrors, readSnapshot, uploadSnapshot);
+router.get('/:id/snapshot', param('id').isInt(), handleValidationErrors, getSnapshotById);
+router.delete('/:id/snapshot', param('id').isInt(), handleValidationErrors, deleteSnapshotById);
 
 module.exports = router;
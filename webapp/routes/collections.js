@@ -0,0 +1,332 @@
+// Collection routes following functional programming principles
+const express = require('express');
+const { body, param } = require('express-validator');
+
+const db = require('../config/database');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId } = require('../middleware/security');
+
+const router = express.Router();
+
+// Pure functions for data processing
+const sanitizeCollectionData = (data) => ({
+  name: typeof data.name === 'string' ? data.name.trim() : undefined,
+  description: typeof data.description === 'string' ? data.description.trim() || null : undefined,
+  color: typeof data.color === 'string' ? data.color.trim() : undefined
+});
+
+const formatCollectionResponse = (collection) => ({
+  id: collection.id,
+  name: collection.name,
+  description: collection.description,
+  color: collection.color,
+  bookmarkCount: collection.bookmark_count || 0,
+  createdAt: collection.created_at
+});
+
+const toIdList = (ids) => [...new Set(ids.map(id => parseInt(id)))];
+
+const getCollectionWithCount = async (collectionId, userId) => {
+  const collections = await db.query(`
+    SELECT c.*, COUNT(b.id) as bookmark_count
+    FROM collections c
+    LEFT JOIN bookmark_collections bc ON c.id = bc.collection_id
+    LEFT JOIN bookmarks b ON bc.bookmark_id = b.id AND b.is_archived = FALSE
+    WHERE c.id = ? AND c.user_id IS ?
+    GROUP BY c.id
+  `, [collectionId, userId]);
+
+  return collections[0] || null;
+};
+
+const findActiveBookmarkIds = async (bookmarkIds, userId) => {
+  if (bookmarkIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = bookmarkIds.map(() => '?').join(',');
+  const rows = await db.query(
+    `SELECT id FROM bookmarks WHERE id IN (${placeholders}) AND is_archived = FALSE AND user_id IS ?`,
+    [...bookmarkIds, userId]
+  );
+
+  return rows.map(row => row.id);
+};
+
+const addBookmarksToCollection = async (collectionId, bookmarkIds, userId) => {
+  const existingIds = await findActiveBookmarkIds(bookmarkIds, userId);
+  let added = 0;
+
+  await db.transaction(async () => {
+    for (const bookmarkId of existingIds) {
+      const result = await db.run(
+        'INSERT OR IGNORE INTO bookmark_collections (bookmark_id, collection_id) VALUES (?, ?)',
+        [bookmarkId, collectionId]
+      );
+      added += result.changes;
+    }
+  });
+
+  return {
+    added,
+    alreadyPresent: existingIds.length - added,
+    notFound: bookmarkIds.filter(id => !existingIds.includes(id))
+  };
+};
+
+const removeBookmarksFromCollection = async (collectionId, bookmarkIds) => {
+  const placeholders = bookmarkIds.map(() => '?').join(',');
+  const result = await db.run(
+    `DELETE FROM bookmark_collections
+     WHERE collection_id = ? AND bookmark_id IN (${placeholders})`,
+    [collectionId, ...bookmarkIds]
+  );
+
+  return { removed: result.changes };
+};
+
+// Validation rules
+const collectionIdValidation = [
+  param('id').isInt().withMessage('Collection id must be an integer')
+];
+
+const createCollectionValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('color').optional().isHexColor().withMessage('Color must be a hex color')
+];
+
+const updateCollectionValidation = [
+  ...collectionIdValidation,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('color').optional().isHexColor().withMessage('Color must be a hex color')
+];
+
+const bulkBookmarksValidation = [
+  ...collectionIdValidation,
+  body('bookmarkIds').isArray({ min: 1, max: 500 })
+    .withMessage('bookmarkIds must be a non-empty array of at most 500 ids'),
+  body('bookmarkIds.*').isInt().withMessage('Bookmark ids must be integers')
+];
+
+const singleBookmarkValidation = [
+  ...collectionIdValidation,
+  param('bookmarkId').isInt().withMessage('Bookmark id must be an integer')
+];
+
+// Route handlers
+const getCollections = asyncHandler(async (req, res) => {
+  const collections = await db.query(`
+    SELECT c.*, COUNT(b.id) as bookmark_count
+    FROM collections c
+    LEFT JOIN bookmark_collections bc ON c.id = bc.collection_id
+    LEFT JOIN bookmarks b ON bc.bookmark_id = b.id AND b.is_archived = FALSE
+    WHERE c.user_id IS ?
+    GROUP BY c.id
+    ORDER BY c.name COLLATE NOCASE
+  `, [getUserId(req)]);
+
+  res.json({
+    success: true,
+    data: collections.map(formatCollectionResponse)
+  });
+});
+
+const getCollectionById = asyncHandler(async (req, res) => {
+  const collection = await getCollectionWithCount(req.params.id, getUserId(req));
+
+  if (!collection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatCollectionResponse(collection)
+  });
+});
+
+const createCollection = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const collectionData = sanitizeCollectionData(req.body);
+
+  const result = await db.run(
+    'INSERT INTO collections (name, description, color, user_id) VALUES (?, ?, COALESCE(?, \'#3b82f6\'), ?)',
+    [collectionData.name, collectionData.description ?? null, collectionData.color ?? null, userId]
+  );
+
+  const collection = await getCollectionWithCount(result.id, userId);
+
+  res.status(201).json({
+    success: true,
+    data: formatCollectionResponse(collection)
+  });
+});
+
+const updateCollection = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = getUserId(req);
+  const collectionData = sanitizeCollectionData(req.body);
+
+  const existing = await getCollectionWithCount(id, userId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  await db.run(`
+    UPDATE collections
+    SET name = ?, description = ?, color = ?
+    WHERE id = ?
+  `, [
+    collectionData.name ?? existing.name,
+    collectionData.description !== undefined ? collectionData.description : existing.description,
+    collectionData.color ?? existing.color,
+    id
+  ]);
+
+  const collection = await getCollectionWithCount(id, userId);
+
+  res.json({
+    success: true,
+    data: formatCollectionResponse(collection)
+  });
+});
+
+const deleteCollection = asyncHandler(async (req, res) => {
+  const result = await db.run(
+    'DELETE FROM collections WHERE id = ? AND user_id IS ?',
+    [req.params.id, getUserId(req)]
+  );
+
+  if (result.changes === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+const addBookmarks = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = getUserId(req);
+
+  if (!(await getCollectionWithCount(id, userId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  const result = await addBookmarksToCollection(id, toIdList(req.body.bookmarkIds), userId);
+  const collection = await getCollectionWithCount(id, userId);
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      collection: formatCollectionResponse(collection)
+    }
+  });
+});
+
+const removeBookmarks = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = getUserId(req);
+
+  if (!(await getCollectionWithCount(id, userId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  const result = await removeBookmarksFromCollection(id, toIdList(req.body.bookmarkIds));
+  const collection = await getCollectionWithCount(id, userId);
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      collection: formatCollectionResponse(collection)
+    }
+  });
+});
+
+const addBookmark = asyncHandler(async (req, res) => {
+  const { id, bookmarkId } = req.params;
+  const userId = getUserId(req);
+
+  if (!(await getCollectionWithCount(id, userId))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  const result = await addBookmarksToCollection(id, [parseInt(bookmarkId)], userId);
+
+  if (result.notFound.length > 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.added > 0
+      ? 'Bookmark added to collection'
+      : 'Bookmark already in collection'
+  });
+});
+
+const removeBookmark = asyncHandler(async (req, res) => {
+  const { id, bookmarkId } = req.params;
+
+  if (!(await getCollectionWithCount(id, getUserId(req)))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+  }
+
+  const result = await removeBookmarksFromCollection(id, [parseInt(bookmarkId)]);
+
+  if (result.removed === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not in collection'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Bookmark removed from collection'
+  });
+});
+
+// Routes
+router.get('/', getCollections);
+router.post('/', createCollectionValidation, handleValidationErrors, createCollection);
+router.get('/:id', collectionIdValidation, handleValidationErrors, getCollectionById);
+router.patch('/:id', updateCollectionValidation, handleValidationErrors, updateCollection);
+router.delete('/:id', collectionIdValidation, handleValidationErrors, deleteCollection);
+router.post('/:id/bookmarks', bulkBookmarksValidation, handleValidationErrors, addBookmarks);
+router.delete('/:id/bookmarks', bulkBookmarksValidation, handleValidationErrors, removeBookmarks);
+router.put('/:id/bookmarks/:bookmarkId', singleBookmarkValidation, handleValidationErrors, addBookmark);
+router.delete('/:id/bookmarks/:bookmarkId', singleBookmarkValidation, handleValidationErrors, removeBookmark);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Export routes following functional programming principles
+const express = require('express');
+const { query } = require('express-validator');
+
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId } = require('../middleware/security');
+const {
+  EXPORT_FORMATS,
+  getExportFileType,
+  streamExport
+} = require('../services/exporter');
+const { ARCHIVED_FILTERS } = require('../services/bookmarks');
+const { TAG_FILTER_MODES } = require('../services/tags');
+
+const router = express.Router();
+
+// Validation rules
+const exportValidation = [
+  query('format').optional().isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('tags').optional().customSanitizer(tags => (Array.isArray(tags) ? tags : [tags])),
+  query('tagMode').optional().isIn(TAG_FILTER_MODES)
+    .withMessage(`Tag mode must be one of: ${TAG_FILTER_MODES.join(', ')}`),
+  query('collection').optional().isInt({ min: 1 })
+    .withMessage('Collection must be a collection id')
+    .toInt(),
+  query('from').optional().isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  query('archived').optional().isIn(ARCHIVED_FILTERS)
+    .withMessage(`Archived must be one of: ${ARCHIVED_FILTERS.join(', ')}`)
+];
+
+// Route handlers
+const exportBookmarks = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  const { contentType, extension } = getExportFileType(format);
+  const { tags, tagMode, collection, from, to, archived } = req.query;
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200)
+    .set('Content-Type', contentType)
+    .set('Content-Disposition', `attachment; filename="bookmarks-${date}.${extension}"`);
+
+  try {
+    await streamExport(res, format, { tags, tagMode, collection, from, to, archived }, getUserId(req));
+    res.end();
+  } catch (error) {
+    // Once the file has started there is no way to report an error but to cut it short
+    if (!res.headersSent) {
+      throw error;
+    }
+    res.destroy(error);
+  }
+});
+
+// Routes
+router.get('/', exportValidation, handleValidationErrors, exportBookmarks);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// Redirect routes following functional programming principles
+// GET /go/:id counts a visit to the bookmark and redirects to its page, so links shared
+// from any client keep visit counts current. With authentication on, links from
+// POST /api/bookmarks/:id/link carry a token for the one bookmark they open.
+const express = require('express');
+const { param } = require('express-validator');
+
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId } = require('../middleware/security');
+const { getBookmarkRow, recordVisit } = require('../services/bookmarks');
+const { bookmarkCache } = require('../config/cache');
+
+const router = express.Router();
+
+// Only web pages are redirected to, whatever an import may have stored
+const REDIRECT_PROTOCOLS = /^(https?|ftp):/i;
+
+// Route handlers
+const visitBookmark = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const isOtherBookmark = req.linkBookmarkId && String(req.linkBookmarkId) !== req.params.id;
+  const bookmark = isOtherBookmark ? null : await getBookmarkRow(req.params.id, userId);
+
+  if (!bookmark || bookmark.is_archived) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bookmark not found'
+    });
+  }
+
+  // A link that cannot be opened is not counted as a visit
+  if (!REDIRECT_PROTOCOLS.test(bookmark.url)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Bookmark URL cannot be opened'
+    });
+  }
+
+  await recordVisit(bookmark.id, userId);
+  await bookmarkCache.invalidateBookmarks(userId, [bookmark.id]);
+
+  // Every open should reach the server to be counted
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, bookmark.url);
+});
+
+// Routes
+router.get('/:id', param('id').isInt(), handleValidationErrors, visitBookmark);
+
+module.exports = router;
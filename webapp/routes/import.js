@@ -0,0 +1,83 @@
+// Import routes following functional programming principles
+const express = require('express');
+const { query } = require('express-validator');
+
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId } = require('../middleware/security');
+const { bookmarkCache } = require('../config/cache');
+const { FOLDER_MODES, importBookmarks } = require('../services/importer');
+const { IMPORTERS, IMPORT_FORMATS, getImporter, detectImporter } = require('../services/importers');
+
+const router = express.Router();
+
+// Export files are posted as-is; JSON bodies carry the file in `content` (or `html`),
+// except Pinboard and Bookmarkable JSON exports, which are JSON already
+const readImportFile = express.text({
+  type: ['text/html', 'text/plain', 'text/csv', 'application/csv'],
+  limit: '10mb'
+});
+
+const getUploadedContent = (req) => {
+  if (typeof req.body === 'string' || Array.isArray(req.body)) {
+    return req.body;
+  }
+  return req.body?.content ?? req.body?.html ?? req.body;
+};
+
+// Validation rules
+const importValidation = [
+  query('format').optional().isIn(IMPORT_FORMATS)
+    .withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  query('folders').optional().isIn(FOLDER_MODES)
+    .withMessage(`Folders must be one of: ${FOLDER_MODES.join(', ')}`),
+  query('dryRun').optional().isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
+];
+
+// Route handlers
+const listFormats = (req, res) => {
+  res.json({
+    success: true,
+    data: IMPORTERS.map(({ name, label }) => ({ name, label }))
+  });
+};
+
+const importFile = asyncHandler(async (req, res) => {
+  const content = getUploadedContent(req);
+  const importer = req.query.format ? getImporter(req.query.format) : detectImporter(content);
+
+  if (!importer || !importer.detect(content)) {
+    return res.status(400).json({
+      success: false,
+      message: req.query.format
+        ? `Expected a ${importer.label} export`
+        : `Unrecognized import file. Supported formats: ${IMPORTERS.map(({ label }) => label).join(', ')}`
+    });
+  }
+
+  const items = importer.parse(content);
+  const dryRun = req.query.dryRun === true;
+  const userId = getUserId(req);
+  const summary = await importBookmarks(items, userId, {
+    folderMode: req.query.folders || 'tags',
+    dryRun
+  });
+  if (!dryRun) {
+    await bookmarkCache.invalidateUser(userId);
+  }
+
+  res.json({
+    success: true,
+    message: dryRun
+      ? `Would import ${summary.imported} of ${summary.total} bookmarks`
+      : `Imported ${summary.imported} of ${summary.total} bookmarks`,
+    data: { format: importer.name, ...summary }
+  });
+});
+
+// Routes
+router.get('/formats', listFormats);
+router.post('/', readImportFile, importValidation, handleValidationErrors, importFile);
+
+module.exports = router;
@@ -0,0 +1,260 @@
+// Sync routes following functional programming principles
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const db = require('../config/database');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getUserId } = require('../middleware/security');
+const {
+  sanitizeBookmarkData,
+  formatBookmarkResponse,
+  getBookmarkTags,
+  getTagsForBookmarks,
+  getBookmarkRow,
+  findDuplicateBookmark,
+  findUrlChangeDuplicate,
+  insertBookmark,
+  updateBookmarkRecord,
+  bookmarkValidation
+} = require('../services/bookmarks');
+const { enqueueMetadataFetch } = require('../services/metadataFetcher');
+const { bookmarkCache } = require('../config/cache');
+
+const router = express.Router();
+
+const MAX_PUSH_CHANGES = 500;
+const DEFAULT_FEED_LIMIT = 200;
+
+// Pure functions for data processing
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone marker
+const parseTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const time = Date.parse(normalized);
+
+  return Number.isNaN(time) ? null : time;
+};
+
+const formatChange = (change, tags) => {
+  const base = {
+    seq: change.seq,
+    id: change.bookmark_id,
+    clientId: change.change_client_id
+  };
+
+  // Hard-deleted rows are gone from bookmarks, so only the change row is left
+  if (change.action === 'delete' || change.id === null) {
+    return { ...base, type: 'delete', deletedAt: change.changed_at };
+  }
+
+  return { ...base, type: 'upsert', bookmark: formatBookmarkResponse(change, tags) };
+};
+
+// Runs the regular bookmark validation chain against one pushed item
+const validateBookmarkPayload = async (payload) => {
+  const itemRequest = { body: payload || {} };
+  await Promise.all(bookmarkValidation.map(rule => rule.run(itemRequest)));
+
+  const errors = validationResult(itemRequest);
+  return errors.isEmpty() ? null : errors.array()[0].msg;
+};
+
+const findSyncTarget = async (change, bookmarkData, userId) => {
+  if (change.id) {
+    return await getBookmarkRow(change.id, userId);
+  }
+
+  if (change.clientId) {
+    const byClientId = await db.query(
+      'SELECT * FROM bookmarks WHERE client_id = ? AND user_id IS ? ORDER BY id LIMIT 1',
+      [change.clientId, userId]
+    );
+    if (byClientId.length > 0) {
+      return byClientId[0];
+    }
+  }
+
+  // A bookmark first saved on another device maps onto the existing row for its page.
+  // Deletes carry no page, so an unknown clientId matches nothing.
+  return bookmarkData
+    ? await findDuplicateBookmark(bookmarkData, userId, { includeArchived: false })
+    : null;
+};
+
+const getFormattedBookmark = async (bookmarkId, userId) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  const tags = await getBookmarkTags(bookmarkId);
+  return formatBookmarkResponse(bookmark, tags);
+};
+
+const applyUpsert = async (change, userId) => {
+  const error = await validateBookmarkPayload(change.bookmark);
+  if (error) {
+    return { status: 'error', error };
+  }
+
+  const bookmarkData = sanitizeBookmarkData(change.bookmark);
+  const existing = await findSyncTarget(change, bookmarkData, userId);
+
+  if (!existing) {
+    if (change.id) {
+      return { status: 'error', error: 'Bookmark not found' };
+    }
+
+    const { id } = await insertBookmark(bookmarkData, userId, change.clientId || null);
+    await enqueueMetadataFetch(id, bookmarkData);
+    return { status: 'created', id, bookmark: await getFormattedBookmark(id, userId) };
+  }
+
+  // Deletes win over concurrent edits so both sides end up without the bookmark
+  if (existing.is_archived) {
+    return { status: 'deleted', id: existing.id };
+  }
+
+  // An edit cannot move the bookmark onto a page another bookmark already holds
+  const duplicate = await findUrlChangeDuplicate(existing, bookmarkData, userId);
+  if (duplicate) {
+    return {
+      status: 'conflict',
+      id: existing.id,
+      existingId: duplicate.id,
+      bookmark: await getFormattedBookmark(existing.id, userId)
+    };
+  }
+
+  // A client that sends the revision it edited gets a conflict to merge instead of
+  // having its edit dropped
+  if (change.revision) {
+    const updated = change.revision === existing.revision &&
+      await updateBookmarkRecord(existing.id, bookmarkData, userId, change.revision);
+
+    if (!updated) {
+      return { status: 'conflict', id: existing.id, bookmark: await getFormattedBookmark(existing.id, userId) };
+    }
+
+    return { status: 'updated', id: existing.id, bookmark: await getFormattedBookmark(existing.id, userId) };
+  }
+
+  // Last writer wins: an edit made before the server's latest change is discarded
+  const clientTime = parseTimestamp(change.updatedAt);
+  const serverTime = parseTimestamp(existing.updated_at);
+  if (clientTime !== null && serverTime !== null && clientTime < serverTime) {
+    return { status: 'stale', id: existing.id, bookmark: await getFormattedBookmark(existing.id, userId) };
+  }
+
+  await updateBookmarkRecord(existing.id, bookmarkData, userId);
+  return { status: 'updated', id: existing.id, bookmark: await getFormattedBookmark(existing.id, userId) };
+};
+
+const applyDelete = async (change, userId) => {
+  const existing = await findSyncTarget(change, null, userId);
+
+  // Deleting something the server never had (or already removed) is not an error
+  if (!existing) {
+    return { status: 'deleted', id: change.id || null };
+  }
+
+  await db.run(
+    `UPDATE bookmarks SET is_archived = TRUE, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND is_archived = FALSE`,
+    [existing.id]
+  );
+
+  return { status: 'deleted', id: existing.id };
+};
+
+// Validation rules
+const changesValidation = [
+  query('since').optional().isInt({ min: 0 }).withMessage('since must be a cursor returned by a previous sync'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000')
+];
+
+const pushValidation = [
+  body('changes').isArray({ min: 1, max: MAX_PUSH_CHANGES })
+    .withMessage(`changes must be a non-empty array of at most ${MAX_PUSH_CHANGES} items`),
+  body('changes.*.op').isIn(['upsert', 'delete']).withMessage('op must be upsert or delete'),
+  body('changes.*').custom(change => change?.op !== 'delete' || Boolean(change.id || change.clientId))
+    .withMessage('delete changes need an id or clientId'),
+  body('changes.*.id').optional({ nullable: true }).isInt().withMessage('id must be a server bookmark id'),
+  body('changes.*.clientId').optional({ nullable: true }).isString().isLength({ max: 100 })
+    .withMessage('clientId must be a string of at most 100 characters'),
+  body('changes.*.revision').optional({ nullable: true }).isInt({ min: 1 })
+    .withMessage('revision must be a bookmark revision number').toInt(),
+  body('changes.*.updatedAt').optional({ nullable: true }).isISO8601()
+    .withMessage('updatedAt must be an ISO 8601 timestamp')
+];
+
+// Route handlers
+const getChanges = asyncHandler(async (req, res) => {
+  const since = parseInt(req.query.since) || 0;
+  const limit = parseInt(req.query.limit) || DEFAULT_FEED_LIMIT;
+
+  // Fetch one extra row to know whether another page follows
+  const rows = await db.query(`
+    SELECT b.*, c.seq, c.bookmark_id, c.action, c.client_id AS change_client_id, c.changed_at
+    FROM bookmark_changes c
+    LEFT JOIN bookmarks b ON b.id = c.bookmark_id
+    WHERE c.seq > ? AND c.user_id IS ?
+    ORDER BY c.seq
+    LIMIT ?
+  `, [since, getUserId(req), limit + 1]);
+
+  const page = rows.slice(0, limit);
+  const tagsById = await getTagsForBookmarks(page.filter(change => change.id !== null).map(change => change.id));
+  const changes = page.map(change => formatChange(change, tagsById.get(change.id)));
+
+  res.json({
+    success: true,
+    data: {
+      changes,
+      cursor: String(page.length > 0 ? page[page.length - 1].seq : since),
+      hasMore: rows.length > limit
+    }
+  });
+});
+
+const pushChanges = asyncHandler(async (req, res) => {
+  const userId = getUserId(req);
+  const results = [];
+
+  // Applied in order so a create followed by a delete of the same item behaves as expected
+  for (const change of req.body.changes) {
+    try {
+      const result = change.op === 'delete'
+        ? await applyDelete(change, userId)
+        : await applyUpsert(change, userId);
+
+      results.push({ clientId: change.clientId || null, op: change.op, ...result });
+    } catch (error) {
+      results.push({
+        clientId: change.clientId || null,
+        op: change.op,
+        status: 'error',
+        error: 'Failed to apply change'
+      });
+    }
+  }
+
+  const changedIds = results
+    .filter(result => ['created', 'updated', 'deleted'].includes(result.status) && result.id)
+    .map(result => result.id);
+  if (changedIds.length > 0) {
+    await bookmarkCache.invalidateBookmarks(userId, changedIds);
+  }
+
+  res.json({
+    success: true,
+    data: { results }
+  });
+});
+
+// Routes
+router.get('/changes', changesValidation, handleValidationErrors, getChanges);
+router.post('/push', pushValidation, handleValidationErrors, pushChanges);
+
+module.exports = router;
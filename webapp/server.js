@@ -26,6 +26,16 @@ const {
 
 const db = require('./config/database');
 const bookmarksRoutes = require('./routes/bookmarks');
+const collectionsRoutes = require('./routes/collections');
+const authRoutes = require('./routes/auth');
+const syncRoutes = require('./routes/sync');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/export');
+const goRoutes = require('./routes/go');
+const { startTrashPurge } = require('./services/trash');
+const { startLinkChecks } = require('./services/linkHealth');
+const { startMetadataFetcher } = require('./services/metadataFetcher');
+const { requireAuth, requireLinkAuth } = require('./middleware/security');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 // Pure functions for server configuration
@@ -58,8 +68,8 @@ const configureMiddleware = (app) => {
       // Get allowed origins from environment
       const allowedOrigins = config.CORS_ORIGINS.split(',').map(o => o.trim());
       
-      // Allow requests with no origin (mobile apps, etc.) in development
-      if (!origin && config.NODE_ENV === 'development') {
+      // Allow requests with no origin (mobile apps, test clients, etc.) outside production
+      if (!origin && ['development', 'test'].includes(config.NODE_ENV)) {
         return callback(null, true);
       }
       
@@ -83,8 +93,9 @@ const configureMiddleware = (app) => {
         callback(new Error('Not allowed by CORS'));
       }
     },
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Auth-Token', 'If-Match'],
+    exposedHeaders: ['ETag', 'Link', 'X-Cache'],
     credentials: true
   };
   
@@ -114,8 +125,27 @@ const configureRoutes = (app) => {
   // Serve static files
   app.use(express.static(path.join(__dirname, 'public')));
 
-  // API routes
-  app.use('/api/bookmarks', bookmarksRoutes);
+  // API routes (per-user when authentication is enabled)
+  if (config.ENABLE_AUTH) {
+    app.use('/api/auth', authRoutes);
+    app.use('/api/bookmarks', requireAuth, bookmarksRoutes);
+    app.use('/api/collections', requireAuth, collectionsRoutes);
+    app.use('/api/sync', requireAuth, syncRoutes);
+    app.use('/api/import', requireAuth, importRoutes);
+    app.use('/go', requireLinkAuth, goRoutes);
+    if (config.ENABLE_EXPORT) {
+      app.use('/api/export', requireAuth, exportRoutes);
+    }
+  } else {
+    app.use('/api/bookmarks', bookmarksRoutes);
+    app.use('/api/collections', collectionsRoutes);
+    app.use('/api/sync', syncRoutes);
+    app.use('/api/import', importRoutes);
+    app.use('/go', goRoutes);
+    if (config.ENABLE_EXPORT) {
+      app.use('/api/export', exportRoutes);
+    }
+  }
 
   // Health check endpoint
   app.get('/api/health', (req, res) => {
@@ -295,6 +325,37 @@ const initializeServer = async () => {
       // Start performance monitoring
       startHealthMonitoring();
       
+      // Purge bookmarks that have been in the trash past TRASH_RETENTION_DAYS
+      startTrashPurge((purged, error) => {
+        if (error) {
+          logger.error('Trash purge failed', { error: error.message });
+        } else if (purged > 0) {
+          logger.info('Purged expired bookmarks from the trash', { purged });
+        }
+      });
+      
+      // Recheck bookmarked links every LINK_CHECK_INTERVAL_DAYS
+      if (config.ENABLE_LINK_CHECKS) {
+        startLinkChecks((result, error) => {
+          if (error) {
+            logger.error('Link health check failed', { error: error.message });
+          } else if (result.checked > 0) {
+            logger.info('Checked bookmark links', result);
+          }
+        });
+      }
+      
+      // Fill in page details for bookmarks saved without the extension
+      if (config.ENABLE_METADATA_FETCH) {
+        startMetadataFetcher((result, error) => {
+          if (error) {
+            logger.error('Metadata fetch failed', { error: error.message });
+          } else if (result.processed > 0) {
+            logger.info('Fetched bookmark metadata', result);
+          }
+        });
+      }
+      
       console.log(`🚀 Bookmark Sync server running on port ${PORT}`);
       console.log(`📱 Extension API: http://localhost:${PORT}/api/bookmarks`);
       console.log(`🌐 Web Interface: http://localhost:${PORT}`);
@@ -0,0 +1,431 @@
+// Bookmark data helpers shared by the bookmark and sync routes
+const { body } = require('express-validator');
+
+const db = require('../config/database');
+const { getUrlFields, getUrlMatchKeys } = require('./urls');
+const { normalizeTagPath, ensureTagPath } = require('./tags');
+
+// Archived-state filters for listings and exports over `bookmarks b`: active bookmarks
+// by default, 'only' for the trash, 'all' for both
+const ARCHIVED_FILTERS = ['false', 'only', 'all'];
+
+const ARCHIVED_CONDITIONS = {
+  false: 'b.is_archived = FALSE',
+  only: 'b.is_archived = TRUE',
+  all: '1 = 1'
+};
+
+// Pure functions for data processing
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sanitizeBookmarkData = (data) => ({
+  title: data.title?.trim() || 'Untitled',
+  url: data.url?.trim(),
+  canonicalUrl: data.canonicalUrl?.trim() || null,
+  description: data.description?.trim() || null,
+  favicon: data.favicon?.trim() || null,
+  note: data.note?.trim() || null,
+  textContent: data.textContent?.trim() || null,
+  articleBody: data.articleBody?.trim() || null,
+  wordCount: Number.isInteger(data.wordCount) && data.wordCount >= 0 ? data.wordCount : null,
+  readingTime: Number.isInteger(data.readingTime) && data.readingTime >= 0 ? data.readingTime : null,
+  primaryImage: data.primaryImage?.trim() || null,
+  keywords: Array.isArray(data.keywords)
+    ? data.keywords.map(keyword => keyword.trim()).filter(Boolean)
+    : null,
+  siteMetadata: data.siteMetadata && typeof data.siteMetadata === 'object' && !Array.isArray(data.siteMetadata)
+    ? data.siteMetadata
+    : null,
+  author: data.author?.trim() || null,
+  publishedDate: data.publishedDate?.trim() || null,
+  siteName: data.siteName?.trim() || null,
+  domain: data.domain?.trim().toLowerCase() || getDomain(data.url?.trim()),
+  captureReason: data.captureReason?.trim() || null,
+  tags: Array.isArray(data.tags) ? data.tags : null
+});
+
+const parseKeywords = (keywords) => {
+  try {
+    return keywords ? JSON.parse(keywords) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const parseSiteMetadata = (siteMetadata) => {
+  try {
+    return siteMetadata ? JSON.parse(siteMetadata) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatBookmarkResponse = (bookmark, tags = []) => ({
+  id: bookmark.id,
+  clientId: bookmark.client_id || null,
+  title: bookmark.title,
+  url: bookmark.url,
+  canonicalUrl: bookmark.canonical_url || null,
+  normalizedUrl: bookmark.normalized_url || null,
+  description: bookmark.description,
+  favicon: bookmark.favicon,
+  note: bookmark.note,
+  textContent: bookmark.text_content,
+  articleBody: bookmark.article_body || null,
+  wordCount: bookmark.word_count ?? null,
+  readingTime: bookmark.reading_time ?? null,
+  primaryImage: bookmark.primary_image,
+  keywords: parseKeywords(bookmark.keywords),
+  siteMetadata: parseSiteMetadata(bookmark.site_metadata),
+  author: bookmark.author,
+  publishedDate: bookmark.published_date,
+  siteName: bookmark.site_name,
+  domain: bookmark.domain,
+  captureReason: bookmark.capture_reason,
+  tags: tags,
+  createdAt: bookmark.created_at,
+  updatedAt: bookmark.updated_at,
+  isArchived: bookmark.is_archived,
+  archivedAt: bookmark.archived_at || null,
+  revision: bookmark.revision,
+  visitCount: bookmark.visit_count,
+  lastVisited: bookmark.last_visited,
+  linkHealth: bookmark.link_checked_at
+    ? {
+      status: bookmark.link_status,
+      statusCode: bookmark.link_status_code,
+      finalUrl: bookmark.link_final_url || null,
+      permanentRedirect: Boolean(bookmark.link_permanent_redirect),
+      error: bookmark.link_error || null,
+      checkedAt: bookmark.link_checked_at
+    }
+    : null,
+  snapshot: bookmark.snapshot_hash
+    ? { contentType: bookmark.snapshot_type, capturedAt: bookmark.snapshot_captured_at }
+    : null
+});
+
+// Revisions double as strong ETags
+const formatETag = (bookmark) => `"${bookmark.revision}"`;
+
+const matchesETag = (ifMatch, bookmark) => {
+  const etag = formatETag(bookmark);
+  return ifMatch.split(',')
+    .map(candidate => candidate.trim())
+    .some(candidate => candidate === '*' || candidate === etag);
+};
+
+const processTagsForBookmark = async (bookmarkId, tagNames, userId = null) => {
+  if (!Array.isArray(tagNames) || tagNames.length === 0) {
+    return [];
+  }
+
+  const processedTags = [];
+  
+  for (const tagName of tagNames) {
+    // "dev/frontend/react" also creates "dev" and "dev/frontend"; only the leaf is linked
+    const path = normalizeTagPath(tagName);
+    if (!path) continue;
+
+    const tagId = await ensureTagPath(path, userId);
+
+    // Link tag to bookmark
+    await db.run(
+      'INSERT OR IGNORE INTO bookmark_tags (bookmark_id, tag_id) VALUES (?, ?)',
+      [bookmarkId, tagId]
+    );
+
+    processedTags.push({ id: tagId, name: path });
+  }
+
+  return processedTags;
+};
+
+const getBookmarkTags = async (bookmarkId) => {
+  const tags = await db.query(`
+    SELECT t.id, t.name, t.color
+    FROM tags t
+    JOIN bookmark_tags bt ON t.id = bt.tag_id
+    WHERE bt.bookmark_id = ?
+  `, [bookmarkId]);
+  
+  return tags;
+};
+
+// Tags for a list of bookmarks in one query, as a Map from bookmark id to its tags.
+// The ids go in as one JSON array, so long lists stay clear of SQLite's variable limit.
+const getTagsForBookmarks = async (bookmarkIds) => {
+  const tagsById = new Map(bookmarkIds.map(id => [id, []]));
+  if (bookmarkIds.length === 0) {
+    return tagsById;
+  }
+
+  const rows = await db.query(`
+    SELECT bt.bookmark_id, t.id, t.name, t.color
+    FROM tags t
+    JOIN bookmark_tags bt ON t.id = bt.tag_id
+    WHERE bt.bookmark_id IN (SELECT value FROM json_each(?))
+  `, [JSON.stringify(bookmarkIds)]);
+
+  rows.forEach(({ bookmark_id: bookmarkId, ...tag }) => tagsById.get(bookmarkId).push(tag));
+  return tagsById;
+};
+
+// The user's newest live bookmarks, formatted for responses
+const listRecentBookmarks = async (userId, limit = 10) => {
+  const bookmarks = await db.query(`
+    SELECT * FROM bookmarks 
+    WHERE is_archived = FALSE AND user_id IS ?
+    ORDER BY created_at DESC, id DESC 
+    LIMIT ?
+  `, [userId, limit]);
+  
+  const tagsById = await getTagsForBookmarks(bookmarks.map(bookmark => bookmark.id));
+  return bookmarks.map(bookmark => formatBookmarkResponse(bookmark, tagsById.get(bookmark.id)));
+};
+
+// Validation rules (also run per item on sync pushes)
+const bookmarkFieldValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('canonicalUrl').optional({ nullable: true }).isURL().withMessage('Canonical URL must be a valid URL'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('description').optional().trim(),
+  body('note').optional({ nullable: true }).isString().withMessage('Note must be a string'),
+  body('textContent').optional({ nullable: true }).isString()
+    .isLength({ max: 100000 }).withMessage('Text content must be at most 100000 characters'),
+  // Reader view article, as Markdown
+  body('articleBody').optional({ nullable: true }).isString()
+    .isLength({ max: 500000 }).withMessage('Article body must be at most 500000 characters'),
+  body('wordCount').optional({ nullable: true }).isInt({ min: 0 }).toInt()
+    .withMessage('Word count must be a non-negative integer'),
+  body('readingTime').optional({ nullable: true }).isInt({ min: 0 }).toInt()
+    .withMessage('Reading time must be a non-negative integer'),
+  // Captured page metadata; images may arrive as data URLs
+  body('primaryImage').optional({ nullable: true }).isString()
+    .isLength({ max: 500000 }).withMessage('Primary image must be a URL of at most 500000 characters'),
+  body('keywords').optional({ nullable: true }).isArray({ max: 100 })
+    .withMessage('Keywords must be an array of at most 100 entries'),
+  body('keywords.*').isString().isLength({ max: 100 }).withMessage('Keywords must be short strings'),
+  // Typed details from the extension's site extractors ({ site, type, ... })
+  body('siteMetadata').optional({ nullable: true }).isObject().withMessage('Site metadata must be an object'),
+  body('author').optional({ nullable: true }).isString()
+    .isLength({ max: 255 }).withMessage('Author must be at most 255 characters'),
+  body('publishedDate').optional({ nullable: true }).isString()
+    .isLength({ max: 64 }).withMessage('Published date must be at most 64 characters'),
+  body('siteName').optional({ nullable: true }).isString()
+    .isLength({ max: 255 }).withMessage('Site name must be at most 255 characters'),
+  body('domain').optional({ nullable: true }).isString()
+    .isLength({ max: 255 }).withMessage('Domain must be at most 255 characters'),
+  body('captureReason').optional({ nullable: true }).isString()
+    .isLength({ max: 50 }).withMessage('Capture reason must be at most 50 characters')
+];
+
+const bookmarkValidation = [
+  body('url').isURL().withMessage('Valid URL is required'),
+  ...bookmarkFieldValidation
+];
+
+// Updates keep the stored URL when none is sent
+const bookmarkUpdateValidation = [
+  body('url').optional().isURL().withMessage('Valid URL is required'),
+  ...bookmarkFieldValidation
+];
+
+// Persistence helpers
+const serializeKeywords = (keywords) => (keywords ? JSON.stringify(keywords) : null);
+
+const serializeSiteMetadata = (siteMetadata) => (siteMetadata ? JSON.stringify(siteMetadata) : null);
+
+const getBookmarkRow = async (bookmarkId, userId) => {
+  const bookmarks = await db.query(
+    'SELECT * FROM bookmarks WHERE id = ? AND user_id IS ?',
+    [bookmarkId, userId]
+  );
+  return bookmarks[0] || null;
+};
+
+// Counts an open of a live bookmark; returns the updated row, or null. Visits are not
+// edits: they leave the revision and the sync feed alone.
+const recordVisit = async (bookmarkId, userId) => {
+  const result = await db.run(
+    `UPDATE bookmarks SET visit_count = COALESCE(visit_count, 0) + 1, last_visited = CURRENT_TIMESTAMP
+     WHERE id = ? AND user_id IS ? AND is_archived = FALSE`,
+    [bookmarkId, userId]
+  );
+  return result.changes > 0 ? await getBookmarkRow(bookmarkId, userId) : null;
+};
+
+// Another bookmark of the user's for the same page: its URL or canonical URL matches
+// either of ours once normalized. excludeId leaves out the bookmark being changed.
+const findDuplicateBookmark = async (bookmarkData, userId, { includeArchived = true, excludeId = null } = {}) => {
+  const keys = getUrlMatchKeys(bookmarkData.url, bookmarkData.canonicalUrl);
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const placeholders = keys.map(() => '?').join(', ');
+  const duplicates = await db.query(`
+    SELECT * FROM bookmarks
+    WHERE user_id IS ?
+      AND (normalized_url IN (${placeholders}) OR normalized_canonical_url IN (${placeholders}))
+      ${includeArchived ? '' : 'AND is_archived = FALSE'}
+      AND id IS NOT ?
+    ORDER BY id
+    LIMIT 1
+  `, [userId, ...keys, ...keys, excludeId]);
+
+  return duplicates[0] || null;
+};
+
+// When an edit moves a bookmark to another page, returns the live bookmark that already
+// holds that page, if any
+const findUrlChangeDuplicate = async (bookmark, bookmarkData, userId) => {
+  const { normalizedUrl, normalizedCanonicalUrl } = getUrlFields(bookmarkData.url, bookmarkData.canonicalUrl);
+  const urlChanged = (normalizedUrl && normalizedUrl !== bookmark.normalized_url) ||
+    (normalizedCanonicalUrl && normalizedCanonicalUrl !== bookmark.normalized_canonical_url);
+  if (!urlChanged) {
+    return null;
+  }
+
+  return await findDuplicateBookmark(bookmarkData, userId, { includeArchived: false, excludeId: bookmark.id });
+};
+
+const insertBookmark = async (bookmarkData, userId, clientId = null) => {
+  const urlFields = getUrlFields(bookmarkData.url, bookmarkData.canonicalUrl);
+  const result = await db.run(`
+    INSERT INTO bookmarks (
+      title, url, canonical_url, normalized_url, normalized_canonical_url,
+      description, favicon, note, text_content, article_body, word_count, reading_time,
+      primary_image, keywords, site_metadata, author, published_date, site_name, domain, capture_reason,
+      client_id, user_id, created_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `, [
+    bookmarkData.title,
+    bookmarkData.url,
+    urlFields.canonicalUrl,
+    urlFields.normalizedUrl,
+    urlFields.normalizedCanonicalUrl,
+    bookmarkData.description,
+    bookmarkData.favicon,
+    bookmarkData.note,
+    bookmarkData.textContent,
+    bookmarkData.articleBody,
+    bookmarkData.wordCount,
+    bookmarkData.readingTime,
+    bookmarkData.primaryImage,
+    serializeKeywords(bookmarkData.keywords),
+    serializeSiteMetadata(bookmarkData.siteMetadata),
+    bookmarkData.author,
+    bookmarkData.publishedDate,
+    bookmarkData.siteName,
+    bookmarkData.domain,
+    bookmarkData.captureReason,
+    clientId,
+    userId,
+    // Only importers set createdAt, as a SQLite UTC timestamp
+    bookmarkData.createdAt || null
+  ]);
+
+  const tags = await processTagsForBookmark(result.id, bookmarkData.tags, userId);
+
+  return { id: result.id, tags };
+};
+
+// Replaces the editable fields and tags and bumps the revision. Returns null when the
+// bookmark is not the user's or, with expectedRevision, when it changed in the meantime.
+const updateBookmarkRecord = async (bookmarkId, bookmarkData, userId, expectedRevision = null) => {
+  const urlFields = getUrlFields(bookmarkData.url, bookmarkData.canonicalUrl);
+  const result = await db.run(`
+    UPDATE bookmarks 
+    SET title = ?, description = ?, note = ?,
+        url = COALESCE(?, url),
+        normalized_url = COALESCE(?, normalized_url),
+        canonical_url = COALESCE(?, canonical_url),
+        normalized_canonical_url = COALESCE(?, normalized_canonical_url),
+        domain = COALESCE(?, domain),
+        text_content = COALESCE(?, text_content),
+        article_body = COALESCE(?, article_body),
+        word_count = COALESCE(?, word_count),
+        reading_time = COALESCE(?, reading_time),
+        primary_image = COALESCE(?, primary_image),
+        keywords = COALESCE(?, keywords),
+        site_metadata = COALESCE(?, site_metadata),
+        author = COALESCE(?, author),
+        published_date = COALESCE(?, published_date),
+        site_name = COALESCE(?, site_name),
+        capture_reason = COALESCE(?, capture_reason),
+        revision = revision + 1,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id IS ? AND (? IS NULL OR revision = ?)
+  `, [
+    bookmarkData.title,
+    bookmarkData.description,
+    bookmarkData.note,
+    bookmarkData.url,
+    urlFields.normalizedUrl,
+    urlFields.canonicalUrl,
+    urlFields.normalizedCanonicalUrl,
+    bookmarkData.domain,
+    // Captured metadata is only replaced when the client sends it again
+    bookmarkData.textContent,
+    bookmarkData.articleBody,
+    bookmarkData.wordCount,
+    bookmarkData.readingTime,
+    bookmarkData.primaryImage,
+    serializeKeywords(bookmarkData.keywords),
+    serializeSiteMetadata(bookmarkData.siteMetadata),
+    bookmarkData.author,
+    bookmarkData.publishedDate,
+    bookmarkData.siteName,
+    bookmarkData.captureReason,
+    bookmarkId,
+    userId,
+    expectedRevision,
+    expectedRevision
+  ]);
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  // Tags are only replaced when the client sends a list
+  if (!bookmarkData.tags) {
+    return { id: bookmarkId, tags: await getBookmarkTags(bookmarkId) };
+  }
+
+  await db.run('DELETE FROM bookmark_tags WHERE bookmark_id = ?', [bookmarkId]);
+  const tags = await processTagsForBookmark(bookmarkId, bookmarkData.tags, userId);
+
+  return { id: bookmarkId, tags };
+};
+
+module.exports = {
+  ARCHIVED_FILTERS,
+  ARCHIVED_CONDITIONS,
+  getDomain,
+  sanitizeBookmarkData,
+  parseKeywords,
+  parseSiteMetadata,
+  formatBookmarkResponse,
+  formatETag,
+  matchesETag,
+  processTagsForBookmark,
+  getBookmarkTags,
+  getTagsForBookmarks,
+  listRecentBookmarks,
+  recordVisit,
+  getBookmarkRow,
+  findDuplicateBookmark,
+  findUrlChangeDuplicate,
+  insertBookmark,
+  updateBookmarkRecord,
+  bookmarkValidation,
+  bookmarkUpdateValidation
+};
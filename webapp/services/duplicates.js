@@ -0,0 +1,337 @@
+// Duplicate detection and merging for bookmarks saved before URL normalization
+const db = require('../config/database');
+const { getBookmarkTags, processTagsForBookmark } = require('./bookmarks');
+
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+const MIN_TITLE_TOKENS = 3;
+
+// Pure functions for matching
+// AMP copies live on the AMP cache, under /amp/ paths or behind amp parameters
+const AMP_CACHE_HOST = /^([a-z0-9-]+)\.cdn\.ampproject\.org$/;
+const MOBILE_HOST_PREFIX = /^(?:www|m|mobile|amp)\./;
+const isAmpParam = (param) => param.split('=')[0] === 'amp' || param === 'outputType=amp';
+
+// The AMP cache spells example-site.com as example--site-com
+const decodeAmpCacheHost = (label) => label.split('--').map(part => part.replace(/-/g, '.')).join('-');
+
+// The site a URL belongs to, looking through AMP caches and mobile hosts
+const getSiteKey = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+
+    const ampCache = host.match(AMP_CACHE_HOST);
+    if (ampCache) {
+      return decodeAmpCacheHost(ampCache[1]).replace(MOBILE_HOST_PREFIX, '');
+    }
+
+    const googleAmp = pathname.match(/^\/amp\/s\/([^/]+)/);
+    if (/(^|\.)google\.[a-z.]+$/.test(host) && googleAmp) {
+      return googleAmp[1].toLowerCase().replace(MOBILE_HOST_PREFIX, '');
+    }
+
+    return host.replace(MOBILE_HOST_PREFIX, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// A normalized URL with the AMP and mobile variations of the same article folded away
+const getUrlGroupKey = (normalizedUrl) => {
+  if (!normalizedUrl || !/^[^/?]+\.[^/?]+/.test(normalizedUrl)) {
+    return normalizedUrl || null;
+  }
+
+  let key = normalizedUrl;
+  const ampCache = key.match(/^([a-z0-9-]+)\.cdn\.ampproject\.org\/(?:[a-z]\/)*(?:s\/)?(.*)$/);
+  if (ampCache) {
+    key = ampCache[2];
+  }
+
+  const googleAmp = key.match(/^google\.[a-z.]+\/amp\/s\/(.*)$/);
+  if (googleAmp) {
+    key = googleAmp[1];
+  }
+
+  const [path, query = ''] = key.split('?');
+  const params = query.split('&')
+    .filter(param => param && !isAmpParam(param));
+
+  const articlePath = path
+    .replace(MOBILE_HOST_PREFIX, '')
+    .replace(/\/amp$/, '')
+    .replace(/\/amp\//, '/');
+
+  return params.length > 0 ? `${articlePath}?${params.join('&')}` : articlePath;
+};
+
+// Lower-case words of a title without the " - Site name" suffix most sites append
+const getTitleTokens = (title) => {
+  const words = (title || '')
+    .toLowerCase()
+    .replace(/\s+[-|–—·:]\s+[^-|–—·:]{1,40}$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word.length > 1);
+
+  return new Set(words);
+};
+
+const getTitleSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+// Two titles this similar share a word among the first few of each, taking words rarest
+// first; only titles meeting in those words are compared (prefix filtering)
+const getPrefixLength = (size) => size - Math.ceil(TITLE_SIMILARITY_THRESHOLD * size - 1e-9) + 1;
+
+// Pairs of { id, tokens } entries whose titles reach TITLE_SIMILARITY_THRESHOLD
+const findSimilarTitles = (entries) => {
+  const frequency = new Map();
+  entries.forEach(({ tokens }) => tokens.forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+  const byRarity = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : 1);
+
+  const byToken = new Map();
+  const pairs = [];
+  entries.forEach(entry => {
+    const prefix = [...entry.tokens].sort(byRarity).slice(0, getPrefixLength(entry.tokens.size));
+    const candidates = new Set(prefix.flatMap(token => byToken.get(token) || []));
+    candidates.forEach(other => {
+      if (getTitleSimilarity(entry.tokens, other.tokens) >= TITLE_SIMILARITY_THRESHOLD) {
+        pairs.push([other, entry]);
+      }
+    });
+    prefix.forEach(token => byToken.set(token, [...(byToken.get(token) || []), entry]));
+  });
+  return pairs;
+};
+
+// Union-find over bookmark ids, remembering why two bookmarks were joined
+const createGroups = () => {
+  const parents = new Map();
+  const reasons = new Map();
+
+  const find = (id) => {
+    if (!parents.has(id)) {
+      parents.set(id, id);
+    }
+    const parent = parents.get(id);
+    if (parent === id) {
+      return id;
+    }
+    const root = find(parent);
+    parents.set(id, root);
+    return root;
+  };
+
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+
+    if (rootA !== rootB) {
+      parents.set(rootB, rootA);
+      reasons.delete(rootB);
+    }
+    reasons.set(rootA, merged);
+  };
+
+  const collect = (ids) => {
+    const groups = new Map();
+    ids.forEach(id => {
+      const root = find(id);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(id);
+    });
+
+    return [...groups.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([root, members]) => ({ members, reasons: [...reasons.get(root)].sort() }));
+  };
+
+  return { union, collect };
+};
+
+const byAge = (a, b) => (a.created_at === b.created_at ? a.id - b.id : (a.created_at < b.created_at ? -1 : 1));
+
+// Groups likely duplicates among rows with id, title, url, normalized_url and
+// normalized_canonical_url. Each group lists its bookmarks oldest first.
+const groupDuplicateRows = (rows) => {
+  const groups = createGroups();
+
+  // Same page: any shared URL key, including canonical URLs
+  const byUrlKey = new Map();
+  rows.forEach(row => {
+    [row.normalized_url, row.normalized_canonical_url]
+      .map(getUrlGroupKey)
+      .filter(Boolean)
+      .forEach(key => {
+        if (byUrlKey.has(key)) {
+          groups.union(byUrlKey.get(key), row.id, 'url');
+        } else {
+          byUrlKey.set(key, row.id);
+        }
+      });
+  });
+
+  // Same article: near-identical titles on the same site
+  const bySite = new Map();
+  rows.forEach(row => {
+    const site = getSiteKey(row.url);
+    const tokens = getTitleTokens(row.title);
+    if (!site || tokens.size < MIN_TITLE_TOKENS) {
+      return;
+    }
+    if (!bySite.has(site)) {
+      bySite.set(site, []);
+    }
+    bySite.get(site).push({ id: row.id, tokens });
+  });
+
+  bySite.forEach(entries => findSimilarTitles(entries)
+    .forEach(([a, b]) => groups.union(a.id, b.id, 'title')));
+
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  return groups.collect(rows.map(row => row.id))
+    .map(({ members, reasons }) => ({
+      reasons,
+      rows: members.map(id => rowsById.get(id)).sort(byAge)
+    }))
+    .sort((a, b) => byAge(a.rows[0], b.rows[0]));
+};
+
+// Groups are found from the few columns matching needs; only bookmarks in a group are
+// then read in full
+const findDuplicateGroups = async (userId) => {
+  const rows = await db.query(`
+    SELECT id, title, url, normalized_url, normalized_canonical_url, created_at
+    FROM bookmarks WHERE is_archived = FALSE AND user_id IS ?
+  `, [userId]);
+
+  const groups = groupDuplicateRows(rows);
+  const ids = groups.flatMap(group => group.rows.map(row => row.id));
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const fullRows = await db.query(
+    'SELECT * FROM bookmarks WHERE id IN (SELECT value FROM json_each(?))',
+    [JSON.stringify(ids)]
+  );
+  const rowsById = new Map(fullRows.map(row => [row.id, row]));
+  return groups.map(group => ({ ...group, rows: group.rows.map(row => rowsById.get(row.id)) }));
+};
+
+// Merging
+const joinNotes = (rows) => [...new Set(
+  rows.map(row => row.note?.trim()).filter(Boolean)
+)].join('\n\n') || null;
+
+const firstValue = (rows, column) => {
+  const row = rows.find(candidate => ![null, undefined, ''].includes(candidate[column]));
+  return row ? row[column] : null;
+};
+
+const latestValue = (rows, column) => rows
+  .map(row => row[column])
+  .filter(Boolean)
+  .sort()
+  .pop() || null;
+
+// Folds the bookmarks into the oldest one: tags, collections and notes are combined,
+// visits add up, empty fields are filled from the others and the rest are archived.
+// Returns null unless at least two of the ids are active bookmarks of the user.
+const mergeBookmarks = async (bookmarkIds, userId) => {
+  const placeholders = bookmarkIds.map(() => '?').join(',');
+  const rows = await db.query(
+    `SELECT * FROM bookmarks WHERE id IN (${placeholders}) AND is_archived = FALSE AND user_id IS ?`,
+    [...bookmarkIds, userId]
+  );
+
+  if (rows.length < 2) {
+    return null;
+  }
+
+  const sorted = [...rows].sort(byAge);
+  const [keeper, ...others] = sorted;
+  // The article's word count and reading time come from the same bookmark as its body
+  const article = sorted.find(row => row.article_body) || keeper;
+  const otherIds = others.map(row => row.id);
+  const tagNames = [];
+  for (const row of sorted) {
+    const tags = await getBookmarkTags(row.id);
+    tagNames.push(...tags.map(tag => tag.name));
+  }
+
+  await db.transaction(async () => {
+    await db.run(`
+      UPDATE bookmarks
+      SET note = ?,
+          visit_count = ?,
+          last_visited = ?,
+          description = ?,
+          favicon = ?,
+          text_content = ?,
+          article_body = ?,
+          word_count = ?,
+          reading_time = ?,
+          primary_image = ?,
+          site_metadata = ?,
+          canonical_url = ?,
+          normalized_canonical_url = ?,
+          revision = revision + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      joinNotes(sorted),
+      rows.reduce((total, row) => total + (row.visit_count || 0), 0),
+      latestValue(rows, 'last_visited'),
+      firstValue(sorted, 'description'),
+      firstValue(sorted, 'favicon'),
+      firstValue(sorted, 'text_content'),
+      article.article_body,
+      article.word_count,
+      article.reading_time,
+      firstValue(sorted, 'primary_image'),
+      firstValue(sorted, 'site_metadata'),
+      firstValue(sorted, 'canonical_url'),
+      firstValue(sorted, 'normalized_canonical_url'),
+      keeper.id
+    ]);
+
+    await processTagsForBookmark(keeper.id, [...new Set(tagNames)], userId);
+
+    const otherPlaceholders = otherIds.map(() => '?').join(',');
+    await db.run(
+      `INSERT OR IGNORE INTO bookmark_collections (bookmark_id, collection_id)
+       SELECT ?, collection_id FROM bookmark_collections WHERE bookmark_id IN (${otherPlaceholders})`,
+      [keeper.id, ...otherIds]
+    );
+
+    await db.run(
+      `UPDATE bookmarks SET is_archived = TRUE, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (${otherPlaceholders})`,
+      otherIds
+    );
+  });
+
+  return { id: keeper.id, archivedIds: otherIds };
+};
+
+module.exports = {
+  getSiteKey,
+  getUrlGroupKey,
+  getTitleTokens,
+  getTitleSimilarity,
+  groupDuplicateRows,
+  findDuplicateGroups,
+  mergeBookmarks
+};
@@ -0,0 +1,309 @@
+// Streamed bookmark export in JSON, CSV, Netscape HTML and Markdown
+// Bookmarks are read in pages of EXPORT_BATCH_SIZE by id, with the tags and collections
+// for each page loaded in one query apiece, and written to the response as they come.
+// JSON and CSV carry every field and import back with format=bookmarkable; HTML carries
+// what browsers keep (title, URL, dates, tags, description). Markdown is for reading
+// only and has no importer.
+const db = require('../config/database');
+const { ARCHIVED_CONDITIONS, parseKeywords, parseSiteMetadata } = require('./bookmarks');
+const { toSqlTimestamp } = require('./importer');
+const { parseTagFilter, buildTagFilterCondition } = require('./tags');
+
+const EXPORT_FORMATS = ['json', 'csv', 'html', 'md'];
+const EXPORT_BATCH_SIZE = 500;
+
+// Column order of the CSV export; the bookmarkable importer reads the same names.
+// List cells (tags, collections, keywords) hold JSON arrays and site_metadata a JSON object.
+const CSV_COLUMNS = [
+  'title', 'url', 'canonical_url', 'description', 'note', 'tags', 'collections',
+  'created_at', 'updated_at', 'archived', 'visit_count', 'last_visited', 'favicon',
+  'primary_image', 'keywords', 'author', 'published_date', 'site_name', 'capture_reason',
+  'text_content', 'article_body', 'word_count', 'reading_time', 'site_metadata'
+];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Pure functions for formatting
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// SQLite timestamps are UTC without a zone
+const toIsoTimestamp = (timestamp) => (timestamp ? `${timestamp.replace(' ', 'T')}Z` : null);
+
+const toUnixSeconds = (isoTimestamp) => (isoTimestamp ? Math.floor(Date.parse(isoTimestamp) / 1000) : '');
+
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\[\]()*_`#<])/g, '\\$1');
+
+// A link destination inside <…> ends at the first '>' or line break, so those (and the
+// characters that would start or escape one) are percent-encoded
+const toMarkdownUrl = (url) => String(url ?? '').replace(/[<>\\\s]/g, char => encodeURIComponent(char));
+
+// A code span fenced with more backticks than any run inside it, padded when the text
+// starts or ends with one
+const toCodeSpan = (text) => {
+  const runs = String(text).match(/`+/g) || [];
+  const fence = '`'.repeat(Math.max(0, ...runs.map(run => run.length)) + 1);
+  const padding = /^`|`$/.test(text) ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+};
+
+// Free text as the indented lines of a list item: inline markup escaped, blank lines
+// dropped so the item does not end, and no line read as a list, quote or numbered item
+const toMarkdownLines = (text) => String(text ?? '').split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => escapeMarkdown(line).replace(/^([-+>])/, '\\$1').replace(/^(\d+)([.)])/, '$1\\$2'));
+
+const formatExportedBookmark = (row, tags, collections) => ({
+  title: row.title,
+  url: row.url,
+  canonicalUrl: row.canonical_url || null,
+  description: row.description || null,
+  note: row.note || null,
+  tags,
+  collections,
+  createdAt: toIsoTimestamp(row.created_at),
+  updatedAt: toIsoTimestamp(row.updated_at),
+  isArchived: Boolean(row.is_archived),
+  visitCount: row.visit_count || 0,
+  lastVisited: toIsoTimestamp(row.last_visited),
+  favicon: row.favicon || null,
+  primaryImage: row.primary_image || null,
+  keywords: parseKeywords(row.keywords),
+  author: row.author || null,
+  publishedDate: row.published_date || null,
+  siteName: row.site_name || null,
+  captureReason: row.capture_reason || null,
+  textContent: row.text_content || null,
+  articleBody: row.article_body || null,
+  wordCount: row.word_count ?? null,
+  readingTime: row.reading_time ?? null,
+  siteMetadata: parseSiteMetadata(row.site_metadata)
+});
+
+// Writers turn exported bookmarks into chunks of the output file
+const writers = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: (exportedAt) => `{"version":1,"exportedAt":${JSON.stringify(exportedAt)},"bookmarks":[`,
+    bookmark: (bookmark, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(bookmark)}`,
+    end: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    start: () => `${CSV_COLUMNS.join(',')}\r\n`,
+    bookmark: (bookmark) => `${[
+      bookmark.title,
+      bookmark.url,
+      bookmark.canonicalUrl,
+      bookmark.description,
+      bookmark.note,
+      JSON.stringify(bookmark.tags),
+      JSON.stringify(bookmark.collections),
+      bookmark.createdAt,
+      bookmark.updatedAt,
+      bookmark.isArchived,
+      bookmark.visitCount,
+      bookmark.lastVisited,
+      bookmark.favicon,
+      bookmark.primaryImage,
+      JSON.stringify(bookmark.keywords),
+      bookmark.author,
+      bookmark.publishedDate,
+      bookmark.siteName,
+      bookmark.captureReason,
+      bookmark.textContent,
+      bookmark.articleBody,
+      bookmark.wordCount,
+      bookmark.readingTime,
+      bookmark.siteMetadata ? JSON.stringify(bookmark.siteMetadata) : null
+    ].map(escapeCsvField).join(',')}\r\n`,
+    end: () => ''
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    start: () => [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      ''
+    ].join('\n'),
+    bookmark: (bookmark) => {
+      const attributes = [
+        `HREF="${escapeHtml(bookmark.url)}"`,
+        `ADD_DATE="${toUnixSeconds(bookmark.createdAt)}"`,
+        `LAST_MODIFIED="${toUnixSeconds(bookmark.updatedAt)}"`,
+        ...(bookmark.tags.length > 0 ? [`TAGS="${escapeHtml(bookmark.tags.join(','))}"`] : [])
+      ];
+      const link = `    <DT><A ${attributes.join(' ')}>${escapeHtml(bookmark.title)}</A>\n`;
+      return bookmark.description ? `${link}    <DD>${escapeHtml(bookmark.description)}\n` : link;
+    },
+    end: () => '</DL><p>\n'
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    start: (exportedAt) => `# Bookmarks\n\nExported ${exportedAt}\n\n`,
+    bookmark: (bookmark) => {
+      const details = [
+        ...toMarkdownLines(bookmark.description),
+        bookmark.tags.length > 0 ? bookmark.tags.map(toCodeSpan).join(' ') : null
+      ].filter(Boolean);
+      const line = `- [${escapeMarkdown(bookmark.title)}](<${toMarkdownUrl(bookmark.url)}>)`;
+      return `${[line, ...details.map(detail => `  ${detail}`)].join('\n')}\n`;
+    },
+    end: () => ''
+  }
+};
+
+// A bare date as the upper bound includes that whole day
+const toDateBound = (value, isUpperBound) => (
+  isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value} 23:59:59`
+    : toSqlTimestamp(value)
+);
+
+// Filters: tags (any of them, or all with tagMode 'all', each with its descendants;
+// "-tag" excludes), collection id, from/to creation dates and archived state (one of
+// ARCHIVED_FILTERS, as for listings)
+const buildFilterClause = ({ tags, tagMode, collection, from, to, archived = 'false' }, userId) => {
+  const conditions = ['b.user_id IS ?', ARCHIVED_CONDITIONS[archived]];
+  const params = [userId];
+
+  const tagCondition = buildTagFilterCondition('b.id', parseTagFilter(tags), tagMode);
+  if (tagCondition) {
+    conditions.push(tagCondition.sql);
+    params.push(...tagCondition.params);
+  }
+
+  if (collection) {
+    conditions.push('EXISTS (SELECT 1 FROM bookmark_collections bc WHERE bc.bookmark_id = b.id AND bc.collection_id = ?)');
+    params.push(collection);
+  }
+
+  if (from) {
+    conditions.push('b.created_at >= ?');
+    params.push(toDateBound(from, false));
+  }
+
+  if (to) {
+    conditions.push('b.created_at <= ?');
+    params.push(toDateBound(to, true));
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+const groupNames = (rows) => rows.reduce((groups, row) => {
+  const names = groups.get(row.bookmark_id) || [];
+  names.push(row.name);
+  return groups.set(row.bookmark_id, names);
+}, new Map());
+
+const loadBatch = async (filterClause, afterId) => {
+  const rows = await db.query(
+    `SELECT b.* FROM bookmarks b WHERE ${filterClause.where} AND b.id > ? ORDER BY b.id LIMIT ?`,
+    [...filterClause.params, afterId, EXPORT_BATCH_SIZE]
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const ids = rows.map(row => row.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const [tagRows, collectionRows] = await Promise.all([
+    db.query(`
+      SELECT bt.bookmark_id, t.name FROM bookmark_tags bt JOIN tags t ON t.id = bt.tag_id
+      WHERE bt.bookmark_id IN (${placeholders}) ORDER BY t.name
+    `, ids),
+    db.query(`
+      SELECT bc.bookmark_id, c.name FROM bookmark_collections bc JOIN collections c ON c.id = bc.collection_id
+      WHERE bc.bookmark_id IN (${placeholders}) ORDER BY c.name
+    `, ids)
+  ]);
+
+  const tagsById = groupNames(tagRows);
+  const collectionsById = groupNames(collectionRows);
+  return rows.map(row => ({
+    id: row.id,
+    bookmark: formatExportedBookmark(row, tagsById.get(row.id) || [], collectionsById.get(row.id) || [])
+  }));
+};
+
+// Yields exported bookmarks oldest first without holding the library in memory
+async function* iterateExportedBookmarks(filters, userId) {
+  const filterClause = buildFilterClause(filters, userId);
+  let afterId = 0;
+
+  for (;;) {
+    const batch = await loadBatch(filterClause, afterId);
+    for (const { bookmark } of batch) {
+      yield bookmark;
+    }
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    afterId = batch[batch.length - 1].id;
+  }
+}
+
+// Writes to a stream, waiting for it to drain when its buffer is full. Rejects if the
+// client goes away so the export stops reading bookmarks.
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error('Export stream closed'));
+    return;
+  }
+  if (!chunk || stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const onDrain = () => {
+    stream.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    stream.off('drain', onDrain);
+    reject(new Error('Export stream closed'));
+  };
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+});
+
+const streamExport = async (stream, format, filters, userId) => {
+  const writer = writers[format];
+  const exportedAt = new Date().toISOString();
+  let count = 0;
+
+  await writeChunk(stream, writer.start(exportedAt));
+  for await (const bookmark of iterateExportedBookmarks(filters, userId)) {
+    await writeChunk(stream, writer.bookmark(bookmark, count));
+    count += 1;
+  }
+  await writeChunk(stream, writer.end());
+
+  return count;
+};
+
+const getExportFileType = (format) => ({
+  contentType: writers[format].contentType,
+  extension: writers[format].extension
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  getExportFileType,
+  iterateExportedBookmarks,
+  streamExport
+};
@@ -0,0 +1,60 @@
+// Paced outbound requests: work over a list of URLs runs on a few lanes at once, and
+// each host is visited by one lane at a time with hostDelayMs between its requests, so
+// a library with hundreds of links to one site does not hammer it
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_HOST_DELAY_MS = 1000;
+
+// Pure functions
+const getHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+};
+
+// Item indexes grouped by host, in first-seen order
+const groupByHost = (items, getUrl) => items.reduce((groups, item, index) => {
+  const host = getHost(getUrl(item));
+  groups.set(host, [...(groups.get(host) || []), index]);
+  return groups;
+}, new Map());
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs worker(item) for every item and resolves with the results in item order. The
+// worker should report failures in its result; a throw rejects the whole run.
+const runWithHostLimits = async (items, worker, {
+  getUrl = item => item,
+  concurrency = DEFAULT_CONCURRENCY,
+  hostDelayMs = DEFAULT_HOST_DELAY_MS
+} = {}) => {
+  const hosts = [...groupByHost(items, getUrl).values()];
+  const results = new Array(items.length);
+
+  const runHost = async (indexes) => {
+    for (const [position, index] of indexes.entries()) {
+      if (position > 0 && hostDelayMs > 0) {
+        await wait(hostDelayMs);
+      }
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  const runLane = async () => {
+    while (hosts.length > 0) {
+      await runHost(hosts.shift());
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, hosts.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  return results;
+};
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_HOST_DELAY_MS,
+  getHost,
+  runWithHostLimits
+};
@@ -0,0 +1,201 @@
+// Bulk import of bookmarks parsed from other browsers and bookmark managers
+const db = require('../config/database');
+const {
+  sanitizeBookmarkData,
+  findDuplicateBookmark,
+  insertBookmark
+} = require('./bookmarks');
+const { getUrlMatchKeys } = require('./urls');
+const { enqueueMetadataFetch } = require('./metadataFetcher');
+
+const FOLDER_MODES = ['tags', 'collections'];
+const MAX_REPORTED_ERRORS = 50;
+const MAX_PREVIEW_ITEMS = 100;
+const MAX_COLLECTION_NAME_LENGTH = 100;
+// Items written per transaction, so other requests' transactions are not held up for
+// the whole file
+const IMPORT_BATCH_SIZE = 100;
+
+// Pure functions for data processing
+const isImportableUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// ISO dates become SQLite's CURRENT_TIMESTAMP format so imported rows sort with the rest
+const toSqlTimestamp = (isoDate) => {
+  const date = isoDate ? new Date(isoDate) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+const getCollectionName = (folders) => folders.join(' / ').slice(0, MAX_COLLECTION_NAME_LENGTH);
+
+// Archived bookmarks are hidden like deleted ones here, so read state and stars from
+// other apps are kept as tags
+const getStateTags = (item) => [
+  ...(item.status ? [item.status] : []),
+  ...(item.favorite ? ['favorite'] : [])
+];
+
+// Imported items come from services/importers. Folders become tags or, with folderMode
+// 'collections', one collection per folder path.
+const toBookmarkData = (item, folderMode) => ({
+  ...sanitizeBookmarkData({
+    ...item,
+    title: item.title || item.url,
+    description: item.description || undefined,
+    note: item.note || undefined,
+    tags: [...new Set([
+      ...(item.tags || []),
+      ...(folderMode === 'tags' ? item.folders || [] : []),
+      ...getStateTags(item)
+    ].map(tag => tag.trim()).filter(Boolean))],
+    // This app's own exports say how each bookmark was first saved
+    captureReason: 'captureReason' in item ? item.captureReason : 'import'
+  }),
+  createdAt: toSqlTimestamp(item.addDate)
+});
+
+const getCollectionsFor = (item, folderMode) => [...new Set([
+  ...(item.collections || []),
+  ...(folderMode === 'collections' && item.folders && item.folders.length > 0
+    ? [getCollectionName(item.folders)]
+    : [])
+].map(name => name.trim().slice(0, MAX_COLLECTION_NAME_LENGTH)).filter(Boolean))];
+
+// Archived state and visit history only come from this app's own exports
+const hasHistory = (item) => Boolean(item.archived || item.visitCount || item.lastVisited);
+
+const toPreviewItem = (item, bookmarkData, folderMode, action, error = null) => ({
+  action,
+  url: item.url || null,
+  title: bookmarkData ? bookmarkData.title : item.title || null,
+  createdAt: bookmarkData ? bookmarkData.createdAt : null,
+  tags: bookmarkData ? bookmarkData.tags : [],
+  collections: bookmarkData ? getCollectionsFor(item, folderMode) : [],
+  description: bookmarkData ? bookmarkData.description : null,
+  note: bookmarkData ? bookmarkData.note : null,
+  archived: Boolean(item.archived),
+  ...(error ? { error } : {})
+});
+
+const findOrCreateCollection = async (name, userId, cache) => {
+  if (cache.has(name)) {
+    return cache.get(name);
+  }
+
+  const existing = await db.query(
+    'SELECT id FROM collections WHERE name = ? AND user_id IS ? ORDER BY id LIMIT 1',
+    [name, userId]
+  );
+  const id = existing.length > 0
+    ? existing[0].id
+    : (await db.run('INSERT INTO collections (name, user_id) VALUES (?, ?)', [name, userId])).id;
+
+  cache.set(name, id);
+  return id;
+};
+
+// Imports items one by one, in transactions of IMPORT_BATCH_SIZE items. Duplicates of
+// existing bookmarks, or of earlier items in the same file, are skipped; a bad item is
+// counted as failed, with its partial writes undone, without stopping the rest. A dry run
+// makes the same decisions without writing and returns a preview of the first items as
+// they would be saved.
+const importBookmarks = async (items, userId, { folderMode = 'tags', dryRun = false } = {}) => {
+  const summary = { total: items.length, imported: 0, skipped: 0, failed: 0, errors: [] };
+  const preview = [];
+  const collections = new Map();
+  const seenKeys = new Set();
+
+  const addPreview = (...args) => {
+    if (dryRun && preview.length < MAX_PREVIEW_ITEMS) {
+      preview.push(toPreviewItem(...args));
+    }
+  };
+
+  const recordFailure = (item, message) => {
+    summary.failed += 1;
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ url: item.url || null, title: item.title || null, error: message });
+    }
+    addPreview(item, null, folderMode, 'fail', message);
+  };
+
+  const writeItem = async (item, bookmarkData) => {
+    const { id } = await insertBookmark(bookmarkData, userId);
+    await enqueueMetadataFetch(id, bookmarkData);
+
+    if (hasHistory(item)) {
+      await db.run(
+        'UPDATE bookmarks SET is_archived = ?, visit_count = ?, last_visited = ? WHERE id = ?',
+        [item.archived ? 1 : 0, item.visitCount || 0, toSqlTimestamp(item.lastVisited), id]
+      );
+    }
+
+    for (const collectionName of getCollectionsFor(item, folderMode)) {
+      const collectionId = await findOrCreateCollection(collectionName, userId, collections);
+      await db.run(
+        'INSERT OR IGNORE INTO bookmark_collections (bookmark_id, collection_id) VALUES (?, ?)',
+        [id, collectionId]
+      );
+    }
+  };
+
+  const importItem = async (item) => {
+    if (!isImportableUrl(item.url)) {
+      recordFailure(item, 'Only http and https URLs can be imported');
+      return;
+    }
+
+    try {
+      const bookmarkData = toBookmarkData(item, folderMode);
+      const matchKeys = getUrlMatchKeys(bookmarkData.url);
+      if (matchKeys.some(key => seenKeys.has(key)) || await findDuplicateBookmark(bookmarkData, userId)) {
+        summary.skipped += 1;
+        addPreview(item, bookmarkData, folderMode, 'skip');
+        return;
+      }
+
+      if (dryRun) {
+        matchKeys.forEach(key => seenKeys.add(key));
+        summary.imported += 1;
+        addPreview(item, bookmarkData, folderMode, 'import');
+        return;
+      }
+
+      await db.savepoint(() => writeItem(item, bookmarkData));
+      matchKeys.forEach(key => seenKeys.add(key));
+      summary.imported += 1;
+    } catch (error) {
+      // Collections made by a rolled-back item are gone again
+      collections.clear();
+      recordFailure(item, error.message);
+    }
+  };
+
+  const importBatch = async (batch) => {
+    for (const item of batch) {
+      await importItem(item);
+    }
+  };
+
+  for (let start = 0; start < items.length; start += IMPORT_BATCH_SIZE) {
+    const batch = items.slice(start, start + IMPORT_BATCH_SIZE);
+    await (dryRun ? importBatch(batch) : db.transaction(() => importBatch(batch)));
+  }
+
+  return dryRun ? { ...summary, dryRun, preview } : summary;
+};
+
+module.exports = {
+  FOLDER_MODES,
+  isImportableUrl,
+  toSqlTimestamp,
+  importBookmarks
+};
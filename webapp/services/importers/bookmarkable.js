@@ -0,0 +1,116 @@
+// This app's own JSON and CSV exports (GET /api/export), which carry every field
+const { CSV_COLUMNS } = require('../exporter');
+const { parseCsvRecords, hasCsvColumns } = require('./csv');
+
+const toExport = (content) => {
+  if (content && typeof content === 'object' && !Array.isArray(content)) {
+    return content;
+  }
+  if (typeof content !== 'string' || !content.trimStart().startsWith('{')) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isJsonExport = (content) => Array.isArray(toExport(content)?.bookmarks);
+
+// Exports made before the reader view end at text_content
+const REQUIRED_CSV_COLUMNS = CSV_COLUMNS.slice(0, CSV_COLUMNS.indexOf('text_content') + 1);
+
+const parseList = (value) => {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list.map(String) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// An object from JSON, or the JSON text of a CSV cell
+const parseObject = (value) => {
+  try {
+    const object = typeof value === 'string' ? JSON.parse(value || 'null') : value;
+    return object && typeof object === 'object' && !Array.isArray(object) ? object : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whole numbers from JSON, or the text of a CSV cell
+const parseCount = (value) => {
+  const count = value === null || value === undefined || value === '' ? NaN : Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+};
+
+const toItem = (bookmark) => ({
+  title: bookmark.title || '',
+  url: bookmark.url || '',
+  addDate: bookmark.createdAt || null,
+  tags: bookmark.tags || [],
+  folders: [],
+  description: bookmark.description || null,
+  note: bookmark.note || null,
+  status: null,
+  favorite: false,
+  collections: bookmark.collections || [],
+  archived: Boolean(bookmark.isArchived),
+  visitCount: Number(bookmark.visitCount) || 0,
+  lastVisited: bookmark.lastVisited || null,
+  canonicalUrl: bookmark.canonicalUrl || null,
+  favicon: bookmark.favicon || null,
+  primaryImage: bookmark.primaryImage || null,
+  keywords: bookmark.keywords || [],
+  author: bookmark.author || null,
+  publishedDate: bookmark.publishedDate || null,
+  siteName: bookmark.siteName || null,
+  captureReason: bookmark.captureReason || null,
+  textContent: bookmark.textContent || null,
+  articleBody: bookmark.articleBody || null,
+  wordCount: parseCount(bookmark.wordCount),
+  readingTime: parseCount(bookmark.readingTime),
+  siteMetadata: parseObject(bookmark.siteMetadata)
+});
+
+const fromCsvRecord = (record) => ({
+  title: record.title,
+  url: record.url,
+  canonicalUrl: record.canonical_url,
+  description: record.description,
+  note: record.note,
+  tags: parseList(record.tags),
+  collections: parseList(record.collections),
+  createdAt: record.created_at,
+  isArchived: record.archived === 'true',
+  visitCount: record.visit_count,
+  lastVisited: record.last_visited,
+  favicon: record.favicon,
+  primaryImage: record.primary_image,
+  keywords: parseList(record.keywords),
+  author: record.author,
+  publishedDate: record.published_date,
+  siteName: record.site_name,
+  captureReason: record.capture_reason,
+  textContent: record.text_content,
+  articleBody: record.article_body,
+  wordCount: record.word_count,
+  readingTime: record.reading_time,
+  siteMetadata: record.site_metadata
+});
+
+const detect = (content) => isJsonExport(content) || hasCsvColumns(content, REQUIRED_CSV_COLUMNS);
+
+const parse = (content) => (isJsonExport(content)
+  ? toExport(content).bookmarks.map(toItem)
+  : parseCsvRecords(content).map(record => toItem(fromCsvRecord(record))));
+
+module.exports = {
+  name: 'bookmarkable',
+  label: 'Bookmarkable export (JSON or CSV)',
+  detect,
+  parse
+};
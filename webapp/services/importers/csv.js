@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV reader for export files
+// Handles quoted fields with commas, doubled quotes and line breaks, CRLF line endings
+// and a leading byte order mark.
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const getCsvHeader = (text) => {
+  const newline = text.search(/\r?\n/);
+  const [header = []] = parseCsv(newline === -1 ? text : text.slice(0, newline));
+  return header.map(name => name.trim().toLowerCase());
+};
+
+// Header names are lowercased; missing cells read as empty strings
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(cells => Object.fromEntries(
+    names.map((name, index) => [name, (cells[index] || '').trim()])
+  ));
+};
+
+// True when a CSV's header has every one of the given columns
+const hasCsvColumns = (content, columns) => {
+  if (typeof content !== 'string') {
+    return false;
+  }
+
+  const header = getCsvHeader(content);
+  return columns.every(column => header.includes(column));
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  hasCsvColumns
+};
@@ -0,0 +1,29 @@
+// Import file formats
+// Each importer exports { name, label, detect(content), parse(content) }. parse returns
+// one item per link:
+//   { title, url, addDate, tags, folders, description, note, status, favorite }
+// where addDate is an ISO date, folders is the folder path, status is 'unread',
+// 'archived' or null and favorite marks starred items. Formats that know more may add
+// collections (names), archived, visitCount, lastVisited and the optional bookmark
+// fields (canonicalUrl, favicon, keywords, ...). Register new formats here.
+const netscape = require('./netscape');
+const pocket = require('./pocket');
+const pinboard = require('./pinboard');
+const raindrop = require('./raindrop');
+const instapaper = require('./instapaper');
+const bookmarkable = require('./bookmarkable');
+
+const IMPORTERS = [bookmarkable, netscape, pocket, pinboard, raindrop, instapaper];
+
+const IMPORT_FORMATS = IMPORTERS.map(importer => importer.name);
+
+const getImporter = (name) => IMPORTERS.find(importer => importer.name === name) || null;
+
+const detectImporter = (content) => IMPORTERS.find(importer => importer.detect(content)) || null;
+
+module.exports = {
+  IMPORTERS,
+  IMPORT_FORMATS,
+  getImporter,
+  detectImporter
+};
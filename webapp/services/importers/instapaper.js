@@ -0,0 +1,49 @@
+// Instapaper CSV exports
+// Columns: URL, Title, Selection, Folder, Timestamp and, in newer exports, Tags as a
+// JSON array. Unread, Archive and Starred are Instapaper's built-in folders.
+const { parseTimestamp } = require('../../shared/netscape-bookmarks');
+const { parseCsvRecords, hasCsvColumns } = require('./csv');
+
+const CSV_COLUMNS = ['url', 'title', 'selection', 'folder', 'timestamp'];
+
+const BUILT_IN_FOLDERS = {
+  Unread: { status: 'unread', favorite: false },
+  Archive: { status: 'archived', favorite: false },
+  Starred: { status: null, favorite: true }
+};
+
+const parseTagList = (value) => {
+  try {
+    const tags = JSON.parse(value || '[]');
+    return Array.isArray(tags)
+      ? tags.map(tag => (typeof tag === 'string' ? tag : tag?.name)).filter(Boolean)
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const detect = (content) => hasCsvColumns(content, CSV_COLUMNS);
+
+const parse = (content) => parseCsvRecords(content).map(record => {
+  const builtIn = BUILT_IN_FOLDERS[record.folder];
+
+  return {
+    title: record.title,
+    url: record.url,
+    addDate: parseTimestamp(record.timestamp),
+    tags: parseTagList(record.tags),
+    folders: builtIn || !record.folder ? [] : [record.folder],
+    description: record.selection || null,
+    note: null,
+    status: builtIn ? builtIn.status : null,
+    favorite: builtIn ? builtIn.favorite : false
+  };
+});
+
+module.exports = {
+  name: 'instapaper',
+  label: 'Instapaper (CSV)',
+  detect,
+  parse
+};
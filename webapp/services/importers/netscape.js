@@ -0,0 +1,18 @@
+// Browser bookmark exports (Netscape bookmarks.html)
+const { isNetscapeBookmarkFile, parseNetscapeBookmarks } = require('../../shared/netscape-bookmarks');
+
+const detect = (content) => isNetscapeBookmarkFile(content);
+
+const parse = (content) => parseNetscapeBookmarks(content).map(item => ({
+  ...item,
+  note: null,
+  status: null,
+  favorite: false
+}));
+
+module.exports = {
+  name: 'netscape',
+  label: 'Browser bookmarks (bookmarks.html)',
+  detect,
+  parse
+};
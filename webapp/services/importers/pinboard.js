@@ -0,0 +1,55 @@
+// Pinboard JSON exports (https://pinboard.in/export/format:json/)
+// Pinboard calls the title "description" and the notes "extended"; tags are
+// space-separated and unread bookmarks have toread "yes".
+
+const toPosts = (content) => {
+  if (Array.isArray(content)) {
+    return content;
+  }
+
+  try {
+    const posts = JSON.parse(content);
+    return Array.isArray(posts) ? posts : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isPost = (post) => Boolean(post) && typeof post === 'object' && 'href' in post;
+
+const detect = (content) => {
+  if (typeof content === 'string' && !content.trimStart().startsWith('[')) {
+    return false;
+  }
+
+  const posts = toPosts(content);
+  return Boolean(posts) && posts.length > 0 && isPost(posts[0]);
+};
+
+const parse = (content) => {
+  const posts = toPosts(content);
+  if (!posts) {
+    const error = new Error('Pinboard export is not a JSON array of bookmarks');
+    error.status = 400;
+    throw error;
+  }
+
+  return posts.filter(isPost).map(post => ({
+    title: String(post.description || '').trim(),
+    url: String(post.href || '').trim(),
+    addDate: post.time || null,
+    tags: String(post.tags || '').split(/\s+/).filter(Boolean),
+    folders: [],
+    description: null,
+    note: String(post.extended || '').trim() || null,
+    status: post.toread === 'yes' ? 'unread' : null,
+    favorite: false
+  }));
+};
+
+module.exports = {
+  name: 'pinboard',
+  label: 'Pinboard (JSON)',
+  detect,
+  parse
+};
@@ -0,0 +1,65 @@
+// Pocket exports: the classic ril_export.html and the newer part_000000.csv
+// Both list unread items and the "Read Archive"; tags are the only other metadata.
+const { cleanText, parseAttributes, parseTimestamp, parseTags } = require('../../shared/netscape-bookmarks');
+const { parseCsvRecords, hasCsvColumns } = require('./csv');
+
+const CSV_COLUMNS = ['title', 'url', 'time_added', 'tags', 'status'];
+const HTML_TOKEN_PATTERN = /<h1\b[^>]*>([\s\S]*?)<\/h1>|<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+
+const isPocketHtml = (content) => typeof content === 'string' &&
+  /<title>\s*Pocket Export\s*<\/title>/i.test(content);
+
+const detect = (content) => isPocketHtml(content) || hasCsvColumns(content, CSV_COLUMNS);
+
+const toItem = ({ title, url, timeAdded, tags, archived }) => ({
+  title,
+  url,
+  addDate: parseTimestamp(timeAdded),
+  tags,
+  folders: [],
+  description: null,
+  note: null,
+  status: archived ? 'archived' : 'unread',
+  favorite: false
+});
+
+const parseHtml = (content) => {
+  const items = [];
+  let archived = false;
+
+  for (const [, heading, attributeSource, text] of content.matchAll(HTML_TOKEN_PATTERN)) {
+    if (heading !== undefined) {
+      archived = /archive/i.test(cleanText(heading));
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+    items.push(toItem({
+      title: cleanText(text),
+      url: (attributes.href || '').trim(),
+      timeAdded: attributes.time_added,
+      tags: parseTags(attributes.tags),
+      archived
+    }));
+  }
+
+  return items;
+};
+
+// CSV tags are separated with pipes
+const parseCsv = (content) => parseCsvRecords(content).map(record => toItem({
+  title: record.title,
+  url: record.url,
+  timeAdded: record.time_added,
+  tags: record.tags.split('|').map(tag => tag.trim()).filter(Boolean),
+  archived: record.status === 'archive'
+}));
+
+const parse = (content) => (isPocketHtml(content) ? parseHtml(content) : parseCsv(content));
+
+module.exports = {
+  name: 'pocket',
+  label: 'Pocket (HTML or CSV)',
+  detect,
+  parse
+};
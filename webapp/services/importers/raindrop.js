@@ -0,0 +1,32 @@
+// Raindrop.io CSV exports
+// Columns: id, title, note, excerpt, url, folder, tags, created, cover, highlights,
+// favorite. Nested collections are written as "Parent/Child".
+const { parseCsvRecords, hasCsvColumns } = require('./csv');
+
+const CSV_COLUMNS = ['title', 'note', 'excerpt', 'url', 'folder', 'tags', 'created'];
+
+// Raindrop files everything it has not been told about under Unsorted
+const UNSORTED_FOLDER = 'Unsorted';
+
+const splitList = (value, separator) => value.split(separator).map(part => part.trim()).filter(Boolean);
+
+const detect = (content) => hasCsvColumns(content, CSV_COLUMNS);
+
+const parse = (content) => parseCsvRecords(content).map(record => ({
+  title: record.title,
+  url: record.url,
+  addDate: record.created || null,
+  tags: splitList(record.tags, ','),
+  folders: record.folder === UNSORTED_FOLDER ? [] : splitList(record.folder, '/'),
+  description: record.excerpt || null,
+  note: [record.note, record.highlights].filter(Boolean).join('\n\n') || null,
+  status: null,
+  favorite: record.favorite === 'true'
+}));
+
+module.exports = {
+  name: 'raindrop',
+  label: 'Raindrop.io (CSV)',
+  detect,
+  parse
+};
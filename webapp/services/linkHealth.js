@@ -0,0 +1,269 @@
+// Link health: scheduled checks that bookmarked pages still load
+// Each check sends HEAD (confirmed with GET when HEAD fails, since some servers refuse or
+// mishandle it) and follows redirects by hand, recording the final status code, where
+// the redirects led, whether every hop was permanent (301/308) and when it ran.
+// 404, 410 and hosts that no longer resolve mark a link 'broken'. Timeouts, refused
+// connections and server errors are recorded as 'error' and retried on the next round,
+// since they are often temporary. Private and loopback addresses are refused, as for the
+// metadata fetcher, so a bookmark cannot be used to probe the server's network.
+//
+// Results are not bookmark edits: they leave the revision and the sync feed alone.
+const http = require('http');
+const https = require('https');
+
+const db = require('../config/database');
+const { bookmarkCache } = require('../config/cache');
+const { getDomain, getBookmarkRow, findDuplicateBookmark } = require('./bookmarks');
+const { getUrlFields } = require('./urls');
+const { DEFAULT_CONCURRENCY, DEFAULT_HOST_DELAY_MS, runWithHostLimits } = require('./hostLimiter');
+const { allowsPrivateHosts, guardRequest } = require('./privateHosts');
+
+const LINK_STATUSES = ['ok', 'redirected', 'broken', 'error'];
+const HEALTH_FILTERS = [...LINK_STATUSES, 'unchecked'];
+const BROKEN_STATUS_CODES = [404, 410];
+const DNS_ERROR_CODES = ['ENOTFOUND'];
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const PERMANENT_REDIRECT_CODES = [301, 308];
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 15000;
+const DEFAULT_RECHECK_DAYS = 7;
+const CHECK_BATCH_SIZE = 100;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const USER_AGENT = 'BookmarkSync-LinkChecker/1.0';
+
+// Pure functions
+const parseCount = (value, fallback, min = 0) => {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < min ? fallback : count;
+};
+
+// LINK_CHECK_CONCURRENCY, LINK_CHECK_HOST_DELAY_MS, LINK_CHECK_INTERVAL_DAYS and
+// METADATA_FETCH_PRIVATE_HOSTS
+const getLinkCheckOptions = (env = process.env) => ({
+  concurrency: parseCount(env.LINK_CHECK_CONCURRENCY, DEFAULT_CONCURRENCY, 1),
+  hostDelayMs: parseCount(env.LINK_CHECK_HOST_DELAY_MS, DEFAULT_HOST_DELAY_MS),
+  recheckDays: parseCount(env.LINK_CHECK_INTERVAL_DAYS, DEFAULT_RECHECK_DAYS, 1),
+  allowPrivateHosts: allowsPrivateHosts(env)
+});
+
+const classifyCheck = ({ statusCode, error, redirects }) => {
+  if (error) {
+    return DNS_ERROR_CODES.includes(error) ? 'broken' : 'error';
+  }
+  if (BROKEN_STATUS_CODES.includes(statusCode)) {
+    return 'broken';
+  }
+  if (statusCode >= 200 && statusCode < 300) {
+    return redirects > 0 ? 'redirected' : 'ok';
+  }
+  return 'error';
+};
+
+// One request without following redirects; only the status line and headers are read
+const requestOnce = (url, method, { timeout, lookup }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method,
+    timeout,
+    lookup,
+    headers: { 'User-Agent': USER_AGENT, Accept: '*/*' }
+  }, (response) => {
+    response.destroy();
+    resolve({ statusCode: response.statusCode, location: response.headers.location });
+  });
+
+  request.on('timeout', () => {
+    const error = new Error('Request timed out');
+    error.code = 'ETIMEDOUT';
+    request.destroy(error);
+  });
+  request.on('error', reject);
+  request.end();
+});
+
+const requestPage = async (url, options) => {
+  const response = await requestOnce(url, 'HEAD', options);
+  return response.statusCode >= 400 ? requestOnce(url, 'GET', options) : response;
+};
+
+// Resolves with { statusCode, finalUrl, redirects, permanentRedirect, error }; never rejects.
+// `lookup` replaces DNS resolution (see net.connect). Hops to private addresses end the
+// check with PRIVATE_ADDRESS unless allowPrivateHosts is set.
+const checkUrl = async (url, { timeout = REQUEST_TIMEOUT_MS, lookup, allowPrivateHosts = false } = {}) => {
+  let currentUrl = url;
+  let redirects = 0;
+  let isPermanent = true;
+  const finish = (fields) => ({
+    statusCode: null,
+    finalUrl: currentUrl,
+    redirects,
+    permanentRedirect: redirects > 0 && isPermanent,
+    error: null,
+    ...fields
+  });
+
+  try {
+    for (;;) {
+      const target = new URL(currentUrl);
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        return finish({ error: 'UNSUPPORTED_PROTOCOL' });
+      }
+
+      const response = await requestPage(target, {
+        timeout,
+        lookup: guardRequest(target, { allowPrivateHosts, lookup })
+      });
+      if (!REDIRECT_STATUS_CODES.includes(response.statusCode) || !response.location) {
+        return finish({ statusCode: response.statusCode });
+      }
+      if (redirects === MAX_REDIRECTS) {
+        return finish({ statusCode: response.statusCode, error: 'TOO_MANY_REDIRECTS' });
+      }
+
+      isPermanent = isPermanent && PERMANENT_REDIRECT_CODES.includes(response.statusCode);
+      currentUrl = new URL(response.location, target).href;
+      redirects += 1;
+    }
+  } catch (error) {
+    return finish({ error: error.code || error.message });
+  }
+};
+
+// Queries
+const recordLinkCheck = async (bookmarkId, check) => {
+  const status = classifyCheck(check);
+  await db.run(`
+    UPDATE bookmarks
+    SET link_status = ?, link_status_code = ?, link_final_url = ?, link_permanent_redirect = ?,
+        link_error = ?, link_checked_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    status,
+    check.statusCode,
+    check.redirects > 0 ? check.finalUrl : null,
+    check.permanentRedirect,
+    check.error,
+    bookmarkId
+  ]);
+  return status;
+};
+
+// Live bookmarks never checked, then those checked longest ago, skipping any checked
+// within recheckDays
+const findBookmarksToCheck = (recheckDays, limit = CHECK_BATCH_SIZE) => db.query(`
+  SELECT id, url, user_id FROM bookmarks
+  WHERE is_archived = FALSE
+    AND (link_checked_at IS NULL OR link_checked_at <= datetime('now', ?))
+  ORDER BY link_checked_at IS NOT NULL, link_checked_at, id
+  LIMIT ?
+`, [`-${recheckDays} days`, limit]);
+
+// Checks the bookmarks under the host limits and stores the results; returns
+// [{ id, status }] in bookmark order
+const checkBookmarks = async (bookmarks, options = {}) => {
+  const { concurrency, hostDelayMs, ...checkOptions } = { ...getLinkCheckOptions(), ...options };
+  const results = await runWithHostLimits(bookmarks, async (bookmark) => {
+    const check = await checkUrl(bookmark.url, checkOptions);
+    return { id: bookmark.id, status: await recordLinkCheck(bookmark.id, check) };
+  }, { getUrl: bookmark => bookmark.url, concurrency, hostDelayMs });
+
+  const idsByUser = bookmarks.reduce((groups, bookmark) => groups.set(
+    bookmark.user_id,
+    [...(groups.get(bookmark.user_id) || []), bookmark.id]
+  ), new Map());
+  await Promise.all([...idsByUser].map(([userId, ids]) => bookmarkCache.invalidateBookmarks(userId, ids)));
+
+  return results;
+};
+
+// One scheduled round over every user's library; returns { checked, broken }
+const runLinkChecks = async (options = {}) => {
+  const { recheckDays } = { ...getLinkCheckOptions(), ...options };
+  const bookmarks = await findBookmarksToCheck(recheckDays, options.batchSize);
+  const results = await checkBookmarks(bookmarks, options);
+
+  return {
+    checked: results.length,
+    broken: results.filter(result => result.status === 'broken').length
+  };
+};
+
+// Returns the checked bookmark row, or null when there is no such live bookmark
+const checkBookmarkLink = async (bookmarkId, userId, options = {}) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  if (!bookmark || bookmark.is_archived) {
+    return null;
+  }
+
+  await checkBookmarks([bookmark], options);
+  return await getBookmarkRow(bookmark.id, userId);
+};
+
+// Moves a bookmark to where its permanent redirects led. Returns the updated row, null
+// when there is no such live bookmark, { invalid } when no permanent redirect was
+// recorded, or { conflict } when another bookmark already holds the new URL.
+const applyPermanentRedirect = async (bookmarkId, userId) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  if (!bookmark || bookmark.is_archived) {
+    return null;
+  }
+  if (!bookmark.link_permanent_redirect || !bookmark.link_final_url) {
+    return { invalid: 'No permanent redirect has been recorded for this bookmark' };
+  }
+
+  const url = bookmark.link_final_url;
+  const duplicate = await findDuplicateBookmark(
+    { url },
+    userId,
+    { includeArchived: false, excludeId: bookmark.id }
+  );
+  if (duplicate) {
+    return { conflict: duplicate };
+  }
+
+  // The new URL is the page the check ended on, so it is healthy as of that check
+  await db.run(`
+    UPDATE bookmarks
+    SET url = ?, normalized_url = ?, domain = ?, link_status = 'ok', link_final_url = NULL,
+        link_permanent_redirect = FALSE, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [url, getUrlFields(url).normalizedUrl, getDomain(url), bookmark.id]);
+
+  return { bookmark: await getBookmarkRow(bookmark.id, userId) };
+};
+
+// Runs a round now and then hourly, skipping a tick while the previous round is still
+// going; the timer does not keep the process alive
+const startLinkChecks = (onRun = () => {}, interval = CHECK_INTERVAL_MS) => {
+  let isRunning = false;
+  const run = () => {
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    runLinkChecks()
+      .then(result => onRun(result))
+      .catch(error => onRun(null, error))
+      .finally(() => {
+        isRunning = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  LINK_STATUSES,
+  HEALTH_FILTERS,
+  getLinkCheckOptions,
+  classifyCheck,
+  checkUrl,
+  checkBookmarks,
+  runLinkChecks,
+  checkBookmarkLink,
+  applyPermanentRedirect,
+  startLinkChecks
+};
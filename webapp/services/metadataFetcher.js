@@ -0,0 +1,358 @@
+// Metadata fetcher: fills in page details for bookmarks created without the extension
+// (API clients, share sheets, imports), which arrive with little more than a URL and a
+// title. Creating such a bookmark queues a job in metadata_jobs; a background worker
+// takes due jobs in batches, checks robots.txt, fetches the page under the host limits
+// and sets description, favicon, image, author, published date, site name, canonical URL
+// and a missing title from what the page declares. Fields the bookmark already has are
+// never replaced.
+//
+// Server errors, timeouts and unreachable robots.txt files are retried a few times with
+// a growing delay; 4xx responses, pages robots.txt keeps us out of and non-HTML
+// responses end the job. Private and loopback addresses are refused unless
+// METADATA_FETCH_PRIVATE_HOSTS is set, so bookmarks cannot be used to read internal pages.
+const http = require('http');
+const https = require('https');
+
+const db = require('../config/database');
+const { bookmarkCache } = require('../config/cache');
+const { getUrlFields } = require('./urls');
+const { runWithHostLimits } = require('./hostLimiter');
+const { allowsPrivateHosts, guardRequest } = require('./privateHosts');
+const { parsePageMetadata } = require('./pageMetadata');
+const { parseRobotsTxt, isPathAllowed } = require('./robots');
+
+const USER_AGENT = 'BookmarkSync-MetadataFetcher/1.0';
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 1024 * 1024;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 30;
+// Jobs left 'running' this long were cut off by a restart and are taken again
+const STALE_JOB_MINUTES = 60;
+const JOB_BATCH_SIZE = 50;
+const POLL_INTERVAL_MS = 60 * 1000;
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const PERMANENT_ERRORS = ['PRIVATE_ADDRESS', 'UNSUPPORTED_PROTOCOL', 'TOO_MANY_REDIRECTS'];
+
+// Page details captured by the extension; a bookmark that has all of them, or the page
+// text the extension reads, needs no fetch
+const CAPTURED_FIELDS = ['description', 'favicon', 'primaryImage', 'author', 'publishedDate'];
+
+// Bookmark columns filled from parsePageMetadata fields
+const METADATA_COLUMNS = {
+  description: 'description',
+  favicon: 'favicon',
+  primary_image: 'image',
+  author: 'author',
+  published_date: 'publishedDate',
+  site_name: 'siteName',
+  canonical_url: 'canonicalUrl',
+  site_metadata: 'siteMetadata'
+};
+
+// Pure functions
+// METADATA_FETCH_TIMEOUT_MS and METADATA_FETCH_PRIVATE_HOSTS
+const getMetadataFetchOptions = (env = process.env) => {
+  const timeout = parseInt(env.METADATA_FETCH_TIMEOUT_MS, 10);
+  return {
+    timeout: Number.isNaN(timeout) || timeout <= 0 ? DEFAULT_TIMEOUT_MS : timeout,
+    allowPrivateHosts: allowsPrivateHosts(env)
+  };
+};
+
+const needsMetadata = (bookmarkData) => !bookmarkData.textContent && !bookmarkData.articleBody &&
+  CAPTURED_FIELDS.some(field => !bookmarkData[field]);
+
+const isHtml = (contentType) => /^(text\/html|application\/xhtml\+xml)/i.test(contentType || '');
+
+// Only text bodies are read; anything else is left on the wire
+const isTextual = (contentType) => !contentType || /^(text\/|application\/(xhtml\+)?xml)/i.test(contentType);
+
+// Content-Type charset, then <meta charset>, then UTF-8
+const decodeBody = (body, contentType) => {
+  const charset = (contentType || '').match(/charset=["']?([\w-]+)/i)?.[1] ||
+    body.subarray(0, 1024).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1] ||
+    'utf-8';
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+};
+
+// Columns to set: metadata the bookmark is missing. Titles of bookmarks saved from a
+// bare link are the URL itself or 'Untitled'.
+const getMissingFields = (bookmark, metadata) => {
+  const fields = Object.entries(METADATA_COLUMNS)
+    .filter(([column, field]) => !bookmark[column] && metadata[field])
+    .map(([column, field]) => [column, metadata[field]]);
+
+  if (metadata.title && [null, '', 'Untitled', bookmark.url].includes(bookmark.title)) {
+    fields.push(['title', metadata.title]);
+  }
+  return Object.fromEntries(fields);
+};
+
+const createError = (code, message = code) => Object.assign(new Error(message), { code });
+
+// HTTP
+// One GET without following redirects. The body is read for 2xx text responses, up to
+// maxBytes; `timeout` bounds the whole exchange, not just idle time.
+const requestOnce = (url, { timeout, lookup, maxBytes }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    lookup,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+    }
+  }, (response) => {
+    const { statusCode, headers } = response;
+    const contentType = headers['content-type'] || '';
+    if (statusCode < 200 || statusCode >= 300 || !isTextual(contentType)) {
+      response.destroy();
+      return resolve({ statusCode, location: headers.location, contentType, body: null });
+    }
+
+    const chunks = [];
+    let size = 0;
+    const finish = () => resolve({ statusCode, contentType, body: Buffer.concat(chunks).subarray(0, maxBytes) });
+    response.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= maxBytes) {
+        response.destroy();
+        finish();
+      }
+    });
+    response.on('end', finish);
+    response.on('close', finish);
+    response.on('error', reject);
+  });
+
+  const timer = setTimeout(() => request.destroy(createError('ETIMEDOUT', 'Request timed out')), timeout);
+  request.on('close', () => clearTimeout(timer));
+  request.on('error', reject);
+});
+
+// Resolves with { statusCode, finalUrl, contentType, body }
+const fetchUrl = async (url, {
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxBytes = MAX_PAGE_BYTES,
+  allowPrivateHosts = false,
+  lookup
+} = {}) => {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const target = new URL(currentUrl);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw createError('UNSUPPORTED_PROTOCOL');
+    }
+
+    const response = await requestOnce(target, {
+      timeout,
+      maxBytes,
+      lookup: guardRequest(target, { allowPrivateHosts, lookup })
+    });
+    if (!REDIRECT_STATUS_CODES.includes(response.statusCode) || !response.location) {
+      return { ...response, finalUrl: currentUrl };
+    }
+    if (redirects === MAX_REDIRECTS) {
+      throw createError('TOO_MANY_REDIRECTS');
+    }
+    currentUrl = new URL(response.location, target).href;
+  }
+};
+
+// A missing robots.txt allows everything; one that cannot be read right now holds the
+// job back until it can
+const fetchRobotsRules = async (origin, options) => {
+  const response = await fetchUrl(`${origin}/robots.txt`, { ...options, maxBytes: MAX_ROBOTS_BYTES });
+  if (response.statusCode >= 500 || response.statusCode === 429) {
+    throw createError('ROBOTS_UNAVAILABLE');
+  }
+  if (response.statusCode >= 400 || !response.body) {
+    return [];
+  }
+  return parseRobotsTxt(decodeBody(response.body, response.contentType), USER_AGENT);
+};
+
+// Resolves with { metadata }, { skipped } or { failed } (reasons are short codes);
+// throws for problems worth retrying. robotsCache holds one robots.txt request per origin.
+const fetchPageMetadata = async (url, options = {}, robotsCache = new Map()) => {
+  const { origin, pathname, search } = new URL(url);
+  if (!robotsCache.has(origin)) {
+    robotsCache.set(origin, fetchRobotsRules(origin, options));
+  }
+  if (!isPathAllowed(await robotsCache.get(origin), pathname + search)) {
+    return { skipped: 'ROBOTS_DISALLOWED' };
+  }
+
+  const response = await fetchUrl(url, options);
+  if (response.statusCode >= 500 || response.statusCode === 429) {
+    throw createError(`HTTP_${response.statusCode}`);
+  }
+  if (response.statusCode >= 300) {
+    return { failed: `HTTP_${response.statusCode}` };
+  }
+  if (!isHtml(response.contentType) || !response.body) {
+    return { skipped: 'NOT_HTML' };
+  }
+
+  return { metadata: parsePageMetadata(decodeBody(response.body, response.contentType), response.finalUrl) };
+};
+
+// Queue
+// Queues a fetch when the bookmark came without captured page details; returns whether
+// it did
+const enqueueMetadataFetch = async (bookmarkId, bookmarkData) => {
+  if (!needsMetadata(bookmarkData)) {
+    return false;
+  }
+  await db.run('INSERT OR IGNORE INTO metadata_jobs (bookmark_id) VALUES (?)', [bookmarkId]);
+  return true;
+};
+
+// Due jobs with their bookmarks, marked running and counted as an attempt
+const claimMetadataJobs = async (limit = JOB_BATCH_SIZE) => {
+  const jobs = await db.query(`
+    SELECT j.id, j.bookmark_id, j.attempts, b.url, b.user_id, b.is_archived
+    FROM metadata_jobs j JOIN bookmarks b ON b.id = j.bookmark_id
+    WHERE (j.status = 'pending' AND j.run_after <= CURRENT_TIMESTAMP)
+       OR (j.status = 'running' AND j.updated_at <= datetime('now', ?))
+    ORDER BY j.run_after, j.id
+    LIMIT ?
+  `, [`-${STALE_JOB_MINUTES} minutes`, limit]);
+
+  if (jobs.length > 0) {
+    await db.run(`
+      UPDATE metadata_jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (SELECT value FROM json_each(?))
+    `, [JSON.stringify(jobs.map(job => job.id))]);
+  }
+  return jobs.map(job => ({ ...job, attempts: job.attempts + 1 }));
+};
+
+const finishMetadataJob = (jobId, status, error = null) => db.run(
+  'UPDATE metadata_jobs SET status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+  [status, error, jobId]
+);
+
+const retryMetadataJob = (job, error) => db.run(`
+  UPDATE metadata_jobs
+  SET status = 'pending', last_error = ?, run_after = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`, [error, `+${RETRY_DELAY_MINUTES * job.attempts} minutes`, job.id]);
+
+// Fills in the bookmark's missing fields; a change bumps the revision so clients pick
+// it up. Returns whether anything was set.
+const applyPageMetadata = async (bookmarkId, metadata) => {
+  const [bookmark] = await db.query('SELECT * FROM bookmarks WHERE id = ?', [bookmarkId]);
+  const fields = bookmark ? getMissingFields(bookmark, metadata) : {};
+  if (Object.keys(fields).length === 0) {
+    return false;
+  }
+  if (fields.canonical_url) {
+    fields.normalized_canonical_url = getUrlFields(bookmark.url, fields.canonical_url).normalizedCanonicalUrl;
+  }
+  if (fields.site_metadata) {
+    fields.site_metadata = JSON.stringify(fields.site_metadata);
+  }
+
+  const columns = Object.keys(fields);
+  await db.run(`
+    UPDATE bookmarks
+    SET ${columns.map(column => `${column} = ?`).join(', ')},
+        revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [...columns.map(column => fields[column]), bookmarkId]);
+  return true;
+};
+
+// Runs one claimed job and records its outcome: 'updated', 'done', 'skipped', 'failed'
+// or 'retry'
+const runMetadataJob = async (job, options, robotsCache) => {
+  if (job.is_archived) {
+    await finishMetadataJob(job.id, 'skipped', 'ARCHIVED');
+    return 'skipped';
+  }
+
+  try {
+    const result = await fetchPageMetadata(job.url, options, robotsCache);
+    if (result.metadata) {
+      const updated = await applyPageMetadata(job.bookmark_id, result.metadata);
+      await finishMetadataJob(job.id, 'done');
+      return updated ? 'updated' : 'done';
+    }
+
+    const status = result.skipped ? 'skipped' : 'failed';
+    await finishMetadataJob(job.id, status, result.skipped || result.failed);
+    return status;
+  } catch (error) {
+    const code = error.code || error.message;
+    if (PERMANENT_ERRORS.includes(code) || job.attempts >= MAX_ATTEMPTS) {
+      await finishMetadataJob(job.id, 'failed', code);
+      return 'failed';
+    }
+    await retryMetadataJob(job, code);
+    return 'retry';
+  }
+};
+
+// One batch of due jobs under the host limits; returns { processed, updated, failed }
+const processMetadataJobs = async (options = {}) => {
+  const { concurrency, hostDelayMs, batchSize, ...fetchOptions } = { ...getMetadataFetchOptions(), ...options };
+  const jobs = await claimMetadataJobs(batchSize);
+  const robotsCache = new Map();
+  const outcomes = await runWithHostLimits(jobs, job => runMetadataJob(job, fetchOptions, robotsCache), {
+    getUrl: job => job.url,
+    concurrency,
+    hostDelayMs
+  });
+
+  const updatedByUser = jobs.filter((job, index) => outcomes[index] === 'updated').reduce((groups, job) => groups.set(
+    job.user_id,
+    [...(groups.get(job.user_id) || []), job.bookmark_id]
+  ), new Map());
+  await Promise.all([...updatedByUser].map(([userId, ids]) => bookmarkCache.invalidateBookmarks(userId, ids)));
+
+  return {
+    processed: jobs.length,
+    updated: outcomes.filter(outcome => outcome === 'updated').length,
+    failed: outcomes.filter(outcome => outcome === 'failed').length
+  };
+};
+
+// Polls for due jobs now and then every minute, skipping a tick while the previous batch
+// is still going; the timer does not keep the process alive
+const startMetadataFetcher = (onRun = () => {}, interval = POLL_INTERVAL_MS) => {
+  let isRunning = false;
+  const run = () => {
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    processMetadataJobs()
+      .then(result => onRun(result))
+      .catch(error => onRun(null, error))
+      .finally(() => {
+        isRunning = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getMetadataFetchOptions,
+  needsMetadata,
+  getMissingFields,
+  fetchPageMetadata,
+  enqueueMetadataFetch,
+  processMetadataJobs,
+  startMetadataFetcher
+};
@@ -0,0 +1,174 @@
+// Page details read from fetched HTML: OpenGraph and Twitter card tags, JSON-LD, plain
+// <meta> tags, icons and the canonical link. Parsing is done with patterns over the tags
+// it needs rather than a DOM, since only <head>-style markup and JSON-LD scripts matter.
+// Pages one of the shared site extractors knows also get its typed siteMetadata.
+const { extractSiteMetadata } = require('../shared/site-extractors');
+
+const META_TAG_PATTERN = /<meta\b([^>]*)>/gi;
+const LINK_TAG_PATTERN = /<link\b([^>]*)>/gi;
+const BASE_TAG_PATTERN = /<base\b([^>]*)>/i;
+const TITLE_PATTERN = /<title\b[^>]*>([\s\S]*?)<\/title>/i;
+const JSON_LD_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+// `name = value` pairs, or a bare name for boolean attributes
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))|([^\s=/>]+)/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', hellip: '…', mdash: '—', ndash: '–' };
+
+// schema.org types whose fields describe the page itself
+const JSON_LD_PAGE_TYPES = [
+  'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report',
+  'WebPage', 'AboutPage', 'ItemPage', 'VideoObject', 'Recipe', 'Product', 'Book', 'Event'
+];
+
+// Pure functions
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const cleanText = (text) => {
+  const cleaned = typeof text === 'string'
+    ? decodeEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim()
+    : '';
+  return cleaned || null;
+};
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, unquoted, bareName] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[(name || bareName).toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+  }
+  return attributes;
+};
+
+// Comments hide tags that are not really on the page
+const stripComments = (html) => html.replace(/<!--[\s\S]*?-->/g, '');
+
+const resolveUrl = (url, baseUrl) => {
+  if (!url) {
+    return null;
+  }
+  try {
+    const resolved = new URL(url.trim(), baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// <meta property|name="key" content> values by lowercase key, first occurrence wins
+const readMetaTags = (html) => {
+  const values = new Map();
+  for (const [, source] of html.matchAll(META_TAG_PATTERN)) {
+    const attributes = parseAttributes(source);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content !== undefined && !values.has(key)) {
+      values.set(key, attributes.content);
+    }
+  }
+  return values;
+};
+
+const readLinkTags = (html) => [...html.matchAll(LINK_TAG_PATTERN)]
+  .map(([, source]) => parseAttributes(source))
+  .map(attributes => ({ ...attributes, rel: (attributes.rel || '').toLowerCase().split(/\s+/) }));
+
+const flattenJsonLd = (node) => {
+  if (Array.isArray(node)) {
+    return node.flatMap(flattenJsonLd);
+  }
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return [node, ...(node['@graph'] ? flattenJsonLd(node['@graph']) : [])];
+};
+
+// Every object in the page's JSON-LD blocks, @graph members included
+const readJsonLd = (html) => [...html.matchAll(JSON_LD_PATTERN)]
+  .filter(([, attributes]) => /application\/ld\+json/i.test(parseAttributes(attributes).type || ''))
+  .flatMap(([, , json]) => {
+    try {
+      return flattenJsonLd(JSON.parse(json.trim()));
+    } catch (error) {
+      return [];
+    }
+  });
+
+const hasJsonLdType = (node, types) => [].concat(node['@type'] || [])
+  .some(type => types.includes(String(type).replace(/^https?:\/\/schema\.org\//, '')));
+
+// A name from a string, a Person/Organization object or a list of either
+const toName = (value) => {
+  const names = [].concat(value || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+    .map(cleanText)
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : null;
+};
+
+// An image URL from a string, an ImageObject or a list of either
+const toImageUrl = (value) => {
+  const [first] = [].concat(value || []);
+  return typeof first === 'string' ? first : first?.url || first?.contentUrl || null;
+};
+
+const firstOf = (...values) => values.find(value => typeof value === 'string' && value.trim()) || null;
+
+// Author meta tags sometimes hold a profile URL rather than a name
+const isNotUrl = (value) => value && !/^https?:\/\//i.test(value.trim());
+
+// Site icon links, with rel="icon" preferred over touch icons
+const findFavicon = (links, baseUrl) => {
+  const icon = links.find(link => link.rel.includes('icon') && link.href)
+    || links.find(link => link.rel.some(rel => rel.startsWith('apple-touch-icon')) && link.href);
+  return resolveUrl(icon?.href, baseUrl) || resolveUrl('/favicon.ico', baseUrl);
+};
+
+// Returns { title, description, favicon, image, author, publishedDate, siteName,
+// canonicalUrl, siteMetadata }, each null when the page does not say
+const parsePageMetadata = (html, pageUrl) => {
+  const source = stripComments(String(html || ''));
+  const base = parseAttributes(source.match(BASE_TAG_PATTERN)?.[1] || '').href;
+  const baseUrl = resolveUrl(base, pageUrl) || pageUrl;
+
+  const meta = readMetaTags(source);
+  const links = readLinkTags(source);
+  const jsonLd = readJsonLd(source);
+  const page = jsonLd.find(node => hasJsonLdType(node, JSON_LD_PAGE_TYPES)) || {};
+  const get = (key) => meta.get(key);
+  const site = extractSiteMetadata(source, pageUrl);
+
+  return {
+    title: cleanText(firstOf(get('og:title'), get('twitter:title'), source.match(TITLE_PATTERN)?.[1], page.headline, page.name)),
+    description: cleanText(firstOf(
+      get('og:description'), get('twitter:description'), get('description'), page.description
+    )),
+    favicon: findFavicon(links, baseUrl),
+    image: resolveUrl(firstOf(
+      get('og:image:secure_url'), get('og:image'), get('og:image:url'),
+      get('twitter:image'), get('twitter:image:src'), toImageUrl(page.image || page.thumbnailUrl)
+    ), baseUrl),
+    author: cleanText(firstOf(
+      [get('author'), get('article:author')].find(isNotUrl),
+      toName(page.author || page.creator),
+      get('dc.creator'),
+      site?.author
+    )),
+    publishedDate: cleanText(firstOf(
+      get('article:published_time'), page.datePublished, page.uploadDate,
+      get('datepublished'), get('publish_date'), get('pubdate'), get('date'), get('dc.date'),
+      site?.publishedDate
+    )),
+    siteName: cleanText(firstOf(get('og:site_name'), get('application-name'), toName(page.publisher))),
+    canonicalUrl: resolveUrl(firstOf(links.find(link => link.rel.includes('canonical'))?.href, get('og:url')), baseUrl),
+    siteMetadata: site?.siteMetadata || null
+  };
+};
+
+module.exports = {
+  decodeEntities,
+  parsePageMetadata
+};
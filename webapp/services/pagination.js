@@ -0,0 +1,82 @@
+// Cursor pagination for bookmark listings
+// Cursors are opaque to clients: base64url JSON naming the sort they belong to and either
+// the (sort key, id) of the row to continue from or, for ranked searches whose scores
+// shift as the library changes, a plain offset. `d: 'prev'` pages backwards.
+const MAX_EXACT_TOTAL = 10000;
+
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Returns the decoded position, or null for anything that is not one of our cursors
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const isKeyset = typeof position?.k === 'string' && Number.isInteger(position.i);
+    const isOffset = Number.isInteger(position?.o) && position.o >= 0;
+    return typeof position?.s === 'string' && (isKeyset || isOffset) ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows come newest first by (keyColumn, idColumn); a backward page is read oldest first
+// and reversed by the caller
+const buildKeysetCondition = (keyColumn, idColumn, position) => {
+  const isBackward = position.d === 'prev';
+  const operator = isBackward ? '>' : '<';
+  return {
+    sql: `(${keyColumn} ${operator} ? OR (${keyColumn} = ? AND ${idColumn} ${operator} ?))`,
+    params: [position.k, position.k, position.i],
+    order: isBackward ? 'ASC' : 'DESC'
+  };
+};
+
+// Cursors for the pages around `rows` (already in display order). `hasMore` says whether
+// another row existed past the page in the direction it was read; a page reached by a
+// cursor or offset always has one before it.
+const getKeysetCursors = (sort, rows, { isBackward, isContinuation, hasMore, getKey }) => {
+  if (rows.length === 0) {
+    return { next: null, prev: null };
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const hasNext = isBackward || hasMore;
+  const hasPrev = isBackward ? hasMore : isContinuation;
+
+  return {
+    next: hasNext ? encodeCursor({ s: sort, k: getKey(last), i: last.id }) : null,
+    prev: hasPrev ? encodeCursor({ s: sort, k: getKey(first), i: first.id, d: 'prev' }) : null
+  };
+};
+
+const getOffsetCursors = (sort, offset, limit, hasMore) => ({
+  next: hasMore ? encodeCursor({ s: sort, o: offset + limit }) : null,
+  prev: offset > 0 ? encodeCursor({ s: sort, o: Math.max(0, offset - limit) }) : null
+});
+
+// RFC 8288 Link header pointing at the same listing with each cursor; null cursors are
+// left out and an empty one links to the first page
+const formatLinkHeader = (baseUrl, query, cursors) => Object.entries(cursors)
+  .filter(([, cursor]) => cursor !== null)
+  .map(([rel, cursor]) => {
+    const params = new URLSearchParams();
+    Object.entries(query)
+      .filter(([name]) => !['cursor', 'offset'].includes(name))
+      .forEach(([name, value]) => [].concat(value).forEach(item => params.append(name, item)));
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    const search = params.toString();
+    return `<${baseUrl}${search ? `?${search}` : ''}>; rel="${rel}"`;
+  })
+  .join(', ');
+
+module.exports = {
+  MAX_EXACT_TOTAL,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+  getKeysetCursors,
+  getOffsetCursors,
+  formatLinkHeader
+};
@@ -0,0 +1,73 @@
+// Outbound requests the server makes for users (metadata fetches, link checks) must not
+// reach the server's own network: loopback, private and link-local addresses are refused,
+// both as literal IPs in the URL and as DNS answers, unless METADATA_FETCH_PRIVATE_HOSTS
+// is set.
+const dns = require('dns');
+const net = require('net');
+
+const privateAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Pure functions
+const allowsPrivateHosts = (env = process.env) => env.METADATA_FETCH_PRIVATE_HOSTS === 'true';
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4');
+  }
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Whether a URL object names a private address directly
+const isPrivateHost = (url) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+const createError = (code, message = code) => Object.assign(new Error(message), { code });
+
+// DNS
+// The system resolver in the callback form http expects
+const systemLookup = (hostname, options, callback) => {
+  dns.promises.lookup(hostname, options).then(
+    result => (Array.isArray(result) ? callback(null, result) : callback(null, result.address, result.family)),
+    callback
+  );
+};
+
+// DNS answers pointing into the local network are refused like literal private IPs
+const guardLookup = (lookup = systemLookup) => (hostname, options, callback) => {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(createError('PRIVATE_ADDRESS', `${hostname} resolves to a private address`));
+    }
+    return callback(null, address, family);
+  });
+};
+
+// Throws PRIVATE_ADDRESS for a literal private IP, and returns the lookup to request
+// `url` with. Called for every hop, since a public page may redirect inward.
+const guardRequest = (url, { allowPrivateHosts = false, lookup } = {}) => {
+  if (allowPrivateHosts) {
+    return lookup;
+  }
+  if (isPrivateHost(url)) {
+    throw createError('PRIVATE_ADDRESS');
+  }
+  return guardLookup(lookup);
+};
+
+module.exports = {
+  allowsPrivateHosts,
+  isPrivateAddress,
+  guardLookup,
+  guardRequest
+};
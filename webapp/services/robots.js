@@ -0,0 +1,65 @@
+// robots.txt rules (RFC 9309): the group naming our user agent applies, or the '*' group
+// when none does; within it the longest matching Allow/Disallow path wins, Allow on ties.
+// Paths support '*' wildcards and a trailing '$' anchor.
+
+// Pure functions
+const parseRobotsTxt = (text, userAgent) => {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const match = rawLine.replace(/#.*$/, '').trim().match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) {
+      continue;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!readingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      continue;
+    }
+
+    readingAgents = false;
+    // An empty Disallow allows everything, so it adds no rule
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  const product = userAgent.split('/')[0].toLowerCase();
+  const named = groups.filter(group => group.agents.includes(product));
+  return (named.length > 0 ? named : groups.filter(group => group.agents.includes('*')))
+    .flatMap(group => group.rules);
+};
+
+const toPathPattern = (rulePath) => {
+  const anchored = rulePath.endsWith('$');
+  const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+};
+
+// `path` is the URL's path and query
+const isPathAllowed = (rules, path) => {
+  const matching = rules.filter(rule => toPathPattern(rule.path).test(path));
+  if (matching.length === 0) {
+    return true;
+  }
+
+  const [longest] = matching.sort((a, b) => b.path.length - a.path.length || Number(b.allow) - Number(a.allow));
+  return longest.allow;
+};
+
+module.exports = {
+  parseRobotsTxt,
+  isPathAllowed
+};
@@ -0,0 +1,209 @@
+// Offline snapshots: a self-contained copy of each saved page, uploaded by the extension
+// Files are stored under SNAPSHOT_DIR by the SHA-256 of their bytes, so saving the same
+// page twice (or two users saving it) keeps one copy. A user's usage counts each file
+// they reference once and is capped at SNAPSHOT_QUOTA_MB; files nobody references are
+// deleted when their bookmarks are purged or given a new snapshot.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const db = require('../config/database');
+const { getBookmarkRow } = require('./bookmarks');
+
+const SNAPSHOT_HTML_TYPE = 'text/html';
+const SNAPSHOT_MHTML_TYPE = 'multipart/related';
+
+// Chrome saves MHTML as multipart/related; other tools label it differently
+const SNAPSHOT_CONTENT_TYPES = {
+  'text/html': SNAPSHOT_HTML_TYPE,
+  'multipart/related': SNAPSHOT_MHTML_TYPE,
+  'application/x-mimearchive': SNAPSHOT_MHTML_TYPE,
+  'message/rfc822': SNAPSHOT_MHTML_TYPE
+};
+
+const DEFAULT_SNAPSHOT_MAX_MB = 20;
+const DEFAULT_SNAPSHOT_QUOTA_MB = 500;
+const MB = 1024 * 1024;
+
+// Pure functions
+const parseMegabytes = (value, fallback) => {
+  const megabytes = parseFloat(value);
+  return Number.isNaN(megabytes) || megabytes <= 0 ? fallback * MB : Math.floor(megabytes * MB);
+};
+
+// SNAPSHOT_MAX_MB per file and SNAPSHOT_QUOTA_MB per user, in bytes
+const getSnapshotLimits = (env = process.env) => ({
+  maxBytes: parseMegabytes(env.SNAPSHOT_MAX_MB, DEFAULT_SNAPSHOT_MAX_MB),
+  quotaBytes: parseMegabytes(env.SNAPSHOT_QUOTA_MB, DEFAULT_SNAPSHOT_QUOTA_MB)
+});
+
+// SNAPSHOT_DIR, or a snapshots folder next to the database file
+const getSnapshotDir = (env = process.env) => {
+  if (env.SNAPSHOT_DIR) {
+    return path.resolve(env.SNAPSHOT_DIR);
+  }
+  const databaseDir = env.DB_PATH && env.DB_PATH !== ':memory:' ? path.dirname(env.DB_PATH) : 'data';
+  return path.resolve(databaseDir, 'snapshots');
+};
+
+// Stored MIME type for an upload's Content-Type, or null when it is not a snapshot
+const getSnapshotType = (contentType) => SNAPSHOT_CONTENT_TYPES[
+  String(contentType || '').split(';')[0].trim().toLowerCase()
+] || null;
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Files are spread over folders named after the first two hex digits
+const getSnapshotPath = (hash, dir = getSnapshotDir()) => path.join(dir, hash.slice(0, 2), hash);
+
+const formatSnapshot = (bookmark) => (bookmark.snapshot_hash
+  ? {
+    hash: bookmark.snapshot_hash,
+    contentType: bookmark.snapshot_type,
+    size: bookmark.snapshot_size,
+    capturedAt: bookmark.snapshot_captured_at
+  }
+  : null);
+
+// Files
+// Written under a temporary name and renamed, so a file under its hash is always complete
+const writeSnapshotFile = async (hash, content) => {
+  const filePath = getSnapshotPath(hash);
+  if (fs.existsSync(filePath)) {
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, content);
+  await fs.promises.rename(tempPath, filePath);
+};
+
+// Queries
+// Bytes of the distinct files the user's bookmarks (trashed ones included) reference,
+// optionally leaving one bookmark out
+const getUsedBytes = async (userId, excludeBookmarkId = null) => {
+  const rows = await db.query(`
+    SELECT COALESCE(SUM(size), 0) AS used, COUNT(*) AS count FROM snapshots
+    WHERE hash IN (
+      SELECT snapshot_hash FROM bookmarks
+      WHERE user_id IS ? AND snapshot_hash IS NOT NULL AND id IS NOT ?
+    )
+  `, [userId, excludeBookmarkId]);
+  return rows[0];
+};
+
+const getSnapshotUsage = async (userId) => {
+  const { used, count } = await getUsedBytes(userId);
+  return { used, quota: getSnapshotLimits().quotaBytes, count };
+};
+
+const isReferencedByUser = async (hash, userId, excludeBookmarkId) => {
+  const rows = await db.query(
+    'SELECT 1 FROM bookmarks WHERE snapshot_hash = ? AND user_id IS ? AND id IS NOT ? LIMIT 1',
+    [hash, userId, excludeBookmarkId]
+  );
+  return rows.length > 0;
+};
+
+// Deletes files no bookmark references any more, among `hashes` or all of them; returns
+// how many were removed. The check and the deletes share a transaction, so a snapshot
+// being saved meanwhile is either seen as referenced or saved after its file is gone.
+const deleteUnusedSnapshots = async (hashes = null) => db.transaction(async () => {
+  const hashFilter = hashes ? 'AND hash IN (SELECT value FROM json_each(?))' : '';
+  const unused = await db.query(`
+    SELECT hash FROM snapshots
+    WHERE hash NOT IN (SELECT snapshot_hash FROM bookmarks WHERE snapshot_hash IS NOT NULL) ${hashFilter}
+  `, hashes ? [JSON.stringify(hashes)] : []);
+
+  for (const { hash } of unused) {
+    await db.run('DELETE FROM snapshots WHERE hash = ?', [hash]);
+    await fs.promises.rm(getSnapshotPath(hash), { force: true });
+  }
+  return unused.length;
+});
+
+// Row with the bookmark's snapshot fields and file size, or null without a snapshot
+const findSnapshotRow = async (bookmarkId, userId) => {
+  const rows = await db.query(`
+    SELECT b.id, b.snapshot_hash, b.snapshot_type, b.snapshot_captured_at, s.size AS snapshot_size
+    FROM bookmarks b JOIN snapshots s ON s.hash = b.snapshot_hash
+    WHERE b.id = ? AND b.user_id IS ?
+  `, [bookmarkId, userId]);
+  return rows[0] || null;
+};
+
+// The snapshot's fields and the path of its file, or null without a snapshot
+const getSnapshot = async (bookmarkId, userId) => {
+  const row = await findSnapshotRow(bookmarkId, userId);
+  return row ? { ...formatSnapshot(row), path: getSnapshotPath(row.snapshot_hash) } : null;
+};
+
+// Stores `content` as the bookmark's snapshot, replacing any earlier one. Returns
+// { id, snapshot, usage } with the bookmark's id, null when there is no such live
+// bookmark, or { quotaExceeded } with the usage when the file would take the user past
+// their quota.
+const saveSnapshot = async (bookmarkId, userId, content, contentType) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  if (!bookmark || bookmark.is_archived) {
+    return null;
+  }
+
+  const hash = hashContent(content);
+  const { quotaBytes } = getSnapshotLimits();
+  const { used } = await getUsedBytes(userId, bookmark.id);
+  const added = await isReferencedByUser(hash, userId, bookmark.id) ? 0 : content.length;
+  if (used + added > quotaBytes) {
+    return { quotaExceeded: { used, quota: quotaBytes } };
+  }
+
+  await writeSnapshotFile(hash, content);
+  await db.transaction(async () => {
+    await db.run('INSERT OR IGNORE INTO snapshots (hash, size) VALUES (?, ?)', [hash, content.length]);
+    await db.run(
+      `UPDATE bookmarks SET snapshot_hash = ?, snapshot_type = ?, snapshot_captured_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [hash, contentType, bookmark.id]
+    );
+    // A cleanup that ran since the write above may have found the file unreferenced and
+    // removed it; now that the bookmark references it, no later cleanup will
+    await writeSnapshotFile(hash, content);
+  });
+  if (bookmark.snapshot_hash && bookmark.snapshot_hash !== hash) {
+    await deleteUnusedSnapshots([bookmark.snapshot_hash]);
+  }
+
+  return {
+    id: bookmark.id,
+    snapshot: formatSnapshot(await findSnapshotRow(bookmark.id, userId)),
+    usage: await getSnapshotUsage(userId)
+  };
+};
+
+// Returns whether the bookmark had a snapshot to remove
+const deleteSnapshot = async (bookmarkId, userId) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  if (!bookmark?.snapshot_hash) {
+    return false;
+  }
+
+  await db.run(
+    'UPDATE bookmarks SET snapshot_hash = NULL, snapshot_type = NULL, snapshot_captured_at = NULL WHERE id = ?',
+    [bookmark.id]
+  );
+  await deleteUnusedSnapshots([bookmark.snapshot_hash]);
+  return true;
+};
+
+module.exports = {
+  SNAPSHOT_HTML_TYPE,
+  getSnapshotLimits,
+  getSnapshotDir,
+  getSnapshotType,
+  hashContent,
+  getSnapshotUsage,
+  getSnapshot,
+  saveSnapshot,
+  deleteSnapshot,
+  deleteUnusedSnapshots
+};
@@ -0,0 +1,310 @@
+// Tag hierarchy and management: rename, recolor, delete and merge
+// Tags are paths ("dev/frontend/react"): the name holds the full path and parent_id
+// links each tag to its parent path, which is created on demand. Filtering by a tag
+// matches its whole subtree.
+//
+// Tag names are part of each bookmark as synced, so renaming, deleting or merging a tag
+// bumps the revision of every bookmark carrying it and puts them back in the change feed.
+// Colors are not synced and leave bookmarks alone.
+const db = require('../config/database');
+
+const TAG_PATH_SEPARATOR = '/';
+const TAG_FILTER_MODES = ['any', 'all'];
+
+// Pure functions for tag paths
+// Segments are trimmed and empty ones dropped, so " dev / frontend/ " is "dev/frontend"
+const normalizeTagPath = (name) => String(name ?? '')
+  .split(TAG_PATH_SEPARATOR)
+  .map(segment => segment.trim())
+  .filter(Boolean)
+  .join(TAG_PATH_SEPARATOR);
+
+const getParentPath = (path) => {
+  const index = path.lastIndexOf(TAG_PATH_SEPARATOR);
+  return index > 0 ? path.slice(0, index) : null;
+};
+
+// "dev/frontend/react" -> ["dev", "dev/frontend"]
+const getAncestorPaths = (path) => {
+  const segments = path.split(TAG_PATH_SEPARATOR);
+  return segments.slice(1).map((segment, index) => segments.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+};
+
+const isInSubtree = (path, rootPath) => path === rootPath || path.startsWith(rootPath + TAG_PATH_SEPARATOR);
+
+// SQL matching a tag name column against any of the given subtrees. Descendants sort
+// between "path/" and "path0" ('0' follows '/'), which keeps the name index usable.
+const buildTagSubtreeCondition = (column, paths) => ({
+  sql: `(${paths.map(() => `${column} = ? OR (${column} >= ? AND ${column} < ?)`).join(' OR ')})`,
+  params: paths.flatMap(path => [path, `${path}${TAG_PATH_SEPARATOR}`, `${path}0`])
+});
+
+// Splits a tags filter into included paths and excluded ones, written with a leading "-"
+const parseTagFilter = (tags) => [].concat(tags ?? []).reduce((filter, tag) => {
+  const text = String(tag);
+  const isExcluded = text.startsWith('-');
+  const path = normalizeTagPath(isExcluded ? text.slice(1) : text);
+  if (path) {
+    (isExcluded ? filter.exclude : filter.include).push(path);
+  }
+  return filter;
+}, { include: [], exclude: [] });
+
+// SQL keeping bookmarks that carry any (or, in 'all' mode, every one) of the included
+// subtrees and none of the excluded ones; null when the filter is empty. EXISTS keeps
+// the listing free of joins that would repeat rows.
+const buildTagFilterCondition = (bookmarkIdColumn, { include, exclude }, mode = 'any') => {
+  const hasTagIn = (paths) => {
+    const condition = buildTagSubtreeCondition('t.name', paths);
+    return {
+      sql: `EXISTS (
+        SELECT 1 FROM bookmark_tags bt JOIN tags t ON t.id = bt.tag_id
+        WHERE bt.bookmark_id = ${bookmarkIdColumn} AND ${condition.sql}
+      )`,
+      params: condition.params
+    };
+  };
+
+  const conditions = [];
+  if (include.length > 0) {
+    conditions.push(...(mode === 'all' ? include.map(path => hasTagIn([path])) : [hasTagIn(include)]));
+  }
+  if (exclude.length > 0) {
+    const excluded = hasTagIn(exclude);
+    conditions.push({ sql: `NOT ${excluded.sql}`, params: excluded.params });
+  }
+
+  return conditions.length > 0
+    ? { sql: conditions.map(condition => condition.sql).join(' AND '), params: conditions.flatMap(condition => condition.params) }
+    : null;
+};
+
+// Nests tags under their parents; siblings are ordered by use, then name
+const buildTagTree = (tags) => {
+  const nodes = new Map(tags.map(tag => [tag.id, {
+    ...tag,
+    label: tag.name.slice(tag.name.lastIndexOf(TAG_PATH_SEPARATOR) + 1),
+    children: []
+  }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortLevel = (level) => {
+    level.sort((a, b) => b.total_bookmark_count - a.total_bookmark_count || a.name.localeCompare(b.name));
+    level.forEach(node => sortLevel(node.children));
+    return level;
+  };
+
+  return sortLevel(roots);
+};
+
+// Queries
+// Counts leave out archived bookmarks, so a tag left on archived copies reads as unused.
+// bookmark_count is the tag itself; total_bookmark_count includes its descendants.
+const TAGS_WITH_COUNTS = `
+  SELECT t.*,
+    (
+      SELECT COUNT(*) FROM bookmark_tags bt
+      JOIN bookmarks b ON b.id = bt.bookmark_id AND b.is_archived = FALSE
+      WHERE bt.tag_id = t.id
+    ) AS bookmark_count,
+    (
+      SELECT COUNT(DISTINCT bt.bookmark_id) FROM tags d
+      JOIN bookmark_tags bt ON bt.tag_id = d.id
+      JOIN bookmarks b ON b.id = bt.bookmark_id AND b.is_archived = FALSE
+      WHERE d.user_id IS t.user_id
+        AND (d.name = t.name OR (d.name >= t.name || '${TAG_PATH_SEPARATOR}' AND d.name < t.name || '0'))
+    ) AS total_bookmark_count
+  FROM tags t
+  WHERE t.user_id IS ?
+`;
+
+const listTags = (userId) => db.query(`${TAGS_WITH_COUNTS} ORDER BY bookmark_count DESC, t.name`, [userId]);
+
+const getTag = async (tagId, userId) => {
+  const tags = await db.query(`${TAGS_WITH_COUNTS} AND t.id = ?`, [userId, tagId]);
+  return tags[0] || null;
+};
+
+const findTagByName = async (name, userId) => {
+  const tags = await db.query('SELECT * FROM tags WHERE name = ? AND user_id IS ?', [name, userId]);
+  return tags[0] || null;
+};
+
+const getSubtree = (path, userId) => {
+  const condition = buildTagSubtreeCondition('name', [path]);
+  return db.query(
+    `SELECT * FROM tags WHERE user_id IS ? AND ${condition.sql} ORDER BY name`,
+    [userId, ...condition.params]
+  );
+};
+
+// Returns the id of the tag for a normalized path, creating it and its ancestors
+const ensureTagPath = async (path, userId) => {
+  const existing = await findTagByName(path, userId);
+  if (existing) {
+    return existing.id;
+  }
+
+  const parentPath = getParentPath(path);
+  const parentId = parentPath ? await ensureTagPath(parentPath, userId) : null;
+  const result = await db.run(
+    'INSERT INTO tags (name, user_id, parent_id) VALUES (?, ?, ?)',
+    [path, userId, parentId]
+  );
+  return result.id;
+};
+
+const touchTaggedBookmarks = (tagIds) => db.run(`
+  UPDATE bookmarks SET revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE id IN (SELECT bookmark_id FROM bookmark_tags WHERE tag_id IN (${tagIds.map(() => '?').join(',')}))
+`, tagIds);
+
+// Moves a tag and its descendants to a new path, shallowest first so new parents exist
+// before their children move. Tags landing on an existing name are merged into it.
+// Call inside a transaction.
+const moveTagSubtree = async (tag, newPath, userId) => {
+  const subtree = await getSubtree(tag.name, userId);
+  const mergedIds = [];
+
+  await touchTaggedBookmarks(subtree.map(node => node.id));
+
+  for (const node of subtree) {
+    const name = newPath + node.name.slice(tag.name.length);
+    const existing = await findTagByName(name, userId);
+
+    if (existing && existing.id !== node.id) {
+      await db.run(
+        `INSERT OR IGNORE INTO bookmark_tags (bookmark_id, tag_id)
+         SELECT bookmark_id, ? FROM bookmark_tags WHERE tag_id = ?`,
+        [existing.id, node.id]
+      );
+      await db.run('DELETE FROM bookmark_tags WHERE tag_id = ?', [node.id]);
+      mergedIds.push(node.id);
+    } else {
+      const parentPath = getParentPath(name);
+      const parentId = parentPath ? await ensureTagPath(parentPath, userId) : null;
+      await db.run('UPDATE tags SET name = ?, parent_id = ? WHERE id = ?', [name, parentId, node.id]);
+    }
+  }
+
+  if (mergedIds.length > 0) {
+    await db.run(`DELETE FROM tags WHERE id IN (${mergedIds.map(() => '?').join(',')})`, mergedIds);
+  }
+  return mergedIds;
+};
+
+// Returns the updated tag, null when it does not exist, { conflict } when another tag
+// already has the new name (merge them instead) or { invalid } for a move under itself.
+// Renaming a tag renames its descendants too.
+const updateTag = async (tagId, { name, color }, userId) => {
+  const tag = await getTag(tagId, userId);
+  if (!tag) {
+    return null;
+  }
+
+  const newName = name === undefined ? tag.name : normalizeTagPath(name);
+  const isRename = newName !== tag.name;
+  if (isRename) {
+    if (!newName) {
+      return { invalid: 'Name cannot be empty' };
+    }
+    if (isInSubtree(newName, tag.name)) {
+      return { invalid: 'A tag cannot be moved under itself' };
+    }
+
+    const existing = await findTagByName(newName, userId);
+    if (existing) {
+      return { conflict: existing };
+    }
+  }
+
+  await db.transaction(async () => {
+    if (color !== undefined) {
+      await db.run('UPDATE tags SET color = ? WHERE id = ?', [color, tag.id]);
+    }
+    if (isRename) {
+      await moveTagSubtree(tag, newName, userId);
+    }
+  });
+
+  return { tag: await getTag(tag.id, userId) };
+};
+
+// Removes the tag and its descendants from their bookmarks; returns how many live
+// bookmarks lost a tag, or null
+const deleteTag = async (tagId, userId) => {
+  const tag = await getTag(tagId, userId);
+  if (!tag) {
+    return null;
+  }
+
+  const ids = (await getSubtree(tag.name, userId)).map(node => node.id);
+  const placeholders = ids.map(() => '?').join(',');
+
+  await db.transaction(async () => {
+    await touchTaggedBookmarks(ids);
+    await db.run(`DELETE FROM bookmark_tags WHERE tag_id IN (${placeholders})`, ids);
+    await db.run(`DELETE FROM tags WHERE id IN (${placeholders})`, ids);
+  });
+
+  return { bookmarkCount: tag.total_bookmark_count };
+};
+
+// Moves every bookmark from the source tags onto the target and deletes the sources.
+// Descendants follow their tag ("js/react" merged into "javascript" becomes
+// "javascript/react"). Returns the merged target tag and the removed tag ids, null when
+// the target or none of the sources exist, or { invalid } for a merge into a descendant.
+const mergeTags = async (sourceIds, targetId, userId) => {
+  const target = await getTag(targetId, userId);
+  const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+  if (!target || ids.length === 0) {
+    return null;
+  }
+
+  const placeholders = ids.map(() => '?').join(',');
+  const sources = await db.query(
+    `SELECT * FROM tags WHERE id IN (${placeholders}) AND user_id IS ? ORDER BY name`,
+    [...ids, userId]
+  );
+  if (sources.length === 0) {
+    return null;
+  }
+  if (sources.some(source => isInSubtree(target.name, source.name))) {
+    return { invalid: 'A tag cannot be merged into one of its descendants' };
+  }
+
+  const mergedIds = [];
+  await db.transaction(async () => {
+    for (const source of sources) {
+      // An earlier source may have taken this one along as a descendant
+      const current = await findTagByName(source.name, userId);
+      if (current && current.id === source.id) {
+        mergedIds.push(...await moveTagSubtree(source, target.name, userId));
+      }
+    }
+  });
+
+  return { tag: await getTag(target.id, userId), mergedIds };
+};
+
+module.exports = {
+  TAG_FILTER_MODES,
+  normalizeTagPath,
+  getParentPath,
+  getAncestorPaths,
+  buildTagSubtreeCondition,
+  parseTagFilter,
+  buildTagFilterCondition,
+  buildTagTree,
+  ensureTagPath,
+  listTags,
+  getTag,
+  updateTag,
+  deleteTag,
+  mergeTags
+};
@@ -0,0 +1,104 @@
+// Trash: deleted (archived) bookmarks can be listed, restored or purged for good
+// Archiving stamps archived_at; TRASH_RETENTION_DAYS later (30 by default) the bookmark
+// is purged along with its tag and collection links. 0 keeps the trash until emptied.
+// Purged bookmarks stay in the sync feed as 'delete' changes.
+const db = require('../config/database');
+const { getBookmarkRow, findDuplicateBookmark } = require('./bookmarks');
+const { deleteUnusedSnapshots } = require('./snapshots');
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pure functions
+const getRetentionDays = (value = process.env.TRASH_RETENTION_DAYS) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+};
+
+// SQLite timestamp ("2024-01-10 12:00:00", UTC) of the purge, or null when the trash is kept
+const getPurgeAt = (archivedAt, retentionDays = getRetentionDays()) => {
+  if (!archivedAt || retentionDays === 0) {
+    return null;
+  }
+
+  const purgeTime = Date.parse(`${archivedAt.replace(' ', 'T')}Z`) + retentionDays * DAY_MS;
+  return new Date(purgeTime).toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// Returns the restored bookmark row, null when there is no such bookmark in the trash,
+// or { conflict } when an active bookmark already holds the same page
+const restoreBookmark = async (bookmarkId, userId) => {
+  const bookmark = await getBookmarkRow(bookmarkId, userId);
+  if (!bookmark || !bookmark.is_archived) {
+    return null;
+  }
+
+  const duplicate = await findDuplicateBookmark(
+    { url: bookmark.url, canonicalUrl: bookmark.canonical_url },
+    userId,
+    { includeArchived: false }
+  );
+  if (duplicate) {
+    return { conflict: duplicate };
+  }
+
+  await db.run(
+    `UPDATE bookmarks SET is_archived = FALSE, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND is_archived = TRUE`,
+    [bookmark.id]
+  );
+
+  return { bookmark: await getBookmarkRow(bookmark.id, userId) };
+};
+
+// Permanently deletes the user's archived bookmarks (the given ids, or all of them)
+// along with snapshots no other bookmark uses; returns how many were purged
+const purgeBookmarks = async (userId, bookmarkIds = null) => {
+  const idFilter = bookmarkIds ? `AND id IN (${bookmarkIds.map(() => '?').join(',')})` : '';
+  const result = await db.run(
+    `DELETE FROM bookmarks WHERE is_archived = TRUE AND user_id IS ? ${idFilter}`,
+    [userId, ...(bookmarkIds || [])]
+  );
+  if (result.changes > 0) {
+    await deleteUnusedSnapshots();
+  }
+  return result.changes;
+};
+
+// Purges every user's bookmarks archived more than retentionDays ago
+const purgeExpiredBookmarks = async (retentionDays = getRetentionDays()) => {
+  if (retentionDays === 0) {
+    return 0;
+  }
+
+  const result = await db.run(
+    'DELETE FROM bookmarks WHERE is_archived = TRUE AND archived_at <= datetime(\'now\', ?)',
+    [`-${retentionDays} days`]
+  );
+  if (result.changes > 0) {
+    await deleteUnusedSnapshots();
+  }
+  return result.changes;
+};
+
+// Purges expired bookmarks now and then hourly; the timer does not keep the process alive
+const startTrashPurge = (onPurge = () => {}, interval = PURGE_INTERVAL_MS) => {
+  const run = () => purgeExpiredBookmarks()
+    .then(onPurge)
+    .catch(error => onPurge(0, error));
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeAt,
+  restoreBookmark,
+  purgeBookmarks,
+  purgeExpiredBookmarks,
+  startTrashPurge
+};
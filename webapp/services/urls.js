@@ -0,0 +1,33 @@
+// Server-side URL normalization settings on top of the shared normalizer
+const {
+  DEFAULT_STRIP_PARAMS,
+  parseStripParams,
+  normalizeUrl,
+  getMatchKeys
+} = require('../shared/url-normalizer');
+
+// URL_STRIP_PARAMS adds site-specific tracking parameters to the shared defaults
+const getStripParams = (extraParams = process.env.URL_STRIP_PARAMS) => [
+  ...DEFAULT_STRIP_PARAMS,
+  ...parseStripParams(extraParams)
+];
+
+// Column values stored alongside a bookmark's URL
+const getUrlFields = (url, canonicalUrl = null) => {
+  const options = { stripParams: getStripParams() };
+
+  return {
+    canonicalUrl: canonicalUrl || null,
+    normalizedUrl: url ? normalizeUrl(url, options) : null,
+    normalizedCanonicalUrl: canonicalUrl ? normalizeUrl(canonicalUrl, options) : null
+  };
+};
+
+const getUrlMatchKeys = (url, canonicalUrl = null) =>
+  getMatchKeys(url, canonicalUrl, { stripParams: getStripParams() });
+
+module.exports = {
+  getStripParams,
+  getUrlFields,
+  getUrlMatchKeys
+};
@@ -0,0 +1,126 @@
+// Netscape bookmark file (bookmarks.html) parser shared by the web app and the extension
+// The server requires webapp/shared/netscape-bookmarks.js and the extension loads an
+// identical copy (extension/netscape-bookmarks.js) as a classic script; change both together.
+(function exportNetscapeBookmarks(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.NetscapeBookmarks = api;
+  }
+})(globalThis, () => {
+  // Folders (<H3>), links (<A>), descriptions (<DD>) and folder nesting (<DL>) are all
+  // the format needs; browsers never close <DT> or <DD>
+  const TOKEN_PATTERN = /<h3\b([^>]*)>([\s\S]*?)<\/h3>|<a\b([^>]*)>([\s\S]*?)<\/a>|<dd>([^<]*)|<(\/?)dl\b[^>]*>/gi;
+  const ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*"([^"]*)"/g;
+
+  // Browser roots such as the bookmarks bar say where a link was kept, not what it is about
+  const ROOT_FOLDER_ATTRIBUTES = ['personal_toolbar_folder', 'unfiled_bookmarks_folder'];
+
+  const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+  };
+
+  const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+  const cleanText = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+  const parseAttributes = (source) => {
+    const attributes = {};
+    for (const [, name, value] of source.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[name.toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+  };
+
+  // ADD_DATE is seconds since the epoch, though some exporters write milli- or microseconds
+  const parseTimestamp = (value) => {
+    const number = Number(value);
+    if (!value || !Number.isFinite(number) || number <= 0) {
+      return null;
+    }
+
+    const milliseconds = number > 1e14 ? number / 1000 : number > 1e11 ? number : number * 1000;
+    const date = new Date(milliseconds);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  };
+
+  const parseTags = (value) => (value || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+
+  const isNetscapeBookmarkFile = (html) => typeof html === 'string' &&
+    (/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(html) || (/<dl\b/i.test(html) && /<a\b/i.test(html)));
+
+  // Returns one entry per link: { title, url, addDate, tags, folders, description },
+  // where folders is the path of folder names below the browser roots
+  const parseNetscapeBookmarks = (html) => {
+    const bookmarks = [];
+    const folderStack = [];
+    let pendingFolder = null;
+    let lastToken = null;
+
+    for (const match of html.matchAll(TOKEN_PATTERN)) {
+      const [, folderAttributes, folderName, linkAttributes, linkText, description, closing] = match;
+
+      if (folderAttributes !== undefined) {
+        const attributes = parseAttributes(folderAttributes);
+        pendingFolder = ROOT_FOLDER_ATTRIBUTES.some(name => name in attributes)
+          ? null
+          : cleanText(folderName) || 'Untitled folder';
+        lastToken = 'folder';
+      } else if (linkAttributes !== undefined) {
+        const attributes = parseAttributes(linkAttributes);
+        bookmarks.push({
+          title: cleanText(linkText),
+          url: (attributes.href || '').trim(),
+          addDate: parseTimestamp(attributes.add_date),
+          tags: parseTags(attributes.tags),
+          folders: folderStack.filter(Boolean),
+          description: null
+        });
+        lastToken = 'link';
+      } else if (description !== undefined) {
+        // A <DD> after a folder describes the folder, which has nowhere to go
+        if (lastToken === 'link') {
+          bookmarks[bookmarks.length - 1].description = cleanText(description) || null;
+        }
+        lastToken = 'description';
+      } else if (closing) {
+        folderStack.pop();
+        lastToken = null;
+      } else {
+        // The outermost list has no heading
+        folderStack.push(pendingFolder);
+        pendingFolder = null;
+        lastToken = null;
+      }
+    }
+
+    return bookmarks;
+  };
+
+  // The helpers also read Pocket's HTML export, which uses the same attribute style
+  return {
+    cleanText,
+    parseAttributes,
+    parseTimestamp,
+    parseTags,
+    isNetscapeBookmarkFile,
+    parseNetscapeBookmarks
+  };
+});
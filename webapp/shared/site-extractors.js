@@ -0,0 +1,373 @@
+// Site-specific page details shared by the web app and the browser extension
+// The server requires webapp/shared/site-extractors.js and the extension loads an identical
+// copy (extension/site-extractors.js) as a classic script; change both together.
+//
+// Each entry of SITE_EXTRACTORS knows one kind of page (a GitHub repository, a YouTube
+// video, ...) and reads typed details and tag suggestions from its HTML. Extractors work on
+// markup rather than a DOM so the same code runs on live pages, fetched pages and saved
+// test fixtures. Add a site by appending an extractor; the first one that matches wins.
+(function exportSiteExtractors(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.SiteExtractors = api;
+  }
+})(globalThis, () => {
+  const MAX_SUGGESTED_TAGS = 10;
+  const MAX_TAG_LENGTH = 50;
+
+  const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', hellip: '…', mdash: '—', ndash: '–', raquo: '»', laquo: '«' };
+
+  // `name = value` pairs, or a bare name for boolean attributes
+  const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))|([^\s=/>]+)/g;
+  const OPENING_TAG_PATTERN = /<([a-z][a-z0-9-]*)\b([^>]*)>/gi;
+  const JSON_LD_PATTERN = /<script\b[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi;
+  // Script and style bodies can hold markup-like strings that are not on the page
+  const IGNORED_CONTENT_PATTERN = /<!--[\s\S]*?-->|<(script|style|template)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+  // Markup helpers
+  const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+  const parseAttributes = (source) => {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, unquoted, bareName] of source.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[(name || bareName).toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+    return attributes;
+  };
+
+  // Text of a markup fragment with tags dropped and whitespace collapsed, or null
+  const toText = (html) => {
+    const text = typeof html === 'string'
+      ? decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()
+      : '';
+    return text || null;
+  };
+
+  // Top-level objects of the page's JSON-LD blocks
+  const readJsonLd = (html) => [...html.matchAll(JSON_LD_PATTERN)].flatMap(([, json]) => {
+    try {
+      return [].concat(JSON.parse(json.trim())).filter(node => node && typeof node === 'object');
+    } catch (error) {
+      return [];
+    }
+  });
+
+  const hasClass = (element, className) => (element.attributes.class || '').split(/\s+/).includes(className);
+
+  // A parsed page: its opening tags with their attributes, and lookups over them. An
+  // element's `html` runs to the first closing tag of its name, which is exact for the
+  // leaf-like elements extractors read (spans, links, list items).
+  const createPage = (html, pageUrl) => {
+    const jsonLd = readJsonLd(String(html || ''));
+    const source = String(html || '').replace(IGNORED_CONTENT_PATTERN, '');
+    const closingTags = new Map();
+    const findClosingTag = (name, start) => {
+      if (!closingTags.has(name)) {
+        closingTags.set(name, new RegExp(`</${name}\\s*>`, 'gi'));
+      }
+      const pattern = closingTags.get(name);
+      pattern.lastIndex = start;
+      return pattern.exec(source)?.index ?? start;
+    };
+
+    const elements = [...source.matchAll(OPENING_TAG_PATTERN)].map(match => {
+      const name = match[1].toLowerCase();
+      const start = match.index + match[0].length;
+      return {
+        name,
+        attributes: parseAttributes(match[2]),
+        start,
+        html: source.slice(start, findClosingTag(name, start))
+      };
+    });
+
+    const findAll = (predicate) => elements.filter(predicate);
+    const find = (predicate) => elements.find(predicate) || null;
+
+    // content of <meta> (or href of <link>) tags by name, property or itemprop
+    const metaValues = (key) => findAll(element => ['meta', 'link'].includes(element.name)
+      && [element.attributes.name, element.attributes.property, element.attributes.itemprop]
+        .some(value => (value || '').toLowerCase() === key))
+      .map(element => element.attributes.content ?? element.attributes.href)
+      .map(value => (value || '').trim())
+      .filter(Boolean);
+
+    return {
+      url: new URL(pageUrl),
+      source,
+      jsonLd,
+      find,
+      findAll,
+      metaValues,
+      meta: (key) => metaValues(key)[0] || null,
+      // The page made of an element's contents, or of everything after it
+      within: (element) => createPage(element ? element.html : '', pageUrl),
+      after: (element) => createPage(element ? source.slice(element.start) : '', pageUrl)
+    };
+  };
+
+  // Value helpers
+  // "65,473", "65.5k" or "1.2M" as a number
+  const parseCount = (text) => {
+    const match = String(text || '').replace(/[,\s]/g, '').match(/^([\d.]+)([km]?)$/i);
+    const number = match ? Number(match[1]) : NaN;
+    if (Number.isNaN(number)) {
+      return null;
+    }
+    const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+    return Math.round(number * multiplier);
+  };
+
+  // ISO 8601 durations such as PT1H2M7S, in seconds
+  const parseDuration = (text) => {
+    const match = String(text || '').toUpperCase().match(/^P([\dD]*)T?([\dHMS]*)$/);
+    if (!match || !/\d/.test(match[1] + match[2])) {
+      return null;
+    }
+    const read = (part, unit) => parseInt(part.match(new RegExp(`(\\d+)${unit}`))?.[1] || '0', 10);
+    const [days, hours, minutes, seconds] = [read(match[1], 'D'), read(match[2], 'H'), read(match[2], 'M'), read(match[2], 'S')];
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+  };
+
+  const toInteger = (value) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+  };
+
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+
+  // Tags as the tag input expects them: lowercase, spaces as hyphens, no duplicates
+  const toTags = (values) => unique(values
+    .map(value => String(value || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, '-'))
+    .filter(tag => tag.length <= MAX_TAG_LENGTH))
+    .slice(0, MAX_SUGGESTED_TAGS);
+
+  // Extractors: `matches(page)` says whether the extractor understands the page and
+  // `extract(page)` returns { metadata, tags } plus, optionally, the page's author and
+  // publishedDate when the generic meta tags do not carry them
+  const github = {
+    site: 'github',
+    // Repository pages, not GitHub's own pages such as /features or /topics
+    matches: (page) => page.url.hostname === 'github.com' && Boolean(page.meta('octolytics-dimension-repository_nwo')),
+    extract: (page) => {
+      const [owner, repository] = page.meta('octolytics-dimension-repository_nwo').split('/');
+      const counter = (id) => {
+        const element = page.find(candidate => candidate.attributes.id === id);
+        return element ? parseCount(element.attributes.title) ?? parseCount(toText(element.html)) : null;
+      };
+      // The sidebar lists languages by share, largest first
+      const languages = page.after(page.find(element => element.name === 'h2' && toText(element.html) === 'Languages'));
+      const language = toText(languages.find(element => element.name === 'span' && hasClass(element, 'text-bold'))?.html);
+      const topics = unique(page.findAll(element => element.name === 'a' && hasClass(element, 'topic-tag'))
+        .map(element => toText(element.html)));
+
+      return {
+        metadata: {
+          type: 'repository',
+          owner,
+          repository,
+          stars: counter('repo-stars-counter-star'),
+          forks: counter('repo-network-counter'),
+          language,
+          topics
+        },
+        tags: [...topics, language]
+      };
+    }
+  };
+
+  const YOUTUBE_HOSTS = ['www.youtube.com', 'youtube.com', 'm.youtube.com', 'youtu.be'];
+
+  const getYouTubeVideoId = (url) => {
+    if (url.hostname === 'youtu.be') {
+      return url.pathname.slice(1) || null;
+    }
+    return url.searchParams.get('v') || url.pathname.match(/^\/(?:shorts|live|embed)\/([^/]+)/)?.[1] || null;
+  };
+
+  const youtube = {
+    site: 'youtube',
+    matches: (page) => YOUTUBE_HOSTS.includes(page.url.hostname) && Boolean(getYouTubeVideoId(page.url)),
+    // Served pages describe the video with microdata; pages rendered in the browser may
+    // only carry the same details as a JSON-LD VideoObject
+    extract: (page) => {
+      const author = page.within(page.find(element => element.attributes.itemprop === 'author'));
+      const video = page.jsonLd.find(node => node['@type'] === 'VideoObject') || {};
+      const videoAuthor = [].concat(video.author || [])[0];
+      const genre = page.meta('genre') || video.genre || null;
+      const uploadDate = page.meta('uploaddate') || page.meta('datepublished') || video.uploadDate || null;
+      const channel = author.meta('name') || (typeof videoAuthor === 'string' ? videoAuthor : videoAuthor?.name) || null;
+
+      return {
+        metadata: {
+          type: 'video',
+          videoId: page.meta('videoid') || getYouTubeVideoId(page.url),
+          channel,
+          channelUrl: author.meta('url') || videoAuthor?.url || null,
+          duration: parseDuration(page.meta('duration') || video.duration),
+          views: parseCount(page.meta('interactioncount') || video.interactionCount),
+          uploadDate,
+          genre
+        },
+        tags: [genre],
+        author: channel,
+        publishedDate: uploadDate
+      };
+    }
+  };
+
+  // "Vaswani, Ashish" as "Ashish Vaswani"
+  const toDisplayName = (citationName) => citationName.split(',').map(part => part.trim()).reverse().join(' ').trim();
+
+  const arxiv = {
+    site: 'arxiv',
+    matches: (page) => ['arxiv.org', 'export.arxiv.org'].includes(page.url.hostname) && page.url.pathname.startsWith('/abs/'),
+    extract: (page) => {
+      const authors = page.metaValues('citation_author').map(toDisplayName);
+      const abstract = page.meta('citation_abstract')
+        || toText(page.find(element => element.name === 'blockquote' && hasClass(element, 'abstract'))?.html)
+          ?.replace(/^Abstract:\s*/i, '')
+        || null;
+      // "Computation and Language (cs.CL); Machine Learning (cs.LG)", primary subject first
+      const subjects = page.find(element => element.name === 'td' && hasClass(element, 'subjects'));
+      const categories = unique([...(subjects?.html || '').matchAll(/\(([a-z-]+\.?[a-z-]*)\)/gi)]
+        .map(match => match[1]));
+      const submitted = (page.meta('citation_date') || '').replace(/\//g, '-') || null;
+
+      return {
+        metadata: {
+          type: 'paper',
+          arxivId: page.meta('citation_arxiv_id') || page.url.pathname.slice('/abs/'.length),
+          authors,
+          abstract,
+          submitted,
+          primaryCategory: categories[0] || null,
+          categories,
+          pdfUrl: page.meta('citation_pdf_url')
+        },
+        tags: categories,
+        author: authors.length > 0 ? authors.join(', ') : null,
+        publishedDate: submitted
+      };
+    }
+  };
+
+  const STACK_EXCHANGE_HOSTS = ['stackoverflow.com', 'superuser.com', 'serverfault.com', 'askubuntu.com', 'mathoverflow.net'];
+
+  const stackExchange = {
+    site: 'stackexchange',
+    matches: (page) => (STACK_EXCHANGE_HOSTS.includes(page.url.hostname.replace(/^www\./, ''))
+      || page.url.hostname.endsWith('.stackexchange.com'))
+      && /^\/questions\/\d+/.test(page.url.pathname),
+    extract: (page) => {
+      // The question's own tag list; sidebars link to other tags too
+      const tagList = page.within(page.find(element => hasClass(element, 'post-taglist')));
+      const tags = unique(tagList.findAll(element => element.name === 'a' && hasClass(element, 'post-tag'))
+        .map(element => toText(element.html)));
+      const question = page.find(element => element.attributes.id === 'question');
+      // The question's vote count comes before its answers'
+      const votes = page.find(element => element.attributes.itemprop === 'upvoteCount');
+      const answers = page.find(element => element.attributes['data-answercount'] !== undefined);
+      const accepted = page.find(element => element.attributes.itemprop === 'acceptedAnswer'
+        || hasClass(element, 'accepted-answer'));
+      const asked = page.find(element => element.name === 'time' && element.attributes.itemprop === 'dateCreated');
+
+      return {
+        metadata: {
+          type: 'question',
+          questionId: page.url.pathname.match(/^\/questions\/(\d+)/)[1],
+          score: toInteger(question?.attributes['data-score'] ?? votes?.attributes['data-value'] ?? toText(votes?.html)),
+          answerCount: toInteger(answers?.attributes['data-answercount']),
+          hasAcceptedAnswer: Boolean(accepted),
+          acceptedAnswerId: accepted?.attributes['data-answerid'] || null,
+          tags
+        },
+        tags,
+        publishedDate: asked?.attributes.datetime || null
+      };
+    }
+  };
+
+  const DOCS_GENERATORS = /sphinx|docutils|mkdocs|docusaurus|vitepress|gitbook|antora|docfx|typedoc|jsdoc|rustdoc|hugo-book/i;
+  const DOCS_HOSTS = /^docs?\.|\.readthedocs\.io$|^developer\.mozilla\.org$|^learn\.microsoft\.com$/;
+
+  // Labels of the page's breadcrumb trail, or of the Sphinx "related" bar
+  const readBreadcrumbs = (page) => {
+    const trail = page.find(element => ['nav', 'ol', 'ul', 'div'].includes(element.name)
+      && (/breadcrumb/i.test(element.attributes['aria-label'] || '') || /breadcrumb/i.test(element.attributes.class || '')));
+    const items = trail
+      ? page.within(trail).findAll(element => element.name === 'li')
+      : page.findAll(element => element.name === 'li' && hasClass(element, 'nav-item'));
+    return items.map(element => toText(element.html)?.replace(/^[»›>/|\s]+|[»›>/|\s]+$/g, '')).filter(Boolean);
+  };
+
+  // "Python 3.12.2 documentation" as "Python"
+  const toProjectName = (siteName) => (siteName || '')
+    .replace(/\s+v?[\d.]*\s*documentation$/i, '')
+    .trim() || null;
+
+  const docs = {
+    site: 'docs',
+    matches: (page) => DOCS_HOSTS.test(page.url.hostname)
+      || DOCS_GENERATORS.test(page.meta('generator') || '')
+      || Boolean(page.meta('docsearch:version')),
+    extract: (page) => {
+      const titleSuffix = toText(page.find(element => element.name === 'title')?.html)?.split(/\s+[—|·-]\s+/).pop();
+      const project = toProjectName(page.meta('og:site_name') || titleSuffix);
+      const version = page.meta('docsearch:version') || titleSuffix?.match(/\bv?(\d+\.[\d.]*\d)\b/)?.[1] || null;
+
+      return {
+        metadata: {
+          type: 'documentation',
+          project,
+          version,
+          language: page.meta('docsearch:language') || page.find(element => element.name === 'html')?.attributes.lang || null,
+          breadcrumbs: readBreadcrumbs(page)
+        },
+        tags: [project]
+      };
+    }
+  };
+
+  const SITE_EXTRACTORS = [github, youtube, arxiv, stackExchange, docs];
+
+  // Details of a page one of the extractors understands: { siteMetadata, suggestedTags,
+  // author, publishedDate }, with siteMetadata.site naming the extractor and
+  // siteMetadata.type the kind of page. Null for other pages or when extraction fails.
+  const extractSiteMetadata = (html, pageUrl, extractors = SITE_EXTRACTORS) => {
+    try {
+      const page = createPage(html, pageUrl);
+      const extractor = extractors.find(candidate => candidate.matches(page));
+      if (!extractor) {
+        return null;
+      }
+
+      const result = extractor.extract(page);
+      return {
+        siteMetadata: { site: extractor.site, ...result.metadata },
+        suggestedTags: toTags(result.tags || []),
+        author: result.author || null,
+        publishedDate: result.publishedDate || null
+      };
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    SITE_EXTRACTORS,
+    decodeEntities,
+    parseAttributes,
+    parseCount,
+    parseDuration,
+    extractSiteMetadata
+  };
+});